@@ -19,9 +19,31 @@ import {
   InteractionType,
   verifyKeyMiddleware,
 } from 'discord-interactions';
-import { DiscordRequest } from './utils.js';
-import db, { meetingQueries, guildSettingsQueries, getNextMeetingId } from './database.js';
+import { DiscordRequest, DiscordUploadRequest } from './utils.js';
+import db, {
+  meetingQueries,
+  meetingRsvpQueries,
+  meetingReminderQueries,
+  meetingJobQueries,
+  meetingExceptionQueries,
+  meetingRecordQueries,
+  meetingSeriesQueries,
+  guildSettingsQueries,
+  guildHolidayQueries,
+  userPreferenceQueries,
+  githubSubscriptionQueries,
+  githubCiStatusQueries,
+  githubDigestQueries,
+  githubDeliveryQueries,
+  githubDeliveryResultQueries,
+  getNextMeetingId,
+} from './database.js';
 import { t, getGuildLanguage } from './messages.js';
+import { parseEventFilter, formatEventFilter, isEventAllowed, suggestEventFilters, parseGlobList, isPushAllowed } from './filters.js';
+import { getWebhookRepository, normalizeGitLabEvent, normalizeGiteaEvent } from './providers.js';
+import { buildCalendar, parseCalendar } from './ical.js';
+import { HOLIDAY_COUNTRIES, getHoliday } from './holidays.js';
+import { parseRRule, formatRRule, getNextOccurrence, iterateOccurrences, rebaseRRule, endRRuleBefore, getLocalParts, zonedTimeToUtc } from './recurrence.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -34,20 +56,56 @@ const PORT = process.env.PORT || 8080;
 const deletedMeetings = new Map();
 const UNDO_TIMEOUT = 5 * 60 * 1000; // 5 minutes
 
-// Middleware for GitHub webhooks (raw body for signature verification)
-app.use('/webhook/github', express.raw({ type: 'application/json' }), (req, res, next) => {
-  if (process.env.GITHUB_WEBHOOK_SECRET) {
-    const signature = req.headers['x-hub-signature-256'];
-    if (signature) {
-      const hmac = crypto.createHmac('sha256', process.env.GITHUB_WEBHOOK_SECRET);
-      const digest = 'sha256=' + hmac.update(req.body).digest('hex');
-      if (signature !== digest) {
-        return res.status(401).send('Invalid signature');
-      }
-    }
-  }
-  next();
-});
+// Embed colors for GitHub notifications
+const GITHUB_EMBED_COLORS = {
+  success: 0x2da44e, // opened, created, passed
+  failure: 0xcf222e, // closed, deleted, failed
+  merged: 0x8250df,
+  info: 0x0969da, // pushes, edits, comments
+  warning: 0xbf8700, // reverts, stars, pending deployments
+  neutral: 0x6e7781,
+};
+
+// Pending pull request reviews, keyed by repository and review ID
+// GitHub sends the review and each of its comments as separate deliveries,
+// so they are collected briefly and posted as one message
+const pendingReviews = new Map();
+const REVIEW_BATCH_DELAY = 10 * 1000; // 10 seconds
+
+// Meetings starting closer together than this are reported as conflicts
+const MEETING_CONFLICT_WINDOW = 30 * 60 * 1000; // 30 minutes
+
+// Limits for /meeting import
+const ICS_IMPORT_MAX_BYTES = 1024 * 1024; // 1 MB
+const ICS_IMPORT_LIST_LIMIT = 10; // lines per section of the import report
+
+// Limits for meeting agendas and notes (Discord text inputs hold up to 4000 characters)
+const MEETING_AGENDA_LIMIT = 20;
+const MEETING_NOTES_MAX_LENGTH = 4000;
+
+// Archived occurrences per /meeting history page (keeps a page under Discord's 2000 characters)
+const MEETING_HISTORY_PAGE_SIZE = 8;
+
+// Final statuses of archived occurrences, with their emoji and label
+const MEETING_HISTORY_STATUSES = {
+  completed: { emoji: '✔️', labelKey: 'historyStatusCompleted' },
+  skipped: { emoji: '⏭️', labelKey: 'historyStatusSkipped' },
+  cancelled: { emoji: '🚫', labelKey: 'historyStatusCancelled' },
+  missed: { emoji: '⚠️', labelKey: 'historyStatusMissed' },
+};
+
+// Meeting job queue: reminders up to this late are still sent (e.g. after a restart), older ones are
+// marked missed; a job that keeps failing is given up after MEETING_JOB_MAX_ATTEMPTS tries
+const MEETING_JOB_GRACE_MINUTES = 15;
+const MEETING_JOB_MAX_ATTEMPTS = 3;
+
+// Upper bound on holidays passed over in a row, so a rule that only lands on holidays still gets a date
+const MAX_HOLIDAY_SKIPS = 50;
+const HOLIDAY_RRULE_YEARS = 5; // how far repeating events in an uploaded holiday calendar are expanded
+
+// Middleware for GitHub/GitLab/Gitea webhooks (raw body for signature verification)
+// Signatures are checked in the route, since the secret depends on the repository's subscriptions
+app.use(['/webhook/github', '/webhook/gitlab', '/webhook/gitea'], express.raw({ type: 'application/json' }));
 
 // Health check endpoint
 app.get('/', (req, res) => {
@@ -78,6 +136,26 @@ app.get('/privacy-policy', (req, res) => {
   }
 });
 
+// Calendar feed for a guild's meetings (subscribe from Google Calendar, Outlook, etc.)
+app.get('/calendar/:guildId/:file', (req, res) => {
+  const { guildId, file } = req.params;
+  const token = file.replace(/\.ics$/, '');
+  const settings = guildSettingsQueries.get.get(guildId);
+
+  if (!settings?.calendar_token || !file.endsWith('.ics') || !timingSafeStringEqual(token, settings.calendar_token)) {
+    return res.status(404).send('Not found');
+  }
+
+  try {
+    const ics = buildGuildCalendar(guildId, settings);
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(ics);
+  } catch (error) {
+    console.error(`Error building calendar feed for guild ${guildId}:`, error);
+    res.status(500).send('Calendar not available');
+  }
+});
+
 // Discord interactions endpoint
 app.post('/interactions',
   express.raw({ type: 'application/json' }),
@@ -107,10 +185,12 @@ app.post('/interactions',
 
         try {
           // Handle subcommands
-          if (options && options.length > 0 && options[0].type === 1) {
-            // SUB_COMMAND type (1)
-            const subcommand = options[0].name;
-            const subcommandOptions = options[0].options || [];
+          if (options && options.length > 0 && (options[0].type === 1 || options[0].type === 2)) {
+            // SUB_COMMAND type (1), or SUB_COMMAND_GROUP (2) named as "group subcommand" (e.g. "agenda add")
+            const group = options[0].type === 2 ? options[0] : null;
+            const subcommandOption = group ? group.options[0] : options[0];
+            const subcommand = group ? `${group.name} ${subcommandOption.name}` : subcommandOption.name;
+            const subcommandOptions = subcommandOption.options || [];
 
             // Meeting command group
             if (name === 'meeting') {
@@ -129,6 +209,39 @@ app.post('/interactions',
               } else if (subcommand === 'delete') {
                 const convertedData = { options: subcommandOptions };
                 return await handleDeleteMeeting(convertedData, res, body);
+              } else if (subcommand === 'attendees') {
+                const convertedData = { options: subcommandOptions };
+                return await handleMeetingAttendees(convertedData, guildId, res);
+              } else if (subcommand === 'import') {
+                const convertedData = { options: subcommandOptions, resolved: data.resolved };
+                return await handleImportMeetings(convertedData, guildId, channelId, body, res);
+              } else if (subcommand === 'export') {
+                const convertedData = { options: subcommandOptions };
+                return await handleExportMeetings(convertedData, guildId, body, res);
+              } else if (subcommand === 'agenda add' || subcommand === 'agenda list' || subcommand === 'agenda remove') {
+                const convertedData = { options: subcommandOptions };
+                const userId = body.member?.user?.id || body.user?.id;
+                return await handleMeetingAgenda(subcommand.split(' ')[1], convertedData, guildId, userId, res);
+              } else if (subcommand === 'notes') {
+                const convertedData = { options: subcommandOptions };
+                const userId = body.member?.user?.id || body.user?.id;
+                return await handleMeetingNotes(convertedData, guildId, userId, res);
+              } else if (subcommand === 'minutes') {
+                const convertedData = { options: subcommandOptions };
+                return await handleMeetingMinutes(convertedData, guildId, res);
+              } else if (subcommand === 'history') {
+                const convertedData = { options: subcommandOptions };
+                return await handleMeetingHistory(convertedData, guildId, res);
+              } else if (subcommand === 'skip') {
+                const convertedData = { options: subcommandOptions };
+                return await handleSkipOccurrence(convertedData, guildId, res);
+              } else if (subcommand === 'move-occurrence') {
+                const convertedData = { options: subcommandOptions };
+                return await handleMoveOccurrence(convertedData, guildId, res);
+              } else if (subcommand === 'remind-me') {
+                const convertedData = { options: subcommandOptions };
+                const userId = body.member?.user?.id || body.user?.id;
+                return await handleRemindMe(convertedData, guildId, userId, res);
               } else if (subcommand === 'channel') {
                 const convertedData = { options: subcommandOptions };
                 return await handleSetMeetingChannel(convertedData, guildId, channelId, res);
@@ -142,6 +255,29 @@ app.post('/interactions',
               } else if (subcommand === 'channel') {
                 const convertedData = { options: subcommandOptions };
                 return await handleSetGithubChannel(convertedData, guildId, channelId, res);
+              } else if (subcommand === 'subscribe') {
+                const convertedData = { options: subcommandOptions };
+                return await handleSubscribeGitHub(convertedData, guildId, channelId, res);
+              } else if (subcommand === 'unsubscribe') {
+                const convertedData = { options: subcommandOptions };
+                return await handleUnsubscribeGitHub(convertedData, guildId, res);
+              } else if (subcommand === 'list') {
+                return await handleListGitHubSubscriptions(guildId, res);
+              } else if (subcommand === 'events') {
+                const convertedData = { options: subcommandOptions };
+                return await handleGitHubEvents(convertedData, guildId, res);
+              } else if (subcommand === 'push-filters') {
+                const convertedData = { options: subcommandOptions };
+                return await handleGitHubPushFilters(convertedData, guildId, res);
+              } else if (subcommand === 'ci') {
+                const convertedData = { options: subcommandOptions };
+                return await handleGitHubCiMode(convertedData, guildId, res);
+              } else if (subcommand === 'digest') {
+                const convertedData = { options: subcommandOptions };
+                return await handleGitHubDigest(convertedData, guildId, res);
+              } else if (subcommand === 'deliveries') {
+                const convertedData = { options: subcommandOptions };
+                return await handleGitHubDeliveries(convertedData, guildId, body, res);
               } else if (subcommand === 'status') {
                 return await handleChannelStatus(guildId, res);
               }
@@ -154,6 +290,19 @@ app.post('/interactions',
               } else if (subcommand === 'timezone') {
                 const convertedData = { options: subcommandOptions };
                 return await handleSetTimezone(convertedData, guildId, res);
+              } else if (subcommand === 'github-style') {
+                const convertedData = { options: subcommandOptions };
+                return await handleSetGitHubStyle(convertedData, guildId, res);
+              } else if (subcommand === 'holidays') {
+                const convertedData = { options: subcommandOptions, resolved: data.resolved };
+                return await handleSetHolidays(convertedData, guildId, body, res);
+              } else if (subcommand === 'missed-reminders') {
+                const convertedData = { options: subcommandOptions };
+                return await handleSetMissedReminders(convertedData, guildId, res);
+              } else if (subcommand === 'notifications') {
+                const convertedData = { options: subcommandOptions };
+                const userId = body.member?.user?.id || body.user?.id;
+                return await handleSetNotifications(convertedData, guildId, userId, res);
               } else if (subcommand === 'status') {
                 return await handleChannelStatus(guildId, res);
               }
@@ -176,6 +325,19 @@ app.post('/interactions',
         }
       }
 
+      // Handle APPLICATION_COMMAND_AUTOCOMPLETE (type 4) - option suggestions
+      if (type === InteractionType.APPLICATION_COMMAND_AUTOCOMPLETE) {
+        try {
+          return await handleAutocomplete(body, res);
+        } catch (error) {
+          console.error('Error handling autocomplete:', error);
+          return res.send({
+            type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+            data: { choices: [] },
+          });
+        }
+      }
+
       // Handle MESSAGE_COMPONENT (type 3) - buttons, select menus
       if (type === 3) {
         try {
@@ -225,71 +387,332 @@ app.post('/interactions',
 /**
  * GitHub Webhook endpoint
  */
-app.post('/webhook/github', async (req, res) => {
-  const event = req.headers['x-github-event'];
+app.post('/webhook/github', (req, res) => receiveWebhook('github', req, res));
+app.post('/webhook/gitlab', (req, res) => receiveWebhook('gitlab', req, res));
+app.post('/webhook/gitea', (req, res) => receiveWebhook('gitea', req, res));
+
+// How each provider labels its webhooks and how its payloads map onto GitHub's
+const WEBHOOK_PROVIDERS = {
+  github: {
+    name: 'GitHub',
+    eventHeader: 'x-github-event',
+    deliveryHeader: 'x-github-delivery',
+    verify: (req, subscriptions) => verifyGitHubSignature(req.body, req.headers['x-hub-signature-256'], subscriptions),
+    normalize: (event, payload) => ({ event, payload }),
+  },
+  gitlab: {
+    name: 'GitLab',
+    eventHeader: 'x-gitlab-event',
+    deliveryHeader: 'x-gitlab-event-uuid',
+    verify: (req, subscriptions) => verifyGitLabToken(req.headers['x-gitlab-token'], subscriptions),
+    normalize: normalizeGitLabEvent,
+  },
+  gitea: {
+    name: 'Gitea',
+    eventHeader: 'x-gitea-event',
+    deliveryHeader: 'x-gitea-delivery',
+    verify: (req, subscriptions) => verifyGiteaSignature(req.body, req.headers['x-gitea-signature'], subscriptions),
+    normalize: normalizeGiteaEvent,
+  },
+};
+
+/**
+ * Receive a webhook from GitHub, GitLab or Gitea
+ * Verifies it against the repository's subscriptions, converts it to GitHub's
+ * event shape and hands it to the GitHub handlers
+ * @param {string} provider - 'github', 'gitlab' or 'gitea'
+ * @param {Object} req - Express request (raw body)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function receiveWebhook(provider, req, res) {
+  const source = WEBHOOK_PROVIDERS[provider];
+  const rawEvent = req.headers[source.eventHeader];
+  const rawDeliveryId = req.headers[source.deliveryHeader];
+  // GitHub IDs are stored as-is so existing log entries still deduplicate
+  const deliveryId = rawDeliveryId && (provider === 'github' ? rawDeliveryId : `${provider}:${rawDeliveryId}`);
   
   let payload;
   try {
     payload = JSON.parse(req.body.toString());
   } catch (error) {
-    console.error('Error parsing GitHub webhook payload:', error);
+    console.error(`Error parsing ${source.name} webhook payload:`, error);
     return res.status(400).send('Invalid JSON');
   }
 
-  console.log(`GitHub webhook received: ${event}`);
+  console.log(`${source.name} webhook received: ${rawEvent}${rawDeliveryId ? ` (${rawDeliveryId})` : ''}`);
 
   try {
-    const repository = payload.repository?.full_name;
-    if (!repository) {
+    const repository = getWebhookRepository(provider, payload);
+    const repositorySubscriptions = repository
+      ? githubSubscriptionQueries.getByRepository.all(repository, provider)
+      : [];
+
+    // Each guild's webhook is signed with its own secret, so only the subscriptions
+    // whose secret produced this signature receive the delivery
+    const verification = source.verify(req, repositorySubscriptions);
+    if (!verification.ok) {
+      console.warn(`Rejected ${source.name} webhook for ${repository || 'unknown repository'}: ${verification.reason}`);
+      return res.status(401).send(verification.reason);
+    }
+
+    const normalized = source.normalize(rawEvent, payload);
+    const event = normalized?.event || rawEvent;
+
+    // Providers keep the delivery ID on redelivery, so a known ID that was handled is skipped;
+    // one that failed or never finished runs again for the channels it didn't reach.
+    // Only deliveries a secret vouches for are logged: anyone can send an unsigned request
+    const loggedId = verification.authenticated ? deliveryId : undefined;
+    const sentTargets = new Set();
+    if (loggedId) {
+      const stored = JSON.stringify(normalized?.payload || payload);
+      const inserted = githubDeliveryQueries.insert.run(loggedId, provider, event, repository || null, stored);
+      if (inserted.changes === 0) {
+        const previous = githubDeliveryQueries.get.get(loggedId);
+        if (previous.status === 'processed' || previous.status === 'ignored') {
+          console.log(`Skipping duplicate ${source.name} delivery ${loggedId}`);
+          return res.status(200).send('OK');
+        }
+        console.log(`Retrying ${previous.status} ${source.name} delivery ${loggedId}`);
+        githubDeliveryQueries.reopen.run(loggedId);
+        githubDeliveryResultQueries.getByDelivery.all(loggedId)
+          .filter(r => r.status === 'sent')
+          .forEach(r => sentTargets.add(`${r.guild_id}:${r.channel_id}`));
+      }
+    }
+
+    if (!repository || !normalized) {
+      if (loggedId) githubDeliveryQueries.setStatus.run('ignored', null, loggedId);
       return res.status(200).send('OK');
     }
 
-    // Get all guilds with this repository
-    const settings = guildSettingsQueries.getAll.all();
-    const relevantGuilds = settings.filter(s => s.github_repository === repository);
-
-    if (event === 'push') {
-      await handleGitHubPush(payload, relevantGuilds);
-    } else if (event === 'create') {
-      await handleGitHubCreate(payload, relevantGuilds);
-    } else if (event === 'delete') {
-      await handleGitHubDelete(payload, relevantGuilds);
-    } else if (event === 'pull_request') {
-      await handleGitHubPullRequest(payload, relevantGuilds);
-    } else if (event === 'issues') {
-      await handleGitHubIssue(payload, relevantGuilds);
-    } else if (event === 'issue_comment') {
-      await handleGitHubIssueComment(payload, relevantGuilds);
-    } else if (event === 'commit_comment') {
-      await handleGitHubCommitComment(payload, relevantGuilds);
-    } else if (event === 'release') {
-      await handleGitHubRelease(payload, relevantGuilds);
-    } else if (event === 'fork') {
-      await handleGitHubFork(payload, relevantGuilds);
-    } else if (event === 'watch') {
-      await handleGitHubWatch(payload, relevantGuilds);
-    } else if (event === 'star') {
-      await handleGitHubStar(payload, relevantGuilds);
-    } else if (event === 'deployment') {
-      await handleGitHubDeployment(payload, relevantGuilds);
-    } else if (event === 'deployment_status') {
-      await handleGitHubDeploymentStatus(payload, relevantGuilds);
-    } else if (event === 'gollum') {
-      await handleGitHubGollum(payload, relevantGuilds);
-    } else if (event === 'member') {
-      await handleGitHubMember(payload, relevantGuilds);
-    } else if (event === 'public') {
-      await handleGitHubPublic(payload, relevantGuilds);
-    } else if (event === 'repository') {
-      await handleGitHubRepository(payload, relevantGuilds);
+    // Fan out to every verified guild/channel subscription whose event filter allows it
+    const subscriptions = verification.subscriptions
+      .filter(s => isEventAllowed(s.event_filter, event, normalized.payload))
+      .filter(s => !sentTargets.has(`${s.guild_id}:${s.channel_id}`));
+    if (subscriptions.length === 0) {
+      if (loggedId) githubDeliveryQueries.setStatus.run(sentTargets.size > 0 ? 'processed' : 'ignored', null, loggedId);
+      return res.status(200).send('OK');
     }
 
+    await processGitHubDelivery(loggedId, event, normalized.payload, subscriptions);
+
     res.status(200).send('OK');
   } catch (error) {
-    console.error('Error handling GitHub webhook:', error);
+    console.error(`Error handling ${source.name} webhook:`, error);
     res.status(500).send('Error processing webhook');
   }
-});
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if the strings are equal
+ */
+function timingSafeStringEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  // timingSafeEqual throws on length mismatch, and the length alone reveals nothing
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Check a webhook signature (X-Hub-Signature-256) against a secret in constant time
+ * @param {Buffer} body - Raw request body
+ * @param {string} signature - Signature header ("sha256=<hex>")
+ * @param {string} secret - Webhook secret
+ * @returns {boolean} True if the signature was produced with the secret
+ */
+function isValidGitHubSignature(body, signature, secret) {
+  const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+  return timingSafeStringEqual(expected, signature);
+}
+
+/**
+ * Keep the subscriptions whose secret authenticates a webhook
+ * A subscription uses its own secret, or the fallback secret if it has none;
+ * subscriptions with neither never accept deliveries until /github setup gives them one
+ * @param {Array} subscriptions - Subscriptions for the delivery's repository
+ * @param {boolean} signed - Whether the request carried a signature/token at all
+ * @param {Function} matches - (secret) => boolean, checks the request against a secret
+ * @param {string|null} fallbackSecret - Secret for subscriptions without their own
+ * @returns {{ok: boolean, reason?: string, subscriptions: Array, authenticated: boolean}}
+ *   Verified subscriptions; authenticated is true only if a secret matched the request
+ */
+function verifyWebhookSecrets(subscriptions, signed, matches, fallbackSecret = null) {
+  const results = new Map();
+  const check = secret => {
+    if (!results.has(secret)) {
+      results.set(secret, signed && matches(secret));
+    }
+    return results.get(secret);
+  };
+  const rejection = {
+    ok: false,
+    reason: signed ? 'Invalid signature' : 'Signature required',
+    subscriptions: [],
+    authenticated: false,
+  };
+
+  // Nobody subscribes to the repository: only the fallback secret can apply
+  if (subscriptions.length === 0) {
+    if (!fallbackSecret) return { ok: true, subscriptions: [], authenticated: false };
+    return check(fallbackSecret) ? { ok: true, subscriptions: [], authenticated: true } : rejection;
+  }
+
+  const verified = subscriptions.filter(subscription => {
+    const secret = subscription.webhook_secret || fallbackSecret;
+    return Boolean(secret) && check(secret);
+  });
+
+  if (verified.length > 0) return { ok: true, subscriptions: verified, authenticated: true };
+  if (results.size === 0) return { ...rejection, reason: 'No webhook secret configured; run /github setup' };
+  return rejection;
+}
+
+/**
+ * Verify a GitHub webhook against the secrets of the repository's subscriptions
+ * Subscriptions without a secret fall back to GITHUB_WEBHOOK_SECRET
+ * @param {Buffer} body - Raw request body
+ * @param {string|undefined} signature - Signature header (X-Hub-Signature-256)
+ * @param {Array} subscriptions - Subscriptions for the delivery's repository
+ * @returns {{ok: boolean, reason?: string, subscriptions: Array}} Verified subscriptions
+ */
+function verifyGitHubSignature(body, signature, subscriptions) {
+  return verifyWebhookSecrets(
+    subscriptions,
+    Boolean(signature),
+    secret => isValidGitHubSignature(body, signature, secret),
+    process.env.GITHUB_WEBHOOK_SECRET || null,
+  );
+}
+
+/**
+ * Verify a GitLab webhook, which sends the secret itself as X-Gitlab-Token
+ * @param {string|undefined} token - X-Gitlab-Token header
+ * @param {Array} subscriptions - Subscriptions for the delivery's repository
+ * @returns {{ok: boolean, reason?: string, subscriptions: Array}} Verified subscriptions
+ */
+function verifyGitLabToken(token, subscriptions) {
+  return verifyWebhookSecrets(subscriptions, Boolean(token), secret => timingSafeStringEqual(secret, token));
+}
+
+/**
+ * Verify a Gitea webhook (X-Gitea-Signature, hex HMAC-SHA256 of the body)
+ * @param {Buffer} body - Raw request body
+ * @param {string|undefined} signature - X-Gitea-Signature header
+ * @param {Array} subscriptions - Subscriptions for the delivery's repository
+ * @returns {{ok: boolean, reason?: string, subscriptions: Array}} Verified subscriptions
+ */
+function verifyGiteaSignature(body, signature, subscriptions) {
+  return verifyWebhookSecrets(
+    subscriptions,
+    Boolean(signature),
+    secret => timingSafeStringEqual(crypto.createHmac('sha256', secret).update(body).digest('hex'), signature),
+  );
+}
+
+/**
+ * Route a GitHub webhook event to its handler
+ * @param {string} event - Webhook event name (X-GitHub-Event)
+ * @param {Object} payload - GitHub webhook payload
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
+ * @returns {Promise<void>}
+ */
+async function dispatchGitHubEvent(event, payload, subscriptions) {
+  if (event === 'push') {
+    await handleGitHubPush(payload, subscriptions);
+  } else if (event === 'create') {
+    await handleGitHubCreate(payload, subscriptions);
+  } else if (event === 'delete') {
+    await handleGitHubDelete(payload, subscriptions);
+  } else if (event === 'pull_request') {
+    await handleGitHubPullRequest(payload, subscriptions);
+  } else if (event === 'pull_request_review') {
+    await handleGitHubPullRequestReview(payload, subscriptions);
+  } else if (event === 'pull_request_review_comment') {
+    await handleGitHubPullRequestReviewComment(payload, subscriptions);
+  } else if (event === 'issues') {
+    await handleGitHubIssue(payload, subscriptions);
+  } else if (event === 'issue_comment') {
+    await handleGitHubIssueComment(payload, subscriptions);
+  } else if (event === 'commit_comment') {
+    await handleGitHubCommitComment(payload, subscriptions);
+  } else if (event === 'release') {
+    await handleGitHubRelease(payload, subscriptions);
+  } else if (event === 'fork') {
+    await handleGitHubFork(payload, subscriptions);
+  } else if (event === 'watch') {
+    await handleGitHubWatch(payload, subscriptions);
+  } else if (event === 'star') {
+    await handleGitHubStar(payload, subscriptions);
+  } else if (event === 'deployment') {
+    await handleGitHubDeployment(payload, subscriptions);
+  } else if (event === 'deployment_status') {
+    await handleGitHubDeploymentStatus(payload, subscriptions);
+  } else if (event === 'gollum') {
+    await handleGitHubGollum(payload, subscriptions);
+  } else if (event === 'member') {
+    await handleGitHubMember(payload, subscriptions);
+  } else if (event === 'public') {
+    await handleGitHubPublic(payload, subscriptions);
+  } else if (event === 'repository') {
+    await handleGitHubRepository(payload, subscriptions);
+  } else if (event === 'workflow_run') {
+    await handleGitHubWorkflowRun(payload, subscriptions);
+  } else if (event === 'workflow_job') {
+    await handleGitHubWorkflowJob(payload, subscriptions);
+  } else if (event === 'check_run') {
+    await handleGitHubCheckRun(payload, subscriptions);
+  } else if (event === 'check_suite') {
+    await handleGitHubCheckSuite(payload, subscriptions);
+  }
+}
+
+/**
+ * Run a logged webhook delivery and record its overall result
+ * Subscriptions are tagged with the delivery ID so each send outcome is recorded
+ * @param {string|undefined} deliveryId - X-GitHub-Delivery ID (undefined if the header was missing)
+ * @param {string} event - Webhook event name
+ * @param {Object} payload - GitHub webhook payload
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
+ * @returns {Promise<void>}
+ * @throws {Error} Rethrows handler errors after marking the delivery as failed
+ */
+async function processGitHubDelivery(deliveryId, event, payload, subscriptions) {
+  const targets = subscriptions.map(subscription => ({ ...subscription, deliveryId }));
+
+  try {
+    await dispatchGitHubEvent(event, payload, targets);
+  } catch (error) {
+    if (deliveryId) githubDeliveryQueries.setStatus.run('failed', error.message, deliveryId);
+    throw error;
+  }
+
+  // A batched review is finished when its batch is flushed
+  if (deliveryId && !isGitHubDeliveryPending(deliveryId)) {
+    finishGitHubDelivery(deliveryId);
+  }
+}
+
+/**
+ * Record the overall result of a logged delivery from its per-channel send outcomes
+ * @param {string} deliveryId - Delivery ID
+ */
+function finishGitHubDelivery(deliveryId) {
+  const { count } = githubDeliveryResultQueries.countFailed.get(deliveryId);
+  githubDeliveryQueries.setStatus.run(count > 0 ? 'failed' : 'processed', null, deliveryId);
+}
+
+/**
+ * Check whether a delivery is held in a pending review batch
+ * @param {string} deliveryId - Delivery ID
+ * @returns {boolean} True until the batch holding the delivery is flushed
+ */
+function isGitHubDeliveryPending(deliveryId) {
+  return [...pendingReviews.values()].some(pending => pending.deliveryIds.has(deliveryId));
+}
 
 /**
  * Handle list-meetings command
@@ -327,8 +750,8 @@ async function handleListMeetings(guildId, res) {
   const meetingList = upcomingMeetings
     .map(m => {
       const participants = JSON.parse(m.participants);
-      const repeatInfo = m.repeatType ? formatRepeatInfo(m.repeatType, lang, m.repeatEndDate, timezone) : '';
-      return `**ID: ${m.id}** - ${m.title}\n${dateLabel}: ${formatDateTime(new Date(m.date), timezone)}\n${participantsLabel}: ${formatParticipants(participants)}${repeatInfo}`;
+      const repeatInfo = m.rrule ? formatRepeatInfo(m.rrule, lang, timezone) + formatSeriesExceptions(m.id, lang, timezone) : '';
+      return `**ID: ${m.id}** - ${m.title}\n${dateLabel}: ${formatDateTime(new Date(m.date), timezone)}\n${participantsLabel}: ${formatParticipants(participants)}\n${formatRsvpSummary(m.id, lang)}${repeatInfo}`;
     })
     .join('\n\n');
 
@@ -388,6 +811,44 @@ async function handleDeleteMeeting(data, res, body) {
   const lang = getGuildLanguage(settings);
   const timezone = settings?.timezone || 'Asia/Seoul';
 
+  // Recurring meetings: "this occurrence" is a skip, and "this and following" from a later
+  // occurrence ends the series before it; anything else deletes the whole series
+  const scope = data.options?.find(opt => opt.name === 'scope')?.value || 'series';
+  const occurrenceStr = data.options?.find(opt => opt.name === 'occurrence')?.value;
+  if (meeting.rrule && scope === 'this') {
+    const skipData = { options: [{ name: 'meeting_id', value: meetingId }, { name: 'date', value: occurrenceStr }] };
+    return handleSkipOccurrence(skipData, meeting.guild_id, res);
+  }
+  if (meeting.rrule && scope === 'following') {
+    const exceptions = meetingExceptionQueries.getByMeeting.all(meetingId);
+    const occurrence = findSeriesOccurrence(meeting, exceptions, occurrenceStr, timezone);
+    if (!occurrence) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('meetingOccurrenceNotFound', lang, { date: occurrenceStr }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    if (occurrence.getTime() !== getOccurrenceSlot(meeting, exceptions).getTime()) {
+      const seriesStart = new Date(meeting.series_start || meeting.date);
+      meetingQueries.setRRule.run(endRRuleBefore(meeting.rrule, seriesStart, timezone, occurrence), meetingId);
+      meetingExceptionQueries.deleteFromDate.run(meetingId, occurrence.toISOString());
+      deleteDetachedOccurrences(meeting.series_id, occurrence);
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('meetingSeriesTruncated', lang, {
+            title: meeting.title,
+            date: formatDateTime(occurrence, timezone),
+          }),
+        },
+      });
+    }
+  }
+
   // Store deleted meeting data for undo (5 minutes)
   const deletedMeetingData = {
     id: meeting.id,
@@ -397,9 +858,10 @@ async function handleDeleteMeeting(data, res, body) {
     participants: meeting.participants,
     channel_id: meeting.channel_id,
     reminder_minutes: meeting.reminder_minutes,
-    repeat_type: meeting.repeat_type,
-    repeat_interval: meeting.repeat_interval,
-    repeat_end_date: meeting.repeat_end_date,
+    rrule: meeting.rrule,
+    series_start: meeting.series_start,
+    series_id: meeting.rrule ? ensureMeetingSeries(meeting) : meeting.series_id,
+    member_ids: meeting.member_ids,
     deletedAt: Date.now(),
   };
   deletedMeetings.set(meetingId, deletedMeetingData);
@@ -409,7 +871,11 @@ async function handleDeleteMeeting(data, res, body) {
     deletedMeetings.delete(meetingId);
   }, UNDO_TIMEOUT);
 
+  archiveMeetingOccurrence(meeting, new Date(meeting.date) > new Date() ? 'cancelled' : 'completed');
   meetingQueries.delete.run(meetingId);
+  if (meeting.rrule) {
+    deletedMeetingData.detached = deleteDetachedOccurrences(deletedMeetingData.series_id, new Date());
+  }
 
   // Create undo button
   const undoButton = {
@@ -439,676 +905,885 @@ async function handleDeleteMeeting(data, res, body) {
 }
 
 /**
- * Handle edit-meeting command
+ * Handle meeting attendees command - show RSVP responses for a meeting
  * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
  * @param {Object} res - Express response object
  * @returns {Promise<void>}
  */
-async function handleEditMeeting(data, res) {
+async function handleMeetingAttendees(data, guildId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+  const timezone = settings?.timezone || 'Asia/Seoul';
   const meetingId = parseInt(data.options?.find(opt => opt.name === 'meeting_id')?.value);
-  
+
   const meeting = meetingQueries.getById.get(meetingId);
-  if (!meeting) {
+  if (!meeting || meeting.guild_id !== guildId) {
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: t('meetingNotFound', 'en', { id: meetingId }),
+        content: t('meetingNotFound', lang, { id: meetingId }),
         flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
   }
-  
-  const settings = guildSettingsQueries.get.get(meeting.guild_id);
-  const lang = getGuildLanguage(settings);
-  const timezone = settings?.timezone || 'Asia/Seoul';
-
-  const dbMeeting = dbToMeeting(meeting);
-  let title = dbMeeting.title;
-  let date = new Date(dbMeeting.date);
-  let participants = JSON.parse(dbMeeting.participants);
-  let reminderMinutes = JSON.parse(dbMeeting.reminderMinutes);
-
-  // Update fields if provided
-  const titleOption = data.options?.find(opt => opt.name === 'title');
-  if (titleOption) title = titleOption.value;
-
-  const dateOption = data.options?.find(opt => opt.name === 'date');
-  if (dateOption) {
-    date = parseRelativeDate(dateOption.value, new Date(), timezone);
-    if (!date) {
-      date = new Date(dateOption.value);
-      if (isNaN(date.getTime())) {
-          return res.send({
-          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-          data: {
-            content: t('invalidDate', lang) + (lang === 'ko' ? '\n\n예: 2025-12-25 14:30, 1시간 후, 내일 오후 3시' : '\n\nExamples: 2025-12-25 14:30, 1 hour later, tomorrow 3pm'),
-            flags: InteractionResponseFlags.EPHEMERAL,
-          },
-        });
-      }
-    }
-    
-    // Check for conflicts (excluding current meeting)
-    const conflictWarning = checkMeetingConflict(meeting.guild_id, date, meetingId, timezone);
-    if (conflictWarning) {
-      // Still allow the edit, but show warning
-    }
-  }
-
-  const participantsOption = data.options?.find(opt => opt.name === 'participants');
-  if (participantsOption) {
-    participants = parseParticipants(participantsOption.value);
-  }
-
-  const reminderMinutesOption = data.options?.find(opt => opt.name === 'reminder_minutes');
-  if (reminderMinutesOption) {
-    reminderMinutes = reminderMinutesOption.value
-      .split(',')
-      .map(m => parseInt(m.trim()))
-      .filter(m => !isNaN(m) && m >= 0)
-      .sort((a, b) => b - a);
-  }
-
-  meetingQueries.update.run(
-    title,
-    date.toISOString(),
-    JSON.stringify(participants),
-    JSON.stringify(reminderMinutes),
-    dbMeeting.repeatType,
-    dbMeeting.repeatInterval,
-    dbMeeting.repeatEndDate,
-    meetingId
-  );
 
-  const editedMessage = t('meetingEdited', lang, {
-    title,
-    date: formatDateTime(date, timezone),
-    participants: formatParticipants(participants),
-    id: meetingId,
+  const rsvps = meetingRsvpQueries.getByMeeting.all(meetingId);
+  const lines = Object.entries(RSVP_STATUSES).map(([status, { emoji, labelKey }]) => {
+    const users = rsvps.filter(r => r.status === status).map(r => `<@${r.user_id}>`);
+    return `${emoji} **${t(labelKey, lang)} (${users.length}):** ${users.length > 0 ? users.join(', ') : '-'}`;
   });
-  
-  // Check for conflicts if date was changed
-  const conflictWarning = dateOption ? checkMeetingConflict(meeting.guild_id, date, meetingId, timezone) : null;
-  const finalMessage = conflictWarning 
-    ? `${editedMessage}\n\n${conflictWarning}`
-    : editedMessage;
+
+  // Invited users (including role members) who haven't answered
+  const responded = new Set(rsvps.map(r => r.user_id));
+  const pending = getMeetingMemberIds(meeting)
+    .filter(userId => !responded.has(userId))
+    .map(userId => `<@${userId}>`);
+  lines.push(`**${t('meetingRsvpPending', lang)} (${pending.length}):** ${pending.length > 0 ? pending.join(', ') : '-'}`);
 
   return res.send({
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
     data: {
-      content: finalMessage,
+      content: t('meetingAttendees', lang, {
+        title: meeting.title,
+        date: formatDateTime(new Date(meeting.date), timezone),
+        list: lines.join('\n'),
+      }),
+      components: [buildRsvpButtons(meetingId, meeting.date, lang)],
+      flags: InteractionResponseFlags.EPHEMERAL,
     },
   });
 }
 
 /**
- * Handle set-meeting-channel command
- * @param {Object} data - Command data from Discord
- * @param {string} guildId - Guild ID
- * @param {string} channelId - Channel ID where command was executed
- * @param {Object} res - Express response object
- * @returns {Promise<void>}
+ * Create or refresh the agenda/notes record of a meeting occurrence
+ * @param {Object} meetingRow - Meeting database row
+ * @returns {Object} Record row
  */
-async function handleSetMeetingChannel(data, guildId, channelId, res) {
-  try {
-    const settings = guildSettingsQueries.get.get(guildId);
-    const lang = getGuildLanguage(settings);
-    
-    if (!guildId) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('serverOnlyCommand', lang),
-          flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
-    }
+function ensureMeetingRecord(meetingRow) {
+  meetingRecordQueries.ensure.run(
+    meetingRow.id,
+    meetingRow.guild_id,
+    meetingRow.title,
+    meetingRow.date,
+    meetingRow.participants,
+    meetingRow.member_ids
+  );
+  return meetingRecordQueries.getByMeetingDate.get(meetingRow.id, meetingRow.date);
+}
 
-    const channelOption = data.options?.find(opt => opt.name === 'channel');
-    const targetChannelId = channelOption?.value || channelId;
+/**
+ * Get the agenda/notes record for a meeting ID
+ * The meeting's current occurrence gets its record on demand. A recurring meeting keeps its ID
+ * as it moves on, so an earlier occurrence is looked up by its date; a deleted meeting falls
+ * back to the last record kept for its ID
+ * @param {number} meetingId - Meeting ID
+ * @param {string|null} [occurrence] - Occurrence date (ISO), or null for the current one
+ * @returns {Object|null} Record row, or null if the meeting or occurrence is unknown
+ */
+function getMeetingRecord(meetingId, occurrence = null) {
+  const meeting = meetingQueries.getById.get(meetingId);
+  if (occurrence && occurrence !== meeting?.date) {
+    return meetingRecordQueries.getByMeetingDate.get(meetingId, occurrence) || null;
+  }
+  if (!meeting) {
+    return meetingRecordQueries.getLatestByMeeting.get(meetingId) || null;
+  }
+  return ensureMeetingRecord(meeting);
+}
 
-    // Validate channel access
-    const isValid = await validateChannel(targetChannelId);
-    if (!isValid) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('invalidChannelError', lang),
-          flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
-    }
+/**
+ * Check whether the occurrence a button was sent for is over
+ * Occurrences are archived when they end, so an archived record means the meeting has moved on;
+ * buttons sent before they carried an occurrence follow the meeting
+ * @param {Object} meetingRow - Meeting database row
+ * @param {string|undefined} occurrence - Occurrence date (ISO) from the button
+ * @returns {boolean} True if the button no longer applies to the meeting's current occurrence
+ */
+function isOccurrenceOver(meetingRow, occurrence) {
+  if (!occurrence || occurrence === meetingRow.date) return false;
+  const record = meetingRecordQueries.getByMeetingDate.get(meetingRow.id, occurrence);
+  return Boolean(record && record.status !== 'scheduled');
+}
 
-    try {
-      guildSettingsQueries.setMeetingChannel.run(guildId, targetChannelId);
-    } catch (dbError) {
-      console.error('Database error in set-meeting-channel:', dbError);
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('errorOccurred', lang, { message: `Database error: ${dbError.message}` }),
-        flags: InteractionResponseFlags.EPHEMERAL,
+/**
+ * Get the record a notes/minutes command is about
+ * A history number (record option) reaches past occurrences, which share a recurring meeting's ID
+ * @param {Object} data - Command data from Discord (meeting_id and/or record options)
+ * @returns {{record: Object|null, label: number|string}} Record (null if unknown) and the ID to report
+ */
+function resolveMeetingRecord(data) {
+  const recordId = data.options?.find(opt => opt.name === 'record')?.value;
+  if (recordId !== undefined) {
+    return { record: meetingRecordQueries.getById.get(parseInt(recordId)) || null, label: `#${recordId}` };
+  }
+  const meetingId = parseInt(data.options?.find(opt => opt.name === 'meeting_id')?.value);
+  if (isNaN(meetingId)) {
+    return { record: null, label: '?' };
+  }
+  return { record: getMeetingRecord(meetingId), label: meetingId };
+}
+
+/**
+ * Move a meeting occurrence into the history with its final status
+ * Attendance and sent reminders are copied, since those rows are pruned with the meeting
+ * @param {Object} meetingRow - Meeting database row (before it is deleted)
+ * @param {string} status - 'completed', 'skipped', 'cancelled' or 'missed'
+ * @returns {Object} Archived record row
+ */
+function archiveMeetingOccurrence(meetingRow, status) {
+  const record = ensureMeetingRecord(meetingRow);
+  const attendance = Object.fromEntries(
+    meetingRsvpQueries.getByMeeting.all(meetingRow.id).map(rsvp => [rsvp.user_id, rsvp.status])
+  );
+  const reminders = {
+    channel: JSON.parse(meetingRow.reminded || '[]'),
+    personal: meetingReminderQueries.getDeliveries.all(meetingRow.id),
+  };
+  const seriesId = meetingRow.rrule ? ensureMeetingSeries(meetingRow) : meetingRow.series_id;
+  meetingRecordQueries.archive.run(status, seriesId, JSON.stringify(attendance), JSON.stringify(reminders), record.id);
+  return meetingRecordQueries.getById.get(record.id);
+}
+
+/**
+ * Format agenda items as a numbered list
+ * @param {Array<Object>} items - Agenda item rows
+ * @param {boolean} withAuthors - Mention who added each item (avoid in reminders, which would ping)
+ * @returns {string} One line per item
+ */
+function formatAgendaItems(items, withAuthors = false) {
+  return items
+    .map((item, index) => `${index + 1}. ${item.content}${withAuthors ? ` (<@${item.user_id}>)` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Build the modal for writing a meeting's notes, prefilled with the current notes
+ * @param {Object} record - Meeting record row
+ * @param {string} lang - Language code
+ * @returns {Object} Interaction response
+ */
+function buildNotesModal(record, lang) {
+  return {
+    type: InteractionResponseType.MODAL,
+    data: {
+      custom_id: `meeting_notes_${record.id}`,
+      // Discord limits modal titles and input labels to 45 characters
+      title: t('meetingNotesModalTitle', lang, { title: record.title }).slice(0, 45),
+      components: [
+        {
+          type: 1, // ACTION_ROW
+          components: [
+            {
+              type: 4, // TEXT_INPUT
+              custom_id: 'notes',
+              style: 2, // PARAGRAPH
+              label: t('meetingNotesLabel', lang).slice(0, 45),
+              value: record.notes || undefined,
+              max_length: MEETING_NOTES_MAX_LENGTH,
+              required: false,
+            },
+          ],
         },
-      });
+      ],
+    },
+  };
+}
+
+/**
+ * Handle meeting agenda commands - add, list and remove agenda items
+ * Only participants can change the agenda, and only before the meeting
+ * @param {string} action - 'add', 'list' or 'remove'
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID of the caller
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleMeetingAgenda(action, data, guildId, userId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+  const timezone = settings?.timezone || 'Asia/Seoul';
+  const meetingId = parseInt(data.options?.find(opt => opt.name === 'meeting_id')?.value);
+  const reply = (content) => res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content,
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+
+  const record = getMeetingRecord(meetingId);
+  if (!record || record.guild_id !== guildId) {
+    return reply(t('meetingNotFound', lang, { id: meetingId }));
+  }
+
+  const items = meetingRecordQueries.getAgenda.all(record.id);
+  const date = formatDateTime(new Date(record.date), timezone);
+
+  if (action === 'list') {
+    const list = items.length > 0 ? formatAgendaItems(items, true) : t('meetingAgendaEmpty', lang);
+    return reply(t('meetingAgendaList', lang, { title: record.title, date, list }));
+  }
+
+  if (!getMeetingMemberIds(record).includes(userId)) {
+    return reply(t('meetingNotParticipant', lang, { title: record.title }));
+  }
+  if (new Date(record.date) <= new Date()) {
+    return reply(t('meetingAgendaClosed', lang, { title: record.title }));
+  }
+
+  if (action === 'add') {
+    const content = (data.options?.find(opt => opt.name === 'item')?.value || '').trim();
+    if (!content) {
+      return reply(t('meetingAgendaInvalidItem', lang));
     }
+    if (items.length >= MEETING_AGENDA_LIMIT) {
+      return reply(t('meetingAgendaFull', lang, { limit: MEETING_AGENDA_LIMIT }));
+    }
+    meetingRecordQueries.addAgendaItem.run(record.id, userId, content);
+    const list = formatAgendaItems(meetingRecordQueries.getAgenda.all(record.id), true);
+    return reply(`${t('meetingAgendaAdded', lang, { title: record.title })}\n${list}`);
+  }
+
+  const number = parseInt(data.options?.find(opt => opt.name === 'number')?.value);
+  const item = items[number - 1];
+  if (!item) {
+    return reply(t('meetingAgendaItemNotFound', lang, { number }));
+  }
+  meetingRecordQueries.deleteAgendaItem.run(item.id, record.id);
+  return reply(t('meetingAgendaRemoved', lang, { title: record.title, item: item.content }));
+}
+
+/**
+ * Handle meeting notes command - open a modal to write the meeting's notes
+ * Works for past occurrences too; the modal is handled by handleModalSubmit
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID of the caller
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleMeetingNotes(data, guildId, userId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
 
+  const { record, label } = resolveMeetingRecord(data);
+  if (!record || record.guild_id !== guildId) {
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: t('meetingChannelSet', lang, { channelId: targetChannelId }),
+        content: t('meetingNotFound', lang, { id: label }),
         flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
-  } catch (error) {
-    console.error('Error in handleSetMeetingChannel:', error);
-    const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
-    const lang = getGuildLanguage(settings);
+  }
+
+  if (!getMeetingMemberIds(record).includes(userId)) {
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: t('errorOccurred', lang, { message: error.message }),
+        content: t('meetingNotParticipant', lang, { title: record.title }),
+        flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
   }
+
+  return res.send(buildNotesModal(record, lang));
 }
 
 /**
- * Handle set-github-channel command
+ * Handle meeting minutes command - show a meeting's agenda and notes
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
  */
-async function handleSetGithubChannel(data, guildId, channelId, res) {
-  try {
-    const settings = guildSettingsQueries.get.get(guildId);
-    const lang = getGuildLanguage(settings);
-    
-    if (!guildId) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('serverOnlyCommand', lang),
-          flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
-    }
-
-    const channelOption = data.options?.find(opt => opt.name === 'channel');
-    const targetChannelId = channelOption?.value || channelId;
-
-    // Validate channel access
-    const isValid = await validateChannel(targetChannelId);
-    if (!isValid) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('invalidChannelError', lang),
-          flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
-    }
-
-    try {
-      guildSettingsQueries.setGithubChannel.run(guildId, targetChannelId);
-    } catch (dbError) {
-      console.error('Database error in set-github-channel:', dbError);
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('errorOccurred', lang, { message: `Database error: ${dbError.message}` }),
-        flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
-    }
+async function handleMeetingMinutes(data, guildId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+  const timezone = settings?.timezone || 'Asia/Seoul';
 
+  const { record, label } = resolveMeetingRecord(data);
+  if (!record || record.guild_id !== guildId) {
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: t('githubChannelSet', lang, { channelId: targetChannelId }),
+        content: t('meetingNotFound', lang, { id: label }),
         flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
-  } catch (error) {
-    console.error('Error in handleSetGithubChannel:', error);
-    const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
-    const lang = getGuildLanguage(settings);
-    return res.send({
-      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-      data: {
-        content: t('errorOccurred', lang, { message: error.message }),
-      },
-    });
   }
+
+  const items = meetingRecordQueries.getAgenda.all(record.id);
+  const sections = [
+    t('meetingMinutesTitle', lang, { title: record.title, date: formatDateTime(new Date(record.date), timezone) }),
+    record.status !== 'scheduled' ? formatHistoryDetails(record, lang) : null,
+    `${t('meetingAgendaHeader', lang)}\n${items.length > 0 ? formatAgendaItems(items, true) : t('meetingAgendaEmpty', lang)}`,
+    record.notes
+      ? `${t('meetingNotesHeader', lang)} ${t('meetingNotesBy', lang, { userId: record.notes_author_id })}\n${record.notes}`
+      : `${t('meetingNotesHeader', lang)}\n${t('meetingNotesEmpty', lang)}`,
+  ];
+
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: sections.filter(Boolean).join('\n\n').slice(0, 2000),
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+/**
+ * Format the archived details of a meeting occurrence: status, attendance and sent reminders
+ * @param {Object} record - Archived meeting record row
+ * @param {string} lang - Language code
+ * @returns {string} Two detail lines
+ */
+function formatHistoryDetails(record, lang) {
+  const status = MEETING_HISTORY_STATUSES[record.status];
+  const counts = { accepted: 0, declined: 0, tentative: 0 };
+  for (const response of Object.values(JSON.parse(record.attendance || '{}'))) {
+    counts[response] = (counts[response] || 0) + 1;
+  }
+  const reminders = JSON.parse(record.reminders || '{}');
+  const channelMinutes = [...(reminders.channel || [])].sort((a, b) => b - a);
+  const personalCount = (reminders.personal || []).length;
+
+  const statusLine = `${status ? `${status.emoji} ${t(status.labelKey, lang)}` : record.status} · ${t('meetingRsvpSummary', lang, counts)}`;
+  const reminderLine = channelMinutes.length > 0 || personalCount > 0
+    ? t('historyReminders', lang, { channel: channelMinutes.join(', ') || '-', personal: personalCount })
+    : t('historyNoReminders', lang);
+  return `${statusLine}\n${reminderLine}`;
 }
 
 /**
- * Handle set-language command
+ * Parse a YYYY-MM-DD day into the UTC time its local midnight falls on
+ * @param {string} dateStr - Day in the guild timezone
+ * @param {string} timezone - Guild timezone
+ * @param {number} [dayOffset=0] - Days to add (1 gives the end of the day)
+ * @returns {Date|null} Start of the day, or null if the format is invalid
+ */
+function parseHistoryDay(dateStr, timezone, dayOffset = 0) {
+  const match = dateStr.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = zonedTimeToUtc(year, month, day + dayOffset, 0, 0, 0, timezone);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Handle meeting history command - page through archived occurrences
+ * Filters by a date range (inclusive days in the guild timezone) and/or the series of a meeting
  * @param {Object} data - Command data from Discord
  * @param {string} guildId - Guild ID
  * @param {Object} res - Express response object
  * @returns {Promise<void>}
  */
-async function handleSetLanguage(data, guildId, res) {
-  try {
-    if (!guildId) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('serverOnlyCommand', 'en'),
-        },
-      });
-    }
+async function handleMeetingHistory(data, guildId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+  const timezone = settings?.timezone || 'Asia/Seoul';
+  const fromStr = data.options?.find(opt => opt.name === 'from')?.value;
+  const toStr = data.options?.find(opt => opt.name === 'to')?.value;
+  const seriesOption = data.options?.find(opt => opt.name === 'series')?.value;
+  const reply = (content) => res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content,
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
 
-    const languageOption = data.options?.find(opt => opt.name === 'language');
-    const language = languageOption?.value || 'en';
+  const from = fromStr ? parseHistoryDay(fromStr, timezone) : null;
+  const to = toStr ? parseHistoryDay(toStr, timezone, 1) : null;
+  if ((fromStr && !from) || (toStr && !to)) {
+    return reply(t('meetingHistoryInvalidDate', lang));
+  }
 
-    if (language !== 'en' && language !== 'ko') {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('errorOccurred', 'en', { message: 'Invalid language. Use "en" or "ko".' }),
-        },
-      });
+  // The series filter accepts the ID of a recurring meeting, including one that has ended
+  let seriesId = null;
+  if (seriesOption !== undefined) {
+    const meetingId = parseInt(seriesOption);
+    const meeting = meetingQueries.getById.get(meetingId);
+    const source = meeting?.guild_id === guildId ? meeting : meetingRecordQueries.getLatestByMeeting.get(meetingId);
+    if (!source || source.guild_id !== guildId) {
+      return reply(t('meetingNotFound', lang, { id: meetingId }));
     }
-
-    try {
-      guildSettingsQueries.setLanguage.run(guildId, language);
-    } catch (dbError) {
-      console.error('Database error in set-language:', dbError);
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('errorOccurred', 'en', { message: `Database error: ${dbError.message}` }),
-        },
-      });
+    if (source === meeting ? !meeting.rrule : source.series_id === null) {
+      return reply(t('meetingNotRecurring', lang, { id: meetingId }));
+    }
+    // A series whose first occurrence hasn't ended yet has no history
+    if (source.series_id === null) {
+      return reply(t('meetingHistoryEmpty', lang));
     }
+    seriesId = source.series_id;
+  }
 
-    const settings = guildSettingsQueries.get.get(guildId);
-    const lang = getGuildLanguage(settings);
+  const fromIso = from ? from.toISOString() : null;
+  const toIso = to ? to.toISOString() : null;
+  const filters = [guildId, fromIso, fromIso, toIso, toIso, seriesId, seriesId];
+  const total = meetingRecordQueries.countHistory.get(...filters).count;
+  if (total === 0) {
+    return reply(t('meetingHistoryEmpty', lang));
+  }
 
+  const pages = Math.ceil(total / MEETING_HISTORY_PAGE_SIZE);
+  const page = Math.min(Math.max(parseInt(data.options?.find(opt => opt.name === 'page')?.value) || 1, 1), pages);
+  const records = meetingRecordQueries.getHistory.all(...filters, MEETING_HISTORY_PAGE_SIZE, (page - 1) * MEETING_HISTORY_PAGE_SIZE);
+
+  const entries = records.map(record => {
+    const agendaCount = meetingRecordQueries.countAgenda.get(record.id).count;
+    const extras = `${agendaCount > 0 ? ` · 📋 ${agendaCount}` : ''}${record.notes ? ' · 📝' : ''}`;
+    return `**#${record.id}** ${record.title} (ID: ${record.meeting_id}) - ${formatDateTime(new Date(record.date), timezone)}${extras}\n${formatHistoryDetails(record, lang)}`;
+  });
+
+  const content = [
+    t('meetingHistoryTitle', lang, { page, pages, total }),
+    ...entries,
+    t('meetingHistoryHint', lang),
+  ].join('\n\n');
+  return reply(content.slice(0, 2000));
+}
+
+/**
+ * Handle meeting remind-me command - set the caller's own lead times for a meeting
+ * Omitting minutes (or "default") removes the override
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID of the caller
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleRemindMe(data, guildId, userId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+  const meetingId = parseInt(data.options?.find(opt => opt.name === 'meeting_id')?.value);
+  const minutesStr = data.options?.find(opt => opt.name === 'minutes')?.value;
+
+  const meeting = meetingQueries.getById.get(meetingId);
+  if (!meeting || meeting.guild_id !== guildId) {
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: t('languageSet', lang),
+        content: t('meetingNotFound', lang, { id: meetingId }),
         flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
-  } catch (error) {
-    console.error('Error in handleSetLanguage:', error);
+  }
+
+  // Clearing is always allowed, so someone removed from the meeting can drop an old override
+  if (!minutesStr || minutesStr.trim().toLowerCase() === 'default') {
+    meetingReminderQueries.deleteOverride.run(meetingId, userId);
+    scheduleMeetingJobs(meetingId);
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: t('errorOccurred', 'en', { message: error.message }),
+        content: t('meetingRemindMeCleared', lang, { title: meeting.title }),
+        flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
   }
-}
 
-/**
- * Handle set-timezone command
- * @param {Object} data - Command data from Discord
- * @param {string} guildId - Guild ID
- * @param {Object} res - Express response object
- * @returns {Promise<void>}
- */
-async function handleSetTimezone(data, guildId, res) {
-  try {
-    if (!guildId) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('serverOnlyCommand', 'en'),
-          flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
-    }
-
-    const timezoneOption = data.options?.find(opt => opt.name === 'timezone');
-    const timezone = timezoneOption?.value;
-
-    if (!timezone) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('errorOccurred', 'en', { message: 'Timezone is required.' }),
-          flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
-    }
-
-    // Validate timezone (basic validation - could be enhanced)
-    const validTimezones = [
-      'Asia/Seoul', 'Asia/Tokyo', 'Asia/Shanghai', 'Asia/Hong_Kong', 'Asia/Singapore',
-      'Europe/London', 'Europe/Paris', 'Europe/Berlin',
-      'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'America/Toronto',
-      'Australia/Sydney', 'Australia/Melbourne', 'UTC'
-    ];
-    
-    if (!validTimezones.includes(timezone)) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('errorOccurred', 'en', { message: 'Invalid timezone.' }),
-          flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
-    }
+  // Direct participants and members of invited roles (once resolved), as in /meeting attendees
+  if (!getMeetingMemberIds(meeting).includes(userId)) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('meetingNotParticipant', lang, { title: meeting.title }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
 
-    try {
-      guildSettingsQueries.setTimezone.run(guildId, timezone);
-      const settings = guildSettingsQueries.get.get(guildId);
-      const lang = getGuildLanguage(settings);
-      
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('timezoneSet', lang, { timezone }),
-          flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
-    } catch (dbError) {
-      console.error('Database error in handleSetTimezone:', dbError);
-      const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
-      const lang = getGuildLanguage(settings);
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('errorOccurred', lang, { message: 'Failed to update timezone in database.' }),
-          flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
-    }
-  } catch (error) {
-    console.error('Error in handleSetTimezone:', error);
-    const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
-    const lang = getGuildLanguage(settings);
+  const minutes = parseReminderMinutes(minutesStr);
+  if (minutes.length === 0) {
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: t('errorOccurred', lang, { message: error.message }),
+        content: t('invalidReminderMinutes', lang),
         flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
   }
+
+  meetingReminderQueries.setOverride.run(meetingId, userId, JSON.stringify(minutes));
+  scheduleMeetingJobs(meetingId);
+
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: t('meetingRemindMeSet', lang, { title: meeting.title, minutes: minutes.join(', ') }),
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
 }
 
 /**
- * Handle channel-status command
+ * Find the occurrence of a recurring meeting on a given day
+ * Only the upcoming occurrence and the ones after it can be found
+ * @param {Object} meeting - Meeting database row (the series' upcoming occurrence)
+ * @param {Array<Object>} exceptions - The series' exception rows
+ * @param {string|undefined} dateStr - Day as YYYY-MM-DD in the server timezone, or empty for the upcoming occurrence
+ * @param {string} timezone - Guild timezone
+ * @returns {Date|null} Original occurrence date, or null if the series has none that day
  */
+function findSeriesOccurrence(meeting, exceptions, dateStr, timezone) {
+  const currentSlot = getOccurrenceSlot(meeting, exceptions);
+  if (!dateStr) return currentSlot;
+
+  const match = dateStr.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+
+  const dayStart = zonedTimeToUtc(year, month, day, 0, 0, 0, timezone);
+  const after = new Date(Math.max(dayStart.getTime(), currentSlot.getTime()) - 1);
+  const occurrence = getNextOccurrence(meeting.rrule, new Date(meeting.series_start || meeting.date), timezone, { after });
+  if (!occurrence) return null;
+
+  const parts = getLocalParts(occurrence, timezone);
+  return parts.year === year && parts.month === month && parts.day === day ? occurrence : null;
+}
+
 /**
- * Handle channel-status command
+ * Resolve the recurring meeting and occurrence targeted by skip/move-occurrence
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {string} lang - Reply language
+ * @param {string} timezone - Guild timezone
+ * @returns {{meeting: Object, exceptions: Array<Object>, occurrence: Date}|{error: string}} Target, or an error message
+ */
+function resolveSeriesOccurrence(data, guildId, lang, timezone) {
+  const meetingId = parseInt(data.options?.find(opt => opt.name === 'meeting_id')?.value);
+  const dateStr = data.options?.find(opt => opt.name === 'date')?.value;
+
+  const meeting = meetingQueries.getById.get(meetingId);
+  if (!meeting || meeting.guild_id !== guildId) {
+    return { error: t('meetingNotFound', lang, { id: meetingId }) };
+  }
+  if (!meeting.rrule) {
+    return { error: t('meetingNotRecurring', lang, { id: meetingId }) };
+  }
+
+  const exceptions = meetingExceptionQueries.getByMeeting.all(meetingId);
+  const occurrence = findSeriesOccurrence(meeting, exceptions, dateStr, timezone);
+  if (!occurrence) {
+    return { error: t('meetingOccurrenceNotFound', lang, { date: dateStr }) };
+  }
+  return { meeting, exceptions, occurrence };
+}
+
+/**
+ * Handle meeting skip command - cancel one occurrence of a recurring meeting
+ * Skipping the upcoming occurrence replaces it with the next one right away
+ * @param {Object} data - Command data from Discord
  * @param {string} guildId - Guild ID
  * @param {Object} res - Express response object
  * @returns {Promise<void>}
  */
-async function handleChannelStatus(guildId, res) {
+async function handleSkipOccurrence(data, guildId, res) {
   const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
   const lang = getGuildLanguage(settings);
-  
-  if (!guildId) {
+  const timezone = settings?.timezone || 'Asia/Seoul';
+
+  const target = resolveSeriesOccurrence(data, guildId, lang, timezone);
+  if (target.error) {
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: t('serverOnlyCommand', lang),
+        content: target.error,
+        flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
   }
 
-  const meetingChannelId = settings?.meeting_channel_id;
-  const githubChannelId = settings?.github_channel_id;
-  const githubRepo = settings?.github_repository;
-
-  // Validate channels
-  let meetingChannelStatus = meetingChannelId ? `<#${meetingChannelId}>` : t('channelNotSet', lang);
-  let githubChannelStatus = githubChannelId ? `<#${githubChannelId}>` : t('channelNotSet', lang);
-
-  if (meetingChannelId) {
-    const isValid = await validateChannel(meetingChannelId);
-    if (!isValid) {
-      meetingChannelStatus = t('channelInvalid', lang);
-    }
-  }
+  const { meeting, exceptions, occurrence } = target;
+  const lines = [t('meetingOccurrenceSkipped', lang, {
+    title: meeting.title,
+    date: formatDateTime(occurrence, timezone),
+  })];
 
-  if (githubChannelId) {
-    const isValid = await validateChannel(githubChannelId);
-    if (!isValid) {
-      githubChannelStatus = t('channelInvalid', lang);
+  if (occurrence.getTime() === getOccurrenceSlot(meeting, exceptions).getTime()) {
+    try {
+      archiveMeetingOccurrence(meeting, 'skipped');
+      const next = await handleRecurringMeeting(meeting);
+      if (next) {
+        // Kept so calendar exports leave the skipped date out
+        meetingExceptionQueries.set.run(next.id, occurrence.toISOString(), null);
+        lines.push(t('meetingOccurrenceNext', lang, { id: next.id, date: formatDateTime(next.date, timezone) }));
+      } else {
+        meetingQueries.delete.run(meeting.id);
+        lines.push(t('meetingSeriesEnded', lang));
+      }
+    } catch (error) {
+      console.error('Error in handleSkipOccurrence:', error);
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: error.message }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
     }
+  } else {
+    meetingExceptionQueries.set.run(meeting.id, occurrence.toISOString(), null);
   }
 
-  const githubRepoStatus = githubRepo || t('channelNotSet', lang);
-
-  const content = `${t('channelStatusTitle', lang)}\n\n${t('channelStatusMeeting', lang, { channel: meetingChannelStatus })}\n${t('channelStatusGithub', lang, { channel: githubChannelStatus })}\n${t('channelStatusRepo', lang, { repo: githubRepoStatus })}`;
-
   return res.send({
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
     data: {
-      content,
-      flags: InteractionResponseFlags.EPHEMERAL,
+      content: lines.join('\n'),
     },
   });
 }
 
 /**
- * Handle set-meeting-time command (interactive GUI for scheduling meetings)
- * This is the main command for scheduling meetings with support for all repeat types
- * @param {Object} data - Command data from Discord
- * @param {string} guildId - Guild ID
- * @param {string} channelId - Channel ID where command was executed
- * @param {Object} res - Express response object
- * @returns {Promise<void>}
+ * Get the dates of the series occurrences either side of one occurrence
+ * Skipped occurrences and holidays the series passes over are left out; moved ones count at their new date
+ * @param {Object} meeting - Meeting database row (the series' upcoming occurrence)
+ * @param {Array<Object>} exceptions - The series' exception rows
+ * @param {Date} occurrence - Original occurrence date (the upcoming occurrence or a later one)
+ * @param {Object|null} settings - Guild settings row
+ * @returns {{previous: Date|null, next: Date|null}} Neighbouring dates (previous is null for the upcoming occurrence)
  */
+function getNeighbouringOccurrences(meeting, exceptions, occurrence, settings) {
+  const seriesStart = new Date(meeting.series_start || meeting.date);
+  const currentSlot = getOccurrenceSlot(meeting, exceptions);
+  const skipped = exceptions.filter(e => !e.new_date).map(e => new Date(e.occurrence_date));
+  const kept = exceptions.filter(e => e.new_date).map(e => new Date(e.occurrence_date));
+  const dateOf = slot => (slot.getTime() === currentSlot.getTime()
+    ? new Date(meeting.date)
+    : new Date(exceptions.find(e => e.new_date && e.occurrence_date === slot.toISOString())?.new_date || slot));
+
+  const nextSlot = after => getNextWorkingOccurrence(meeting.rrule, seriesStart, meeting.guild_id, settings, {
+    after,
+    exdates: skipped,
+    keep: kept,
+  }).date;
+
+  // Later occurrences are found by walking the series from the upcoming one
+  let previous = null;
+  for (let slot = currentSlot; slot && slot < occurrence; slot = nextSlot(slot)) {
+    previous = slot;
+  }
+  const next = nextSlot(occurrence);
+  return { previous: previous && dateOf(previous), next: next && dateOf(next) };
+}
+
 /**
- * Handle set-meeting-time command (single meeting only)
+ * Handle meeting move-occurrence command - reschedule one occurrence of a recurring meeting
+ * The series keeps its schedule; the next occurrence is still counted from the original date
  * @param {Object} data - Command data from Discord
  * @param {string} guildId - Guild ID
- * @param {string} channelId - Channel ID where command was executed
  * @param {Object} res - Express response object
  * @returns {Promise<void>}
  */
-async function handleSetMeetingTime(data, guildId, channelId, res) {
-  try {
-    const settings = guildSettingsQueries.get.get(guildId);
-    const lang = getGuildLanguage(settings);
-    const timezone = settings?.timezone || 'Asia/Seoul';
-    
-    if (!guildId) {
+async function handleMoveOccurrence(data, guildId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+  const timezone = settings?.timezone || 'Asia/Seoul';
+
+  const target = resolveSeriesOccurrence(data, guildId, lang, timezone);
+  if (target.error) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: target.error,
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const newDateStr = data.options?.find(opt => opt.name === 'new_date')?.value || '';
+  let newDate = parseRelativeDate(newDateStr, new Date(), timezone);
+  if (!newDate) {
+    newDate = new Date(newDateStr);
+    if (isNaN(newDate.getTime())) {
       return res.send({
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         data: {
-          content: t('serverOnlyCommand', lang),
+          content: t('invalidDate', lang) + (lang === 'ko' ? '\n\n예: 2025-12-25 14:30, 1시간 후, 내일 오후 3시' : '\n\nExamples: 2025-12-25 14:30, 1 hour later, tomorrow 3pm'),
           flags: InteractionResponseFlags.EPHEMERAL,
         },
       });
     }
+  }
 
-    // Extract options
-    const options = data.options || [];
-    const getOption = (name) => options.find(opt => opt.name === name)?.value;
-
-    const title = getOption('title');
-    const dateStr = getOption('date');
-    const participantsStr = getOption('participants');
-    const reminderMinutesStr = getOption('reminder_minutes') || '15';
-    
-    // Use channel from settings (already configured)
-    const meetingChannelId = settings?.meeting_channel_id || channelId;
+  if (newDate <= new Date()) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('pastDate', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
 
-    // Validate required fields
-    if (!title) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('errorOccurred', lang, { message: 'Title is required' }),
-        },
-      });
-    }
+  const { meeting, exceptions, occurrence } = target;
+  // Occurrences stay in order, so the series' next occurrence is still counted from the right one
+  const { previous, next } = getNeighbouringOccurrences(meeting, exceptions, occurrence, settings);
+  const outOfOrder = previous && newDate <= previous
+    ? t('meetingOccurrenceMoveAfter', lang, { date: formatDateTime(previous, timezone) })
+    : next && newDate >= next
+      ? t('meetingOccurrenceMoveBefore', lang, { date: formatDateTime(next, timezone) })
+      : null;
+  if (outOfOrder) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: outOfOrder,
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
 
-    if (!dateStr) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('errorOccurred', lang, { message: 'Date is required' }),
-        },
-      });
-    }
+  const isUpcoming = occurrence.getTime() === getOccurrenceSlot(meeting, exceptions).getTime();
+  const fromDate = isUpcoming ? new Date(meeting.date) : new Date(exceptions.find(e => e.occurrence_date === occurrence.toISOString())?.new_date || occurrence);
+
+  meetingExceptionQueries.set.run(meeting.id, occurrence.toISOString(), newDate.toISOString());
+  if (isUpcoming) {
+    meetingQueries.update.run(
+      meeting.title,
+      newDate.toISOString(),
+      meeting.participants,
+      meeting.reminder_minutes,
+      meeting.rrule,
+      meeting.series_start,
+      meeting.id
+    );
+    // Reminders and snoozes were timed for the old date; the jobs are planned again for the new one
+    meetingQueries.updateReminded.run('[]', meeting.id);
+    meetingReminderQueries.deleteDeliveriesByMeeting.run(meeting.id);
+    meetingRecordQueries.updateMeeting.run(meeting.title, newDate.toISOString(), meeting.id, meeting.date);
+    scheduleMeetingJobs(meeting.id);
+  }
 
-    if (!participantsStr) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('errorOccurred', lang, { message: 'Participants are required' }),
-        },
-      });
-    }
+  const movedMessage = t('meetingOccurrenceMoved', lang, {
+    title: meeting.title,
+    from: formatDateTime(fromDate, timezone),
+    to: formatDateTime(newDate, timezone),
+  });
+  const conflictWarning = checkMeetingConflict(guildId, newDate, isUpcoming ? meeting.id : null, timezone);
 
-    // Parse and validate date (supports relative time)
-    let meetingDate = parseRelativeDate(dateStr, new Date(), timezone);
-    if (!meetingDate) {
-      // Fallback to standard date parsing
-      meetingDate = new Date(dateStr);
-      if (isNaN(meetingDate.getTime())) {
-          return res.send({
-          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-          data: {
-            content: t('invalidDate', lang) + (lang === 'ko' ? '\n\n예: 2025-12-25 14:30, 1시간 후, 내일 오후 3시' : '\n\nExamples: 2025-12-25 14:30, 1 hour later, tomorrow 3pm'),
-            flags: InteractionResponseFlags.EPHEMERAL,
-          },
-        });
-      }
-    }
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: conflictWarning ? `${movedMessage}\n\n${conflictWarning}` : movedMessage,
+    },
+  });
+}
 
-    // Parse participants
-    const participants = parseParticipants(participantsStr);
-    if (participants.length === 0) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('errorOccurred', lang, { message: 'No valid participants found' }),
-        },
-      });
-    }
-
-    // Parse reminder minutes
-    const reminderMinutesArray = reminderMinutesStr
-      .split(',')
-      .map(m => parseInt(m.trim()))
-      .filter(m => !isNaN(m) && m >= 0)
-      .sort((a, b) => b - a);
-
-    if (reminderMinutesArray.length === 0) {
-      reminderMinutesArray.push(15);
-    }
-
-    // Single meeting - no repeat
-    const repeatType = 'none';
-    const repeatInterval = null;
-    const dbRepeatType = null;
-    const repeatEndDate = null;
-
-    // Check for conflicting meetings BEFORE insertion
-    const conflictWarningBefore = checkMeetingConflict(guildId, meetingDate, null, timezone);
-
-    // Validate channel access
-    const isValid = await validateChannel(meetingChannelId);
-    if (!isValid) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('invalidChannelError', lang),
-          flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
-    }
-
-    // Insert into database - reuse deleted IDs if available
-    const nextId = getNextMeetingId();
-    const result = meetingQueries.insert.run(
-      nextId,
-      guildId,
-      title,
-      meetingDate.toISOString(),
-      JSON.stringify(participants),
-      meetingChannelId,
-      JSON.stringify(reminderMinutesArray),
-      dbRepeatType,
-      repeatInterval,
-      repeatEndDate ? repeatEndDate.toISOString() : null
-    );
-
-    const meetingId = nextId;
-    
-    // Check for conflicts AFTER insertion (excluding the newly created meeting)
-    const conflictWarning = checkMeetingConflict(guildId, meetingDate, meetingId, timezone);
+/**
+ * Build the iCalendar document for a guild's meetings
+ * @param {string} guildId - Guild ID
+ * @param {Object|null} settings - Guild settings row
+ * @returns {string} iCalendar text
+ */
+function buildGuildCalendar(guildId, settings) {
+  const meetings = meetingQueries.getByGuild.all(guildId);
+  const exdates = new Map();
+  const movedOccurrences = new Map();
+  for (const meeting of meetings.filter(m => m.rrule)) {
+    const exceptions = meetingExceptionQueries.getByMeeting.all(meeting.id);
+    exdates.set(meeting.id, exceptions.filter(e => !e.new_date).map(e => new Date(e.occurrence_date)));
+    movedOccurrences.set(meeting.id, exceptions
+      .filter(e => e.new_date)
+      .map(e => ({ occurrence: new Date(e.occurrence_date), date: new Date(e.new_date) })));
+  }
 
-    // Schedule reminders
-    const reminderTimes = reminderMinutesArray.map(minutes => {
-      const reminderTime = new Date(meetingDate.getTime() - minutes * 60 * 1000);
-      // For 0 minutes (meeting start), check if meeting date is in the future
-      // For other reminders, check if reminder time is in the future
-      if ((minutes === 0 && meetingDate > new Date()) || (minutes > 0 && reminderTime > new Date())) {
-        scheduleMeetingReminder(meetingId, guildId, title, meetingDate, participants, meetingChannelId, minutes);
-        return { minutes, time: reminderTime };
-      }
-      return null;
-    }).filter(Boolean);
+  return buildCalendar(meetings, {
+    name: 'Rundee Bot',
+    timezone: settings?.timezone || 'Asia/Seoul',
+    exdates,
+    movedOccurrences,
+  });
+}
 
-    const reminderTimesText = reminderTimes.length > 0
-      ? reminderTimes.map(rt => {
-          let minutesText;
-          if (rt.minutes === 0) {
-            minutesText = lang === 'ko' ? '시작' : 'start';
-          } else {
-            minutesText = lang === 'ko' ? `${rt.minutes}분 전` : `${rt.minutes} min before`;
-          }
-          return `${formatDateTime(rt.time, timezone)} (${minutesText})`;
-        }).join('\n')
-      : t('allRemindersPassed', lang);
+/**
+ * Handle meeting export command - attach an .ics file and show the calendar feed URL
+ * The reply is deferred and then edited to carry the file as an attachment
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {Object} body - Discord interaction body (for the follow-up webhook)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleExportMeetings(data, guildId, body, res) {
+  let settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
 
-    // Single meeting - no repeat text
-    const scheduledMessage = t('meetingScheduled', lang, {
-      title,
-      date: formatDateTime(meetingDate, timezone),
-      participants: formatParticipants(participants),
-      reminderTimes: reminderTimesText,
-      repeatText: '',
-      id: meetingId,
-    });
-    
-    const finalMessage = conflictWarning 
-      ? `${scheduledMessage}\n\n${conflictWarning}`
-      : scheduledMessage;
-    
+  if (!guildId) {
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: finalMessage,
+        content: t('serverOnlyCommand', lang),
         flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
-  } catch (error) {
-    console.error('Error in handleSetMeetingTime:', error);
-    const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
-    const lang = getGuildLanguage(settings);
-    return res.send({
-      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-      data: {
-        content: t('errorOccurred', lang, { message: error.message }),
+  }
+
+  // A new token invalidates feed URLs that were shared before
+  const resetToken = data.options?.find(opt => opt.name === 'reset_link')?.value === true;
+  if (!settings?.calendar_token || resetToken) {
+    guildSettingsQueries.setCalendarToken.run(guildId, crypto.randomBytes(20).toString('hex'));
+    settings = guildSettingsQueries.get.get(guildId);
+  }
+
+  const meetingCount = meetingQueries.getByGuild.all(guildId).length;
+  const ics = buildGuildCalendar(guildId, settings);
+  const feedUrl = `${getPublicBaseUrl()}/calendar/${guildId}/${settings.calendar_token}.ics`;
+
+  res.send({
+    type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+    data: { flags: InteractionResponseFlags.EPHEMERAL },
+  });
+
+  try {
+    await DiscordUploadRequest(`webhooks/${body.application_id}/${body.token}/messages/@original`, {
+      method: 'PATCH',
+      payload: {
+        content: t('meetingsExported', lang, { count: meetingCount, feedUrl }),
       },
+      files: [{ name: 'meetings.ics', content: ics, contentType: 'text/calendar' }],
     });
+  } catch (error) {
+    console.error('Error sending calendar export:', error);
   }
 }
 
 /**
- * Handle message component interactions (buttons, select menus)
- * @param {Object} body - Discord interaction body
+ * Check whether two timezones keep the same UTC offset for the coming year
+ * Only then does a recurrence expand to the same local days and times in either one
+ * @param {string} a - IANA timezone name
+ * @param {string} b - IANA timezone name
+ * @param {Date} from - First day to compare
+ * @returns {boolean} True if the offsets match on every day of the year after from
+ */
+function hasSameTimezoneOffsets(a, b, from) {
+  if (a === b) return true;
+  for (let day = 0; day <= 366; day++) {
+    const date = new Date(from.getTime() + day * 24 * 60 * 60 * 1000);
+    if (getTimezoneOffset(a, date) !== getTimezoneOffset(b, date)) return false;
+  }
+  return true;
+}
+
+/**
+ * Handle meeting import command - create meetings from an attached .ics file
+ * Events are checked for conflicts before anything is inserted; conflicting
+ * events and rules the bot can't represent are reported and left out.
+ * Downloading the file can outlast Discord's response window, so the report follows a deferred response
+ * @param {Object} data - Command data from Discord (options and resolved attachments)
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Channel ID (fallback when no meeting channel is set)
+ * @param {Object} body - Interaction body (application ID and token)
  * @param {Object} res - Express response object
  * @returns {Promise<void>}
  */
-async function handleMessageComponent(body, res) {
-  const { data, guild_id: guildId, channel, member } = body;
-  const channelId = channel?.id;
-  const userId = member?.user?.id;
-  
+async function handleImportMeetings(data, guildId, channelId, body, res) {
   const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
   const lang = getGuildLanguage(settings);
+  const timezone = settings?.timezone || 'Asia/Seoul';
 
   if (!guildId) {
     return res.send({
@@ -1120,215 +1795,373 @@ async function handleMessageComponent(body, res) {
     });
   }
 
-  const componentType = data.component_type;
-  const customId = data.custom_id;
-
-  // Handle delete meeting button
-  if (componentType === 2 && customId && customId.startsWith('delete_meeting_')) {
-    const meetingId = parseInt(customId.replace('delete_meeting_', ''));
-    
-    if (isNaN(meetingId)) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('errorOccurred', lang, { message: 'Invalid meeting ID' }),
-          flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
-    }
-
-    const meeting = meetingQueries.getById.get(meetingId);
-    if (!meeting || meeting.guild_id !== guildId) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('meetingNotFound', lang, { id: meetingId }),
-          flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
-    }
-
-    const settings = guildSettingsQueries.get.get(guildId);
-    const timezone = settings?.timezone || 'Asia/Seoul';
-    
-    const meetingTitle = meeting.title;
-    const meetingDate = formatDateTime(new Date(meeting.date), timezone);
-    
-    // Store deleted meeting data for undo (5 minutes)
-    const deletedMeetingData = {
-      id: meeting.id,
-      guild_id: meeting.guild_id,
-      title: meeting.title,
-      date: meeting.date,
-      participants: meeting.participants,
-      channel_id: meeting.channel_id,
-      reminder_minutes: meeting.reminder_minutes,
-      repeat_type: meeting.repeat_type,
-      repeat_interval: meeting.repeat_interval,
-      repeat_end_date: meeting.repeat_end_date,
-      deletedAt: Date.now(),
-    };
-    deletedMeetings.set(meetingId, deletedMeetingData);
-    
-    // Auto-remove after timeout
-    setTimeout(() => {
-      deletedMeetings.delete(meetingId);
-    }, UNDO_TIMEOUT);
-    
-    meetingQueries.delete.run(meetingId);
+  const options = data.options || [];
+  const getOption = (name) => options.find(opt => opt.name === name)?.value;
+  const attachment = data.resolved?.attachments?.[getOption('file')];
+  const participants = parseParticipants(getOption('participants') || '');
+  const reminderMinutes = parseReminderMinutes(getOption('reminder_minutes') || '15');
+  const meetingChannelId = settings?.meeting_channel_id || channelId;
 
-    // Create undo button
-    const undoButton = {
-      type: 1, // ACTION_ROW
-      components: [
-        {
-          type: 2, // BUTTON
-          style: 1, // PRIMARY (blue)
-          label: lang === 'ko' ? '되돌리기 (Undo)' : 'Undo',
-          custom_id: `undo_delete_${meetingId}`,
-          emoji: { name: '↩️' },
-        },
-      ],
-    };
+  if (!attachment || !attachment.filename?.toLowerCase().endsWith('.ics') || attachment.size > ICS_IMPORT_MAX_BYTES) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('meetingImportInvalidFile', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
 
+  if (participants.length === 0) {
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: t('meetingDeleted', lang, {
-          title: meetingTitle,
-          date: meetingDate,
-        }),
-        components: [undoButton],
-        // No EPHEMERAL flag - visible to everyone
+        content: t('errorOccurred', lang, { message: 'No valid participants found' }),
+        flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
   }
-  
-  // Handle undo delete button
-  if (componentType === 2 && customId && customId.startsWith('undo_delete_')) {
-    const meetingId = parseInt(customId.replace('undo_delete_', ''));
-    
-    if (isNaN(meetingId)) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('errorOccurred', lang, { message: 'Invalid meeting ID' }),
-          flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
-    }
-    
-    const deletedMeeting = deletedMeetings.get(meetingId);
-    if (!deletedMeeting) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: lang === 'ko' ? '되돌릴 수 없습니다. 삭제된 지 5분이 지났거나 이미 복구되었습니다.' : 'Cannot undo. The meeting was deleted more than 5 minutes ago or has already been restored.',
-          flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
-    }
-    
-    // Check if meeting was deleted from same guild
-    if (deletedMeeting.guild_id !== guildId) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('errorOccurred', lang, { message: 'Cannot undo meeting from different server' }),
-          flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
+
+  if (reminderMinutes.length === 0) {
+    reminderMinutes.push(15);
+  }
+
+  res.send({
+    type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+    data: { flags: InteractionResponseFlags.EPHEMERAL },
+  });
+
+  try {
+    const response = await fetch(attachment.url);
+    if (!response.ok) {
+      throw new Error(`Failed to download attachment (${response.status})`);
     }
-    
-    // Restore meeting - reuse the original ID if available, otherwise get next available
-    try {
-      const restoreId = deletedMeeting.id && !meetingQueries.getById.get(deletedMeeting.id)
-        ? deletedMeeting.id
-        : getNextMeetingId();
-      meetingQueries.insert.run(
-        restoreId,
-        deletedMeeting.guild_id,
-        deletedMeeting.title,
-        deletedMeeting.date,
-        deletedMeeting.participants,
-        deletedMeeting.channel_id,
-        deletedMeeting.reminder_minutes,
-        deletedMeeting.repeat_type,
-        deletedMeeting.repeat_interval,
-        deletedMeeting.repeat_end_date
+    const events = parseCalendar(await response.text(), timezone);
+    const now = new Date();
+
+    // Work out what each event becomes before touching the database
+    const planned = [];
+    const skipped = [];
+    const compatibleTimezones = new Map();
+    for (const event of events) {
+      const title = event.summary || t('meetingImportUntitled', lang);
+      if (event.isOverride) {
+        skipped.push({ title, reason: t('meetingImportReasonOverride', lang) });
+        continue;
+      }
+      if (event.allDay) {
+        skipped.push({ title, reason: t('meetingImportReasonAllDay', lang) });
+        continue;
+      }
+
+      if (!event.rrule) {
+        if (event.start <= now) {
+          skipped.push({ title, reason: t('meetingImportReasonPast', lang) });
+        } else {
+          planned.push({ title, date: event.start, rrule: null, seriesStart: null, exdates: [], holidays: [] });
+        }
+        continue;
+      }
+
+      // Recurrence is expanded in the server timezone, like meetings created with the bot, so a
+      // series defined in a timezone whose UTC offset differs at any point would land on the wrong
+      // days or hours; only the rule's UNTIL is read in the event's own timezone
+      if (!compatibleTimezones.has(event.timezone)) {
+        compatibleTimezones.set(event.timezone, hasSameTimezoneOffsets(event.timezone, timezone, now));
+      }
+      if (!compatibleTimezones.get(event.timezone)) {
+        skipped.push({ title, reason: t('meetingImportReasonTimezone', lang, { timezone: event.timezone }) });
+        continue;
+      }
+
+      let rule;
+      try {
+        rule = parseRRule(event.rrule, event.timezone);
+      } catch (error) {
+        skipped.push({ title, reason: error.message });
+        continue;
+      }
+
+      const { date, holidays } = getNextWorkingOccurrence(rule, event.start, guildId, settings, { after: now, exdates: event.exdates });
+      if (!date) {
+        skipped.push({ title, reason: t('meetingImportReasonEnded', lang) });
+        continue;
+      }
+
+      // Excluded dates become skipped occurrences of the series
+      planned.push({ title, date, rrule: formatRRule(rule), seriesStart: event.start, exdates: event.exdates, holidays });
+    }
+
+    const conflicts = [];
+    const toInsert = planned.filter((meeting, index) => {
+      // Events of the same file can clash with each other as well as with existing meetings
+      const earlier = planned.slice(0, index)
+        .find(other => Math.abs(other.date.getTime() - meeting.date.getTime()) < MEETING_CONFLICT_WINDOW);
+      if (earlier) {
+        skipped.push({
+          title: meeting.title,
+          reason: t('meetingImportReasonClash', lang, { title: earlier.title, time: formatDateTime(earlier.date, timezone) }),
+        });
+        return false;
+      }
+
+      const conflictWarning = checkMeetingConflict(guildId, meeting.date, null, timezone);
+      if (conflictWarning) {
+        conflicts.push({ title: meeting.title, reason: conflictWarning });
+        return false;
+      }
+      return true;
+    });
+
+    if (toInsert.length > 0 && !(await validateChannel(meetingChannelId))) {
+      return editDeferredResponse(body, t('invalidChannelError', lang));
+    }
+
+    const imported = [];
+    for (const meeting of toInsert) {
+      const meetingId = getNextMeetingId();
+      meetingQueries.insert.run(
+        meetingId,
+        guildId,
+        meeting.title,
+        meeting.date.toISOString(),
+        JSON.stringify(participants),
+        meetingChannelId,
+        JSON.stringify(reminderMinutes),
+        meeting.rrule,
+        meeting.seriesStart ? meeting.seriesStart.toISOString() : null
       );
-      
-      // Remove from deleted meetings cache
-      deletedMeetings.delete(meetingId);
-      
-      const settings = guildSettingsQueries.get.get(guildId);
-      const timezone = settings?.timezone || 'Asia/Seoul';
-      
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: lang === 'ko' 
-            ? `✅ 회의가 복구되었습니다: **${deletedMeeting.title}** (${formatDateTime(new Date(deletedMeeting.date), timezone)})`
-            : `✅ Meeting restored: **${deletedMeeting.title}** (${formatDateTime(new Date(deletedMeeting.date), timezone)})`,
-          flags: InteractionResponseFlags.EPHEMERAL,
-        },
-      });
-    } catch (error) {
-      console.error('Error restoring meeting:', error);
+
+      for (const exdate of meeting.exdates) {
+        meetingExceptionQueries.set.run(meetingId, exdate.toISOString(), null);
+      }
+      for (const holiday of meeting.holidays) {
+        meetingExceptionQueries.setHoliday.run(meetingId, holiday.toISOString());
+      }
+
+      scheduleMeetingJobs(meetingId);
+      cacheMeetingMembers(meetingId, guildId, participants)
+        .catch(error => console.error('Error caching meeting members:', error));
+
+      const repeatText = formatRepeatInfo(meeting.rrule, lang, timezone);
+      imported.push(`- **${meeting.title}** (ID: ${meetingId}) ${formatDateTime(meeting.date, timezone)}${repeatText.replace(/\n/g, ' ')}`);
+    }
+
+    const formatList = (lines) => (lines.length > ICS_IMPORT_LIST_LIMIT
+      ? [...lines.slice(0, ICS_IMPORT_LIST_LIMIT), t('meetingImportMore', lang, { count: lines.length - ICS_IMPORT_LIST_LIMIT })]
+      : lines).join('\n');
+
+    const sections = [t('meetingImported', lang, { count: imported.length, total: events.length })];
+    if (imported.length > 0) {
+      sections.push(formatList(imported));
+    }
+    if (skipped.length > 0) {
+      sections.push(`${t('meetingImportSkipped', lang)}\n${formatList(skipped.map(s => `- **${s.title}**: ${s.reason}`))}`);
+    }
+    if (conflicts.length > 0) {
+      sections.push(`${t('meetingImportConflicts', lang)}\n${formatList(conflicts.map(c => `- **${c.title}**\n${c.reason}`))}`);
+    }
+
+    return editDeferredResponse(body, sections.join('\n\n').slice(0, 2000));
+  } catch (error) {
+    console.error('Error in handleImportMeetings:', error);
+    return editDeferredResponse(body, t('errorOccurred', lang, { message: error.message }));
+  }
+}
+
+/**
+ * Handle edit-meeting command
+ * @param {Object} data - Command data from Discord
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleEditMeeting(data, res) {
+  const meetingId = parseInt(data.options?.find(opt => opt.name === 'meeting_id')?.value);
+  
+  const meeting = meetingQueries.getById.get(meetingId);
+  if (!meeting) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('meetingNotFound', 'en', { id: meetingId }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+  
+  const settings = guildSettingsQueries.get.get(meeting.guild_id);
+  const lang = getGuildLanguage(settings);
+  const timezone = settings?.timezone || 'Asia/Seoul';
+
+  const dbMeeting = dbToMeeting(meeting);
+  let title = dbMeeting.title;
+  let date = new Date(dbMeeting.date);
+  let participants = JSON.parse(dbMeeting.participants);
+  let reminderMinutes = JSON.parse(dbMeeting.reminderMinutes);
+
+  // Update fields if provided
+  const titleOption = data.options?.find(opt => opt.name === 'title');
+  if (titleOption) title = titleOption.value;
+
+  const dateOption = data.options?.find(opt => opt.name === 'date');
+  if (dateOption) {
+    date = parseRelativeDate(dateOption.value, new Date(), timezone);
+    if (!date) {
+      date = new Date(dateOption.value);
+      if (isNaN(date.getTime())) {
+          return res.send({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('invalidDate', lang) + (lang === 'ko' ? '\n\n예: 2025-12-25 14:30, 1시간 후, 내일 오후 3시' : '\n\nExamples: 2025-12-25 14:30, 1 hour later, tomorrow 3pm'),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+    }
+    
+    // Check for conflicts (excluding current meeting)
+    const conflictWarning = checkMeetingConflict(meeting.guild_id, date, meetingId, timezone);
+    if (conflictWarning) {
+      // Still allow the edit, but show warning
+    }
+  }
+
+  const participantsOption = data.options?.find(opt => opt.name === 'participants');
+  if (participantsOption) {
+    participants = parseParticipants(participantsOption.value);
+  }
+
+  const reminderMinutesOption = data.options?.find(opt => opt.name === 'reminder_minutes');
+  if (reminderMinutesOption) {
+    reminderMinutes = reminderMinutesOption.value
+      .split(',')
+      .map(m => parseInt(m.trim()))
+      .filter(m => !isNaN(m) && m >= 0)
+      .sort((a, b) => b - a);
+  }
+
+  // Recurring meetings: scope picks this occurrence, it and the ones after it, or the whole series
+  // Editing the upcoming occurrence "and following" is the same as editing the series
+  const scope = data.options?.find(opt => opt.name === 'scope')?.value || 'series';
+  if (dbMeeting.rrule && scope !== 'series') {
+    const occurrenceStr = data.options?.find(opt => opt.name === 'occurrence')?.value;
+    const exceptions = meetingExceptionQueries.getByMeeting.all(meetingId);
+    const occurrence = findSeriesOccurrence(meeting, exceptions, occurrenceStr, timezone);
+    if (!occurrence) {
       return res.send({
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         data: {
-          content: t('errorOccurred', lang, { message: 'Failed to restore meeting' }),
+          content: t('meetingOccurrenceNotFound', lang, { date: occurrenceStr }),
           flags: InteractionResponseFlags.EPHEMERAL,
         },
       });
     }
+
+    const isUpcoming = occurrence.getTime() === getOccurrenceSlot(meeting, exceptions).getTime();
+    if (scope === 'this' || !isUpcoming) {
+      if (dateOption && date <= new Date()) {
+        return res.send({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('pastDate', lang),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+
+      try {
+        const changes = { title, date: dateOption ? date : null, participants, reminderMinutes };
+        const newId = scope === 'this'
+          ? await detachOccurrence(meeting, exceptions, occurrence, changes)
+          : await splitSeries(meeting, exceptions, occurrence, changes, timezone);
+        const newDate = new Date(meetingQueries.getById.get(newId).date);
+        const scopeMessage = t(scope === 'this' ? 'meetingOccurrenceDetached' : 'meetingSeriesSplit', lang, {
+          title,
+          date: formatDateTime(newDate, timezone),
+          participants: formatParticipants(participants),
+          id: newId,
+          seriesId: meetingId,
+        });
+        const scopeConflict = checkMeetingConflict(meeting.guild_id, newDate, newId, timezone);
+        return res.send({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: scopeConflict ? `${scopeMessage}\n\n${scopeConflict}` : scopeMessage,
+          },
+        });
+      } catch (error) {
+        console.error('Error in handleEditMeeting:', error);
+        return res.send({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('errorOccurred', lang, { message: error.message }),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+    }
   }
 
-  // Unknown component interaction
-  return res.send({
-    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-    data: {
-      content: t('errorOccurred', lang, { message: 'Unknown component interaction' }),
-      flags: InteractionResponseFlags.EPHEMERAL,
-    },
-  });
-}
+  // A moved occurrence of a recurring meeting moves the rest of the series with it
+  // Skipped and moved occurrences were dates of the old schedule, so they are dropped
+  let { rrule, seriesStart } = dbMeeting;
+  if (dateOption && rrule) {
+    const exceptions = meetingExceptionQueries.getByMeeting.all(meetingId);
+    rrule = rebaseRRule(rrule, new Date(seriesStart || dbMeeting.date), timezone, getOccurrenceSlot(meeting, exceptions));
+    seriesStart = date.toISOString();
+    meetingExceptionQueries.deleteByMeeting.run(meetingId);
+  }
 
-/**
- * Handle modal submit interactions
- * @param {Object} body - Discord interaction body
- * @param {Object} res - Express response object
- * @returns {Promise<void>}
- */
-async function handleModalSubmit(body, res) {
-  // No modal submissions for meeting scheduling - all handled via command arguments
-  const { guild_id: guildId } = body;
-  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
-  const lang = getGuildLanguage(settings);
+  meetingQueries.update.run(
+    title,
+    date.toISOString(),
+    JSON.stringify(participants),
+    JSON.stringify(reminderMinutes),
+    rrule,
+    seriesStart,
+    meetingId
+  );
+  meetingRecordQueries.updateMeeting.run(title, date.toISOString(), meetingId, meeting.date);
+  scheduleMeetingJobs(meetingId);
+
+  if (participantsOption) {
+    cacheMeetingMembers(meetingId, meeting.guild_id, participants)
+      .catch(error => console.error('Error caching meeting members:', error));
+  }
+
+  const editedMessage = t('meetingEdited', lang, {
+    title,
+    date: formatDateTime(date, timezone),
+    participants: formatParticipants(participants),
+    id: meetingId,
+  });
   
+  // Check for conflicts if date was changed
+  const conflictWarning = dateOption ? checkMeetingConflict(meeting.guild_id, date, meetingId, timezone) : null;
+  const finalMessage = conflictWarning 
+    ? `${editedMessage}\n\n${conflictWarning}`
+    : editedMessage;
+
   return res.send({
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
     data: {
-      content: t('errorOccurred', lang, { message: 'Unknown modal submission' }),
-      flags: InteractionResponseFlags.EPHEMERAL,
+      content: finalMessage,
     },
   });
 }
 
 /**
- * Handle set-recurring-meeting command
+ * Handle set-meeting-channel command
  * @param {Object} data - Command data from Discord
  * @param {string} guildId - Guild ID
  * @param {string} channelId - Channel ID where command was executed
  * @param {Object} res - Express response object
  * @returns {Promise<void>}
  */
-async function handleSetRecurringMeeting(data, guildId, channelId, res) {
+async function handleSetMeetingChannel(data, guildId, channelId, res) {
   try {
     const settings = guildSettingsQueries.get.get(guildId);
     const lang = getGuildLanguage(settings);
-    const timezone = settings?.timezone || 'Asia/Seoul';
     
     if (!guildId) {
       return res.send({
@@ -1340,658 +2173,2564 @@ async function handleSetRecurringMeeting(data, guildId, channelId, res) {
       });
     }
 
-    // Extract options
-    const options = data.options || [];
-    const getOption = (name) => options.find(opt => opt.name === name)?.value;
-
-    const title = getOption('title');
-    const timeStr = getOption('time');
-    const participantsStr = getOption('participants');
-    const repeatType = getOption('repeat_type');
-    const weekday = getOption('weekday');
-    const dayOfMonth = getOption('day_of_month');
-    const weekOfMonth = getOption('week_of_month');
-    const excludeWeekdaysStr = getOption('exclude_weekdays');
-    const reminderMinutesStr = getOption('reminder_minutes') || '15';
-    const repeatEndStr = getOption('repeat_end_date');
-    
-    // Use channel from settings (already configured)
-    const meetingChannelId = settings?.meeting_channel_id || channelId;
+    const channelOption = data.options?.find(opt => opt.name === 'channel');
+    const targetChannelId = channelOption?.value || channelId;
 
-    // Validate required fields
-    if (!title) {
+    // Validate channel access
+    const isValid = await validateChannel(targetChannelId);
+    if (!isValid) {
       return res.send({
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         data: {
-          content: t('errorOccurred', lang, { message: 'Title is required' }),
+          content: t('invalidChannelError', lang),
+          flags: InteractionResponseFlags.EPHEMERAL,
         },
       });
     }
 
-    if (!timeStr) {
+    try {
+      guildSettingsQueries.setMeetingChannel.run(guildId, targetChannelId);
+    } catch (dbError) {
+      console.error('Database error in set-meeting-channel:', dbError);
       return res.send({
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         data: {
-          content: t('errorOccurred', lang, { message: 'Time is required' }),
+          content: t('errorOccurred', lang, { message: `Database error: ${dbError.message}` }),
+        flags: InteractionResponseFlags.EPHEMERAL,
         },
       });
     }
 
-    if (!participantsStr) {
-      return res.send({
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: t('errorOccurred', lang, { message: 'Participants are required' }),
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('meetingChannelSet', lang, { channelId: targetChannelId }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  } catch (error) {
+    console.error('Error in handleSetMeetingChannel:', error);
+    const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+    const lang = getGuildLanguage(settings);
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('errorOccurred', lang, { message: error.message }),
+      },
+    });
+  }
+}
+
+/**
+ * Handle set-github-channel command
+ */
+async function handleSetGithubChannel(data, guildId, channelId, res) {
+  try {
+    const settings = guildSettingsQueries.get.get(guildId);
+    const lang = getGuildLanguage(settings);
+    
+    if (!guildId) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('serverOnlyCommand', lang),
+          flags: InteractionResponseFlags.EPHEMERAL,
         },
       });
     }
 
-    if (!repeatType) {
+    const channelOption = data.options?.find(opt => opt.name === 'channel');
+    const targetChannelId = channelOption?.value || channelId;
+
+    // Validate channel access
+    const isValid = await validateChannel(targetChannelId);
+    if (!isValid) {
       return res.send({
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         data: {
-          content: t('errorOccurred', lang, { message: 'Repeat type is required' }),
+          content: t('invalidChannelError', lang),
+          flags: InteractionResponseFlags.EPHEMERAL,
         },
       });
     }
 
-    // Parse time
-    const timeMatch = timeStr.match(/^(\d{1,2}):(\d{2})$/);
-    if (!timeMatch) {
+    try {
+      guildSettingsQueries.setGithubChannel.run(guildId, targetChannelId);
+    } catch (dbError) {
+      console.error('Database error in set-github-channel:', dbError);
       return res.send({
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         data: {
-          content: t('errorOccurred', lang, { message: 'Invalid time format. Use HH:mm (e.g., 14:30)' }),
+          content: t('errorOccurred', lang, { message: `Database error: ${dbError.message}` }),
+        flags: InteractionResponseFlags.EPHEMERAL,
         },
       });
     }
 
-    const hours = parseInt(timeMatch[1]);
-    const minutes = parseInt(timeMatch[2]);
-    if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('githubChannelSet', lang, { channelId: targetChannelId }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  } catch (error) {
+    console.error('Error in handleSetGithubChannel:', error);
+    const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+    const lang = getGuildLanguage(settings);
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('errorOccurred', lang, { message: error.message }),
+      },
+    });
+  }
+}
+
+/**
+ * Handle set-language command
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleSetLanguage(data, guildId, res) {
+  try {
+    if (!guildId) {
       return res.send({
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         data: {
-          content: t('errorOccurred', lang, { message: 'Invalid time. Hours must be 0-23, minutes must be 0-59' }),
+          content: t('serverOnlyCommand', 'en'),
         },
       });
     }
 
-    // Validate repeat type options
-    if (repeatType === 'weekly' || repeatType === 'biweekly' || repeatType === 'monthly_weekday') {
-      if (weekday === null || weekday === undefined) {
-        return res.send({
-          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-          data: {
-            content: t('errorOccurred', lang, { message: 'Weekday is required for this repeat type' }),
-          },
-        });
-      }
-    }
-
-    if (repeatType === 'monthly_day') {
-      if (dayOfMonth === null || dayOfMonth === undefined) {
-        return res.send({
-          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-          data: {
-            content: t('errorOccurred', lang, { message: 'Day of month is required for monthly_day repeat type' }),
-          },
-        });
-      }
-    }
+    const languageOption = data.options?.find(opt => opt.name === 'language');
+    const language = languageOption?.value || 'en';
 
-    if (repeatType === 'monthly_weekday') {
-      if (weekOfMonth === null || weekOfMonth === undefined) {
-        return res.send({
-          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-          data: {
-            content: t('errorOccurred', lang, { message: 'Week of month is required for monthly_weekday repeat type' }),
-          },
-        });
-      }
+    if (language !== 'en' && language !== 'ko') {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', 'en', { message: 'Invalid language. Use "en" or "ko".' }),
+        },
+      });
     }
 
-    // Parse participants
-    const participants = parseParticipants(participantsStr);
-    if (participants.length === 0) {
+    try {
+      guildSettingsQueries.setLanguage.run(guildId, language);
+    } catch (dbError) {
+      console.error('Database error in set-language:', dbError);
       return res.send({
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         data: {
-          content: t('errorOccurred', lang, { message: 'No valid participants found' }),
+          content: t('errorOccurred', 'en', { message: `Database error: ${dbError.message}` }),
         },
       });
     }
 
-    // Parse reminder minutes
-    const reminderMinutesArray = reminderMinutesStr
-      .split(',')
-      .map(m => parseInt(m.trim()))
-      .filter(m => !isNaN(m) && m >= 0)
-      .sort((a, b) => b - a);
-
-    if (reminderMinutesArray.length === 0) {
-      reminderMinutesArray.push(15);
-    }
+    const settings = guildSettingsQueries.get.get(guildId);
+    const lang = getGuildLanguage(settings);
 
-    // Parse repeat end date
-    let repeatEndDate = null;
-    if (repeatEndStr) {
-      repeatEndDate = new Date(repeatEndStr);
-      if (isNaN(repeatEndDate.getTime())) {
-        return res.send({
-          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-          data: {
-            content: t('invalidDate', lang),
-          },
-        });
-      }
-    }
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('languageSet', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  } catch (error) {
+    console.error('Error in handleSetLanguage:', error);
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('errorOccurred', 'en', { message: error.message }),
+      },
+    });
+  }
+}
 
-    // Parse excluded weekdays for daily meetings
-    let excludedWeekdays = [];
-    if (repeatType === 'daily' && excludeWeekdaysStr) {
-      excludedWeekdays = excludeWeekdaysStr
-        .split(',')
-        .map(w => parseInt(w.trim()))
-        .filter(w => !isNaN(w) && w >= 0 && w <= 6);
+/**
+ * Handle set-timezone command
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleSetTimezone(data, guildId, res) {
+  try {
+    if (!guildId) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('serverOnlyCommand', 'en'),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
     }
 
-    // Calculate first meeting date based on repeat type
-    // IMPORTANT: hours and minutes are in the specified timezone, not server local time
-    const now = new Date();
-    let meetingDate;
-
-    // Helper function to create a date with time in specified timezone
-    // Converts local time (hours, minutes) in timezone to UTC Date
-    const createDateWithTimeInTimezone = (baseDate, targetHours, targetMinutes) => {
-      // Get the date components in the target timezone from baseDate
-      const tzFormatter = new Intl.DateTimeFormat('en-CA', {
-        timeZone: timezone,
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit'
-      });
-      const tzParts = tzFormatter.formatToParts(baseDate);
-      const tzYear = parseInt(tzParts.find(p => p.type === 'year')?.value);
-      const tzMonth = parseInt(tzParts.find(p => p.type === 'month')?.value) - 1;
-      const tzDay = parseInt(tzParts.find(p => p.type === 'day')?.value);
-      
-      // Create a date string representing the target time in the timezone
-      // Format: "YYYY-MM-DD HH:mm"
-      const dateStr = `${tzYear}-${String(tzMonth + 1).padStart(2, '0')}-${String(tzDay).padStart(2, '0')} ${String(targetHours).padStart(2, '0')}:${String(targetMinutes).padStart(2, '0')}`;
-      
-      // Use parseRelativeDate to convert it properly from timezone to UTC
-      const result = parseRelativeDate(dateStr, baseDate, timezone);
-      if (!result) {
-        // Fallback: if parseRelativeDate fails, calculate manually
-        const referenceDate = new Date(Date.UTC(tzYear, tzMonth, tzDay, 12, 0, 0));
-        const offsetMs = getTimezoneOffset(timezone, referenceDate);
-        const inputAsUTC = new Date(Date.UTC(tzYear, tzMonth, tzDay, targetHours, targetMinutes, 0));
-        return new Date(inputAsUTC.getTime() - offsetMs);
-      }
-      return result;
-    };
+    const timezoneOption = data.options?.find(opt => opt.name === 'timezone');
+    const timezone = timezoneOption?.value;
 
-    if (repeatType === 'daily') {
-      // Next occurrence at the specified time in the timezone
-      meetingDate = createDateWithTimeInTimezone(now, hours, minutes);
-      if (meetingDate <= now) {
-        // Add one day and recalculate
-        const nextDay = new Date(meetingDate.getTime() + 24 * 60 * 60 * 1000);
-        meetingDate = createDateWithTimeInTimezone(nextDay, hours, minutes);
-      }
-      
-      // Skip excluded weekdays (check weekday in the timezone)
-      let attempts = 0;
-      while (attempts < 7) {
-        // Get weekday in the timezone using 'short' format and parse it
-        const tzFormatter = new Intl.DateTimeFormat('en', {
-          timeZone: timezone,
-          weekday: 'short'
-        });
-        const weekdayText = tzFormatter.formatToParts(meetingDate).find(p => p.type === 'weekday')?.value?.toLowerCase();
-        // Map weekday text to number (0=Sunday, 6=Saturday)
-        const weekdayMap = { 'sun': 0, 'mon': 1, 'tue': 2, 'wed': 3, 'thu': 4, 'fri': 5, 'sat': 6 };
-        const weekdayNum = weekdayMap[weekdayText?.substring(0, 3)] ?? meetingDate.getUTCDay();
-        
-        if (!excludedWeekdays.includes(weekdayNum)) break;
-        
-        const nextDay = new Date(meetingDate.getTime() + 24 * 60 * 60 * 1000);
-        meetingDate = createDateWithTimeInTimezone(nextDay, hours, minutes);
-        attempts++;
-      }
-    } else if (repeatType === 'weekly' || repeatType === 'biweekly') {
-      // Find next occurrence of the weekday (use getNextWeekday but convert time properly)
-      const targetWeekday = parseInt(weekday);
-      let testDate = new Date(now);
-      
-      // Find next occurrence by iterating days and checking weekday in timezone
-      for (let i = 0; i < 14; i++) {
-        const candidateDate = createDateWithTimeInTimezone(testDate, hours, minutes);
-        
-        // Get weekday in timezone using 'short' format and parse it
-        const tzFormatter = new Intl.DateTimeFormat('en', {
-          timeZone: timezone,
-          weekday: 'short'
-        });
-        const weekdayText = tzFormatter.formatToParts(candidateDate).find(p => p.type === 'weekday')?.value?.toLowerCase();
-        const weekdayMap = { 'sun': 0, 'mon': 1, 'tue': 2, 'wed': 3, 'thu': 4, 'fri': 5, 'sat': 6 };
-        const weekdayNum = weekdayMap[weekdayText?.substring(0, 3)] ?? candidateDate.getUTCDay();
-        
-        if (weekdayNum === targetWeekday && candidateDate > now) {
-          meetingDate = candidateDate;
-          break;
-        }
-        
-        testDate = new Date(testDate.getTime() + 24 * 60 * 60 * 1000);
-      }
-      
-      if (!meetingDate) {
-        // Fallback
-        meetingDate = createDateWithTimeInTimezone(new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000), hours, minutes);
-      }
-      
-      if (repeatType === 'biweekly') {
-        // For biweekly, add 7 more days
-        const biweeklyDate = new Date(meetingDate.getTime() + 7 * 24 * 60 * 60 * 1000);
-        meetingDate = createDateWithTimeInTimezone(biweeklyDate, hours, minutes);
-      }
-    } else if (repeatType === 'monthly_day') {
-      // For monthly, use a simpler approach: get next occurrence of the day
-      let testDate = new Date(now);
-      const targetDay = parseInt(dayOfMonth);
-      
-      for (let i = 0; i < 60; i++) {
-        const candidateDate = createDateWithTimeInTimezone(testDate, hours, minutes);
-        
-        // Get day of month in timezone
-        const tzFormatter = new Intl.DateTimeFormat('en', {
-          timeZone: timezone,
-          day: 'numeric'
-        });
-        const tzDay = parseInt(tzFormatter.formatToParts(candidateDate).find(p => p.type === 'day')?.value);
-        
-        if (tzDay === targetDay && candidateDate > now) {
-          meetingDate = candidateDate;
-          break;
-        }
-        
-        testDate = new Date(testDate.getTime() + 24 * 60 * 60 * 1000);
-      }
-      
-      if (!meetingDate) {
-        meetingDate = createDateWithTimeInTimezone(new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000), hours, minutes);
-      }
-    } else if (repeatType === 'monthly_weekday') {
-      // For monthly weekday, use iterative approach
-      let testDate = new Date(now);
-      const targetWeekday = parseInt(weekday);
-      const targetWeekOfMonth = weekOfMonth;
-      
-      for (let i = 0; i < 60; i++) {
-        const candidateDate = createDateWithTimeInTimezone(testDate, hours, minutes);
-        
-        // Check if this matches the criteria (simplified - would need more complex logic for exact week of month)
-        const tzFormatter = new Intl.DateTimeFormat('en', {
-          timeZone: timezone,
-          weekday: 'short'
-        });
-        const weekdayText = tzFormatter.formatToParts(candidateDate).find(p => p.type === 'weekday')?.value?.toLowerCase();
-        const weekdayMap = { 'sun': 0, 'mon': 1, 'tue': 2, 'wed': 3, 'thu': 4, 'fri': 5, 'sat': 6 };
-        const weekdayNum = weekdayMap[weekdayText?.substring(0, 3)] ?? candidateDate.getUTCDay();
-        
-        if (weekdayNum === targetWeekday && candidateDate > now) {
-          meetingDate = candidateDate;
-          break;
-        }
-        
-        testDate = new Date(testDate.getTime() + 24 * 60 * 60 * 1000);
-      }
-      
-      if (!meetingDate) {
-        meetingDate = createDateWithTimeInTimezone(new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000), hours, minutes);
-      }
-    } else {
+    if (!timezone) {
       return res.send({
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         data: {
-          content: t('errorOccurred', lang, { message: 'Invalid repeat type' }),
+          content: t('errorOccurred', 'en', { message: 'Timezone is required.' }),
           flags: InteractionResponseFlags.EPHEMERAL,
         },
       });
     }
 
-    // Calculate repeat interval and format repeat_type for database
-    let repeatInterval = null;
-    let dbRepeatType = repeatType;
+    // Validate timezone (basic validation - could be enhanced)
+    const validTimezones = [
+      'Asia/Seoul', 'Asia/Tokyo', 'Asia/Shanghai', 'Asia/Hong_Kong', 'Asia/Singapore',
+      'Europe/London', 'Europe/Paris', 'Europe/Berlin',
+      'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'America/Toronto',
+      'Australia/Sydney', 'Australia/Melbourne', 'UTC'
+    ];
     
-    if (repeatType === 'daily') {
-      repeatInterval = 1;
-      if (excludedWeekdays.length > 0) {
-        // Format: daily_except:0,6 (excluded weekdays sorted)
-        const excludedStr = excludedWeekdays.sort((a, b) => a - b).join(',');
-        dbRepeatType = `daily_except:${excludedStr}`;
-      }
-    } else if (repeatType === 'weekly') {
-      repeatInterval = 7;
-      dbRepeatType = `weekly:${weekday}`;
-    } else if (repeatType === 'biweekly') {
-      repeatInterval = 14;
-      dbRepeatType = `biweekly:${weekday}`;
-    } else if (repeatType === 'monthly_day') {
-      repeatInterval = 30; // Approximate
-      dbRepeatType = `monthly_day:${dayOfMonth}`;
-    } else if (repeatType === 'monthly_weekday') {
-      repeatInterval = 30; // Approximate
-      dbRepeatType = `monthly_weekday:${weekOfMonth}:${weekday}`;
-    }
-
-    // Validate channel access
-    const isValid = await validateChannel(meetingChannelId);
-    if (!isValid) {
+    if (!validTimezones.includes(timezone)) {
       return res.send({
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         data: {
-          content: t('invalidChannelError', lang),
+          content: t('errorOccurred', 'en', { message: 'Invalid timezone.' }),
           flags: InteractionResponseFlags.EPHEMERAL,
         },
       });
     }
 
-    // Insert into database - reuse deleted IDs if available
-    const nextId = getNextMeetingId();
-    const result = meetingQueries.insert.run(
-      nextId,
-      guildId,
-      title,
-      meetingDate.toISOString(),
-      JSON.stringify(participants),
-      meetingChannelId,
-      JSON.stringify(reminderMinutesArray),
-      dbRepeatType,
-      repeatInterval,
-      repeatEndDate ? repeatEndDate.toISOString() : null
-    );
-
-    const meetingId = nextId;
+    try {
+      guildSettingsQueries.setTimezone.run(guildId, timezone);
+      const settings = guildSettingsQueries.get.get(guildId);
+      const lang = getGuildLanguage(settings);
+      
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('timezoneSet', lang, { timezone }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    } catch (dbError) {
+      console.error('Database error in handleSetTimezone:', dbError);
+      const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+      const lang = getGuildLanguage(settings);
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'Failed to update timezone in database.' }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+  } catch (error) {
+    console.error('Error in handleSetTimezone:', error);
+    const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+    const lang = getGuildLanguage(settings);
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('errorOccurred', lang, { message: error.message }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+}
 
-    // Schedule reminders
-    const reminderTimes = reminderMinutesArray.map(minutes => {
-      const reminderTime = new Date(meetingDate.getTime() - minutes * 60 * 1000);
-      // For 0 minutes (meeting start), check if meeting date is in the future
-      // For other reminders, check if reminder time is in the future
-      if ((minutes === 0 && meetingDate > new Date()) || (minutes > 0 && reminderTime > new Date())) {
-        scheduleMeetingReminder(meetingId, guildId, title, meetingDate, participants, meetingChannelId, minutes);
-        return { minutes, time: reminderTime };
+/**
+ * Handle github-style config command
+ * Chooses between embed and plain-text GitHub notifications for the guild
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleSetGitHubStyle(data, guildId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+
+  if (!guildId) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('serverOnlyCommand', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const style = data.options?.find(opt => opt.name === 'style')?.value;
+  if (style !== 'embed' && style !== 'plain') {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('errorOccurred', lang, { message: 'Invalid style. Use "embed" or "plain".' }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  try {
+    guildSettingsQueries.setGithubMessageStyle.run(guildId, style);
+  } catch (dbError) {
+    console.error('Database error in handleSetGitHubStyle:', dbError);
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('errorOccurred', lang, { message: 'Failed to update GitHub message style in database.' }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: t(style === 'plain' ? 'githubStylePlain' : 'githubStyleEmbed', lang),
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+/**
+ * Handle missed-reminders config command
+ * Chooses what happens to reminders that fell due while the bot was down: a late notice or nothing
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleSetMissedReminders(data, guildId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+
+  if (!guildId) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('serverOnlyCommand', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const mode = data.options?.find(opt => opt.name === 'mode')?.value;
+  if (mode !== 'late' && mode !== 'silent') {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('errorOccurred', lang, { message: 'Invalid mode. Use "late" or "silent".' }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  guildSettingsQueries.setMissedReminderMode.run(guildId, mode);
+
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: t(mode === 'silent' ? 'missedRemindersSilent' : 'missedRemindersLate', lang),
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+/**
+ * Collect the holiday dates of an uploaded calendar
+ * All-day events cover every day up to DTEND; yearly and other repeating
+ * events are expanded for the next HOLIDAY_RRULE_YEARS years
+ * @param {Array<Object>} events - Events from parseCalendar
+ * @param {string} timezone - Guild timezone
+ * @param {string} untitled - Name for events without a summary
+ * @returns {Map<string, string>} Holiday names by YYYY-MM-DD
+ */
+function collectHolidayDates(events, timezone, untitled) {
+  const holidays = new Map();
+  const now = new Date();
+  const horizon = new Date(now.getTime() + HOLIDAY_RRULE_YEARS * 366 * 24 * 60 * 60 * 1000);
+  const toKey = (date) => {
+    const { year, month, day } = getLocalParts(date, timezone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  };
+
+  for (const event of events) {
+    const name = event.summary || untitled;
+    const starts = [event.start];
+    if (event.rrule) {
+      try {
+        const rule = parseRRule(event.rrule, event.timezone);
+        for (const occurrence of iterateOccurrences(rule, event.start, event.timezone, now)) {
+          if (occurrence > horizon) break;
+          starts.push(occurrence);
+        }
+      } catch (error) {
+        // Keep the first date of rules the engine can't expand
       }
-      return null;
-    }).filter(Boolean);
+    }
 
-    const reminderTimesText = reminderTimes.length > 0
-      ? reminderTimes.map(rt => {
-          let minutesText;
-          if (rt.minutes === 0) {
-            minutesText = lang === 'ko' ? '시작' : 'start';
-          } else {
-            minutesText = lang === 'ko' ? `${rt.minutes}분 전` : `${rt.minutes} min before`;
-          }
-          return `${formatDateTime(rt.time, timezone)} (${minutesText})`;
-        }).join('\n')
-      : t('allRemindersPassed', lang);
+    // DTEND is exclusive; events without one last a single day
+    const days = event.allDay && event.end
+      ? Math.min(Math.max(1, Math.round((event.end - event.start) / (24 * 60 * 60 * 1000))), 31)
+      : 1;
+    for (const start of starts) {
+      const { year, month, day } = getLocalParts(start, timezone);
+      for (let i = 0; i < days; i++) {
+        holidays.set(toKey(zonedTimeToUtc(year, month, day + i, 12, 0, 0, timezone)), name);
+      }
+    }
+  }
+  return holidays;
+}
 
-    // Format detailed repeat information using dbRepeatType (has detailed format)
-    const repeatText = formatRepeatInfo(dbRepeatType, lang, repeatEndDate ? repeatEndDate.toISOString() : null, timezone);
+/**
+ * Handle holidays config command - choose the holidays recurring meetings skip
+ * A bundled calendar (KR/US/JP) or an uploaded .ics file can be used, not both.
+ * An upload is downloaded after a deferred response, since it can outlast Discord's response window
+ * @param {Object} data - Command data from Discord (options and resolved attachments)
+ * @param {string} guildId - Guild ID
+ * @param {Object} body - Interaction body (application ID and token)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleSetHolidays(data, guildId, body, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+  const timezone = settings?.timezone || 'Asia/Seoul';
 
-    // Check for conflicts with first occurrence (excluding the newly created meeting)
-    const conflictWarning = checkMeetingConflict(guildId, meetingDate, meetingId, timezone);
-    
-    const scheduledMessage = t('meetingScheduled', lang, {
-      title,
-      date: formatDateTime(meetingDate, timezone),
-      participants: formatParticipants(participants),
-      reminderTimes: reminderTimesText,
-      repeatText,
-      id: meetingId,
+  if (!guildId) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('serverOnlyCommand', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
     });
-    
-    const finalMessage = conflictWarning 
-      ? `${scheduledMessage}\n\n${conflictWarning}`
-      : scheduledMessage;
+  }
+
+  const options = data.options || [];
+  const getOption = (name) => options.find(opt => opt.name === name)?.value;
+  const calendar = getOption('calendar');
+  const fileId = getOption('file');
+  const notice = getOption('notice');
+  const attachment = fileId ? data.resolved?.attachments?.[fileId] : null;
+  const lines = [];
+
+  if (fileId && (!attachment || !attachment.filename?.toLowerCase().endsWith('.ics') || attachment.size > ICS_IMPORT_MAX_BYTES)) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('meetingImportInvalidFile', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const reply = (content) => {
+    if (fileId) return editDeferredResponse(body, content);
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content,
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  };
+
+  if (fileId) {
+    res.send({
+      type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { flags: InteractionResponseFlags.EPHEMERAL },
+    });
+  }
+
+  try {
+    if (fileId) {
+      const response = await fetch(attachment.url);
+      if (!response.ok) {
+        throw new Error(`Failed to download attachment (${response.status})`);
+      }
+      const holidays = collectHolidayDates(parseCalendar(await response.text(), timezone), timezone, t('holidayUnnamed', lang));
+
+      db.transaction(() => {
+        guildHolidayQueries.deleteByGuild.run(guildId);
+        for (const [date, name] of holidays) {
+          guildHolidayQueries.insert.run(guildId, date, name);
+        }
+        guildSettingsQueries.setHolidayCalendar.run(guildId, 'ics');
+      })();
+      lines.push(t('holidaysImported', lang, { count: holidays.size }));
+    } else if (calendar === 'off') {
+      guildSettingsQueries.setHolidayCalendar.run(guildId, null);
+      guildHolidayQueries.deleteByGuild.run(guildId);
+      lines.push(t('holidaysOff', lang));
+    } else if (HOLIDAY_COUNTRIES.includes(calendar)) {
+      guildSettingsQueries.setHolidayCalendar.run(guildId, calendar);
+      guildHolidayQueries.deleteByGuild.run(guildId);
+      lines.push(t('holidaysSet', lang, { calendar }));
+    }
+
+    if (notice !== undefined) {
+      guildSettingsQueries.setHolidayNotice.run(guildId, notice ? 1 : 0);
+      lines.push(t(notice ? 'holidayNoticeOn' : 'holidayNoticeOff', lang));
+    }
+  } catch (error) {
+    console.error('Error in handleSetHolidays:', error);
+    return reply(t('errorOccurred', lang, { message: error.message }));
+  }
+
+  // Meetings already scheduled on a new holiday move on to their next occurrence
+  if (fileId || HOLIDAY_COUNTRIES.includes(calendar)) {
+    skipHolidayMeetings(guildId)
+      .catch(error => console.error('Error skipping meetings on holidays:', error));
+  }
+
+  if (lines.length === 0) {
+    lines.push(formatHolidayStatus(guildId, guildSettingsQueries.get.get(guildId), lang));
+  }
+
+  return reply(lines.join('\n'));
+}
+
+/**
+ * Format a guild's holiday settings for status messages
+ * @param {string} guildId - Guild ID
+ * @param {Object|null} settings - Guild settings row
+ * @param {string} lang - Language code
+ * @returns {string} e.g. "🏖️ Holidays: KR (notice on)"
+ */
+function formatHolidayStatus(guildId, settings, lang) {
+  const calendar = settings?.holiday_calendar;
+  let calendarLabel = t('holidaysNone', lang);
+  if (calendar === 'ics') {
+    calendarLabel = t('holidaysUploaded', lang, { count: guildHolidayQueries.countByGuild.get(guildId).count });
+  } else if (calendar) {
+    calendarLabel = calendar;
+  }
+  return t('holidaysStatus', lang, {
+    calendar: calendarLabel,
+    notice: t(settings?.holiday_notice ? 'holidayNoticeEnabled' : 'holidayNoticeDisabled', lang),
+  });
+}
+
+/**
+ * Handle notifications config command
+ * Sets the calling user's reminder preferences (they apply in every server):
+ * DM reminders on/off and default lead times. Without options, shows the current settings.
+ * @param {Object} data - Command data from Discord
+ * @param {string|null} guildId - Guild ID (null in DMs)
+ * @param {string} userId - User ID of the caller
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleSetNotifications(data, guildId, userId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+
+  const dm = data.options?.find(opt => opt.name === 'dm')?.value;
+  const minutesStr = data.options?.find(opt => opt.name === 'reminder_minutes')?.value;
+
+  const lines = [];
+  if (dm !== undefined) {
+    userPreferenceQueries.setDmReminders.run(userId, dm === 'on' ? 1 : 0);
+    lines.push(t(dm === 'on' ? 'notificationsDmOn' : 'notificationsDmOff', lang));
+  }
+
+  if (minutesStr !== undefined) {
+    if (minutesStr.trim().toLowerCase() === 'default') {
+      userPreferenceQueries.setReminderMinutes.run(userId, null);
+      lines.push(t('notificationsReminderMinutesCleared', lang));
+    } else {
+      const minutes = parseReminderMinutes(minutesStr);
+      if (minutes.length === 0) {
+        return res.send({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('invalidReminderMinutes', lang),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+      userPreferenceQueries.setReminderMinutes.run(userId, JSON.stringify(minutes));
+      lines.push(t('notificationsReminderMinutesSet', lang, { minutes: minutes.join(', ') }));
+    }
+  }
+
+  // Personal lead times decide which reminder jobs the user's meetings need. Preferences apply
+  // in every server, so the user's meetings in other servers are planned again too
+  if (lines.length > 0) {
+    for (const meetingRow of meetingQueries.getUpcoming.all()) {
+      if (getMeetingMemberIds(meetingRow).includes(userId)) {
+        scheduleMeetingJobs(meetingRow.id);
+      }
+    }
+  }
+
+  // No options: show the current preferences
+  if (lines.length === 0) {
+    const preference = userPreferenceQueries.get.get(userId);
+    lines.push(t('notificationsStatus', lang, {
+      dm: preference?.dm_reminders ? 'on' : 'off',
+      minutes: preference?.reminder_minutes
+        ? JSON.parse(preference.reminder_minutes).join(', ')
+        : t('notificationsMeetingDefault', lang),
+    }));
+  }
+
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: lines.join('\n'),
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+/**
+ * Handle channel-status command
+ */
+/**
+ * Handle channel-status command
+ * @param {string} guildId - Guild ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleChannelStatus(guildId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+  
+  if (!guildId) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('serverOnlyCommand', lang),
+      },
+    });
+  }
+
+  const meetingChannelId = settings?.meeting_channel_id;
+  const githubChannelId = settings?.github_channel_id;
+  const subscriptions = githubSubscriptionQueries.getByGuild.all(guildId);
+
+  // Validate channels
+  let meetingChannelStatus = meetingChannelId ? `<#${meetingChannelId}>` : t('channelNotSet', lang);
+  let githubChannelStatus = githubChannelId ? `<#${githubChannelId}>` : t('channelNotSet', lang);
+
+  if (meetingChannelId) {
+    const isValid = await validateChannel(meetingChannelId);
+    if (!isValid) {
+      meetingChannelStatus = t('channelInvalid', lang);
+    }
+  }
+
+  if (githubChannelId) {
+    const isValid = await validateChannel(githubChannelId);
+    if (!isValid) {
+      githubChannelStatus = t('channelInvalid', lang);
+    }
+  }
+
+  const githubRepoStatus = subscriptions.length > 0
+    ? `\n${formatGitHubSubscriptions(subscriptions, lang)}`
+    : t('channelNotSet', lang);
+
+  const githubStyle = t(settings?.github_message_style === 'plain' ? 'githubStylePlainLabel' : 'githubStyleEmbedLabel', lang);
+  const missedReminders = t(settings?.missed_reminder_mode === 'silent' ? 'missedRemindersSilentLabel' : 'missedRemindersLateLabel', lang);
+
+  const content = `${t('channelStatusTitle', lang)}\n\n${t('channelStatusMeeting', lang, { channel: meetingChannelStatus })}\n${t('channelStatusGithub', lang, { channel: githubChannelStatus })}\n${t('channelStatusRepo', lang, { repo: githubRepoStatus })}\n${t('channelStatusGithubStyle', lang, { style: githubStyle })}\n${formatHolidayStatus(guildId, settings, lang)}\n${t('channelStatusMissedReminders', lang, { mode: missedReminders })}`;
+
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content,
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+/**
+ * Handle set-meeting-time command (interactive GUI for scheduling meetings)
+ * This is the main command for scheduling meetings with support for all repeat types
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Channel ID where command was executed
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+/**
+ * Handle set-meeting-time command (single meeting only)
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Channel ID where command was executed
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleSetMeetingTime(data, guildId, channelId, res) {
+  try {
+    const settings = guildSettingsQueries.get.get(guildId);
+    const lang = getGuildLanguage(settings);
+    const timezone = settings?.timezone || 'Asia/Seoul';
+    
+    if (!guildId) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('serverOnlyCommand', lang),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    // Extract options
+    const options = data.options || [];
+    const getOption = (name) => options.find(opt => opt.name === name)?.value;
+
+    const title = getOption('title');
+    const dateStr = getOption('date');
+    const participantsStr = getOption('participants');
+    const reminderMinutesStr = getOption('reminder_minutes') || '15';
+    
+    // Use channel from settings (already configured)
+    const meetingChannelId = settings?.meeting_channel_id || channelId;
+
+    // Validate required fields
+    if (!title) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'Title is required' }),
+        },
+      });
+    }
+
+    if (!dateStr) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'Date is required' }),
+        },
+      });
+    }
+
+    if (!participantsStr) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'Participants are required' }),
+        },
+      });
+    }
+
+    // Parse and validate date (supports relative time)
+    let meetingDate = parseRelativeDate(dateStr, new Date(), timezone);
+    if (!meetingDate) {
+      // Fallback to standard date parsing
+      meetingDate = new Date(dateStr);
+      if (isNaN(meetingDate.getTime())) {
+          return res.send({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('invalidDate', lang) + (lang === 'ko' ? '\n\n예: 2025-12-25 14:30, 1시간 후, 내일 오후 3시' : '\n\nExamples: 2025-12-25 14:30, 1 hour later, tomorrow 3pm'),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+    }
+
+    // Parse participants
+    const participants = parseParticipants(participantsStr);
+    if (participants.length === 0) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'No valid participants found' }),
+        },
+      });
+    }
+
+    // Parse reminder minutes
+    const reminderMinutesArray = reminderMinutesStr
+      .split(',')
+      .map(m => parseInt(m.trim()))
+      .filter(m => !isNaN(m) && m >= 0)
+      .sort((a, b) => b - a);
+
+    if (reminderMinutesArray.length === 0) {
+      reminderMinutesArray.push(15);
+    }
+
+    // Check for conflicting meetings BEFORE insertion
+    const conflictWarningBefore = checkMeetingConflict(guildId, meetingDate, null, timezone);
+
+    // Validate channel access
+    const isValid = await validateChannel(meetingChannelId);
+    if (!isValid) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('invalidChannelError', lang),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    // Insert into database under the next meeting ID (deleted IDs are not reused)
+    const nextId = getNextMeetingId();
+    const result = meetingQueries.insert.run(
+      nextId,
+      guildId,
+      title,
+      meetingDate.toISOString(),
+      JSON.stringify(participants),
+      meetingChannelId,
+      JSON.stringify(reminderMinutesArray),
+      null,
+      null
+    );
+
+    const meetingId = nextId;
+
+    // Resolve role members in the background; the interaction must be answered within 3 seconds
+    cacheMeetingMembers(meetingId, guildId, participants)
+      .catch(error => console.error('Error caching meeting members:', error));
+    
+    // Check for conflicts AFTER insertion (excluding the newly created meeting)
+    const conflictWarning = checkMeetingConflict(guildId, meetingDate, meetingId, timezone);
+
+    // Schedule reminders
+    scheduleMeetingJobs(meetingId);
+    const reminderTimes = reminderMinutesArray.map(minutes => {
+      const reminderTime = new Date(meetingDate.getTime() - minutes * 60 * 1000);
+      // For 0 minutes (meeting start), check if meeting date is in the future
+      // For other reminders, check if reminder time is in the future
+      if ((minutes === 0 && meetingDate > new Date()) || (minutes > 0 && reminderTime > new Date())) {
+        return { minutes, time: reminderTime };
+      }
+      return null;
+    }).filter(Boolean);
+
+    const reminderTimesText = reminderTimes.length > 0
+      ? reminderTimes.map(rt => {
+          let minutesText;
+          if (rt.minutes === 0) {
+            minutesText = lang === 'ko' ? '시작' : 'start';
+          } else {
+            minutesText = lang === 'ko' ? `${rt.minutes}분 전` : `${rt.minutes} min before`;
+          }
+          return `${formatDateTime(rt.time, timezone)} (${minutesText})`;
+        }).join('\n')
+      : t('allRemindersPassed', lang);
+
+    // Single meeting - no repeat text
+    const scheduledMessage = t('meetingScheduled', lang, {
+      title,
+      date: formatDateTime(meetingDate, timezone),
+      participants: formatParticipants(participants),
+      reminderTimes: reminderTimesText,
+      repeatText: '',
+      id: meetingId,
+    });
+    
+    const finalMessage = conflictWarning 
+      ? `${scheduledMessage}\n\n${conflictWarning}`
+      : scheduledMessage;
+    
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: finalMessage,
+        components: [buildRsvpButtons(meetingId, meetingDate.toISOString(), lang)],
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  } catch (error) {
+    console.error('Error in handleSetMeetingTime:', error);
+    const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+    const lang = getGuildLanguage(settings);
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('errorOccurred', lang, { message: error.message }),
+      },
+    });
+  }
+}
+
+/**
+ * Handle autocomplete interactions
+ * @param {Object} body - Discord interaction body
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleAutocomplete(body, res) {
+  const { data, guild_id: guildId } = body;
+  const subcommand = data.options?.[0];
+  const focused = subcommand?.options?.find(opt => opt.focused);
+  const value = String(focused?.value ?? '');
+
+  let suggestions = [];
+  if (data.name === 'github' && focused) {
+    if (focused.name === 'repository' && guildId) {
+      const repositories = [...new Set(githubSubscriptionQueries.getByGuild.all(guildId).map(s => s.repository))];
+      suggestions = repositories.filter(r => r.toLowerCase().includes(value.toLowerCase()));
+    } else if (focused.name === 'filter' && subcommand.name === 'events') {
+      suggestions = suggestEventFilters(value);
+    } else if (focused.name === 'replay' && guildId && isAdministrator(body.member)) {
+      // Failed deliveries are only listed to administrators, like the command itself
+      const failures = githubDeliveryQueries.getRecentFailuresByGuild.all(guildId, guildId, 25);
+      suggestions = [...new Set(failures.map(f => f.delivery_id))].filter(id => id.startsWith(value));
+    }
+  }
+
+  // Discord accepts at most 25 choices of up to 100 characters
+  const choices = suggestions
+    .filter(s => s.length <= 100)
+    .slice(0, 25)
+    .map(s => ({ name: s, value: s }));
+
+  return res.send({
+    type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+    data: { choices },
+  });
+}
+
+/**
+ * Handle message component interactions (buttons, select menus)
+ * @param {Object} body - Discord interaction body
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleMessageComponent(body, res) {
+  const { data, guild_id: guildId, channel, member } = body;
+  const channelId = channel?.id;
+  const userId = member?.user?.id || body.user?.id;
+  
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+
+  const componentType = data.component_type;
+  const customId = data.custom_id;
+
+  // Handle RSVP buttons (reminders, DM reminders and scheduling confirmations)
+  // DMs carry no guild ID, so the meeting's own guild is used for language
+  if (componentType === 2 && customId && customId.startsWith('rsvp_')) {
+    const [, status, meetingIdStr, occurrence] = customId.split('_');
+    const meetingId = parseInt(meetingIdStr);
+
+    const meeting = RSVP_STATUSES[status] && !isNaN(meetingId) ? meetingQueries.getById.get(meetingId) : null;
+    const meetingSettings = guildSettingsQueries.get.get(meeting?.guild_id ?? guildId ?? null);
+    const lang = getGuildLanguage(meetingSettings);
+    if (!meeting || (guildId && meeting.guild_id !== guildId)) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('meetingNotFound', lang, { id: meetingIdStr }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    // A recurring meeting keeps its ID, so a response to an ended occurrence would count toward the next
+    if (isOccurrenceOver(meeting, occurrence)) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('meetingOccurrenceOver', lang, {
+            title: meeting.title,
+            date: formatDateTime(new Date(occurrence), meetingSettings?.timezone || 'Asia/Seoul'),
+          }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    meetingRsvpQueries.upsert.run(meetingId, userId, status);
+
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('meetingRsvpRecorded', lang, {
+          title: meeting.title,
+          response: `${RSVP_STATUSES[status].emoji} ${t(RSVP_STATUSES[status].labelKey, lang)}`,
+          summary: formatRsvpSummary(meetingId, lang),
+        }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  // Handle snooze buttons on reminders (also used in DMs)
+  // The follow-up goes to the channel the button was clicked in, for the clicking user only
+  if (componentType === 2 && customId && customId.startsWith('snooze_')) {
+    const [, minutesStr, meetingIdStr, occurrence] = customId.split('_');
+    const minutes = parseInt(minutesStr);
+    const meetingId = parseInt(meetingIdStr);
+
+    const meeting = SNOOZE_OPTIONS.includes(minutes) && !isNaN(meetingId) ? meetingQueries.getById.get(meetingId) : null;
+    const meetingSettings = guildSettingsQueries.get.get(meeting?.guild_id ?? guildId ?? null);
+    const lang = getGuildLanguage(meetingSettings);
+    if (!meeting || (guildId && meeting.guild_id !== guildId)) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('meetingNotFound', lang, { id: meetingIdStr }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    if (isOccurrenceOver(meeting, occurrence)) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('meetingOccurrenceOver', lang, {
+            title: meeting.title,
+            date: formatDateTime(new Date(occurrence), meetingSettings?.timezone || 'Asia/Seoul'),
+          }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    const remindAt = new Date(Date.now() + minutes * 60 * 1000);
+    if (remindAt >= new Date(meeting.date)) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('meetingSnoozeTooLate', lang, { title: meeting.title }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    meetingJobQueries.insert.run(meetingId, 'snooze', meeting.date, null, userId, channelId, remindAt.toISOString(), null);
+
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('meetingSnoozed', lang, { title: meeting.title, minutes }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  // Handle the notes button on meeting start reminders (also used in DMs)
+  // The button names its occurrence: by the time notes are written, a recurring meeting has moved on
+  if (componentType === 2 && customId && customId.startsWith('notes_')) {
+    const [, meetingIdStr, occurrence] = customId.split('_');
+    const record = getMeetingRecord(parseInt(meetingIdStr), occurrence);
+    const lang = getGuildLanguage(guildSettingsQueries.get.get(record?.guild_id ?? guildId ?? null));
+    if (!record || (guildId && record.guild_id !== guildId)) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('meetingNotFound', lang, { id: meetingIdStr }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    if (!getMeetingMemberIds(record).includes(userId)) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('meetingNotParticipant', lang, { title: record.title }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    return res.send(buildNotesModal(record, lang));
+  }
+
+  if (!guildId) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('serverOnlyCommand', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  // Handle delete meeting button
+  if (componentType === 2 && customId && customId.startsWith('delete_meeting_')) {
+    const meetingId = parseInt(customId.replace('delete_meeting_', ''));
+    
+    if (isNaN(meetingId)) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'Invalid meeting ID' }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    const meeting = meetingQueries.getById.get(meetingId);
+    if (!meeting || meeting.guild_id !== guildId) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('meetingNotFound', lang, { id: meetingId }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    const settings = guildSettingsQueries.get.get(guildId);
+    const timezone = settings?.timezone || 'Asia/Seoul';
+    
+    const meetingTitle = meeting.title;
+    const meetingDate = formatDateTime(new Date(meeting.date), timezone);
+    
+    // Store deleted meeting data for undo (5 minutes)
+    const deletedMeetingData = {
+      id: meeting.id,
+      guild_id: meeting.guild_id,
+      title: meeting.title,
+      date: meeting.date,
+      participants: meeting.participants,
+      channel_id: meeting.channel_id,
+      reminder_minutes: meeting.reminder_minutes,
+      rrule: meeting.rrule,
+      series_start: meeting.series_start,
+      series_id: meeting.rrule ? ensureMeetingSeries(meeting) : meeting.series_id,
+      member_ids: meeting.member_ids,
+      deletedAt: Date.now(),
+    };
+    deletedMeetings.set(meetingId, deletedMeetingData);
+    
+    // Auto-remove after timeout
+    setTimeout(() => {
+      deletedMeetings.delete(meetingId);
+    }, UNDO_TIMEOUT);
+    
+    archiveMeetingOccurrence(meeting, new Date(meeting.date) > new Date() ? 'cancelled' : 'completed');
+    meetingQueries.delete.run(meetingId);
+    if (meeting.rrule) {
+      deletedMeetingData.detached = deleteDetachedOccurrences(deletedMeetingData.series_id, new Date());
+    }
+
+    // Create undo button
+    const undoButton = {
+      type: 1, // ACTION_ROW
+      components: [
+        {
+          type: 2, // BUTTON
+          style: 1, // PRIMARY (blue)
+          label: lang === 'ko' ? '되돌리기 (Undo)' : 'Undo',
+          custom_id: `undo_delete_${meetingId}`,
+          emoji: { name: '↩️' },
+        },
+      ],
+    };
+
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('meetingDeleted', lang, {
+          title: meetingTitle,
+          date: meetingDate,
+        }),
+        components: [undoButton],
+        // No EPHEMERAL flag - visible to everyone
+      },
+    });
+  }
+  
+  // Handle undo delete button
+  if (componentType === 2 && customId && customId.startsWith('undo_delete_')) {
+    const meetingId = parseInt(customId.replace('undo_delete_', ''));
+    
+    if (isNaN(meetingId)) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'Invalid meeting ID' }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+    
+    const deletedMeeting = deletedMeetings.get(meetingId);
+    if (!deletedMeeting) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: lang === 'ko' ? '되돌릴 수 없습니다. 삭제된 지 5분이 지났거나 이미 복구되었습니다.' : 'Cannot undo. The meeting was deleted more than 5 minutes ago or has already been restored.',
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+    
+    // Check if meeting was deleted from same guild
+    if (deletedMeeting.guild_id !== guildId) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'Cannot undo meeting from different server' }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+    
+    // Restore meeting - reuse the original ID if available, otherwise get the next one
+    try {
+      restoreMeetingRow(deletedMeeting);
+      // Separately edited occurrences deleted along with their series
+      for (const row of deletedMeeting.detached || []) {
+        restoreMeetingRow(row);
+      }
+      
+      // Remove from deleted meetings cache
+      deletedMeetings.delete(meetingId);
+      
+      const settings = guildSettingsQueries.get.get(guildId);
+      const timezone = settings?.timezone || 'Asia/Seoul';
+      
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: lang === 'ko' 
+            ? `✅ 회의가 복구되었습니다: **${deletedMeeting.title}** (${formatDateTime(new Date(deletedMeeting.date), timezone)})`
+            : `✅ Meeting restored: **${deletedMeeting.title}** (${formatDateTime(new Date(deletedMeeting.date), timezone)})`,
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    } catch (error) {
+      console.error('Error restoring meeting:', error);
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'Failed to restore meeting' }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+  }
+
+  // Unknown component interaction
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: t('errorOccurred', lang, { message: 'Unknown component interaction' }),
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+/**
+ * Handle modal submit interactions
+ * @param {Object} body - Discord interaction body
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleModalSubmit(body, res) {
+  const { guild_id: guildId, data } = body;
+  const userId = body.member?.user?.id || body.user?.id;
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+  const customId = data?.custom_id || '';
+
+  // Meeting notes, from /meeting notes or the notes button (also used in DMs)
+  if (customId.startsWith('meeting_notes_')) {
+    const recordId = parseInt(customId.replace('meeting_notes_', ''));
+    const record = !isNaN(recordId) ? meetingRecordQueries.getById.get(recordId) : null;
+    const lang = getGuildLanguage(guildSettingsQueries.get.get(record?.guild_id ?? guildId ?? null));
+    if (!record || (guildId && record.guild_id !== guildId)) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('meetingNotFound', lang, { id: record?.meeting_id ?? '?' }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    if (!getMeetingMemberIds(record).includes(userId)) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('meetingNotParticipant', lang, { title: record.title }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    const input = (data.components || [])
+      .flatMap(row => row.components || [])
+      .find(component => component.custom_id === 'notes');
+    const notes = input?.value?.trim() || null;
+    meetingRecordQueries.setNotes.run(notes, userId, record.id);
+
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t(notes ? 'meetingNotesSaved' : 'meetingNotesCleared', lang, { title: record.title, id: record.meeting_id }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: t('errorOccurred', lang, { message: 'Unknown modal submission' }),
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+/**
+ * Handle set-recurring-meeting command
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Channel ID where command was executed
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleSetRecurringMeeting(data, guildId, channelId, res) {
+  try {
+    const settings = guildSettingsQueries.get.get(guildId);
+    const lang = getGuildLanguage(settings);
+    const timezone = settings?.timezone || 'Asia/Seoul';
+    
+    if (!guildId) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('serverOnlyCommand', lang),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    // Extract options
+    const options = data.options || [];
+    const getOption = (name) => options.find(opt => opt.name === name)?.value;
+
+    const title = getOption('title');
+    const timeStr = getOption('time');
+    const participantsStr = getOption('participants');
+    const repeatType = getOption('repeat_type');
+    const customRule = getOption('rrule');
+    const interval = getOption('interval') ?? 1;
+    const weekday = getOption('weekday');
+    const weekdaysStr = getOption('weekdays');
+    const dayOfMonth = getOption('day_of_month');
+    const weekOfMonth = getOption('week_of_month');
+    const month = getOption('month');
+    const excludeWeekdaysStr = getOption('exclude_weekdays');
+    const reminderMinutesStr = getOption('reminder_minutes') || '15';
+    const repeatEndStr = getOption('repeat_end_date');
+    const count = getOption('count');
+    
+    // Use channel from settings (already configured)
+    const meetingChannelId = settings?.meeting_channel_id || channelId;
+
+    // Validate required fields
+    if (!title) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'Title is required' }),
+        },
+      });
+    }
+
+    if (!timeStr) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'Time is required' }),
+        },
+      });
+    }
+
+    if (!participantsStr) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'Participants are required' }),
+        },
+      });
+    }
+
+    if (!repeatType && !customRule) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'Repeat type or rrule is required' }),
+        },
+      });
+    }
+
+    // Parse time
+    const timeMatch = timeStr.match(/^(\d{1,2}):(\d{2})$/);
+    if (!timeMatch) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'Invalid time format. Use HH:mm (e.g., 14:30)' }),
+        },
+      });
+    }
+
+    const hours = parseInt(timeMatch[1]);
+    const minutes = parseInt(timeMatch[2]);
+    if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'Invalid time. Hours must be 0-23, minutes must be 0-59' }),
+        },
+      });
+    }
+
+    // Validate repeat type options
+    if (repeatType === 'weekly' || repeatType === 'biweekly') {
+      if ((weekday === null || weekday === undefined) && !weekdaysStr) {
+        return res.send({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('errorOccurred', lang, { message: 'Weekday or weekdays is required for this repeat type' }),
+          },
+        });
+      }
+    }
+
+    if (repeatType === 'monthly_weekday') {
+      if (weekday === null || weekday === undefined) {
+        return res.send({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('errorOccurred', lang, { message: 'Weekday is required for this repeat type' }),
+          },
+        });
+      }
+    }
+
+    if (repeatType === 'monthly_day' || repeatType === 'yearly') {
+      if (dayOfMonth === null || dayOfMonth === undefined) {
+        return res.send({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('errorOccurred', lang, { message: 'Day of month is required for monthly_day and yearly repeat types' }),
+          },
+        });
+      }
+    }
+
+    if (repeatType === 'yearly') {
+      if (month === null || month === undefined) {
+        return res.send({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('errorOccurred', lang, { message: 'Month is required for yearly repeat type' }),
+          },
+        });
+      }
+    }
+
+    if (repeatType === 'monthly_weekday') {
+      if (weekOfMonth === null || weekOfMonth === undefined) {
+        return res.send({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('errorOccurred', lang, { message: 'Week of month is required for monthly_weekday repeat type' }),
+          },
+        });
+      }
+    }
+
+    // Parse participants
+    const participants = parseParticipants(participantsStr);
+    if (participants.length === 0) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'No valid participants found' }),
+        },
+      });
+    }
+
+    // Parse reminder minutes
+    const reminderMinutesArray = reminderMinutesStr
+      .split(',')
+      .map(m => parseInt(m.trim()))
+      .filter(m => !isNaN(m) && m >= 0)
+      .sort((a, b) => b - a);
+
+    if (reminderMinutesArray.length === 0) {
+      reminderMinutesArray.push(15);
+    }
+
+    // Parse repeat end date (the whole day counts, in the server timezone)
+    let until = null;
+    if (repeatEndStr) {
+      const endMatch = repeatEndStr.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+      if (!endMatch) {
+        return res.send({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('invalidDate', lang),
+          },
+        });
+      }
+      const [, endYear, endMonth, endDay] = endMatch.map(Number);
+      until = new Date(zonedTimeToUtc(endYear, endMonth, endDay + 1, 0, 0, 0, timezone).getTime() - 1000);
+    }
+
+    // Build the recurrence rule from the options, or take a custom RRULE as-is
+    const parseWeekdays = (str) => [...new Set(str
+      .split(',')
+      .map(w => parseInt(w.trim()))
+      .filter(w => !isNaN(w) && w >= 0 && w <= 6))]
+      .sort((a, b) => a - b);
+
+    let rule;
+    try {
+      if (customRule) {
+        rule = parseRRule(customRule, timezone);
+      } else {
+        const weekdays = weekdaysStr ? parseWeekdays(weekdaysStr) : [weekday].filter(w => w !== null && w !== undefined);
+        const base = { interval, byDay: [], byMonthDay: [], byMonth: [], bySetPos: [], count: null, until: null, wkst: 1 };
+
+        if (repeatType === 'daily') {
+          const excludedWeekdays = excludeWeekdaysStr ? parseWeekdays(excludeWeekdaysStr) : [];
+          const byDay = excludedWeekdays.length > 0
+            ? [0, 1, 2, 3, 4, 5, 6].filter(w => !excludedWeekdays.includes(w)).map(w => ({ ordinal: null, weekday: w }))
+            : [];
+          rule = { ...base, freq: 'DAILY', byDay };
+        } else if (repeatType === 'weekly' || repeatType === 'biweekly') {
+          rule = {
+            ...base,
+            freq: 'WEEKLY',
+            interval: repeatType === 'biweekly' ? 2 : interval,
+            byDay: weekdays.map(w => ({ ordinal: null, weekday: w })),
+          };
+        } else if (repeatType === 'monthly_day') {
+          rule = { ...base, freq: 'MONTHLY', byMonthDay: [dayOfMonth] };
+        } else if (repeatType === 'monthly_weekday') {
+          rule = { ...base, freq: 'MONTHLY', byDay: [{ ordinal: weekOfMonth, weekday }] };
+        } else if (repeatType === 'yearly') {
+          rule = { ...base, freq: 'YEARLY', byMonth: [month], byMonthDay: [dayOfMonth] };
+        } else {
+          return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('errorOccurred', lang, { message: 'Invalid repeat type' }),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+        // Round-trip through the parser so out-of-range values are rejected
+        rule = parseRRule(formatRRule(rule), timezone);
+      }
+
+      if (count && until) {
+        throw new Error('count and repeat_end_date cannot be used together');
+      }
+      if (count) rule = { ...rule, count, until: null };
+      if (until) rule = { ...rule, until, count: null };
+    } catch (error) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: error.message }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    // The series starts at its first occurrence from today at the given time (in the server timezone)
+    // COUNT and UNTIL are left out here so nothing before the first meeting counts towards them
+    const now = new Date();
+    const today = getLocalParts(now, timezone);
+    const anchor = zonedTimeToUtc(today.year, today.month, today.day, hours, minutes, 0, timezone);
+    const { date: meetingDate } = getNextWorkingOccurrence({ ...rule, count: null, until: null }, anchor, guildId, settings, { after: now });
+    if (!meetingDate || (rule.until && meetingDate > rule.until)) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('errorOccurred', lang, { message: 'The repeat rule has no upcoming occurrences' }),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+    const rrule = formatRRule(rule);
+
+    // Validate channel access
+    const isValid = await validateChannel(meetingChannelId);
+    if (!isValid) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('invalidChannelError', lang),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    // Insert into database under the next meeting ID (deleted IDs are not reused)
+    const nextId = getNextMeetingId();
+    const result = meetingQueries.insert.run(
+      nextId,
+      guildId,
+      title,
+      meetingDate.toISOString(),
+      JSON.stringify(participants),
+      meetingChannelId,
+      JSON.stringify(reminderMinutesArray),
+      rrule,
+      meetingDate.toISOString()
+    );
+
+    const meetingId = nextId;
+
+    // Resolve role members in the background; the interaction must be answered within 3 seconds
+    cacheMeetingMembers(meetingId, guildId, participants)
+      .catch(error => console.error('Error caching meeting members:', error));
+
+    // Schedule reminders
+    scheduleMeetingJobs(meetingId);
+    const reminderTimes = reminderMinutesArray.map(minutes => {
+      const reminderTime = new Date(meetingDate.getTime() - minutes * 60 * 1000);
+      // For 0 minutes (meeting start), check if meeting date is in the future
+      // For other reminders, check if reminder time is in the future
+      if ((minutes === 0 && meetingDate > new Date()) || (minutes > 0 && reminderTime > new Date())) {
+        return { minutes, time: reminderTime };
+      }
+      return null;
+    }).filter(Boolean);
+
+    const reminderTimesText = reminderTimes.length > 0
+      ? reminderTimes.map(rt => {
+          let minutesText;
+          if (rt.minutes === 0) {
+            minutesText = lang === 'ko' ? '시작' : 'start';
+          } else {
+            minutesText = lang === 'ko' ? `${rt.minutes}분 전` : `${rt.minutes} min before`;
+          }
+          return `${formatDateTime(rt.time, timezone)} (${minutesText})`;
+        }).join('\n')
+      : t('allRemindersPassed', lang);
+
+    const repeatText = formatRepeatInfo(rrule, lang, timezone);
+
+    // Check for conflicts with first occurrence (excluding the newly created meeting)
+    const conflictWarning = checkMeetingConflict(guildId, meetingDate, meetingId, timezone);
+    
+    const scheduledMessage = t('meetingScheduled', lang, {
+      title,
+      date: formatDateTime(meetingDate, timezone),
+      participants: formatParticipants(participants),
+      reminderTimes: reminderTimesText,
+      repeatText,
+      id: meetingId,
+    });
+    
+    const finalMessage = conflictWarning 
+      ? `${scheduledMessage}\n\n${conflictWarning}`
+      : scheduledMessage;
+
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: finalMessage,
+        components: [buildRsvpButtons(meetingId, meetingDate.toISOString(), lang)],
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  } catch (error) {
+    console.error('Error in handleSetRecurringMeeting:', error);
+    const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+    const lang = getGuildLanguage(settings);
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('errorOccurred', lang, { message: error.message }),
+      },
+    });
+  }
+}
+
+/**
+ * Parse a repository URL or path
+ * Accepts GitHub, GitLab and Gitea URLs (including self-hosted ones) or a bare
+ * owner/repo path; GitLab paths may include subgroups
+ * @param {string} repositoryUrl - Repository URL or path (with or without .git)
+ * @param {string|null} [provider] - 'github', 'gitlab' or 'gitea' if known
+ * @returns {Object|null} { owner, repo, full_name, url, provider } or null if invalid.
+ *   provider is null for a self-hosted URL when none was given; url is null when the host is unknown
+ */
+function parseRepository(repositoryUrl, provider = null) {
+  if (!repositoryUrl) return null;
+
+  const value = repositoryUrl.trim().replace(/\/$/, '').replace(/\.git$/i, '');
+  let protocol = 'https';
+  let host = null;
+  let path = value;
+
+  const urlMatch = value.match(/^(https?):\/\/([^/]+)\/(.+)$/i)
+    || value.match(/^()((?:www\.)?(?:github|gitlab)\.com)\/(.+)$/i);
+  if (urlMatch) {
+    protocol = urlMatch[1] || 'https';
+    host = urlMatch[2].toLowerCase().replace(/^www\./, '');
+    path = urlMatch[3];
+  }
+
+  const segments = path.split('/');
+  if (segments.length < 2 || !segments.every(s => /^[\w\-\.]+$/.test(s))) return null;
+
+  const hostProviders = { 'github.com': 'github', 'gitlab.com': 'gitlab' };
+  // Without a host, only GitLab has nested (subgroup) paths
+  const resolved = provider || hostProviders[host] || (host ? null : (segments.length === 2 ? 'github' : 'gitlab'));
+  if (resolved === 'github' && segments.length !== 2) return null;
+
+  let url = host ? `${protocol}://${host}/${path}` : null;
+  if (!url && resolved === 'github') url = `https://github.com/${path}`;
+  if (!url && resolved === 'gitlab') url = `https://gitlab.com/${path}`;
+
+  return {
+    owner: segments.slice(0, -1).join('/'),
+    repo: segments[segments.length - 1],
+    full_name: path,
+    url,
+    provider: resolved,
+  };
+}
+
+/**
+ * Handle setup-github command
+ * Adds a subscription for the repository and shows webhook setup steps
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Channel ID where command was executed
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleSetupGitHub(data, guildId, channelId, res) {
+  const settings = guildSettingsQueries.get.get(guildId);
+  const lang = getGuildLanguage(settings);
+  
+  if (!guildId) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('serverOnlyCommand', lang),
+      },
+    });
+  }
+
+  const channelOption = data.options?.find(opt => opt.name === 'channel');
+  const repositoryOption = data.options?.find(opt => opt.name === 'repository');
+  const targetChannelId = channelOption?.value || channelId;
+  const repositoryUrl = repositoryOption?.value;
+
+  // Repository is required
+  if (!repositoryUrl) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('errorOccurred', lang, { message: 'Repository URL is required.' }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const providerOption = data.options?.find(opt => opt.name === 'provider')?.value;
+  const repositoryInfo = parseRepository(repositoryUrl, providerOption);
+  const repositoryError = getRepositoryError(repositoryInfo);
+  if (repositoryError) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t(repositoryError, lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  // Subscribe the channel to the repository (other subscriptions are kept)
+  const secret = getOrCreateWebhookSecret(guildId, repositoryInfo.full_name);
+  githubSubscriptionQueries.insert.run(guildId, repositoryInfo.full_name, targetChannelId, secret, repositoryInfo.provider);
+
+  // Remember the channel as the guild's default GitHub channel
+  if (targetChannelId) {
+    guildSettingsQueries.setGithubChannel.run(guildId, targetChannelId);
+  }
+
+  const webhookUrl = getWebhookUrl(repositoryInfo.provider);
+  
+  const repoInfo = t('githubRepoRegistered', lang, {
+    repo: repositoryInfo.full_name,
+    url: repositoryInfo.url,
+  });
+  
+  const stepsKeys = { github: 'githubSteps', gitlab: 'gitlabSteps', gitea: 'giteaSteps' };
+  const steps = t(stepsKeys[repositoryInfo.provider], lang, {
+    url: repositoryInfo.url,
+    webhookUrl,
+    secret,
+  });
+
+  const responseMessage = t('githubSetup', lang, {
+    channelId: targetChannelId,
+    repoInfo,
+    webhookUrl,
+    steps,
+  });
+
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: responseMessage,
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+/**
+ * Get the webhook secret for a guild's subscriptions to a repository, creating one if needed
+ * Subscriptions without a secret (created before secrets existed) are given the same one
+ * @param {string} guildId - Guild ID
+ * @param {string} repository - Repository full name (owner/repo)
+ * @returns {string} Webhook secret
+ */
+function getOrCreateWebhookSecret(guildId, repository) {
+  const existing = githubSubscriptionQueries.getWebhookSecret.get(guildId, repository);
+  const secret = existing?.webhook_secret || crypto.randomBytes(20).toString('hex');
+  githubSubscriptionQueries.fillWebhookSecret.run(secret, guildId, repository);
+  return secret;
+}
+
+/**
+ * Get the public URL a provider should deliver webhooks to
+ * @param {string} [provider] - 'github', 'gitlab' or 'gitea'
+ * @returns {string} Webhook URL
+ */
+function getWebhookUrl(provider = 'github') {
+  return `${getPublicBaseUrl()}/webhook/${provider}`;
+}
+
+/**
+ * Get the bot's public base URL (webhooks and calendar feeds)
+ * @returns {string} Base URL without a trailing slash
+ */
+function getPublicBaseUrl() {
+  return process.env.WEBHOOK_BASE_URL || 'https://rundeerundeebot-production.up.railway.app';
+}
+
+/**
+ * Check that a parsed repository can be subscribed to
+ * @param {Object|null} repositoryInfo - Result of parseRepository
+ * @returns {string|null} Message key describing the problem, or null if valid
+ */
+function getRepositoryError(repositoryInfo) {
+  if (!repositoryInfo) return 'invalidGithubUrl';
+  // Self-hosted URLs don't say which software they run
+  if (!repositoryInfo.provider) return 'repositoryProviderRequired';
+  // Setup steps link to the repository, so Gitea needs its full URL
+  if (!repositoryInfo.url) return 'repositoryUrlRequired';
+  return null;
+}
+
+/**
+ * Handle github subscribe command
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Channel ID where command was executed
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleSubscribeGitHub(data, guildId, channelId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+
+  if (!guildId) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('serverOnlyCommand', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const repositoryUrl = data.options?.find(opt => opt.name === 'repository')?.value;
+  const targetChannelId = data.options?.find(opt => opt.name === 'channel')?.value
+    || settings?.github_channel_id
+    || channelId;
+
+  const providerOption = data.options?.find(opt => opt.name === 'provider')?.value;
+  const repositoryInfo = parseRepository(repositoryUrl, providerOption);
+  const repositoryError = getRepositoryError(repositoryInfo);
+  if (repositoryError) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t(repositoryError, lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  // Validate channel access
+  const isValid = await validateChannel(targetChannelId);
+  if (!isValid) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('invalidChannelError', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const secret = getOrCreateWebhookSecret(guildId, repositoryInfo.full_name);
+  const result = githubSubscriptionQueries.insert.run(guildId, repositoryInfo.full_name, targetChannelId, secret, repositoryInfo.provider);
+  const messageKey = result.changes > 0 ? 'githubSubscribed' : 'githubAlreadySubscribed';
+
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: t(messageKey, lang, {
+        repo: repositoryInfo.full_name,
+        channelId: targetChannelId,
+        webhookUrl: getWebhookUrl(repositoryInfo.provider),
+        secret,
+      }),
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+/**
+ * Handle github unsubscribe command
+ * Removes the repository from one channel, or from every channel if none is given
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleUnsubscribeGitHub(data, guildId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+
+  if (!guildId) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('serverOnlyCommand', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const repositoryUrl = data.options?.find(opt => opt.name === 'repository')?.value;
+  const targetChannelId = data.options?.find(opt => opt.name === 'channel')?.value;
+
+  const repositoryInfo = parseRepository(repositoryUrl);
+  if (!repositoryInfo) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('invalidGithubUrl', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const result = targetChannelId
+    ? githubSubscriptionQueries.delete.run(guildId, repositoryInfo.full_name, targetChannelId)
+    : githubSubscriptionQueries.deleteByGuildAndRepository.run(guildId, repositoryInfo.full_name);
+
+  if (result.changes === 0) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('githubSubscriptionNotFound', lang, { repo: repositoryInfo.full_name }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: t('githubUnsubscribed', lang, { repo: repositoryInfo.full_name, count: result.changes }),
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+/**
+ * Format a guild's GitHub subscriptions as a list
+ * Subscriptions without any webhook secret are flagged, since their deliveries are rejected
+ * @param {Array<Object>} subscriptions - Subscription rows
+ * @param {string} lang - Language code
+ * @returns {string} One line per subscription
+ */
+function formatGitHubSubscriptions(subscriptions, lang) {
+  return subscriptions
+    .map(s => {
+      const filters = [
+        s.event_filter,
+        s.branch_filter && `branches: ${s.branch_filter}`,
+        s.path_filter && `paths: ${s.path_filter}`,
+        s.digest_mode === 'interval' && `digest: ${s.digest_interval}m`,
+        s.digest_mode === 'daily' && `digest: ${s.digest_time}`,
+      ].filter(Boolean);
+      const filterText = filters.map(f => ` \`${f}\``).join('');
+      const provider = s.provider && s.provider !== 'github' ? ` (${WEBHOOK_PROVIDERS[s.provider]?.name || s.provider})` : '';
+      const hasSecret = s.webhook_secret || ((s.provider || 'github') === 'github' && process.env.GITHUB_WEBHOOK_SECRET);
+      const secretWarning = hasSecret ? '' : ` ${t('githubSubscriptionNoSecret', lang)}`;
+      return `- **${s.repository}**${provider} → <#${s.channel_id}>${filterText}${secretWarning}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Find the guild's subscriptions for a repository, optionally narrowed to one channel
+ * @param {string} guildId - Guild ID
+ * @param {string} repositoryUrl - Repository URL or owner/repo string
+ * @param {string|undefined} channelId - Channel ID to narrow to (all channels if omitted)
+ * @returns {Object|null} { repositoryInfo, subscriptions } or null if the repository is invalid
+ */
+function findGitHubSubscriptions(guildId, repositoryUrl, channelId) {
+  const repositoryInfo = parseRepository(repositoryUrl);
+  if (!repositoryInfo) return null;
+
+  const subscriptions = githubSubscriptionQueries.getByGuildAndRepository.all(guildId, repositoryInfo.full_name)
+    .filter(s => !channelId || s.channel_id === channelId);
+  return { repositoryInfo, subscriptions };
+}
+
+/**
+ * Handle github events command
+ * Shows or sets the event allow-list of a repository subscription
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleGitHubEvents(data, guildId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+
+  if (!guildId) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('serverOnlyCommand', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const getOption = (name) => data.options?.find(opt => opt.name === name)?.value;
+  const filterStr = getOption('filter');
+
+  const found = findGitHubSubscriptions(guildId, getOption('repository'), getOption('channel'));
+  if (!found) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('invalidGithubUrl', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const { repositoryInfo, subscriptions } = found;
+  if (subscriptions.length === 0) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('githubSubscriptionNotFound', lang, { repo: repositoryInfo.full_name }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  // No filter given - show the current filters
+  if (filterStr === undefined) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('githubEventFilterStatus', lang, {
+          repo: repositoryInfo.full_name,
+          list: subscriptions
+            .map(s => `- <#${s.channel_id}>: ${s.event_filter ? `\`${s.event_filter}\`` : t('githubEventFilterAll', lang)}`)
+            .join('\n'),
+        }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  let filter;
+  try {
+    filter = parseEventFilter(filterStr);
+  } catch (error) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('githubEventFilterInvalid', lang, { message: error.message }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const storedFilter = formatEventFilter(filter);
+  for (const subscription of subscriptions) {
+    githubSubscriptionQueries.setEventFilter.run(storedFilter, subscription.id);
+  }
+
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: t('githubEventFilterSet', lang, {
+        repo: repositoryInfo.full_name,
+        filter: storedFilter ? `\`${storedFilter}\`` : t('githubEventFilterAll', lang),
+        count: subscriptions.length,
+      }),
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+/**
+ * Handle github push-filters command
+ * Shows or sets the branch/path globs a subscription's push notifications must match
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleGitHubPushFilters(data, guildId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+
+  if (!guildId) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('serverOnlyCommand', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const getOption = (name) => data.options?.find(opt => opt.name === name)?.value;
+  const branchesStr = getOption('branches');
+  const pathsStr = getOption('paths');
+
+  const found = findGitHubSubscriptions(guildId, getOption('repository'), getOption('channel'));
+  if (!found) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('invalidGithubUrl', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const { repositoryInfo, subscriptions } = found;
+  if (subscriptions.length === 0) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('githubSubscriptionNotFound', lang, { repo: repositoryInfo.full_name }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  // "all" or "*" clears a filter; an omitted option keeps the current value
+  const normalizeGlobs = (value) => {
+    const trimmed = value.trim().toLowerCase();
+    if (trimmed === 'all' || trimmed === '*') return null;
+    return parseGlobList(value).join(', ') || null;
+  };
+
+  if (branchesStr !== undefined || pathsStr !== undefined) {
+    for (const subscription of subscriptions) {
+      githubSubscriptionQueries.setPushFilters.run(
+        branchesStr !== undefined ? normalizeGlobs(branchesStr) : subscription.branch_filter,
+        pathsStr !== undefined ? normalizeGlobs(pathsStr) : subscription.path_filter,
+        subscription.id
+      );
+    }
+  }
+
+  const updated = subscriptions.map(s => githubSubscriptionQueries.getById.get(s.id));
+  const notSet = t('githubPushFilterNone', lang);
+  const list = updated
+    .map(s => t('githubPushFilterLine', lang, {
+      channelId: s.channel_id,
+      branches: s.branch_filter || notSet,
+      paths: s.path_filter || notSet,
+    }))
+    .join('\n');
+
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: t('githubPushFilterStatus', lang, { repo: repositoryInfo.full_name, list }),
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+/**
+ * Handle github ci command
+ * Sets whether a subscription gets every CI result or only failures and recoveries
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleGitHubCiMode(data, guildId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+
+  if (!guildId) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('serverOnlyCommand', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const getOption = (name) => data.options?.find(opt => opt.name === name)?.value;
+  const mode = getOption('mode');
+
+  if (mode !== 'all' && mode !== 'failures') {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('errorOccurred', lang, { message: 'Invalid mode. Use "all" or "failures".' }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const found = findGitHubSubscriptions(guildId, getOption('repository'), getOption('channel'));
+  if (!found) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('invalidGithubUrl', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const { repositoryInfo, subscriptions } = found;
+  if (subscriptions.length === 0) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('githubSubscriptionNotFound', lang, { repo: repositoryInfo.full_name }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
 
+  for (const subscription of subscriptions) {
+    githubSubscriptionQueries.setCiNotifyMode.run(mode, subscription.id);
+  }
+
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: t(mode === 'failures' ? 'githubCiModeFailures' : 'githubCiModeAll', lang, {
+        repo: repositoryInfo.full_name,
+        count: subscriptions.length,
+      }),
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+/**
+ * Handle github digest command
+ * Switches subscriptions between immediate notifications and periodic digests
+ * @param {Object} data - Command data from Discord
+ * @param {string} guildId - Guild ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleGitHubDigest(data, guildId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+
+  if (!guildId) {
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: finalMessage,
+        content: t('serverOnlyCommand', lang),
         flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
-  } catch (error) {
-    console.error('Error in handleSetRecurringMeeting:', error);
-    const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
-    const lang = getGuildLanguage(settings);
+  }
+
+  const getOption = (name) => data.options?.find(opt => opt.name === name)?.value;
+  const mode = getOption('mode');
+  const interval = getOption('interval') ?? 60;
+  const time = getOption('time')?.trim() || '09:00';
+
+  const found = findGitHubSubscriptions(guildId, getOption('repository'), getOption('channel'));
+  if (!found) {
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: t('errorOccurred', lang, { message: error.message }),
+        content: t('invalidGithubUrl', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
   }
-}
 
-// Helper functions for date calculations (kept for potential future use)
-/**
- * Get next occurrence of a weekday from a given date
- * @param {Date} fromDate - Starting date
- * @param {number} weekday - Weekday (0=Sunday, 6=Saturday)
- * @param {number} hours - Hours (0-23)
- * @param {number} minutes - Minutes (0-59)
- * @returns {Date} Next occurrence date
- */
-function getNextWeekday(fromDate, weekday, hours, minutes) {
-  const date = new Date(fromDate);
-  date.setHours(hours, minutes, 0, 0);
-  
-  const currentWeekday = date.getDay();
-  let daysUntilTarget = (weekday - currentWeekday + 7) % 7;
-  
-  // If today is the target weekday but time has passed, move to next week
-  if (daysUntilTarget === 0 && date <= fromDate) {
-    daysUntilTarget = 7;
+  const { repositoryInfo, subscriptions } = found;
+  if (subscriptions.length === 0) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('githubSubscriptionNotFound', lang, { repo: repositoryInfo.full_name }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
   }
-  
-  date.setDate(date.getDate() + daysUntilTarget);
-  return date;
-}
 
-/**
- * Get next occurrence of a day of month from a given date
- * @param {Date} fromDate - Starting date
- * @param {number} dayOfMonth - Day of month (1-31)
- * @param {number} hours - Hours (0-23)
- * @param {number} minutes - Minutes (0-59)
- * @returns {Date} Next occurrence date
- */
-function getNextDayOfMonth(fromDate, dayOfMonth, hours, minutes) {
-  const date = new Date(fromDate);
-  date.setDate(dayOfMonth);
-  date.setHours(hours, minutes, 0, 0);
-  
-  if (date <= fromDate) {
-    // Move to next month
-    date.setMonth(date.getMonth() + 1);
-    date.setDate(dayOfMonth);
+  if (mode === 'daily' && !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('githubDigestInvalidTime', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
   }
-  
-  return date;
-}
 
-/**
- * Get the date of nth weekday of a month
- * @param {number} year - Year
- * @param {number} month - Month (0-based)
- * @param {number} weekOfMonth - Week of month (1-4, or -1 for last week)
- * @param {number} weekday - Weekday (0=Sunday, 6=Saturday)
- * @returns {Date} Date object
- */
-function getNthWeekday(year, month, weekOfMonth, weekday) {
-  const firstDay = new Date(year, month, 1);
-  const firstWeekday = firstDay.getDay();
-  let date = 1 + ((weekday - firstWeekday + 7) % 7);
-  
-  if (weekOfMonth === -1) {
-    // Last week - find last occurrence
-    const lastDay = new Date(year, month + 1, 0);
-    const lastWeekday = lastDay.getDay();
-    date = lastDay.getDate() - ((lastWeekday - weekday + 7) % 7);
-  } else {
-    date += (weekOfMonth - 1) * 7;
-    const maxDay = new Date(year, month + 1, 0).getDate();
-    if (date > maxDay) {
-      // Fallback to last occurrence
-      const lastDay = new Date(year, month + 1, 0);
-      date = lastDay.getDate() - ((lastDay.getDay() - weekday + 7) % 7);
+  const now = new Date().toISOString();
+  let messageKey;
+  for (const subscription of subscriptions) {
+    if (mode === 'interval') {
+      githubSubscriptionQueries.setDigest.run('interval', interval, null, now, subscription.id);
+      messageKey = 'githubDigestInterval';
+    } else if (mode === 'daily') {
+      githubSubscriptionQueries.setDigest.run('daily', null, time, now, subscription.id);
+      messageKey = 'githubDigestDaily';
+    } else {
+      githubSubscriptionQueries.setDigest.run('off', null, null, null, subscription.id);
+      messageKey = 'githubDigestOff';
+      // Post whatever was still waiting rather than dropping it
+      flushGitHubDigest(subscription).catch(error => {
+        console.error(`Error flushing GitHub digest for subscription ${subscription.id}:`, error);
+      });
     }
   }
-  
-  return new Date(year, month, date);
+
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: t(messageKey, lang, {
+        repo: repositoryInfo.full_name,
+        count: subscriptions.length,
+        interval,
+        time,
+        timezone: settings?.timezone || 'Asia/Seoul',
+      }),
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
 }
 
+// Discord permission bit for Administrator
+const ADMINISTRATOR_PERMISSION = 0x8n;
+
 /**
- * Get next occurrence of nth weekday of month from a given date
- * @param {Date} fromDate - Starting date
- * @param {number} weekOfMonth - Week of month (1-4, or -1 for last week)
- * @param {number} weekday - Weekday (0=Sunday, 6=Saturday)
- * @param {number} hours - Hours (0-23)
- * @param {number} minutes - Minutes (0-59)
- * @returns {Date} Next occurrence date
+ * Check whether a guild member has the Administrator permission
+ * @param {Object|undefined} member - Interaction member (with computed permissions)
+ * @returns {boolean} True for administrators
  */
-function getNextNthWeekday(fromDate, weekOfMonth, weekday, hours, minutes) {
-  let date = getNthWeekday(fromDate.getFullYear(), fromDate.getMonth(), weekOfMonth, weekday);
-  date.setHours(hours, minutes, 0, 0);
-  
-  if (date <= fromDate) {
-    // Move to next month
-    const nextMonth = fromDate.getMonth() + 1;
-    date = getNthWeekday(fromDate.getFullYear(), nextMonth, weekOfMonth, weekday);
-    date.setHours(hours, minutes, 0, 0);
-  }
-  
-  return date;
+function isAdministrator(member) {
+  return (BigInt(member?.permissions || 0) & ADMINISTRATOR_PERMISSION) !== 0n;
 }
 
 /**
- * Handle setup-github command
+ * Handle github deliveries command (administrators only)
+ * Lists recent failed webhook deliveries, or replays one to the channels it didn't reach
+ * A replay can take one send per channel, so its result is posted after a deferred response
  * @param {Object} data - Command data from Discord
  * @param {string} guildId - Guild ID
- * @param {string} channelId - Channel ID where command was executed
+ * @param {Object} body - Interaction body (member with computed permissions, application ID and token)
  * @param {Object} res - Express response object
  * @returns {Promise<void>}
  */
-async function handleSetupGitHub(data, guildId, channelId, res) {
-  const settings = guildSettingsQueries.get.get(guildId);
+async function handleGitHubDeliveries(data, guildId, body, res) {
+  const member = body.member;
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
   const lang = getGuildLanguage(settings);
-  
+
   if (!guildId) {
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
         content: t('serverOnlyCommand', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
   }
 
-  const channelOption = data.options?.find(opt => opt.name === 'channel');
-  const repositoryOption = data.options?.find(opt => opt.name === 'repository');
-  const targetChannelId = channelOption?.value || channelId;
-  const repositoryUrl = repositoryOption?.value;
-
-  // Repository is required
-  if (!repositoryUrl) {
+  if (!isAdministrator(member)) {
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: t('errorOccurred', lang, { message: 'Repository URL is required.' }),
+        content: t('adminOnlyCommand', lang),
         flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
   }
 
-  // Parse and update repository
-  let repositoryInfo = null;
-  try {
-    // Support formats: https://github.com/user/repo.git, https://github.com/user/repo, user/repo.git, user/repo
-    const urlPattern = /(?:https?:\/\/)?(?:www\.)?github\.com\/([\w\-\.]+)\/([\w\-\.]+?)(?:\.git)?\/?$/i;
-    const match = repositoryUrl.trim().match(urlPattern);
-    
-    if (match) {
-      repositoryInfo = {
-        owner: match[1],
-        repo: match[2],
-        full_name: `${match[1]}/${match[2]}`,
-        url: `https://github.com/${match[1]}/${match[2]}`,
-      };
-      guildSettingsQueries.setGithubRepository.run(guildId, repositoryInfo.full_name);
-    } else {
-      // Try format: user/repo.git or user/repo
-      const simplePattern = /^([\w\-\.]+)\/([\w\-\.]+?)(?:\.git)?$/i;
-      const simpleMatch = repositoryUrl.trim().match(simplePattern);
-      
-      if (simpleMatch) {
-        repositoryInfo = {
-          owner: simpleMatch[1],
-          repo: simpleMatch[2],
-          full_name: `${simpleMatch[1]}/${simpleMatch[2]}`,
-          url: `https://github.com/${simpleMatch[1]}/${simpleMatch[2]}`,
-        };
-        guildSettingsQueries.setGithubRepository.run(guildId, repositoryInfo.full_name);
-      } else {
-        return res.send({
-          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-          data: {
-            content: t('invalidGithubUrl', lang),
-        flags: InteractionResponseFlags.EPHEMERAL,
-          },
-        });
-      }
+  const replayId = data.options?.find(opt => opt.name === 'replay')?.value;
+
+  if (!replayId) {
+    const failures = githubDeliveryQueries.getRecentFailuresByGuild.all(guildId, guildId, 10);
+    if (failures.length === 0) {
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: t('githubDeliveriesNone', lang),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
     }
-  } catch (error) {
+
+    const lines = failures.map(f => {
+      const channel = f.channel_id ? ` → <#${f.channel_id}>` : '';
+      const error = f.error ? `: ${f.error.substring(0, 100)}` : '';
+      return `- \`${f.delivery_id}\` ${f.event} **${f.repository}**${channel} (${f.received_at} UTC)${error}`;
+    });
+
+    // Drop the oldest lines until the list fits in a Discord message (2000 characters)
+    let content = t('githubDeliveriesList', lang, { deliveries: lines.join('\n') });
+    while (content.length > 2000 && lines.length > 1) {
+      lines.pop();
+      content = t('githubDeliveriesList', lang, { deliveries: lines.join('\n') });
+    }
+
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: t('errorOccurred', lang, { message: 'Failed to parse GitHub repository URL.' }),
+        content: content.slice(0, 2000),
         flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
   }
 
-  // Update channel (default to current channel if not provided)
-  if (targetChannelId) {
-    guildSettingsQueries.setGithubChannel.run(guildId, targetChannelId);
+  const delivery = githubDeliveryQueries.get.get(replayId);
+  const guildSubscriptions = delivery?.repository
+    ? githubSubscriptionQueries.getByGuildAndRepository.all(guildId, delivery.repository)
+      .filter(s => s.provider === delivery.provider)
+    : [];
+
+  // Only deliveries for this guild's repositories can be replayed from it
+  if (!delivery || guildSubscriptions.length === 0) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('githubDeliveryNotFound', lang, { id: replayId }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
   }
 
-  const webhookUrl = `${process.env.WEBHOOK_BASE_URL || 'https://rundeerundeebot-production.up.railway.app'}/webhook/github`;
-  
-  const repoInfo = t('githubRepoRegistered', lang, {
-    repo: repositoryInfo.full_name,
-    url: repositoryInfo.url,
-  });
-  
-  const steps = t('githubSteps', lang, {
-    url: repositoryInfo.url,
-    webhookUrl,
-  });
+  const payload = JSON.parse(delivery.payload);
+  const sentChannels = new Set(
+    githubDeliveryResultQueries.getByDelivery.all(delivery.delivery_id)
+      .filter(r => r.guild_id === guildId && r.status === 'sent')
+      .map(r => r.channel_id)
+  );
+  const targets = guildSubscriptions
+    .filter(s => isEventAllowed(s.event_filter, delivery.event, payload))
+    .filter(s => !sentChannels.has(s.channel_id));
 
-  const responseMessage = t('githubSetup', lang, {
-    channelId: targetChannelId,
-    repoInfo,
-    webhookUrl,
-    steps,
+  if (targets.length === 0) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('githubDeliveryNothingToReplay', lang, { id: delivery.delivery_id }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  res.send({
+    type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+    data: { flags: InteractionResponseFlags.EPHEMERAL },
   });
 
+  try {
+    await processGitHubDelivery(delivery.delivery_id, delivery.event, payload, targets);
+  } catch (error) {
+    console.error(`Error replaying GitHub delivery ${delivery.delivery_id}:`, error);
+  }
+
+  const details = { id: delivery.delivery_id, event: delivery.event, repo: delivery.repository };
+
+  // A batched review is only sent when its batch is flushed, so there is nothing to count yet
+  if (isGitHubDeliveryPending(delivery.delivery_id)) {
+    return editDeferredResponse(body, t('githubDeliveryReplayQueued', lang, details));
+  }
+
+  const targetChannels = new Set(targets.map(s => s.channel_id));
+  const results = githubDeliveryResultQueries.getByDelivery.all(delivery.delivery_id)
+    .filter(r => r.guild_id === guildId && targetChannels.has(r.channel_id));
+
+  return editDeferredResponse(body, t('githubDeliveryReplayed', lang, {
+    ...details,
+    sent: results.filter(r => r.status === 'sent').length,
+    failed: results.filter(r => r.status === 'failed').length,
+  }));
+}
+
+/**
+ * Handle github list command
+ * @param {string} guildId - Guild ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function handleListGitHubSubscriptions(guildId, res) {
+  const settings = guildId ? guildSettingsQueries.get.get(guildId) : null;
+  const lang = getGuildLanguage(settings);
+
+  if (!guildId) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('serverOnlyCommand', lang),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const subscriptions = githubSubscriptionQueries.getByGuild.all(guildId);
+  const content = subscriptions.length > 0
+    ? t('githubSubscriptionsList', lang, { list: formatGitHubSubscriptions(subscriptions, lang) })
+    : t('githubNoSubscriptions', lang);
+
   return res.send({
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
     data: {
-      content: responseMessage,
+      content,
       flags: InteractionResponseFlags.EPHEMERAL,
     },
   });
@@ -2064,6 +4803,19 @@ function formatParticipants(participants) {
   }).join(', ');
 }
 
+/**
+ * Parse a comma-separated list of reminder lead times
+ * @param {string} minutesStr - e.g. "60,5"
+ * @returns {Array<number>} Unique non-negative minutes, largest first (empty if none are valid)
+ */
+function parseReminderMinutes(minutesStr) {
+  const minutes = String(minutesStr)
+    .split(',')
+    .map(m => parseInt(m.trim()))
+    .filter(m => !isNaN(m) && m >= 0);
+  return [...new Set(minutes)].sort((a, b) => b - a);
+}
+
 /**
  * Format participants array for mention in reminder messages (space-separated)
  * @param {Array<string>} participants - Array of participant identifiers
@@ -2082,6 +4834,204 @@ function formatParticipantsMentions(participants) {
   }).join(' ');
 }
 
+// Guild member lists fetched to expand role participants
+const guildMemberCache = new Map();
+const GUILD_MEMBER_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Fetch all (non-bot) members of a guild, using a short-lived cache
+ * Requires the Server Members privileged intent
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array<Object>>} Guild member objects ({ user, roles })
+ */
+async function fetchGuildMembers(guildId) {
+  const cached = guildMemberCache.get(guildId);
+  if (cached && Date.now() - cached.fetchedAt < GUILD_MEMBER_CACHE_TTL) {
+    return cached.members;
+  }
+
+  const members = [];
+  let after = '0';
+  // The members endpoint returns at most 1000 members per page
+  while (true) {
+    const response = await DiscordRequest(`guilds/${guildId}/members?limit=1000&after=${after}`, {
+      method: 'GET',
+    });
+    const page = await response.json();
+    members.push(...page.filter(m => !m.user?.bot));
+    if (page.length < 1000) break;
+    after = page[page.length - 1].user.id;
+  }
+
+  guildMemberCache.set(guildId, { members, fetchedAt: Date.now() });
+  return members;
+}
+
+/**
+ * Resolve meeting participants to individual user IDs
+ * Role participants are expanded to the role's current members
+ * @param {string} guildId - Guild ID
+ * @param {Array<string>} participants - Participant identifiers ("u:id", "r:id" or plain user ID)
+ * @returns {Promise<Array<string>>} Unique user IDs
+ */
+async function resolveParticipantMembers(guildId, participants) {
+  const userIds = new Set(participants.filter(p => !p.startsWith('r:')).map(p => p.replace(/^u:/, '')));
+  const roleIds = participants.filter(p => p.startsWith('r:')).map(p => p.substring(2));
+
+  if (roleIds.length > 0) {
+    const members = await fetchGuildMembers(guildId);
+    for (const member of members) {
+      // @everyone shares the guild's ID and isn't listed in member.roles
+      if (roleIds.some(roleId => roleId === guildId || member.roles.includes(roleId))) {
+        userIds.add(member.user.id);
+      }
+    }
+  }
+
+  return [...userIds];
+}
+
+/**
+ * Resolve a meeting's participants and store the member list on the meeting
+ * Falls back to the directly mentioned users if the member list can't be fetched
+ * @param {number} meetingId - Meeting ID
+ * @param {string} guildId - Guild ID
+ * @param {Array<string>} participants - Participant identifiers
+ * @returns {Promise<void>}
+ */
+async function cacheMeetingMembers(meetingId, guildId, participants) {
+  let memberIds;
+  try {
+    memberIds = await resolveParticipantMembers(guildId, participants);
+  } catch (error) {
+    console.error(`Failed to resolve role participants for meeting ${meetingId}:`, error);
+    memberIds = participants.filter(p => !p.startsWith('r:')).map(p => p.replace(/^u:/, ''));
+  }
+  meetingQueries.setMemberIds.run(JSON.stringify(memberIds), meetingId);
+  // Role members may have personal lead times of their own
+  scheduleMeetingJobs(meetingId);
+}
+
+/**
+ * Get the individual users expected at a meeting
+ * @param {Object} meetingRow - Database row for the meeting
+ * @returns {Array<string>} User IDs (role members included once resolved)
+ */
+function getMeetingMemberIds(meetingRow) {
+  if (meetingRow.member_ids) {
+    return JSON.parse(meetingRow.member_ids);
+  }
+  // Not resolved yet (or created before member tracking): direct mentions only
+  return JSON.parse(meetingRow.participants)
+    .filter(p => !p.startsWith('r:'))
+    .map(p => p.replace(/^u:/, ''));
+}
+
+// RSVP responses in display order, with the button style and emoji for each
+const RSVP_STATUSES = {
+  accepted: { style: 3, emoji: '✅', labelKey: 'rsvpAccept' }, // SUCCESS (green)
+  declined: { style: 4, emoji: '❌', labelKey: 'rsvpDecline' }, // DANGER (red)
+  tentative: { style: 2, emoji: '❔', labelKey: 'rsvpTentative' }, // SECONDARY (grey)
+};
+
+/**
+ * Build the Accept / Decline / Tentative button row for a meeting occurrence
+ * @param {number} meetingId - Meeting ID
+ * @param {string} occurrence - Occurrence date (ISO); responses to it stop once it is over
+ * @param {string} lang - Language code
+ * @returns {Object} Discord action row
+ */
+function buildRsvpButtons(meetingId, occurrence, lang) {
+  return {
+    type: 1, // ACTION_ROW
+    components: Object.entries(RSVP_STATUSES).map(([status, { style, emoji, labelKey }]) => ({
+      type: 2, // BUTTON
+      style,
+      label: t(labelKey, lang),
+      custom_id: `rsvp_${status}_${meetingId}_${occurrence}`,
+      emoji: { name: emoji },
+    })),
+  };
+}
+
+// Snooze lengths offered on reminders, in minutes
+const SNOOZE_OPTIONS = [5, 10];
+
+/**
+ * Build the buttons attached to a reminder: RSVP, plus snooze before the meeting starts
+ * Every button carries the occurrence, since a recurring meeting keeps its ID as it moves on
+ * @param {Object} meetingRow - Meeting database row
+ * @param {number} reminderMinutes - Minutes before the meeting (0 = meeting start)
+ * @param {string} lang - Language code
+ * @returns {Array<Object>} Discord action rows
+ */
+function buildReminderComponents(meetingRow, reminderMinutes, lang) {
+  const { id: meetingId, date: occurrence } = meetingRow;
+  const rows = [buildRsvpButtons(meetingId, occurrence, lang)];
+  if (reminderMinutes > 0) {
+    rows.push({
+      type: 1, // ACTION_ROW
+      components: SNOOZE_OPTIONS.map(minutes => ({
+        type: 2, // BUTTON
+        style: 2, // SECONDARY (grey)
+        label: t('snoozeButton', lang, { minutes }),
+        custom_id: `snooze_${minutes}_${meetingId}_${occurrence}`,
+        emoji: { name: '⏰' },
+      })),
+    });
+  } else {
+    // The meeting is starting; notes can be written from here during or after it
+    rows.push({
+      type: 1, // ACTION_ROW
+      components: [{
+        type: 2, // BUTTON
+        style: 2, // SECONDARY (grey)
+        label: t('meetingNotesButton', lang),
+        custom_id: `notes_${meetingId}_${occurrence}`,
+        emoji: { name: '📝' },
+      }],
+    });
+  }
+  return rows;
+}
+
+/**
+ * Format the RSVP tally for a meeting
+ * @param {number} meetingId - Meeting ID
+ * @param {string} lang - Language code
+ * @returns {string} e.g. "✅ Accept 2 · ❌ Decline 1 · ❔ Tentative 0"
+ */
+function formatRsvpSummary(meetingId, lang) {
+  const counts = { accepted: 0, declined: 0, tentative: 0 };
+  for (const row of meetingRsvpQueries.countByMeeting.all(meetingId)) {
+    counts[row.status] = row.count;
+  }
+  return t('meetingRsvpSummary', lang, counts);
+}
+
+/**
+ * Format the upcoming skipped and moved occurrences of a recurring meeting
+ * @param {number} meetingId - Meeting ID
+ * @param {string} lang - Language code
+ * @param {string} timezone - Guild timezone
+ * @returns {string} Detail lines (with leading newlines), or '' if there are none
+ */
+function formatSeriesExceptions(meetingId, lang, timezone) {
+  const now = new Date();
+  const exceptions = meetingExceptionQueries.getByMeeting.all(meetingId);
+  const skipped = exceptions
+    .filter(e => !e.new_date && new Date(e.occurrence_date) > now)
+    .map(e => formatDateTime(new Date(e.occurrence_date), timezone));
+  const moved = exceptions
+    .filter(e => e.new_date && new Date(e.new_date) > now)
+    .map(e => `${formatDateTime(new Date(e.occurrence_date), timezone)} → ${formatDateTime(new Date(e.new_date), timezone)}`);
+
+  let text = '';
+  if (skipped.length > 0) text += t('seriesSkipped', lang, { dates: skipped.join(', ') });
+  if (moved.length > 0) text += t('seriesMoved', lang, { list: moved.join(', ') });
+  return text;
+}
+
 /**
  * Check for conflicting meetings at the same time
  * @param {string} guildId - Guild ID
@@ -2096,12 +5046,11 @@ function checkMeetingConflict(guildId, meetingDate, excludeMeetingId = null, tim
     : meetingQueries.getUpcoming.all();
   
   // Check for meetings within 30 minutes of the new meeting time
-  const conflictWindow = 30 * 60 * 1000; // 30 minutes in milliseconds
   const conflicts = meetings.filter(m => {
     if (excludeMeetingId && m.id === excludeMeetingId) return false;
     const existingDate = new Date(m.date);
     const timeDiff = Math.abs(existingDate.getTime() - meetingDate.getTime());
-    return timeDiff < conflictWindow;
+    return timeDiff < MEETING_CONFLICT_WINDOW;
   });
   
   if (conflicts.length > 0) {
@@ -2113,254 +5062,612 @@ function checkMeetingConflict(guildId, meetingDate, excludeMeetingId = null, tim
 }
 
 /**
- * Get repeat interval in days for a repeat type
- * @param {string} repeatType - Repeat type (daily, weekly, biweekly, monthly)
- * @returns {number|null} Interval in days or null
+ * Plan the queued jobs for a meeting's current occurrence
+ * Safe to call after any change: pending jobs for another date or for a lead time that is no
+ * longer used are dropped, and a job planned before (run or not) is not planned again.
+ * Lead times already behind us are left out so a new or edited meeting gets no late reminders;
+ * the end job is planned regardless, since the occurrence still has to be archived
+ * @param {number} meetingId - Meeting ID
  */
-function getRepeatInterval(repeatType) {
-  const intervals = {
-    daily: 1,
-    weekly: 7,
-    biweekly: 14,
-    monthly: 30,
-  };
-  return intervals[repeatType] || null;
+function scheduleMeetingJobs(meetingId) {
+  const meetingRow = meetingQueries.getById.get(meetingId);
+  if (!meetingRow) return;
+
+  const meetingDate = new Date(meetingRow.date);
+  const now = new Date();
+  const personalMinutes = [...getPersonalReminderSchedules(meetingRow).values()].flatMap(schedule => schedule.minutes);
+  const planned = [
+    ...JSON.parse(meetingRow.reminder_minutes).map(minutes => ({ kind: 'reminder', minutes })),
+    ...[...new Set(personalMinutes)].map(minutes => ({ kind: 'personal', minutes })),
+    { kind: 'end', minutes: 0 },
+  ].map(job => ({
+    ...job,
+    dueAt: new Date(meetingDate.getTime() - job.minutes * 60 * 1000),
+    key: `${meetingRow.id}:${meetingRow.date}:${job.kind}:${job.minutes}`,
+  }));
+
+  const keys = new Set(planned.map(job => job.key));
+  for (const job of meetingJobQueries.getPendingByMeeting.all(meetingRow.id)) {
+    // Snoozes belong to the occurrence they were asked for
+    const stale = job.kind === 'snooze' ? job.occurrence !== meetingRow.date : !keys.has(job.dedupe_key);
+    if (stale) {
+      meetingJobQueries.delete.run(job.id);
+    }
+  }
+
+  const archived = !meetingRow.rrule && meetingRecordQueries.getByMeetingDate.get(meetingRow.id, meetingRow.date)?.archived_at;
+  for (const job of planned) {
+    if (job.kind === 'end' ? archived : job.dueAt < now) continue;
+    meetingJobQueries.insert.run(meetingRow.id, job.kind, meetingRow.date, job.minutes, null, null, job.dueAt.toISOString(), job.key);
+  }
 }
 
 /**
- * Schedule a meeting reminder using cron
- * @param {number} meetingId - Meeting ID
- * @param {string} guildId - Guild ID
- * @param {string} title - Meeting title
- * @param {Date} date - Meeting date
- * @param {Array<string>} participants - Array of user IDs
- * @param {string} channelId - Channel ID to send reminder
- * @param {number} reminderMinutes - Minutes before meeting to send reminder
- */
-function scheduleMeetingReminder(meetingId, guildId, title, date, participants, channelId, reminderMinutes) {
-  // For meeting start notification (0 minutes), reminderTime equals meeting date
-  // For other reminders, reminderTime is before meeting date
-  const reminderTime = reminderMinutes === 0 ? date : new Date(date.getTime() - reminderMinutes * 60 * 1000);
-  
-  // Check if reminder time is in the future (or equal to now for 0 minutes)
-  if (reminderTime <= new Date()) return;
+ * Run a claimed meeting job
+ * @param {Object} job - Job row
+ * @returns {Promise<string>} Final status: 'done', 'missed' or 'cancelled'
+ */
+async function runMeetingJob(job) {
+  const meetingRow = meetingQueries.getById.get(job.meeting_id);
+  // The meeting was deleted, or has moved to another date since the job was planned
+  if (!meetingRow || meetingRow.date !== job.occurrence) return 'cancelled';
+
+  const late = new Date(job.due_at).getTime() < Date.now() - MEETING_JOB_GRACE_MINUTES * 60 * 1000;
+
+  if (job.kind === 'end') {
+    // An occurrence that passed while the bot was down can't be said to have been held
+    const status = late ? 'missed' : 'completed';
+    if (!meetingRow.rrule) {
+      // One-off meetings keep their row; they go into the history once they have started
+      if (!meetingRecordQueries.getByMeetingDate.get(meetingRow.id, meetingRow.date)?.archived_at) {
+        archiveMeetingOccurrence(meetingRow, status);
+      }
+      return 'done';
+    }
+    // Keep the occurrence in the history; notes can still be written for it
+    archiveMeetingOccurrence(meetingRow, status);
+    // Move the series on to its next occurrence; the row goes once the series has ended
+    const next = await handleRecurringMeeting(meetingRow);
+    if (!next) {
+      meetingQueries.delete.run(meetingRow.id);
+    }
+    return 'done';
+  }
 
-  // Get timezone from guild settings
-  const settings = guildSettingsQueries.get.get(guildId);
-  const timezone = settings?.timezone || 'Asia/Seoul';
+  if (late) {
+    return 'missed';
+  }
+
+  if (job.kind === 'reminder') {
+    await sendMeetingReminder(meetingRow, job.minutes);
+    const reminded = JSON.parse(meetingRow.reminded || '[]');
+    if (!reminded.includes(job.minutes)) {
+      meetingQueries.updateReminded.run(JSON.stringify([...reminded, job.minutes]), meetingRow.id);
+    }
+  } else if (job.kind === 'personal') {
+    // Deliveries are recorded per user, so a retry only reaches the users who were missed
+    const reminderTime = new Date(job.due_at);
+    await sendPersonalReminders(meetingRow, reminderTime, reminderTime);
+  } else if (job.kind === 'snooze') {
+    const settings = guildSettingsQueries.get.get(meetingRow.guild_id);
+    const lang = getGuildLanguage(settings);
+    const timezone = settings?.timezone || 'Asia/Seoul';
+    const minutesLeft = Math.max(0, Math.round((new Date(meetingRow.date) - Date.now()) / (60 * 1000)));
+    const message = formatMeetingReminder(meetingRow, minutesLeft, `<@${job.user_id}>`, lang, timezone);
+    await sendMessage(job.channel_id, message, { components: buildReminderComponents(meetingRow, minutesLeft, lang) });
+  }
+  return 'done';
+}
+
+let meetingJobsRunning = false;
 
-  // Get time components in the specified timezone (not server local time)
+/**
+ * Run the meeting jobs that are due, oldest first
+ * Each job is claimed before it runs, so it runs once even if ticks overlap;
+ * a failed job is tried again on the next tick, up to MEETING_JOB_MAX_ATTEMPTS times.
+ * Jobs that fall due while others run are picked up too, so a series that is several
+ * occurrences behind catches up in one go
+ * @returns {Promise<void>}
+ */
+async function runDueMeetingJobs() {
+  if (meetingJobsRunning) return;
+  meetingJobsRunning = true;
+  const attempted = new Set();
   try {
-    const formatter = new Intl.DateTimeFormat('en', {
-      timeZone: timezone,
-      year: 'numeric',
-      month: 'numeric',
-      day: 'numeric',
-      hour: 'numeric',
-      minute: 'numeric',
-      hour12: false
-    });
-    
-    const parts = formatter.formatToParts(reminderTime);
-    const year = parseInt(parts.find(p => p.type === 'year')?.value || '0');
-    const month = parseInt(parts.find(p => p.type === 'month')?.value || '0');
-    const day = parseInt(parts.find(p => p.type === 'day')?.value || '0');
-    const hour = parseInt(parts.find(p => p.type === 'hour')?.value || '0');
-    const minute = parseInt(parts.find(p => p.type === 'minute')?.value || '0');
+    let due;
+    while ((due = meetingJobQueries.getDue.all(new Date().toISOString()).filter(job => !attempted.has(job.id))).length > 0) {
+      await runMeetingJobs(due, attempted);
+    }
+  } finally {
+    meetingJobsRunning = false;
+  }
+}
 
-    const cronExpression = `${minute} ${hour} ${day} ${month} *`;
+/**
+ * Claim and run a batch of due meeting jobs
+ * @param {Array<Object>} jobs - Job rows
+ * @param {Set<number>} attempted - IDs of jobs tried during this run (updated)
+ * @returns {Promise<void>}
+ */
+async function runMeetingJobs(jobs, attempted) {
+  for (const job of jobs) {
+    attempted.add(job.id);
+    // Replanning while earlier jobs ran may have dropped this one
+    if (meetingJobQueries.claim.run(job.id).changes === 0) continue;
 
-    cron.schedule(cronExpression, async () => {
-      try {
-        const meeting = meetingQueries.getById.get(meetingId);
-        if (!meeting) return;
-
-        const reminded = JSON.parse(meeting.reminded || '[]');
-        if (reminded.includes(reminderMinutes)) return;
-
-        const reminderSettings = guildSettingsQueries.get.get(guildId);
-        const lang = getGuildLanguage(reminderSettings);
-        const reminderTimezone = reminderSettings?.timezone || 'Asia/Seoul';
-        const mentions = formatParticipantsMentions(participants);
-        // Use different message for meeting start (0 minutes) vs reminders
-        const messageKey = reminderMinutes === 0 ? 'meetingStart' : 'meetingReminder';
-        const messageParams = reminderMinutes === 0
-          ? { mentions, title, date: formatDateTime(date, reminderTimezone) }
-          : { mentions, title, date: formatDateTime(date, reminderTimezone), minutes: reminderMinutes };
-        const message = t(messageKey, lang, messageParams);
-
-        await sendMessage(channelId, message);
-        
-        reminded.push(reminderMinutes);
-        meetingQueries.updateReminded.run(JSON.stringify(reminded), meetingId);
-      } catch (error) {
-        console.error('Error sending meeting reminder:', error);
+    try {
+      meetingJobQueries.finish.run(await runMeetingJob(job), null, job.id);
+    } catch (error) {
+      console.error(`Error running ${job.kind} job ${job.id} for meeting ${job.meeting_id}:`, error);
+      if (job.attempts + 1 < MEETING_JOB_MAX_ATTEMPTS) {
+        meetingJobQueries.retry.run(error.message, job.id);
+      } else {
+        meetingJobQueries.finish.run('failed', error.message, job.id);
       }
-    }, {
-      scheduled: true,
-      timezone: timezone,
-    });
-  } catch (error) {
-    console.error(`Error scheduling reminder for meeting ${meetingId} in timezone ${timezone}:`, error);
-    // Fallback to UTC-based scheduling if timezone conversion fails
-    const minute = reminderTime.getUTCMinutes();
-    const hour = reminderTime.getUTCHours();
-    const day = reminderTime.getUTCDate();
-    const month = reminderTime.getUTCMonth() + 1;
-    const cronExpression = `${minute} ${hour} ${day} ${month} *`;
-
-    cron.schedule(cronExpression, async () => {
-      try {
-        const meeting = meetingQueries.getById.get(meetingId);
-        if (!meeting) return;
-
-        const reminded = JSON.parse(meeting.reminded || '[]');
-        if (reminded.includes(reminderMinutes)) return;
-
-        const reminderSettings = guildSettingsQueries.get.get(guildId);
-        const lang = getGuildLanguage(reminderSettings);
-        const reminderTimezone = reminderSettings?.timezone || 'Asia/Seoul';
-        const mentions = formatParticipantsMentions(participants);
-        // Use different message for meeting start (0 minutes) vs reminders
-        const messageKey = reminderMinutes === 0 ? 'meetingStart' : 'meetingReminder';
-        const messageParams = reminderMinutes === 0
-          ? { mentions, title, date: formatDateTime(date, reminderTimezone) }
-          : { mentions, title, date: formatDateTime(date, reminderTimezone), minutes: reminderMinutes };
-        const message = t(messageKey, lang, messageParams);
-
-        await sendMessage(channelId, message);
-        
-        reminded.push(reminderMinutes);
-        meetingQueries.updateReminded.run(JSON.stringify(reminded), meetingId);
-      } catch (error) {
-        console.error('Error sending meeting reminder:', error);
+    }
+  }
+}
+
+/**
+ * Find the meeting occurrences whose reminders fell due while the bot was down
+ * Reminders more than MEETING_JOB_GRACE_MINUTES late are marked missed here, so the queue
+ * doesn't send them; later ones are still sent by the queue as usual. Recurring meetings
+ * still on a past occurrence (e.g. from before the job queue) count as missed too; their
+ * end jobs move them on to the next occurrence
+ * @returns {Array<Object>} Meeting rows as they were at the missed occurrence
+ */
+function collectMissedMeetings() {
+  const cutoff = new Date(Date.now() - MEETING_JOB_GRACE_MINUTES * 60 * 1000);
+  const occurrences = new Map(); // meeting ID -> occurrence date
+  for (const job of meetingJobQueries.getOverdue.all(cutoff.toISOString())) {
+    meetingJobQueries.finish.run('missed', null, job.id);
+    if (job.kind !== 'snooze') {
+      occurrences.set(job.meeting_id, job.occurrence);
+    }
+  }
+  for (const meetingRow of meetingQueries.getAll.all()) {
+    if (meetingRow.rrule && new Date(meetingRow.date) < cutoff) {
+      occurrences.set(meetingRow.id, meetingRow.date);
+    }
+  }
+
+  const meetingRows = [];
+  for (const [meetingId, occurrence] of occurrences) {
+    // A meeting that was deleted or has moved to another date since is left alone
+    const meetingRow = meetingQueries.getById.get(meetingId);
+    if (meetingRow?.date === occurrence) {
+      meetingRows.push(meetingRow);
+    }
+  }
+  return meetingRows;
+}
+
+/**
+ * Tell each guild about its meetings whose reminders were missed while the bot was down
+ * Guilds set to 'silent' get nothing; otherwise a meeting that hasn't started yet gets a late
+ * reminder and one that has gets a short notice
+ * @param {Array<Object>} meetingRows - Meeting rows from collectMissedMeetings
+ * @returns {Promise<void>}
+ */
+async function sendMissedMeetingNotices(meetingRows) {
+  for (const meetingRow of meetingRows) {
+    const settings = guildSettingsQueries.get.get(meetingRow.guild_id);
+    if (settings?.missed_reminder_mode === 'silent') continue;
+
+    try {
+      const lang = getGuildLanguage(settings);
+      const timezone = settings?.timezone || 'Asia/Seoul';
+      const date = formatDateTime(new Date(meetingRow.date), timezone);
+      const minutesLeft = Math.round((new Date(meetingRow.date) - Date.now()) / (60 * 1000));
+      if (minutesLeft > 0) {
+        const mentions = formatParticipantsMentions(JSON.parse(meetingRow.participants));
+        await sendMessage(meetingRow.channel_id, t('missedReminderLate', lang, { mentions, title: meetingRow.title, date, minutes: minutesLeft }), {
+          components: buildReminderComponents(meetingRow, minutesLeft, lang),
+        });
+      } else {
+        const key = meetingRow.rrule ? 'missedSeriesNotice' : 'missedMeetingNotice';
+        await sendMessage(meetingRow.channel_id, t(key, lang, { title: meetingRow.title, date }));
       }
-    }, {
-      scheduled: true,
-      timezone: 'UTC',
-    });
+    } catch (error) {
+      console.error(`Error sending missed reminder notice for meeting ${meetingRow.id}:`, error);
+    }
   }
 }
 
 /**
- * Handle recurring meeting - create next occurrence after current meeting date
+ * Format a reminder (or meeting start) message for a meeting
  * @param {Object} meetingRow - Database row for the meeting
+ * @param {number} reminderMinutes - Minutes before the meeting (0 = meeting start)
+ * @param {string} mentions - Mentions to put in the message
+ * @param {string} lang - Language code
+ * @param {string} timezone - Timezone for the meeting date
+ * @returns {string} Localized message
  */
-async function handleRecurringMeeting(meetingRow) {
-  const dbMeeting = dbToMeeting(meetingRow);
-  const currentDate = new Date(dbMeeting.date);
-  const repeatEndDate = dbMeeting.repeatEndDate ? new Date(dbMeeting.repeatEndDate) : null;
+function formatMeetingReminder(meetingRow, reminderMinutes, mentions, lang, timezone) {
+  const date = formatDateTime(new Date(meetingRow.date), timezone);
+  const record = meetingRecordQueries.getByMeetingDate.get(meetingRow.id, meetingRow.date);
+  const agenda = record ? meetingRecordQueries.getAgenda.all(record.id) : [];
+  const agendaText = agenda.length > 0 ? `\n\n${t('meetingAgendaHeader', lang)}\n${formatAgendaItems(agenda)}` : '';
+  // Use different message for meeting start (0 minutes) vs reminders
+  const message = reminderMinutes === 0
+    ? t('meetingStart', lang, { mentions, title: meetingRow.title, date })
+    : t('meetingReminder', lang, { mentions, title: meetingRow.title, date, minutes: reminderMinutes });
+  return message + agendaText;
+}
+
+/**
+ * Get the users who get their own reminders for a meeting instead of the channel ping
+ * That is every participant who opted in to DMs, set default lead times, or set lead times for this meeting
+ * @param {Object} meetingRow - Database row for the meeting
+ * @returns {Map<string, {dm: boolean, minutes: Array<number>}>} Schedule by user ID
+ */
+function getPersonalReminderSchedules(meetingRow) {
+  const overrides = new Map(
+    meetingReminderQueries.getOverrides.all(meetingRow.id).map(o => [o.user_id, JSON.parse(o.reminder_minutes)])
+  );
+  // Only participants are reminded; an override left by someone no longer invited is ignored
+  const memberIds = getMeetingMemberIds(meetingRow);
+  const preferences = new Map(
+    userPreferenceQueries.getPersonal.all(JSON.stringify(memberIds)).map(p => [p.user_id, p])
+  );
 
-  // Check if we've reached the end date
-  if (repeatEndDate && currentDate >= repeatEndDate) {
-    return; // Stop recurring
+  const schedules = new Map();
+  for (const userId of memberIds.filter(id => overrides.has(id) || preferences.has(id))) {
+    const preference = preferences.get(userId);
+    const minutes = overrides.get(userId)
+      || (preference?.reminder_minutes ? JSON.parse(preference.reminder_minutes) : JSON.parse(meetingRow.reminder_minutes));
+    schedules.set(userId, { dm: preference?.dm_reminders === 1, minutes });
   }
+  return schedules;
+}
+
+/**
+ * Send a meeting's channel reminder
+ * Directly mentioned users with personal reminders are left out of the ping;
+ * role mentions are kept since the rest of the role still needs them
+ * @param {Object} meetingRow - Database row for the meeting
+ * @param {number} reminderMinutes - Minutes before the meeting (0 = meeting start)
+ * @returns {Promise<void>}
+ */
+async function sendMeetingReminder(meetingRow, reminderMinutes) {
+  const settings = guildSettingsQueries.get.get(meetingRow.guild_id);
+  const lang = getGuildLanguage(settings);
+  const timezone = settings?.timezone || 'Asia/Seoul';
+  const personal = getPersonalReminderSchedules(meetingRow);
 
-  // Parse repeat type
-  const repeatTypeStr = dbMeeting.repeatType || '';
-  let repeatType = repeatTypeStr;
-  let weekday = null;
-  let dayOfMonth = null;
-  let weekOfMonth = null;
-  let excludedWeekdays = [];
+  const participants = JSON.parse(meetingRow.participants)
+    .filter(p => p.startsWith('r:') || !personal.has(p.replace(/^u:/, '')));
+  const message = formatMeetingReminder(meetingRow, reminderMinutes, formatParticipantsMentions(participants), lang, timezone);
+  await sendMessage(meetingRow.channel_id, message, { components: buildReminderComponents(meetingRow, reminderMinutes, lang) });
+}
 
-  if (repeatTypeStr.includes(':')) {
-    const parts = repeatTypeStr.split(':');
-    repeatType = parts[0];
-    
-    if (repeatType === 'weekly' || repeatType === 'biweekly') {
-      weekday = parseInt(parts[1]);
-    } else if (repeatType === 'monthly_day') {
-      dayOfMonth = parseInt(parts[1]);
-    } else if (repeatType === 'monthly_weekday') {
-      weekOfMonth = parseInt(parts[1]);
-      weekday = parseInt(parts[2]);
-    } else if (repeatType === 'daily_except') {
-      excludedWeekdays = parts[1].split(',').map(w => parseInt(w));
+/**
+ * Send personal reminders that fall due within a time window
+ * Users who opted in to DMs get a DM; everyone else (and anyone whose DMs are closed)
+ * is mentioned in the meeting channel, grouped by lead time
+ * @param {Object} meetingRow - Database row for the meeting
+ * @param {Date} windowStart - Start of the window (inclusive)
+ * @param {Date} windowEnd - End of the window (inclusive)
+ * @returns {Promise<void>}
+ */
+async function sendPersonalReminders(meetingRow, windowStart, windowEnd) {
+  const schedules = getPersonalReminderSchedules(meetingRow);
+  if (schedules.size === 0) return;
+
+  const settings = guildSettingsQueries.get.get(meetingRow.guild_id);
+  const lang = getGuildLanguage(settings);
+  const timezone = settings?.timezone || 'Asia/Seoul';
+  const meetingDate = new Date(meetingRow.date);
+  const sent = new Set(meetingReminderQueries.getDeliveries.all(meetingRow.id).map(d => `${d.user_id}:${d.minutes}`));
+
+  const channelMentions = new Map(); // lead time -> user IDs
+  for (const [userId, { dm, minutes }] of schedules) {
+    for (const reminderMinutes of minutes) {
+      if (sent.has(`${userId}:${reminderMinutes}`)) continue;
+      const reminderTime = new Date(meetingDate.getTime() - reminderMinutes * 60 * 1000);
+      if (reminderTime < windowStart || reminderTime > windowEnd) continue;
+
+      if (dm) {
+        try {
+          await sendDirectMessage(userId, formatMeetingReminder(meetingRow, reminderMinutes, `<@${userId}>`, lang, timezone), {
+            components: buildReminderComponents(meetingRow, reminderMinutes, lang),
+          });
+          meetingReminderQueries.insertDelivery.run(meetingRow.id, userId, reminderMinutes);
+          continue;
+        } catch (error) {
+          console.error(`Failed to send reminder DM to user ${userId}:`, error);
+        }
+      }
+      channelMentions.set(reminderMinutes, [...(channelMentions.get(reminderMinutes) || []), userId]);
     }
   }
 
-  // Calculate next date
-  let nextDate;
-  const [hours, minutes] = [currentDate.getHours(), currentDate.getMinutes()];
-  
-  if (repeatType === 'daily' || repeatType === 'daily_except') {
-    // For daily with exclusions, skip excluded weekdays
-    nextDate = new Date(currentDate);
-    nextDate.setDate(nextDate.getDate() + 1);
-    nextDate.setHours(hours, minutes, 0, 0);
-    
-    // Skip excluded weekdays (max 7 iterations to avoid infinite loop)
-    let attempts = 0;
-    while (excludedWeekdays.includes(nextDate.getDay()) && attempts < 7) {
-      nextDate.setDate(nextDate.getDate() + 1);
-      attempts++;
-    }
-  } else if (repeatType === 'weekly' && weekday !== null) {
-    nextDate = getNextWeekday(new Date(currentDate.getTime() + 24 * 60 * 60 * 1000), weekday, hours, minutes);
-  } else if (repeatType === 'biweekly' && weekday !== null) {
-    // Find next occurrence 2 weeks from current
-    const twoWeeksLater = new Date(currentDate.getTime() + 14 * 24 * 60 * 60 * 1000);
-    nextDate = getNextWeekday(twoWeeksLater, weekday, hours, minutes);
-  } else if (repeatType === 'monthly_day' && dayOfMonth !== null) {
-    nextDate = getNextDayOfMonth(new Date(currentDate.getTime() + 24 * 60 * 60 * 1000), dayOfMonth, hours, minutes);
-  } else if (repeatType === 'monthly_weekday' && weekOfMonth !== null && weekday !== null) {
-    nextDate = getNextNthWeekday(new Date(currentDate.getTime() + 24 * 60 * 60 * 1000), weekOfMonth, weekday, hours, minutes);
-  } else {
-    // Fallback for old format or unknown type
-    nextDate = new Date(currentDate);
-    if (repeatType === 'weekly') {
-      nextDate.setDate(nextDate.getDate() + 7);
-    } else if (repeatType === 'biweekly') {
-      nextDate.setDate(nextDate.getDate() + 14);
-    } else {
-      nextDate.setMonth(nextDate.getMonth() + 1);
+  for (const [reminderMinutes, userIds] of channelMentions) {
+    const mentions = userIds.map(userId => `<@${userId}>`).join(' ');
+    await sendMessage(meetingRow.channel_id, formatMeetingReminder(meetingRow, reminderMinutes, mentions, lang, timezone), {
+      components: buildReminderComponents(meetingRow, reminderMinutes, lang),
+    });
+    for (const userId of userIds) {
+      meetingReminderQueries.insertDelivery.run(meetingRow.id, userId, reminderMinutes);
     }
   }
+}
+
+/**
+ * Get the series occurrence a meeting row stands for
+ * A moved occurrence keeps its original place in the series, which the next one is counted from
+ * @param {Object} meetingRow - Database row for the meeting
+ * @param {Array<Object>} exceptions - The series' exception rows
+ * @returns {Date} Original occurrence date
+ */
+function getOccurrenceSlot(meetingRow, exceptions) {
+  const moved = exceptions.find(e => e.new_date === meetingRow.date);
+  return new Date(moved ? moved.occurrence_date : meetingRow.date);
+}
+
+/**
+ * Get the holiday a guild observes on a date, from its bundled or uploaded holiday calendar
+ * @param {string} guildId - Guild ID
+ * @param {Object|null} settings - Guild settings row
+ * @param {Date} date - Date (compared by its day in the guild timezone)
+ * @returns {string|null} Holiday name, or null if the day is not a holiday
+ */
+function getGuildHoliday(guildId, settings, date) {
+  const calendar = settings?.holiday_calendar;
+  if (!calendar) return null;
+
+  const { year, month, day } = getLocalParts(date, settings?.timezone || 'Asia/Seoul');
+  const dateKey = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  if (calendar === 'ics') {
+    return guildHolidayQueries.get.get(guildId, dateKey)?.name ?? null;
+  }
+  return getHoliday(calendar, dateKey);
+}
+
+/**
+ * Get the next occurrence of a series that is not on a guild holiday
+ * @param {Object|string} rule - Recurrence rule (parsed or RRULE string)
+ * @param {Date} seriesStart - First occurrence of the series
+ * @param {string} guildId - Guild ID
+ * @param {Object|null} settings - Guild settings row
+ * @param {Object} options - Search options
+ * @param {Date} options.after - Only occurrences after this date are considered
+ * @param {Array<Date>} [options.exdates] - Occurrences to skip
+ * @param {Array<Date>} [options.keep] - Occurrences to keep even on a holiday
+ * @returns {{date: Date|null, holidays: Array<Date>}} Next occurrence, and the holiday occurrences passed over
+ */
+function getNextWorkingOccurrence(rule, seriesStart, guildId, settings, { after, exdates = [], keep = [] }) {
+  const timezone = settings?.timezone || 'Asia/Seoul';
+  const kept = new Set(keep.map(date => date.getTime()));
+  const holidays = [];
 
-  // Check if next date exceeds end date
-  if (repeatEndDate && nextDate > repeatEndDate) {
-    return;
+  let date = getNextOccurrence(rule, seriesStart, timezone, { after, exdates });
+  while (date && !kept.has(date.getTime()) && holidays.length < MAX_HOLIDAY_SKIPS && getGuildHoliday(guildId, settings, date)) {
+    holidays.push(date);
+    date = getNextOccurrence(rule, seriesStart, timezone, { after: date, exdates });
   }
+  return { date, holidays };
+}
+
+/**
+ * Skip upcoming recurring meetings that fall on a guild holiday
+ * Runs after the holiday calendar changes; later occurrences are checked by handleRecurringMeeting
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<void>}
+ */
+async function skipHolidayMeetings(guildId) {
+  const settings = guildSettingsQueries.get.get(guildId);
+  const now = new Date();
+
+  for (const meeting of meetingQueries.getUpcomingByGuild.all(guildId)) {
+    if (!meeting.rrule || new Date(meeting.date) <= now) continue;
 
-  // For daily_except, verify the next date is not excluded (extra safety check)
-  if (repeatType === 'daily_except' && excludedWeekdays.includes(nextDate.getDay())) {
-    // Skip to next valid day
-    let attempts = 0;
-    while (excludedWeekdays.includes(nextDate.getDay()) && attempts < 7) {
-      nextDate.setDate(nextDate.getDate() + 1);
-      attempts++;
+    const exceptions = meetingExceptionQueries.getByMeeting.all(meeting.id);
+    const isMoved = exceptions.some(e => e.new_date === meeting.date);
+    if (isMoved || !getGuildHoliday(guildId, settings, new Date(meeting.date))) continue;
+
+    archiveMeetingOccurrence(meeting, 'skipped');
+    const next = await handleRecurringMeeting(meeting);
+    if (next) {
+      meetingExceptionQueries.setHoliday.run(next.id, meeting.date);
+    } else {
+      meetingQueries.delete.run(meeting.id);
     }
-    
-    // Check again if we exceeded end date
-    if (repeatEndDate && nextDate > repeatEndDate) {
-      return;
-    }
-  }
-
-  // Create next meeting - reuse deleted IDs if available
-  const reminderMinutes = JSON.parse(dbMeeting.reminderMinutes);
-  const nextId = getNextMeetingId();
-  const result = meetingQueries.insert.run(
-    nextId,
-    dbMeeting.guildId,
-    dbMeeting.title,
-    nextDate.toISOString(),
-    dbMeeting.participants,
-    dbMeeting.channelId,
-    dbMeeting.reminderMinutes,
-    dbMeeting.repeatType,
-    dbMeeting.repeatInterval,
-    dbMeeting.repeatEndDate
-  );
+  }
+}
 
-  const nextMeetingId = nextId;
-  const participants = JSON.parse(dbMeeting.participants);
+/**
+ * Get the series of a recurring meeting, registering one for meetings created before series existed
+ * @param {Object} meetingRow - Database row for the meeting
+ * @returns {number} Series ID
+ */
+function ensureMeetingSeries(meetingRow) {
+  // The row passed in may predate a series registered earlier in the same operation
+  const existing = meetingRow.series_id ?? meetingQueries.getById.get(meetingRow.id)?.series_id;
+  if (existing) return existing;
+  const seriesId = Number(meetingSeriesQueries.insert.run(meetingRow.guild_id).lastInsertRowid);
+  meetingQueries.setSeriesId.run(seriesId, meetingRow.id);
+  return seriesId;
+}
 
-  // Schedule reminders for next meeting
-  reminderMinutes.forEach(minutes => {
-    scheduleMeetingReminder(nextMeetingId, dbMeeting.guildId, dbMeeting.title, nextDate, participants, dbMeeting.channelId, minutes);
+/**
+ * Handle recurring meeting - move the series on to the occurrence after the current one
+ * The meeting row keeps its ID; skipped occurrences are passed over and moved ones are
+ * scheduled at their new time. Callers archive the current occurrence first.
+ * @param {Object} meetingRow - Database row for the meeting
+ * @returns {Promise<{id: number, date: Date}|null>} The next occurrence, or null if the series has ended
+ */
+async function handleRecurringMeeting(meetingRow) {
+  const dbMeeting = dbToMeeting(meetingRow);
+  const settings = guildSettingsQueries.get.get(dbMeeting.guildId);
+  const timezone = settings?.timezone || 'Asia/Seoul';
+  const exceptions = meetingExceptionQueries.getByMeeting.all(dbMeeting.id);
+
+  // Occurrences are computed from the series start in the server timezone, so the
+  // wall-clock time stays the same across DST changes and COUNT/UNTIL are honored
+  const seriesStart = new Date(dbMeeting.seriesStart || dbMeeting.date);
+  const skipped = exceptions.filter(e => !e.new_date).map(e => new Date(e.occurrence_date));
+  // Occurrences on the guild's holidays are passed over, unless someone moved them there
+  const { date: nextSlot, holidays } = getNextWorkingOccurrence(dbMeeting.rrule, seriesStart, dbMeeting.guildId, settings, {
+    after: getOccurrenceSlot(meetingRow, exceptions),
+    exdates: skipped,
+    keep: exceptions.filter(e => e.new_date).map(e => new Date(e.occurrence_date)),
   });
+  if (!nextSlot) {
+    return null; // Series has ended
+  }
+  const moved = exceptions.find(e => e.new_date && e.occurrence_date === nextSlot.toISOString());
+  const nextDate = moved ? new Date(moved.new_date) : nextSlot;
+
+  ensureMeetingSeries(meetingRow);
+  meetingQueries.advance.run(nextDate.toISOString(), dbMeeting.id);
+  // Responses and sent reminders belonged to the occurrence that just ended (it is in the history now)
+  meetingRsvpQueries.deleteByMeeting.run(dbMeeting.id);
+  meetingReminderQueries.deleteDeliveriesByMeeting.run(dbMeeting.id);
+  for (const holiday of holidays) {
+    meetingExceptionQueries.setHoliday.run(dbMeeting.id, holiday.toISOString());
+  }
+
+  // Schedule reminders for next meeting; role membership may have changed since the last occurrence
+  scheduleMeetingJobs(dbMeeting.id);
+  await cacheMeetingMembers(dbMeeting.id, dbMeeting.guildId, JSON.parse(dbMeeting.participants));
+
+  return { id: dbMeeting.id, date: nextDate };
+}
+
+/**
+ * Insert a meeting row for an occurrence taken out of a series
+ * Personal lead times set with remind-me carry over, as they do within a series
+ * @param {Object} meeting - Series meeting row the occurrence comes from
+ * @param {Object} changes - Values for the new row ({ title, date, participants, reminderMinutes })
+ * @param {string|null} rrule - RRULE for a new series, or null for a single occurrence
+ * @param {Date|null} seriesStart - First occurrence of a new series
+ * @param {number} seriesId - Series the row belongs to
+ * @returns {Promise<number>} New meeting ID
+ */
+async function insertSeriesMeeting(meeting, changes, rrule, seriesStart, seriesId) {
+  const newId = getNextMeetingId();
+  meetingQueries.insert.run(
+    newId,
+    meeting.guild_id,
+    changes.title,
+    changes.date.toISOString(),
+    JSON.stringify(changes.participants),
+    meeting.channel_id,
+    JSON.stringify(changes.reminderMinutes),
+    rrule,
+    seriesStart ? seriesStart.toISOString() : null
+  );
+  meetingQueries.setSeriesId.run(seriesId, newId);
+  for (const override of meetingReminderQueries.getOverrides.all(meeting.id)) {
+    meetingReminderQueries.setOverride.run(newId, override.user_id, override.reminder_minutes);
+  }
+
+  scheduleMeetingJobs(newId);
+  await cacheMeetingMembers(newId, meeting.guild_id, changes.participants);
+  return newId;
+}
+
+/**
+ * Edit one occurrence of a recurring meeting on its own ("this occurrence")
+ * The occurrence becomes a single meeting in the same series and the series skips its slot
+ * @param {Object} meeting - Series meeting row
+ * @param {Array<Object>} exceptions - The series' exception rows
+ * @param {Date} occurrence - Original date of the occurrence
+ * @param {Object} changes - Edited values ({ title, date, participants, reminderMinutes }); date is null if unchanged
+ * @returns {Promise<number>} Meeting ID of the occurrence
+ */
+async function detachOccurrence(meeting, exceptions, occurrence, changes) {
+  const seriesId = ensureMeetingSeries(meeting);
+  const isUpcoming = occurrence.getTime() === getOccurrenceSlot(meeting, exceptions).getTime();
+  const moved = exceptions.find(e => e.new_date && e.occurrence_date === occurrence.toISOString());
+  const currentDate = isUpcoming ? new Date(meeting.date) : new Date(moved?.new_date || occurrence);
+  const date = changes.date || currentDate;
+
+  const newId = await insertSeriesMeeting(meeting, { ...changes, date }, null, null, seriesId);
+  if (isUpcoming) {
+    // The occurrence keeps its responses, agenda and notes
+    meetingRsvpQueries.moveToMeeting.run(newId, meeting.id);
+    meetingRecordQueries.moveOccurrence.run(newId, date.toISOString(), meeting.id, meeting.date);
+    const next = await handleRecurringMeeting(meeting);
+    if (!next) {
+      meetingQueries.delete.run(meeting.id);
+      return newId;
+    }
+  }
+  // Kept so the series passes over the slot and calendar exports leave it out
+  meetingExceptionQueries.set.run(meeting.id, occurrence.toISOString(), null);
+  return newId;
+}
+
+/**
+ * Edit an occurrence of a recurring meeting and the ones after it ("this and following")
+ * The series ends before the occurrence and a new series continues from it with the changes
+ * @param {Object} meeting - Series meeting row (the occurrence must be after its upcoming one)
+ * @param {Array<Object>} exceptions - The series' exception rows
+ * @param {Date} occurrence - Original date of the occurrence
+ * @param {Object} changes - Edited values ({ title, date, participants, reminderMinutes }); date is null if unchanged
+ * @param {string} timezone - Guild timezone
+ * @returns {Promise<number>} Meeting ID of the new series
+ */
+async function splitSeries(meeting, exceptions, occurrence, changes, timezone) {
+  const seriesStart = new Date(meeting.series_start || meeting.date);
+  const moved = exceptions.find(e => e.new_date && e.occurrence_date === occurrence.toISOString());
+  const rrule = rebaseRRule(meeting.rrule, seriesStart, timezone, occurrence);
+  meetingQueries.setRRule.run(endRRuleBefore(meeting.rrule, seriesStart, timezone, occurrence), meeting.id);
+
+  const date = changes.date || (moved ? new Date(moved.new_date) : occurrence);
+  const seriesId = Number(meetingSeriesQueries.insert.run(meeting.guild_id).lastInsertRowid);
+  const newId = await insertSeriesMeeting(meeting, { ...changes, date }, rrule, changes.date || occurrence, seriesId);
+
+  // Skips and moves from the occurrence on go with the new series; a new date drops them, as an edit does
+  if (changes.date) {
+    meetingExceptionQueries.deleteFromDate.run(meeting.id, occurrence.toISOString());
+  } else {
+    meetingExceptionQueries.moveFromDate.run(newId, meeting.id, occurrence.toISOString());
+  }
+  return newId;
+}
+
+/**
+ * Delete the separately edited occurrences of a series from a given time on
+ * @param {number|null} seriesId - Series ID
+ * @param {Date} from - Earliest date to delete
+ * @returns {Array<Object>} Deleted meeting rows
+ */
+function deleteDetachedOccurrences(seriesId, from) {
+  if (!seriesId) return [];
+  const rows = meetingQueries.getDetachedBySeries.all(seriesId, new Date(from.getTime() - 1).toISOString());
+  for (const row of rows) {
+    archiveMeetingOccurrence(row, 'cancelled');
+    meetingQueries.delete.run(row.id);
+  }
+  return rows;
+}
+
+/**
+ * Restore a deleted meeting row for undo, under its old ID if it is still free
+ * @param {Object} row - Meeting data saved at deletion
+ * @returns {number} Restored meeting ID
+ */
+function restoreMeetingRow(row) {
+  const restoreId = row.id && !meetingQueries.getById.get(row.id) ? row.id : getNextMeetingId();
+  meetingQueries.insert.run(
+    restoreId,
+    row.guild_id,
+    row.title,
+    row.date,
+    row.participants,
+    row.channel_id,
+    row.reminder_minutes,
+    row.rrule,
+    row.series_start
+  );
+  meetingQueries.setMemberIds.run(row.member_ids, restoreId);
+  meetingQueries.setSeriesId.run(row.series_id, restoreId);
+  meetingRecordQueries.reopen.run(restoreId, row.id, row.date);
+  scheduleMeetingJobs(restoreId);
+  return restoreId;
 }
 
 /**
@@ -2377,9 +5684,8 @@ function dbToMeeting(row) {
     participants: row.participants,
     channelId: row.channel_id,
     reminderMinutes: row.reminder_minutes,
-    repeatType: row.repeat_type,
-    repeatInterval: row.repeat_interval,
-    repeatEndDate: row.repeat_end_date,
+    rrule: row.rrule,
+    seriesStart: row.series_start,
     reminded: row.reminded,
   };
 }
@@ -2401,20 +5707,53 @@ async function validateChannel(channelId) {
   }
 }
 
+// DM channel IDs by user ID (a user's DM channel never changes)
+const dmChannelCache = new Map();
+
+/**
+ * Send a direct message to a user
+ * @param {string} userId - User ID
+ * @param {string} content - Message content
+ * @param {Object} [options] - Extra message fields (see sendMessage)
+ * @returns {Promise<Response>} Discord API response
+ * @throws {Error} Throws if the DM channel can't be opened or the user doesn't accept DMs
+ */
+async function sendDirectMessage(userId, content, options = {}) {
+  let channelId = dmChannelCache.get(userId);
+  if (!channelId) {
+    const response = await DiscordRequest('users/@me/channels', {
+      method: 'POST',
+      body: { recipient_id: userId },
+    });
+    channelId = (await response.json()).id;
+    dmChannelCache.set(userId, channelId);
+  }
+  return sendMessage(channelId, content, options);
+}
+
 /**
  * Send a message to a Discord channel
  * @param {string} channelId - Channel ID
- * @param {string} content - Message content
+ * @param {string} content - Message content (may be empty when embeds are given)
+ * @param {Object} [options] - Extra message fields
+ * @param {Array<Object>} [options.embeds] - Discord embeds to attach
+ * @param {Array<Object>} [options.components] - Action rows (e.g. buttons) to attach
  * @returns {Promise<Response>} Discord API response
  * @throws {Error} Throws CHANNEL_INVALID error if channel is inaccessible
  */
-async function sendMessage(channelId, content) {
+async function sendMessage(channelId, content, options = {}) {
   try {
+    const body = { content };
+    if (options.embeds) {
+      body.embeds = options.embeds;
+    }
+    if (options.components) {
+      body.components = options.components;
+    }
+
     return await DiscordRequest(`channels/${channelId}/messages`, {
       method: 'POST',
-      body: {
-        content,
-      },
+      body,
     });
   } catch (error) {
     console.error(`Failed to send message to channel ${channelId}:`, error);
@@ -2427,17 +5766,144 @@ async function sendMessage(channelId, content) {
 }
 
 /**
- * Handle GitHub push event and send notifications to configured guilds
+ * Replace a deferred interaction response with its final message
+ * @param {Object} body - Interaction body (application ID and token)
+ * @param {string} content - Message content
+ * @returns {Promise<void>}
+ */
+async function editDeferredResponse(body, content) {
+  try {
+    await DiscordRequest(`webhooks/${body.application_id}/${body.token}/messages/@original`, {
+      method: 'PATCH',
+      body: { content },
+    });
+  } catch (error) {
+    console.error('Error editing deferred interaction response:', error);
+  }
+}
+
+/**
+ * Build a Discord embed from a rendered GitHub notification template
+ * Templates look like "Title\n```\nLabel: value\n...\n\nfree text\n```[Link](url)":
+ * the title line becomes the embed title, leading "Label: value" lines become
+ * fields, the rest of the block becomes the description and the link the embed URL
+ * @param {string} message - Rendered message from t()
+ * @param {Object} [options] - Embed options
+ * @param {number} [options.color] - Embed color (see GITHUB_EMBED_COLORS)
+ * @param {Object} [options.sender] - GitHub user shown as the embed author
+ * @returns {Object} Discord embed object
+ */
+function buildGitHubEmbed(message, options = {}) {
+  const embed = {
+    color: options.color ?? GITHUB_EMBED_COLORS.neutral,
+    timestamp: new Date().toISOString(),
+  };
+
+  if (options.sender?.login) {
+    embed.author = {
+      name: options.sender.login,
+      icon_url: options.sender.avatar_url,
+      url: options.sender.html_url,
+    };
+  }
+
+  const match = message.match(/^([\s\S]*?)\n```\n([\s\S]*?)\n?```([\s\S]*)$/);
+  if (!match) {
+    const [title, ...rest] = message.split('\n');
+    embed.title = title.substring(0, 256);
+    if (rest.length > 0) embed.description = rest.join('\n').substring(0, 4096);
+    return embed;
+  }
+
+  const [, title, block, trailer] = match;
+  const fields = [];
+  const descriptionLines = [];
+  let inHeader = true;
+
+  for (const line of block.split('\n')) {
+    if (inHeader && line.trim() === '') {
+      inHeader = false;
+      continue;
+    }
+
+    const field = inHeader ? line.match(/^([^:]{1,64}):\s+(.+)$/) : null;
+    if (field && fields.length < 25) {
+      fields.push({
+        name: field[1],
+        value: field[2].substring(0, 1024),
+        inline: field[2].length <= 40,
+      });
+    } else {
+      descriptionLines.push(line);
+    }
+  }
+
+  embed.title = title.substring(0, 256);
+  if (fields.length > 0) embed.fields = fields;
+
+  const description = descriptionLines.join('\n').trim();
+  if (description) {
+    embed.description = description.length > 4096 ? description.substring(0, 4093) + '...' : description;
+  }
+
+  const link = trailer.match(/\[[^\]]+\]\(([^)\s]+)\)/);
+  if (link) embed.url = link[1];
+
+  return embed;
+}
+
+/**
+ * Send a GitHub notification to a subscription's channel
+ * Renders as an embed unless the guild chose the plain-text style
+ * @param {Object} subscription - GitHub subscription (guild_id, channel_id)
+ * @param {string} message - Rendered message from t()
+ * @param {Object} [options] - Embed options (color, sender), see buildGitHubEmbed
+ * @returns {Promise<Response>} Discord API response
+ */
+async function sendGitHubNotification(subscription, message, options = {}) {
+  const settings = guildSettingsQueries.get.get(subscription.guild_id);
+
+  try {
+    const response = settings?.github_message_style === 'plain'
+      ? await sendMessage(subscription.channel_id, message)
+      : await sendMessage(subscription.channel_id, '', { embeds: [buildGitHubEmbed(message, options)] });
+    recordGitHubDeliveryResult(subscription, 'sent');
+    return response;
+  } catch (error) {
+    recordGitHubDeliveryResult(subscription, 'failed', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Record the send outcome of a logged delivery for one subscription
+ * No-op for subscriptions that weren't tagged with a delivery ID
+ * @param {Object} subscription - GitHub subscription (deliveryId, guild_id, channel_id)
+ * @param {string} status - 'sent' or 'failed'
+ * @param {string} [error] - Error message for failed sends
+ */
+function recordGitHubDeliveryResult(subscription, status, error = null) {
+  if (!subscription.deliveryId) return;
+
+  try {
+    githubDeliveryResultQueries.upsert.run(subscription.deliveryId, subscription.guild_id, subscription.channel_id, status, error);
+  } catch (dbError) {
+    console.error(`Failed to record result for GitHub delivery ${subscription.deliveryId}:`, dbError);
+  }
+}
+
+/**
+ * Handle GitHub push event and send notifications to subscribed channels
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
 /**
- * Handle GitHub push event and send notifications to configured guilds
+ * Handle GitHub push event and send notifications to subscribed channels
  * Distinguishes between regular push, revert, branch creation/deletion
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubPush(payload, guilds) {
+async function handleGitHubPush(payload, subscriptions) {
   const repository = payload.repository;
   const pusher = payload.pusher;
   const commits = payload.commits || [];
@@ -2492,11 +5958,22 @@ async function handleGitHubPush(payload, guilds) {
     }
   }
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
+  const digestEntries = commits.map(c => ({
+    event: 'push',
+    branch: branchOrTag,
+    author: c.author?.name || pusher.name,
+    ref: c.id.substring(0, 7),
+    title: c.message.split('\n')[0],
+    url: c.url,
+  }));
+
+  for (const subscription of subscriptions) {
+    // Branch/path filters are per subscription, so channels watching the same repo can differ
+    if (!isPushAllowed(subscription, payload)) continue;
+    if (bufferGitHubDigestEvents(subscription, digestEntries)) continue;
 
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       // If this is a merge commit (not PR merge), send merge notification
@@ -2509,7 +5986,7 @@ async function handleGitHubPush(payload, guilds) {
           commitId: mergeInfo.commitId,
           commitUrl: mergeInfo.commitUrl,
         });
-        await sendMessage(guild.github_channel_id, message);
+        await sendGitHubNotification(subscription, message, { color: GITHUB_EMBED_COLORS.merged, sender: payload.sender });
         continue; // Skip regular push notification for merge commits
       }
       
@@ -2533,29 +6010,187 @@ async function handleGitHubPush(payload, guilds) {
         compareUrl: payload.compare,
       });
 
-      await sendMessage(guild.github_channel_id, message);
+      await sendGitHubNotification(subscription, message, {
+        color: isRevert ? GITHUB_EMBED_COLORS.warning : GITHUB_EMBED_COLORS.info,
+        sender: payload.sender,
+      });
     } catch (error) {
-      console.error(`Error sending GitHub push notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub push notification to guild ${subscription.guild_id}:`, error);
+    }
+  }
+}
+
+/**
+ * Hold events for a subscription's next digest instead of posting them
+ * @param {Object} subscription - GitHub subscription
+ * @param {Array<Object>} entries - Digest entries (event, action, branch, author, ref, title, url)
+ * @returns {boolean} True if the subscription is in digest mode (the caller should not post)
+ */
+function bufferGitHubDigestEvents(subscription, entries) {
+  if (!subscription.digest_mode || subscription.digest_mode === 'off') return false;
+
+  // Events with nothing to summarize are dropped, as they would be without a digest
+  if (entries.length === 0) return true;
+
+  try {
+    for (const entry of entries) {
+      githubDigestQueries.insert.run(
+        subscription.id,
+        entry.event,
+        entry.action || null,
+        entry.branch || null,
+        entry.author || null,
+        entry.ref || null,
+        entry.title || null,
+        entry.url || null,
+      );
+    }
+    recordGitHubDeliveryResult(subscription, 'buffered');
+  } catch (error) {
+    console.error(`Error buffering GitHub digest events for subscription ${subscription.id}:`, error);
+    recordGitHubDeliveryResult(subscription, 'failed', error.message);
+  }
+  return true;
+}
+
+/**
+ * Format buffered events as a digest grouped by branch, then author
+ * @param {Array} events - Buffered digest events, oldest first
+ * @param {string} lang - Language code (en/ko)
+ * @returns {string} Digest body
+ */
+function formatGitHubDigest(events, lang) {
+  const actionLabels = lang === 'ko'
+    ? {
+      opened: '열림', closed: '닫힘', merged: '머지됨', reopened: '다시 열림', synchronize: '업데이트됨',
+      assigned: '담당자 할당', review_requested: '리뷰 요청', ready_for_review: '리뷰 준비됨',
+      labeled: '라벨 추가', unlabeled: '라벨 제거',
+    }
+    : {
+      opened: 'opened', closed: 'closed', merged: 'merged', reopened: 'reopened', synchronize: 'updated',
+      assigned: 'assigned', review_requested: 'review requested', ready_for_review: 'ready for review',
+      labeled: 'labeled', unlabeled: 'unlabeled',
+    };
+  const noBranch = lang === 'ko' ? '이슈' : 'Issues';
+
+  // branch -> author -> lines, in order of first appearance
+  const groups = new Map();
+  for (const event of events) {
+    const branch = event.branch || noBranch;
+    const author = event.author || 'unknown';
+    if (!groups.has(branch)) groups.set(branch, new Map());
+    const authors = groups.get(branch);
+    if (!authors.has(author)) authors.set(author, []);
+
+    const title = (event.title || '').length > 80 ? event.title.substring(0, 77) + '...' : (event.title || '');
+    let line;
+    if (event.event === 'push') {
+      line = `${event.ref} ${title}`;
+    } else {
+      const type = event.event === 'pull_request' ? 'PR' : 'Issue';
+      line = `${type} ${event.ref} ${actionLabels[event.action] || event.action}: ${title}`;
+    }
+    authors.get(author).push(line);
+  }
+
+  // Plain-text messages are capped at 2000 characters
+  const MAX_ENTRIES = 20;
+  const lines = [];
+  let shown = 0;
+  let omitted = 0;
+  for (const [branch, authors] of groups) {
+    if (shown >= MAX_ENTRIES) {
+      for (const entries of authors.values()) omitted += entries.length;
+      continue;
+    }
+
+    lines.push(`[${branch}]`);
+    for (const [author, entries] of authors) {
+      const visible = entries.slice(0, MAX_ENTRIES - shown);
+      omitted += entries.length - visible.length;
+      if (visible.length === 0) continue;
+
+      lines.push(author);
+      lines.push(...visible.map(entry => `  - ${entry}`));
+      shown += visible.length;
     }
   }
+  if (omitted > 0) {
+    lines.push(t('githubDigestMoreEvents', lang, { count: omitted }));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Check whether a digest subscription should post now
+ * @param {Object} subscription - GitHub subscription in digest mode
+ * @param {Date} now - Current time
+ * @param {string} timezone - Guild timezone (used for daily digests)
+ * @returns {boolean} True if the digest is due
+ */
+function isGitHubDigestDue(subscription, now, timezone) {
+  const lastSent = subscription.digest_last_sent_at ? new Date(subscription.digest_last_sent_at) : null;
+
+  if (subscription.digest_mode === 'interval') {
+    const intervalMs = (subscription.digest_interval || 60) * 60 * 1000;
+    return !lastSent || now - lastSent >= intervalMs;
+  }
+
+  if (subscription.digest_mode === 'daily') {
+    // Shift into the guild timezone so the UTC fields read as local time
+    const offset = getTimezoneOffset(timezone, now);
+    const localNow = new Date(now.getTime() + offset).toISOString();
+    const today = localNow.substring(0, 10);
+    const time = localNow.substring(11, 16);
+    if (time < (subscription.digest_time || '09:00')) return false;
+    if (!lastSent) return true;
+    const lastSentDay = new Date(lastSent.getTime() + getTimezoneOffset(timezone, lastSent)).toISOString().substring(0, 10);
+    return lastSentDay < today;
+  }
+
+  return false;
+}
+
+/**
+ * Post a subscription's buffered events as one digest message
+ * @param {Object} subscription - GitHub subscription
+ * @param {Date} [now] - Time recorded as the digest's send time
+ * @returns {Promise<void>}
+ */
+async function flushGitHubDigest(subscription, now = new Date()) {
+  const events = githubDigestQueries.getBySubscription.all(subscription.id);
+  githubSubscriptionQueries.setDigestSentAt.run(now.toISOString(), subscription.id);
+  if (events.length === 0) return;
+
+  const settings = guildSettingsQueries.get.get(subscription.guild_id);
+  const lang = getGuildLanguage(settings);
+  const message = t('githubDigest', lang, {
+    repo: subscription.repository,
+    count: events.length,
+    since: formatDateTime(events[0].created_at.replace(' ', 'T') + 'Z', settings?.timezone || 'Asia/Seoul'),
+    digest: formatGitHubDigest(events, lang),
+  });
+
+  // Keep the events if sending fails; the next digest retries them
+  await sendGitHubNotification(subscription, message, { color: GITHUB_EMBED_COLORS.info });
+  githubDigestQueries.deleteUpTo.run(subscription.id, events[events.length - 1].id);
 }
 
 /**
  * Handle GitHub create event (branch/tag creation)
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubCreate(payload, guilds) {
+async function handleGitHubCreate(payload, subscriptions) {
   const repository = payload.repository;
   const refType = payload.ref_type; // 'branch' or 'tag'
   const refName = payload.ref;
   const sender = payload.sender;
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
-
+  for (const subscription of subscriptions) {
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       let message = '';
@@ -2581,10 +6216,10 @@ async function handleGitHubCreate(payload, guilds) {
       }
 
       if (message) {
-        await sendMessage(guild.github_channel_id, message);
+        await sendGitHubNotification(subscription, message, { color: GITHUB_EMBED_COLORS.success, sender });
       }
     } catch (error) {
-      console.error(`Error sending GitHub create notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub create notification to guild ${subscription.guild_id}:`, error);
     }
   }
 }
@@ -2592,19 +6227,17 @@ async function handleGitHubCreate(payload, guilds) {
 /**
  * Handle GitHub delete event (branch/tag deletion)
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubDelete(payload, guilds) {
+async function handleGitHubDelete(payload, subscriptions) {
   const repository = payload.repository;
   const refType = payload.ref_type; // 'branch' or 'tag'
   const refName = payload.ref;
   const sender = payload.sender;
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
-
+  for (const subscription of subscriptions) {
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       let message = '';
@@ -2626,29 +6259,49 @@ async function handleGitHubDelete(payload, guilds) {
       }
 
       if (message) {
-        await sendMessage(guild.github_channel_id, message);
+        await sendGitHubNotification(subscription, message, { color: GITHUB_EMBED_COLORS.failure, sender });
       }
     } catch (error) {
-      console.error(`Error sending GitHub delete notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub delete notification to guild ${subscription.guild_id}:`, error);
     }
   }
 }
 
 /**
- * Handle GitHub pull request event and send notifications to configured guilds
+ * Handle GitHub pull request event and send notifications to subscribed channels
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubPullRequest(payload, guilds) {
+async function handleGitHubPullRequest(payload, subscriptions) {
   const repository = payload.repository;
   const pullRequest = payload.pull_request;
   const action = payload.action;
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
+  let color = GITHUB_EMBED_COLORS.info;
+  if (action === 'closed') {
+    color = pullRequest.merged ? GITHUB_EMBED_COLORS.merged : GITHUB_EMBED_COLORS.failure;
+  } else if (['opened', 'reopened', 'ready_for_review'].includes(action)) {
+    color = GITHUB_EMBED_COLORS.success;
+  }
+
+  const digestActions = ['opened', 'closed', 'reopened', 'synchronize', 'assigned', 'review_requested', 'ready_for_review'];
+  const digestEntries = digestActions.includes(action)
+    ? [{
+      event: 'pull_request',
+      action: action === 'closed' && pullRequest.merged ? 'merged' : action,
+      branch: pullRequest.base.ref,
+      author: payload.sender?.login || pullRequest.user.login,
+      ref: `#${pullRequest.number}`,
+      title: pullRequest.title,
+      url: pullRequest.html_url,
+    }]
+    : [];
+
+  for (const subscription of subscriptions) {
+    if (bufferGitHubDigestEvents(subscription, digestEntries)) continue;
 
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       let message = '';
@@ -2742,29 +6395,239 @@ async function handleGitHubPullRequest(payload, guilds) {
       }
 
       if (message) {
-        await sendMessage(guild.github_channel_id, message);
+        await sendGitHubNotification(subscription, message, { color, sender: payload.sender });
+      }
+    } catch (error) {
+      console.error(`Error sending GitHub PR notification to guild ${subscription.guild_id}:`, error);
+    }
+  }
+}
+
+/**
+ * Get (or start) the pending batch for a pull request review
+ * Every call pushes the flush back so late comments still join the batch
+ * @param {Object} payload - GitHub webhook payload
+ * @param {number} reviewId - Review ID
+ * @returns {Object} Pending review batch
+ */
+function getPendingReview(payload, reviewId) {
+  const key = `${payload.repository.full_name}#${reviewId}`;
+  let pending = pendingReviews.get(key);
+  if (!pending) {
+    pending = {
+      repository: payload.repository,
+      pullRequest: payload.pull_request,
+      review: null,
+      comments: [],
+      // subscription ID -> { subscription, review, comments, deliveryIds }
+      targets: new Map(),
+      // Logged deliveries in the batch; they are marked processed once it is flushed
+      deliveryIds: new Set(),
+      timer: null,
+    };
+    pendingReviews.set(key, pending);
+  }
+
+  clearTimeout(pending.timer);
+  pending.timer = setTimeout(() => {
+    pendingReviews.delete(key);
+    flushPendingReview(pending).catch(error => {
+      console.error(`Error flushing GitHub review ${key}:`, error);
+    });
+  }, REVIEW_BATCH_DELAY);
+
+  return pending;
+}
+
+/**
+ * Record which parts of a review a subscription should receive
+ * @param {Object} pending - Pending review batch
+ * @param {Array} subscriptions - Subscriptions that accepted this delivery
+ * @param {string} part - 'review' or 'comments'
+ */
+function addPendingReviewTargets(pending, subscriptions, part) {
+  for (const subscription of subscriptions) {
+    const target = pending.targets.get(subscription.id)
+      || { subscription, review: false, comments: false, deliveryIds: new Set() };
+    target[part] = true;
+    if (subscription.deliveryId) {
+      target.deliveryIds.add(subscription.deliveryId);
+      pending.deliveryIds.add(subscription.deliveryId);
+    }
+    pending.targets.set(subscription.id, target);
+  }
+}
+
+/**
+ * Format batched review comments as a list
+ * @param {Array} comments - Review comments
+ * @param {string} lang - Language code (en/ko)
+ * @returns {string} Comment list (empty if there are no comments)
+ */
+function formatReviewComments(comments, lang) {
+  if (comments.length === 0) return '';
+
+  const MAX_LISTED = 10;
+  const lines = comments.slice(0, MAX_LISTED).map(comment => {
+    const location = comment.line ? `${comment.path}:${comment.line}` : comment.path;
+    const body = (comment.body || '').replace(/\s+/g, ' ').trim();
+    const trimmed = body.length > 100 ? body.substring(0, 97) + '...' : body;
+    return `- ${location}: ${trimmed}`;
+  });
+  if (comments.length > MAX_LISTED) {
+    lines.push(t('githubPRReviewMoreComments', lang, { count: comments.length - MAX_LISTED }));
+  }
+
+  return `${t('githubPRReviewCommentCount', lang, { count: comments.length })}\n${lines.join('\n')}`;
+}
+
+/**
+ * Send a batched pull request review to its subscriptions
+ * The one message is recorded as the send result of every delivery in the batch
+ * @param {Object} pending - Pending review batch
+ */
+async function flushPendingReview(pending) {
+  const { repository, pullRequest, review } = pending;
+  const comments = [...pending.comments].sort((a, b) => a.id - b.id);
+
+  for (const target of pending.targets.values()) {
+    const { subscription } = target;
+    try {
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
+      const lang = getGuildLanguage(settings);
+
+      const commentList = target.comments ? formatReviewComments(comments, lang) : '';
+      let message = '';
+      let color = GITHUB_EMBED_COLORS.info;
+
+      if (target.review && review) {
+        const messageKeys = {
+          approved: 'githubPRReviewApproved',
+          changes_requested: 'githubPRReviewChangesRequested',
+          commented: 'githubPRReviewCommented',
+        };
+        const state = (review.state || '').toLowerCase();
+        const messageKey = messageKeys[state];
+        if (!messageKey) continue;
+
+        const bodyText = review.body ? review.body.substring(0, 500) + (review.body.length > 500 ? '...' : '') : '';
+        // A comment-only review with no summary is just its comments
+        if (state === 'commented' && !bodyText && !commentList) continue;
+
+        if (state === 'approved') {
+          color = GITHUB_EMBED_COLORS.success;
+        } else if (state === 'changes_requested') {
+          color = GITHUB_EMBED_COLORS.failure;
+        }
+
+        const details = [bodyText, commentList].filter(Boolean).join('\n\n')
+          || (lang === 'ko' ? '(댓글 없음)' : '(No comment)');
+
+        message = t(messageKey, lang, {
+          repo: repository.full_name,
+          number: pullRequest.number,
+          prTitle: pullRequest.title,
+          reviewer: review.user?.login || 'Unknown',
+          details,
+          reviewUrl: review.html_url || pullRequest.html_url,
+        });
+      } else if (target.comments && commentList) {
+        // The review itself was filtered out (or never arrived); post the comments on their own
+        message = t('githubPRReviewComments', lang, {
+          repo: repository.full_name,
+          number: pullRequest.number,
+          prTitle: pullRequest.title,
+          reviewer: comments[0].user?.login || 'Unknown',
+          details: commentList,
+          reviewUrl: comments[0].html_url || pullRequest.html_url,
+        });
+      }
+
+      if (message) {
+        const recordResult = (status, error) => target.deliveryIds.forEach(deliveryId =>
+          recordGitHubDeliveryResult({ ...subscription, deliveryId }, status, error));
+        try {
+          await sendGitHubNotification({ ...subscription, deliveryId: undefined }, message, { color, sender: review?.user || comments[0]?.user });
+        } catch (error) {
+          recordResult('failed', error.message);
+          throw error;
+        }
+        recordResult('sent');
       }
     } catch (error) {
-      console.error(`Error sending GitHub PR notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub review notification to guild ${subscription.guild_id}:`, error);
     }
   }
+
+  pending.deliveryIds.forEach(finishGitHubDelivery);
+}
+
+/**
+ * Handle GitHub pull_request_review event
+ * The notification is held briefly so the review's comments can be included
+ * @param {Object} payload - GitHub webhook payload
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
+ */
+async function handleGitHubPullRequestReview(payload, subscriptions) {
+  const review = payload.review;
+  if (payload.action !== 'submitted' || !review) return;
+
+  const pending = getPendingReview(payload, review.id);
+  pending.review = review;
+  addPendingReviewTargets(pending, subscriptions, 'review');
+}
+
+/**
+ * Handle GitHub pull_request_review_comment event
+ * Comments are batched with the review they belong to
+ * @param {Object} payload - GitHub webhook payload
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
+ */
+async function handleGitHubPullRequestReviewComment(payload, subscriptions) {
+  const comment = payload.comment;
+  if (payload.action !== 'created' || !comment) return;
+
+  // Every review comment belongs to a review; fall back to the comment itself just in case
+  const pending = getPendingReview(payload, comment.pull_request_review_id || `comment-${comment.id}`);
+  pending.comments.push(comment);
+  addPendingReviewTargets(pending, subscriptions, 'comments');
 }
 
 /**
- * Handle GitHub issue event and send notifications to configured guilds
+ * Handle GitHub issue event and send notifications to subscribed channels
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubIssue(payload, guilds) {
+async function handleGitHubIssue(payload, subscriptions) {
   const repository = payload.repository;
   const issue = payload.issue;
   const action = payload.action;
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
+  let color = GITHUB_EMBED_COLORS.info;
+  if (action === 'opened' || action === 'reopened') {
+    color = GITHUB_EMBED_COLORS.success;
+  } else if (action === 'closed') {
+    color = GITHUB_EMBED_COLORS.failure;
+  }
+
+  const digestActions = ['opened', 'closed', 'reopened', 'assigned', 'labeled', 'unlabeled'];
+  const digestEntries = digestActions.includes(action)
+    ? [{
+      event: 'issues',
+      action,
+      branch: null,
+      author: payload.sender?.login || issue.user.login,
+      ref: `#${issue.number}`,
+      title: issue.title,
+      url: issue.html_url,
+    }]
+    : [];
+
+  for (const subscription of subscriptions) {
+    if (bufferGitHubDigestEvents(subscription, digestEntries)) continue;
 
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       let message = '';
@@ -2839,10 +6702,10 @@ async function handleGitHubIssue(payload, guilds) {
       }
 
       if (message) {
-        await sendMessage(guild.github_channel_id, message);
+        await sendGitHubNotification(subscription, message, { color, sender: payload.sender });
       }
     } catch (error) {
-      console.error(`Error sending GitHub issue notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub issue notification to guild ${subscription.guild_id}:`, error);
     }
   }
 }
@@ -2850,20 +6713,18 @@ async function handleGitHubIssue(payload, guilds) {
 /**
  * Handle GitHub issue comment event (comments on issues/PRs)
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubIssueComment(payload, guilds) {
+async function handleGitHubIssueComment(payload, subscriptions) {
   const repository = payload.repository;
   const comment = payload.comment;
   const issue = payload.issue;
   const sender = payload.sender;
   const isPR = issue.pull_request !== undefined;
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
-
+  for (const subscription of subscriptions) {
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       const commentText = comment.body ? comment.body.substring(0, 500) + (comment.body.length > 500 ? '...' : '') : '';
@@ -2883,9 +6744,9 @@ async function handleGitHubIssueComment(payload, guilds) {
         commentUrl: comment.html_url,
       });
 
-      await sendMessage(guild.github_channel_id, message);
+      await sendGitHubNotification(subscription, message, { color: GITHUB_EMBED_COLORS.info, sender });
     } catch (error) {
-      console.error(`Error sending GitHub issue comment notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub issue comment notification to guild ${subscription.guild_id}:`, error);
     }
   }
 }
@@ -2893,18 +6754,16 @@ async function handleGitHubIssueComment(payload, guilds) {
 /**
  * Handle GitHub commit comment event
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubCommitComment(payload, guilds) {
+async function handleGitHubCommitComment(payload, subscriptions) {
   const repository = payload.repository;
   const comment = payload.comment;
   const sender = payload.sender;
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
-
+  for (const subscription of subscriptions) {
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       const commentText = comment.body ? comment.body.substring(0, 500) + (comment.body.length > 500 ? '...' : '') : '';
@@ -2918,9 +6777,9 @@ async function handleGitHubCommitComment(payload, guilds) {
         commentUrl: comment.html_url,
       });
 
-      await sendMessage(guild.github_channel_id, message);
+      await sendGitHubNotification(subscription, message, { color: GITHUB_EMBED_COLORS.info, sender });
     } catch (error) {
-      console.error(`Error sending GitHub commit comment notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub commit comment notification to guild ${subscription.guild_id}:`, error);
     }
   }
 }
@@ -2928,19 +6787,24 @@ async function handleGitHubCommitComment(payload, guilds) {
 /**
  * Handle GitHub release event
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubRelease(payload, guilds) {
+async function handleGitHubRelease(payload, subscriptions) {
   const repository = payload.repository;
   const release = payload.release;
   const action = payload.action;
   const sender = payload.sender;
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
+  let color = GITHUB_EMBED_COLORS.success;
+  if (action === 'deleted') {
+    color = GITHUB_EMBED_COLORS.failure;
+  } else if (action === 'edited') {
+    color = GITHUB_EMBED_COLORS.info;
+  }
 
+  for (const subscription of subscriptions) {
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       let message = '';
@@ -2990,10 +6854,10 @@ async function handleGitHubRelease(payload, guilds) {
       }
 
       if (message) {
-        await sendMessage(guild.github_channel_id, message);
+        await sendGitHubNotification(subscription, message, { color, sender: payload.sender });
       }
     } catch (error) {
-      console.error(`Error sending GitHub release notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub release notification to guild ${subscription.guild_id}:`, error);
     }
   }
 }
@@ -3001,18 +6865,16 @@ async function handleGitHubRelease(payload, guilds) {
 /**
  * Handle GitHub fork event
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubFork(payload, guilds) {
+async function handleGitHubFork(payload, subscriptions) {
   const repository = payload.repository;
   const forkee = payload.forkee;
   const sender = payload.sender;
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
-
+  for (const subscription of subscriptions) {
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       const message = t('githubFork', lang, {
@@ -3021,9 +6883,9 @@ async function handleGitHubFork(payload, guilds) {
         forkUrl: forkee.html_url,
       });
 
-      await sendMessage(guild.github_channel_id, message);
+      await sendGitHubNotification(subscription, message, { color: GITHUB_EMBED_COLORS.neutral, sender: payload.sender });
     } catch (error) {
-      console.error(`Error sending GitHub fork notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub fork notification to guild ${subscription.guild_id}:`, error);
     }
   }
 }
@@ -3031,17 +6893,15 @@ async function handleGitHubFork(payload, guilds) {
 /**
  * Handle GitHub watch event (starred)
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubWatch(payload, guilds) {
+async function handleGitHubWatch(payload, subscriptions) {
   const repository = payload.repository;
   const sender = payload.sender;
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
-
+  for (const subscription of subscriptions) {
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       const message = t('githubWatch', lang, {
@@ -3049,9 +6909,9 @@ async function handleGitHubWatch(payload, guilds) {
         author: sender.login,
       });
 
-      await sendMessage(guild.github_channel_id, message);
+      await sendGitHubNotification(subscription, message, { color: GITHUB_EMBED_COLORS.warning, sender: payload.sender });
     } catch (error) {
-      console.error(`Error sending GitHub watch notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub watch notification to guild ${subscription.guild_id}:`, error);
     }
   }
 }
@@ -3059,18 +6919,16 @@ async function handleGitHubWatch(payload, guilds) {
 /**
  * Handle GitHub star event
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubStar(payload, guilds) {
+async function handleGitHubStar(payload, subscriptions) {
   const repository = payload.repository;
   const sender = payload.sender;
   const action = payload.action;
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
-
+  for (const subscription of subscriptions) {
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       let message = '';
@@ -3089,10 +6947,13 @@ async function handleGitHubStar(payload, guilds) {
       }
 
       if (message) {
-        await sendMessage(guild.github_channel_id, message);
+        await sendGitHubNotification(subscription, message, {
+          color: action === 'created' ? GITHUB_EMBED_COLORS.warning : GITHUB_EMBED_COLORS.neutral,
+          sender,
+        });
       }
     } catch (error) {
-      console.error(`Error sending GitHub star notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub star notification to guild ${subscription.guild_id}:`, error);
     }
   }
 }
@@ -3100,18 +6961,16 @@ async function handleGitHubStar(payload, guilds) {
 /**
  * Handle GitHub deployment event
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubDeployment(payload, guilds) {
+async function handleGitHubDeployment(payload, subscriptions) {
   const repository = payload.repository;
   const deployment = payload.deployment;
   const sender = payload.sender;
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
-
+  for (const subscription of subscriptions) {
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       const description = deployment.description || '';
@@ -3126,9 +6985,9 @@ async function handleGitHubDeployment(payload, guilds) {
         deploymentUrl: deployment.url || repository.html_url,
       });
 
-      await sendMessage(guild.github_channel_id, message);
+      await sendGitHubNotification(subscription, message, { color: GITHUB_EMBED_COLORS.warning, sender: payload.sender });
     } catch (error) {
-      console.error(`Error sending GitHub deployment notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub deployment notification to guild ${subscription.guild_id}:`, error);
     }
   }
 }
@@ -3136,19 +6995,24 @@ async function handleGitHubDeployment(payload, guilds) {
 /**
  * Handle GitHub deployment_status event
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubDeploymentStatus(payload, guilds) {
+async function handleGitHubDeploymentStatus(payload, subscriptions) {
   const repository = payload.repository;
   const deployment = payload.deployment;
   const deploymentStatus = payload.deployment_status;
   const state = deploymentStatus.state;
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
+  let color = GITHUB_EMBED_COLORS.warning;
+  if (state === 'success') {
+    color = GITHUB_EMBED_COLORS.success;
+  } else if (state === 'failure' || state === 'error') {
+    color = GITHUB_EMBED_COLORS.failure;
+  }
 
+  for (const subscription of subscriptions) {
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       let messageKey = '';
@@ -3169,10 +7033,10 @@ async function handleGitHubDeploymentStatus(payload, guilds) {
           deploymentUrl: deploymentStatus.target_url || deployment.url || repository.html_url,
         });
 
-        await sendMessage(guild.github_channel_id, message);
+        await sendGitHubNotification(subscription, message, { color, sender: payload.sender });
       }
     } catch (error) {
-      console.error(`Error sending GitHub deployment status notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub deployment status notification to guild ${subscription.guild_id}:`, error);
     }
   }
 }
@@ -3180,18 +7044,16 @@ async function handleGitHubDeploymentStatus(payload, guilds) {
 /**
  * Handle GitHub gollum event (wiki updates)
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubGollum(payload, guilds) {
+async function handleGitHubGollum(payload, subscriptions) {
   const repository = payload.repository;
   const pages = payload.pages || [];
   const sender = payload.sender;
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
-
+  for (const subscription of subscriptions) {
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       const pagesText = pages.map(p => `${p.action}: ${p.title}`).join(', ');
@@ -3202,9 +7064,9 @@ async function handleGitHubGollum(payload, guilds) {
         author: sender.login,
       });
 
-      await sendMessage(guild.github_channel_id, message);
+      await sendGitHubNotification(subscription, message, { color: GITHUB_EMBED_COLORS.info, sender: payload.sender });
     } catch (error) {
-      console.error(`Error sending GitHub gollum notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub gollum notification to guild ${subscription.guild_id}:`, error);
     }
   }
 }
@@ -3212,19 +7074,17 @@ async function handleGitHubGollum(payload, guilds) {
 /**
  * Handle GitHub member event
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubMember(payload, guilds) {
+async function handleGitHubMember(payload, subscriptions) {
   const repository = payload.repository;
   const member = payload.member;
   const action = payload.action;
   const sender = payload.sender;
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
-
+  for (const subscription of subscriptions) {
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       let message = '';
@@ -3243,10 +7103,13 @@ async function handleGitHubMember(payload, guilds) {
       }
 
       if (message) {
-        await sendMessage(guild.github_channel_id, message);
+        await sendGitHubNotification(subscription, message, {
+          color: action === 'added' ? GITHUB_EMBED_COLORS.success : GITHUB_EMBED_COLORS.failure,
+          sender,
+        });
       }
     } catch (error) {
-      console.error(`Error sending GitHub member notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub member notification to guild ${subscription.guild_id}:`, error);
     }
   }
 }
@@ -3254,25 +7117,23 @@ async function handleGitHubMember(payload, guilds) {
 /**
  * Handle GitHub public event
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubPublic(payload, guilds) {
+async function handleGitHubPublic(payload, subscriptions) {
   const repository = payload.repository;
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
-
+  for (const subscription of subscriptions) {
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       const message = t('githubPublic', lang, {
         repo: repository.full_name,
       });
 
-      await sendMessage(guild.github_channel_id, message);
+      await sendGitHubNotification(subscription, message, { color: GITHUB_EMBED_COLORS.success, sender: payload.sender });
     } catch (error) {
-      console.error(`Error sending GitHub public notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub public notification to guild ${subscription.guild_id}:`, error);
     }
   }
 }
@@ -3280,18 +7141,24 @@ async function handleGitHubPublic(payload, guilds) {
 /**
  * Handle GitHub repository event
  * @param {Object} payload - GitHub webhook payload
- * @param {Array} guilds - Array of guild settings that should receive notifications
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
  */
-async function handleGitHubRepository(payload, guilds) {
+async function handleGitHubRepository(payload, subscriptions) {
   const repository = payload.repository;
   const action = payload.action;
   const sender = payload.sender;
 
-  for (const guild of guilds) {
-    if (!guild.github_channel_id) continue;
+  const colors = {
+    created: GITHUB_EMBED_COLORS.success,
+    deleted: GITHUB_EMBED_COLORS.failure,
+    archived: GITHUB_EMBED_COLORS.neutral,
+    unarchived: GITHUB_EMBED_COLORS.info,
+  };
+  const color = colors[action] || GITHUB_EMBED_COLORS.info;
 
+  for (const subscription of subscriptions) {
     try {
-      const settings = guildSettingsQueries.get.get(guild.guild_id);
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
       const lang = getGuildLanguage(settings);
       
       let message = '';
@@ -3318,14 +7185,208 @@ async function handleGitHubRepository(payload, guilds) {
       }
 
       if (message) {
-        await sendMessage(guild.github_channel_id, message);
+        await sendGitHubNotification(subscription, message, { color, sender });
       }
     } catch (error) {
-      console.error(`Error sending GitHub repository notification to guild ${guild.guild_id}:`, error);
+      console.error(`Error sending GitHub repository notification to guild ${subscription.guild_id}:`, error);
+    }
+  }
+}
+
+/**
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @param {string} lang - Language code (en/ko)
+ * @returns {string} Formatted duration (e.g. "3m 12s", "3분 12초")
+ */
+function formatDuration(ms, lang) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const units = lang === 'ko' ? ['시간', '분', '초'] : ['h', 'm', 's'];
+
+  const parts = [];
+  if (hours > 0) parts.push(`${hours}${units[0]}`);
+  if (minutes > 0) parts.push(`${minutes}${units[1]}`);
+  if (seconds > 0 || parts.length === 0) parts.push(`${seconds}${units[2]}`);
+  return parts.join(' ');
+}
+
+/**
+ * Send a completed CI result (workflow run/job, check run/suite) to subscriptions
+ * Records the conclusion per check and branch so failure-only subscriptions
+ * can still be told when a failing check recovers
+ * @param {Object} run - Normalized CI result
+ * @param {string} run.kind - Result kind (workflow_run, workflow_job, check_run, check_suite)
+ * @param {string} run.name - Workflow, job or check name
+ * @param {string} run.conclusion - GitHub conclusion (success, failure, cancelled, ...)
+ * @param {string} run.branch - Head branch
+ * @param {string} run.sha - Head commit SHA
+ * @param {string} run.commitMessage - Head commit message (may be empty)
+ * @param {string} run.startedAt - Start time (ISO string)
+ * @param {string} run.completedAt - Completion time (ISO string)
+ * @param {string} run.url - Link to the run
+ * @param {Object} payload - GitHub webhook payload
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
+ */
+async function handleGitHubCiResult(run, payload, subscriptions) {
+  const repository = payload.repository;
+
+  let outcome = 'other';
+  if (run.conclusion === 'success') {
+    outcome = 'success';
+  } else if (['failure', 'timed_out', 'startup_failure'].includes(run.conclusion)) {
+    outcome = 'failure';
+  }
+
+  // Only success/failure move the recovery state; cancelled or skipped runs say nothing about health
+  const checkKey = `${run.kind}:${run.name}`;
+  const branch = run.branch || '';
+  const previous = githubCiStatusQueries.get.get(repository.full_name, checkKey, branch);
+  const recovered = outcome === 'success' && previous?.conclusion === 'failure';
+  if (outcome !== 'other') {
+    githubCiStatusQueries.upsert.run(repository.full_name, checkKey, branch, outcome);
+  }
+
+  let messageKey = 'githubCiCompleted';
+  let color = GITHUB_EMBED_COLORS.neutral;
+  if (recovered) {
+    messageKey = 'githubCiRecovered';
+    color = GITHUB_EMBED_COLORS.success;
+  } else if (outcome === 'success') {
+    messageKey = 'githubCiSuccess';
+    color = GITHUB_EMBED_COLORS.success;
+  } else if (outcome === 'failure') {
+    messageKey = 'githubCiFailure';
+    color = GITHUB_EMBED_COLORS.failure;
+  }
+
+  for (const subscription of subscriptions) {
+    if (subscription.ci_notify_mode === 'failures' && outcome !== 'failure' && !recovered) continue;
+
+    try {
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
+      const lang = getGuildLanguage(settings);
+
+      const kindLabels = lang === 'ko'
+        ? { workflow_run: '워크플로', workflow_job: '잡', check_run: '체크', check_suite: '체크 스위트' }
+        : { workflow_run: 'Workflow', workflow_job: 'Job', check_run: 'Check', check_suite: 'Check suite' };
+      const commitTitle = (run.commitMessage || '').split('\n')[0];
+      const truncatedTitle = commitTitle.length > 100 ? commitTitle.substring(0, 97) + '...' : commitTitle;
+      const startedAt = run.startedAt ? new Date(run.startedAt) : null;
+      const completedAt = run.completedAt ? new Date(run.completedAt) : null;
+      const duration = startedAt && completedAt && !isNaN(startedAt) && !isNaN(completedAt)
+        ? formatDuration(completedAt - startedAt, lang)
+        : '-';
+
+      const message = t(messageKey, lang, {
+        kind: kindLabels[run.kind] || run.kind,
+        name: run.name,
+        repo: repository.full_name,
+        branch: run.branch || '-',
+        commit: `${(run.sha || '').substring(0, 7)}${truncatedTitle ? ` ${truncatedTitle}` : ''}`,
+        duration,
+        conclusion: run.conclusion || 'unknown',
+        url: run.url,
+      });
+
+      await sendGitHubNotification(subscription, message, { color, sender: payload.sender });
+    } catch (error) {
+      console.error(`Error sending GitHub CI notification to guild ${subscription.guild_id}:`, error);
     }
   }
 }
 
+/**
+ * Handle GitHub workflow_run event (GitHub Actions workflow completed)
+ * @param {Object} payload - GitHub webhook payload
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
+ */
+async function handleGitHubWorkflowRun(payload, subscriptions) {
+  const workflowRun = payload.workflow_run;
+  if (payload.action !== 'completed' || !workflowRun) return;
+
+  await handleGitHubCiResult({
+    kind: 'workflow_run',
+    name: workflowRun.name,
+    conclusion: workflowRun.conclusion,
+    branch: workflowRun.head_branch,
+    sha: workflowRun.head_sha,
+    commitMessage: workflowRun.head_commit?.message,
+    startedAt: workflowRun.run_started_at || workflowRun.created_at,
+    completedAt: workflowRun.updated_at,
+    url: workflowRun.html_url,
+  }, payload, subscriptions);
+}
+
+/**
+ * Handle GitHub workflow_job event (GitHub Actions job completed)
+ * @param {Object} payload - GitHub webhook payload
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
+ */
+async function handleGitHubWorkflowJob(payload, subscriptions) {
+  const workflowJob = payload.workflow_job;
+  if (payload.action !== 'completed' || !workflowJob) return;
+
+  await handleGitHubCiResult({
+    kind: 'workflow_job',
+    name: workflowJob.workflow_name ? `${workflowJob.workflow_name} / ${workflowJob.name}` : workflowJob.name,
+    conclusion: workflowJob.conclusion,
+    branch: workflowJob.head_branch,
+    sha: workflowJob.head_sha,
+    commitMessage: '',
+    startedAt: workflowJob.started_at,
+    completedAt: workflowJob.completed_at,
+    url: workflowJob.html_url,
+  }, payload, subscriptions);
+}
+
+/**
+ * Handle GitHub check_run event
+ * @param {Object} payload - GitHub webhook payload
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
+ */
+async function handleGitHubCheckRun(payload, subscriptions) {
+  const checkRun = payload.check_run;
+  if (payload.action !== 'completed' || !checkRun) return;
+
+  await handleGitHubCiResult({
+    kind: 'check_run',
+    name: checkRun.name,
+    conclusion: checkRun.conclusion,
+    branch: checkRun.check_suite?.head_branch,
+    sha: checkRun.head_sha,
+    commitMessage: checkRun.check_suite?.head_commit?.message,
+    startedAt: checkRun.started_at,
+    completedAt: checkRun.completed_at,
+    url: checkRun.html_url || checkRun.details_url,
+  }, payload, subscriptions);
+}
+
+/**
+ * Handle GitHub check_suite event
+ * @param {Object} payload - GitHub webhook payload
+ * @param {Array} subscriptions - GitHub subscriptions that should receive notifications
+ */
+async function handleGitHubCheckSuite(payload, subscriptions) {
+  const checkSuite = payload.check_suite;
+  if (payload.action !== 'completed' || !checkSuite) return;
+
+  await handleGitHubCiResult({
+    kind: 'check_suite',
+    name: checkSuite.app?.name || 'Checks',
+    conclusion: checkSuite.conclusion,
+    branch: checkSuite.head_branch,
+    sha: checkSuite.head_sha,
+    commitMessage: checkSuite.head_commit?.message,
+    startedAt: checkSuite.created_at,
+    completedAt: checkSuite.updated_at,
+    // Check suites have no page of their own; link to the commit's checks tab
+    url: `${payload.repository.html_url}/commit/${checkSuite.head_sha}/checks`,
+  }, payload, subscriptions);
+}
+
 /**
  * Get timezone offset in milliseconds for a given timezone and date
  * @param {string} timezone - IANA timezone name (e.g., 'Asia/Seoul', 'America/New_York')
@@ -3565,68 +7626,110 @@ function parseRelativeDate(dateStr, baseDate = new Date(), timezone = 'Asia/Seou
 }
 
 /**
- * Format repeat type information for display
- * @param {string} repeatType - Repeat type string from database
+ * Format a recurrence rule for display
+ * Common rules read like the repeat options of create-recurring; anything else
+ * falls back to showing the RRULE itself
+ * @param {string|null} rrule - RRULE value from the database
  * @param {string} lang - Language code (en/ko)
- * @param {string|null} repeatEndDate - End date ISO string or null
+ * @param {string} timezone - Guild timezone (for the end date)
  * @returns {string} Formatted repeat text
  */
-function formatRepeatInfo(repeatType, lang, repeatEndDate = null, timezone = 'Asia/Seoul') {
-  if (!repeatType || repeatType === 'none') {
+function formatRepeatInfo(rrule, lang, timezone = 'Asia/Seoul') {
+  if (!rrule) {
     return '';
   }
 
-  const endDateText = repeatEndDate ? t('repeatEndDate', lang, { date: formatDateTime(new Date(repeatEndDate), timezone) }) : '';
-  
-  // Parse repeat type string
-  if (repeatType.includes(':')) {
-    const parts = repeatType.split(':');
-    const baseType = parts[0];
-    
-    if (baseType === 'daily_except') {
-      // daily_except:0,6 (excluded weekdays)
-      const excludedWeekdayNums = parts[1].split(',').map(w => parseInt(w.trim()));
-      const weekdayNames = lang === 'ko' 
-        ? ['일요일', '월요일', '화요일', '수요일', '목요일', '금요일', '토요일']
-        : ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      const excludedDays = excludedWeekdayNums.map(w => weekdayNames[w]).join(', ');
-      return t('repeatDailyExcept', lang, { excludedDays, endDate: endDateText });
-    } else if (baseType === 'weekly') {
-      // weekly:1 (weekday number)
-      const weekdayNum = parseInt(parts[1]);
-      const weekdayNames = lang === 'ko' 
-        ? ['일요일', '월요일', '화요일', '수요일', '목요일', '금요일', '토요일']
-        : ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      return t('repeatWeeklyWithDay', lang, { weekday: weekdayNames[weekdayNum], endDate: endDateText });
-    } else if (baseType === 'biweekly') {
-      // biweekly:1 (weekday number)
-      const weekdayNum = parseInt(parts[1]);
-      const weekdayNames = lang === 'ko' 
-        ? ['일요일', '월요일', '화요일', '수요일', '목요일', '금요일', '토요일']
-        : ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      return t('repeatBiweeklyWithDay', lang, { weekday: weekdayNames[weekdayNum], endDate: endDateText });
-    } else if (baseType === 'monthly_day') {
-      // monthly_day:15 (day of month)
-      const dayOfMonth = parseInt(parts[1]);
-      return t('repeatMonthlyDay', lang, { dayOfMonth, endDate: endDateText });
-    } else if (baseType === 'monthly_weekday') {
-      // monthly_weekday:1:1 (weekOfMonth:weekday)
-      const weekOfMonth = parseInt(parts[1]);
-      const weekdayNum = parseInt(parts[2]);
-      const weekdayNames = lang === 'ko' 
-        ? ['일요일', '월요일', '화요일', '수요일', '목요일', '금요일', '토요일']
-        : ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      const weekOfMonthNames = lang === 'ko'
-        ? ['첫째 주', '둘째 주', '셋째 주', '넷째 주', '마지막 주']
-        : ['1st week', '2nd week', '3rd week', '4th week', 'last week'];
-      const weekOfMonthText = weekOfMonth === -1 ? weekOfMonthNames[4] : weekOfMonthNames[weekOfMonth - 1];
-      return t('repeatMonthlyWeekday', lang, { weekOfMonth: weekOfMonthText, weekday: weekdayNames[weekdayNum], endDate: endDateText });
+  let rule;
+  try {
+    rule = parseRRule(rrule, timezone);
+  } catch (error) {
+    return t('repeatCustom', lang, { rule: rrule, endDate: '' });
+  }
+
+  let endDate = '';
+  if (rule.until) {
+    endDate = t('repeatEndDate', lang, { date: formatDateTime(rule.until, timezone) });
+  } else if (rule.count) {
+    endDate = t('repeatCount', lang, { count: rule.count });
+  }
+
+  const weekdayNames = lang === 'ko'
+    ? ['일요일', '월요일', '화요일', '수요일', '목요일', '금요일', '토요일']
+    : ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  const weekOfMonthNames = lang === 'ko'
+    ? ['첫째 주', '둘째 주', '셋째 주', '넷째 주', '마지막 주']
+    : ['1st week', '2nd week', '3rd week', '4th week', 'last week'];
+  const custom = () => t('repeatCustom', lang, { rule: formatRRule({ ...rule, count: null, until: null }), endDate });
+
+  const plainWeekdays = rule.byDay.length > 0 && rule.byDay.every(d => d.ordinal === null);
+  const weekdays = rule.byDay.map(d => weekdayNames[d.weekday]).join(', ');
+  const [byDay] = rule.byDay;
+  const isMonthWeekday = rule.byDay.length === 1 && rule.byMonthDay.length === 0 &&
+    ((byDay.ordinal >= 1 && byDay.ordinal <= 4) || byDay.ordinal === -1);
+  const monthWeekday = isMonthWeekday
+    ? { weekOfMonth: weekOfMonthNames[byDay.ordinal === -1 ? 4 : byDay.ordinal - 1], weekday: weekdayNames[byDay.weekday] }
+    : null;
+
+  if (rule.bySetPos.length > 0 || (rule.byMonth.length > 0 && rule.freq !== 'YEARLY')) {
+    return custom();
+  }
+
+  // Describe which days of each period the meeting falls on (null if the rule is too complex)
+  let days = null;
+  let hasDays = true;
+  if (rule.freq === 'DAILY' || rule.freq === 'WEEKLY') {
+    hasDays = rule.byDay.length > 0;
+    if (rule.byMonthDay.length === 0 && (!hasDays || plainWeekdays)) days = weekdays;
+  } else if (rule.freq === 'MONTHLY') {
+    hasDays = rule.byDay.length > 0 || rule.byMonthDay.length > 0;
+    if (!hasDays) {
+      days = '';
+    } else if (rule.byDay.length === 0 && rule.byMonthDay.length === 1) {
+      days = lang === 'ko' ? `${rule.byMonthDay[0]}일` : `day ${rule.byMonthDay[0]}`;
+    } else if (monthWeekday) {
+      days = `${monthWeekday.weekOfMonth} ${monthWeekday.weekday}`;
+    }
+  } else {
+    hasDays = rule.byMonth.length > 0 || rule.byMonthDay.length > 0 || rule.byDay.length > 0;
+    if (!hasDays) {
+      days = '';
+    } else if (rule.byMonth.length === 1 && rule.byMonthDay.length === 1 && rule.byDay.length === 0 && rule.byMonthDay[0] > 0) {
+      days = new Intl.DateTimeFormat(lang === 'ko' ? 'ko-KR' : 'en-US', { month: 'long', day: 'numeric', timeZone: 'UTC' })
+        .format(new Date(Date.UTC(2000, rule.byMonth[0] - 1, rule.byMonthDay[0])));
     }
   }
-  
-  // Simple types (daily, weekly, biweekly, monthly)
-  const repeatKey = `repeat${repeatType.charAt(0).toUpperCase() + repeatType.slice(1)}`;
-  return t(repeatKey, lang, { endDate: endDateText });
+  if (days === null) {
+    return custom();
+  }
+
+  if (rule.interval === 1) {
+    if (rule.freq === 'DAILY') {
+      if (!hasDays) return t('repeatDaily', lang, { endDate });
+      const excludedDays = weekdayNames.filter((_, weekday) => !rule.byDay.some(d => d.weekday === weekday)).join(', ');
+      return t('repeatDailyExcept', lang, { excludedDays, endDate });
+    }
+    if (rule.freq === 'WEEKLY') {
+      return hasDays ? t('repeatWeeklyWithDay', lang, { weekday: days, endDate }) : t('repeatWeekly', lang, { endDate });
+    }
+    if (rule.freq === 'MONTHLY') {
+      if (!hasDays) return t('repeatMonthly', lang, { endDate });
+      return monthWeekday
+        ? t('repeatMonthlyWeekday', lang, { ...monthWeekday, endDate })
+        : t('repeatMonthlyDay', lang, { dayOfMonth: rule.byMonthDay[0], endDate });
+    }
+    return hasDays ? t('repeatYearlyOn', lang, { date: days, endDate }) : t('repeatYearly', lang, { endDate });
+  }
+
+  if (rule.interval === 2 && rule.freq === 'WEEKLY') {
+    return hasDays ? t('repeatBiweeklyWithDay', lang, { weekday: days, endDate }) : t('repeatBiweekly', lang, { endDate });
+  }
+
+  return t('repeatEvery', lang, {
+    interval: rule.interval,
+    unit: t(`repeatUnit${rule.freq.charAt(0) + rule.freq.slice(1).toLowerCase()}`, lang),
+    details: days ? ` (${days})` : '',
+    endDate,
+  });
 }
 
 /**
@@ -3755,74 +7858,117 @@ function formatDateTime(date, timezone = 'Asia/Seoul') {
   }
 }
 
-/**
- * Check for upcoming meetings every minute (improved reminder system)
- */
+// Webhook deliveries still in progress when the bot stopped never finished
+try {
+  githubDeliveryQueries.failInterrupted.run();
+} catch (error) {
+  console.error('Error marking interrupted webhook deliveries:', error);
+}
+
+// Jobs left running by a restart are not run again, reminders missed while the bot was down are
+// reported (per guild setting), and every meeting is planned again in case it was created before
+// the job queue or its jobs were lost
+try {
+  meetingJobQueries.failInterrupted.run();
+  const missedMeetings = collectMissedMeetings();
+  for (const meetingRow of meetingQueries.getAll.all()) {
+    scheduleMeetingJobs(meetingRow.id);
+  }
+  if (missedMeetings.length > 0) {
+    console.log(`Reminders were missed for ${missedMeetings.length} meeting(s) while the bot was down`);
+    sendMissedMeetingNotices(missedMeetings)
+      .catch(error => console.error('Error sending missed reminder notices:', error));
+  }
+} catch (error) {
+  console.error('Error planning meeting jobs:', error);
+}
+
+// Run due meeting jobs (reminders, snoozes and the end of each occurrence) every 15 seconds
+cron.schedule('*/15 * * * * *', () => {
+  runDueMeetingJobs().catch(error => console.error('Error in meeting job queue:', error));
+});
+
+// Post due GitHub digests
 cron.schedule('* * * * *', async () => {
   const now = new Date();
-  const oneMinuteLater = new Date(now.getTime() + 60 * 1000);
 
   try {
-    const meetings = meetingQueries.getUpcoming.all();
-    
-    for (const meetingRow of meetings) {
-      const meeting = dbToMeeting(meetingRow);
-      const reminderMinutes = JSON.parse(meeting.reminderMinutes);
-      const reminded = JSON.parse(meeting.reminded || '[]');
-      const meetingDate = new Date(meeting.date);
-
-      // Check each reminder time
-      for (const reminderMinutesValue of reminderMinutes) {
-        if (reminded.includes(reminderMinutesValue)) continue;
-
-        // For meeting start (0 minutes), reminderTime equals meeting date
-        const reminderTime = reminderMinutesValue === 0 
-          ? meetingDate 
-          : new Date(meetingDate.getTime() - reminderMinutesValue * 60 * 1000);
-        
-        if (reminderTime >= now && reminderTime <= oneMinuteLater) {
-          try {
-            const settings = guildSettingsQueries.get.get(meeting.guildId);
-            const lang = getGuildLanguage(settings);
-            const timezone = settings?.timezone || 'Asia/Seoul';
-            const participants = JSON.parse(meeting.participants);
-            const mentions = formatParticipantsMentions(participants);
-            // Use different message for meeting start (0 minutes) vs reminders
-            const messageKey = reminderMinutesValue === 0 ? 'meetingStart' : 'meetingReminder';
-            const messageParams = reminderMinutesValue === 0
-              ? { mentions, title: meeting.title, date: formatDateTime(meetingDate, timezone) }
-              : { mentions, title: meeting.title, date: formatDateTime(meetingDate, timezone), minutes: reminderMinutesValue };
-            const message = t(messageKey, lang, messageParams);
-
-            await sendMessage(meeting.channelId, message);
-            
-            reminded.push(reminderMinutesValue);
-            meetingQueries.updateReminded.run(JSON.stringify(reminded), meeting.id);
-          } catch (error) {
-            console.error('Error sending meeting reminder:', error);
-          }
-        }
+    githubDigestQueries.deleteOrphans.run();
+
+    for (const subscription of githubSubscriptionQueries.getWithDigest.all()) {
+      const settings = guildSettingsQueries.get.get(subscription.guild_id);
+      if (!isGitHubDigestDue(subscription, now, settings?.timezone || 'Asia/Seoul')) continue;
+
+      try {
+        await flushGitHubDigest(subscription, now);
+      } catch (error) {
+        console.error(`Error sending GitHub digest for subscription ${subscription.id}:`, error);
       }
+    }
+  } catch (error) {
+    console.error('Error in GitHub digest cron job:', error);
+  }
+});
 
-      // Check if meeting time has passed and all reminders sent, then handle recurring meetings
-      if (meetingDate <= now && meeting.repeatType && meeting.repeatType !== 'none') {
-        // Check if all reminders have been sent
-        const allRemindersSent = reminderMinutes.every(min => reminded.includes(min));
-        
-        if (allRemindersSent) {
-          try {
-            // Create next occurrence before deleting current meeting
-            await handleRecurringMeeting(meetingRow);
-            // Delete the original meeting after creating next occurrence
-            meetingQueries.delete.run(meeting.id);
-          } catch (error) {
-            console.error('Error handling recurring meeting:', error);
-          }
-        }
+// Post "no meeting" notices for occurrences skipped on a holiday, when the first reminder would have gone out
+cron.schedule('* * * * *', async () => {
+  const now = new Date();
+  try {
+    for (const row of meetingExceptionQueries.getPendingHolidayNotices.all()) {
+      const occurrence = new Date(row.occurrence_date);
+      const leadMinutes = Math.max(0, ...JSON.parse(row.reminder_minutes || '[]'));
+      if (occurrence.getTime() - leadMinutes * 60 * 1000 > now.getTime()) continue;
+
+      // One attempt only; occurrences that passed while the bot was down get no notice
+      meetingExceptionQueries.markNotified.run(row.id, row.occurrence_date);
+      const settings = guildSettingsQueries.get.get(row.guild_id);
+      if (!settings?.holiday_notice || occurrence <= now) continue;
+
+      try {
+        const lang = getGuildLanguage(settings);
+        const timezone = settings?.timezone || 'Asia/Seoul';
+        await sendMessage(row.channel_id, t('holidayNotice', lang, {
+          title: row.title,
+          date: formatDateTime(occurrence, timezone),
+          holiday: getGuildHoliday(row.guild_id, settings, occurrence) || t('holidayUnnamed', lang),
+          next: formatDateTime(new Date(row.date), timezone),
+        }));
+      } catch (error) {
+        console.error(`Error sending holiday notice for meeting ${row.id}:`, error);
       }
     }
   } catch (error) {
-    console.error('Error in reminder cron job:', error);
+    console.error('Error in holiday notice cron job:', error);
+  }
+});
+
+// Prune RSVPs, personal reminder state, series exceptions and jobs left by deleted meetings daily,
+// along with finished jobs (kept for a while to see what was sent or missed)
+const MEETING_JOB_RETENTION = '-7 days';
+cron.schedule('30 4 * * *', () => {
+  try {
+    meetingRsvpQueries.deleteOrphans.run();
+    meetingReminderQueries.deleteOrphanOverrides.run();
+    meetingReminderQueries.deleteOrphanDeliveries.run();
+    meetingExceptionQueries.deleteOrphans.run();
+    meetingJobQueries.deleteOrphans.run();
+    meetingJobQueries.deleteFinishedBefore.run(MEETING_JOB_RETENTION);
+  } catch (error) {
+    console.error('Error pruning meeting data:', error);
+  }
+});
+
+// Prune the GitHub delivery log daily (payloads are only kept for replay)
+const GITHUB_DELIVERY_RETENTION = '-7 days';
+cron.schedule('0 4 * * *', () => {
+  try {
+    const { changes } = githubDeliveryQueries.deleteOlderThan.run(GITHUB_DELIVERY_RETENTION);
+    githubDeliveryQueries.deleteOrphanResults.run();
+    if (changes > 0) {
+      console.log(`Pruned ${changes} old GitHub deliveries`);
+    }
+  } catch (error) {
+    console.error('Error pruning GitHub deliveries:', error);
   }
 });
 
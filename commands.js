@@ -82,22 +82,44 @@ const MEETING_COMMAND = {
         {
           type: 3, // STRING
           name: 'repeat_type',
-          description: 'Repeat type (반복 주기)',
-          required: true,
+          description: 'Repeat type (반복 주기) (rrule 사용 시 생략)',
+          required: false,
           choices: [
             { name: 'Daily', value: 'daily' },
             { name: 'Weekly', value: 'weekly' },
             { name: 'Bi-weekly', value: 'biweekly' },
             { name: 'Monthly (Day)', value: 'monthly_day' },
             { name: 'Monthly (Weekday)', value: 'monthly_weekday' },
+            { name: 'Yearly', value: 'yearly' },
           ],
         },
+        {
+          type: 4, // INTEGER
+          name: 'interval',
+          description: 'Repeat every N days/weeks/months/years (N일/주/개월/년마다, 기본값 1)',
+          required: false,
+          min_value: 1,
+        },
         {
           type: 4, // INTEGER
           name: 'weekday',
           description: 'Weekday (0=Sunday, 1=Monday, ..., 6=Saturday) (weekly/biweekly/monthly_weekday 필수)',
           required: false,
         },
+        {
+          type: 3, // STRING
+          name: 'weekdays',
+          description: 'Several weekdays for weekly/biweekly (comma-separated, e.g. 1,3,5) (여러 요일)',
+          required: false,
+        },
+        {
+          type: 4, // INTEGER
+          name: 'month',
+          description: 'Month (1-12) (yearly 필수)',
+          required: false,
+          min_value: 1,
+          max_value: 12,
+        },
         {
           type: 4, // INTEGER
           name: 'day_of_month',
@@ -128,6 +150,19 @@ const MEETING_COMMAND = {
           description: 'Repeat end date (YYYY-MM-DD) (반복 종료 날짜)',
           required: false,
         },
+        {
+          type: 4, // INTEGER
+          name: 'count',
+          description: 'Number of occurrences (반복 횟수)',
+          required: false,
+          min_value: 1,
+        },
+        {
+          type: 3, // STRING
+          name: 'rrule',
+          description: 'Custom RFC 5545 rule (e.g. FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1)',
+          required: false,
+        },
       ],
     },
     // edit subcommand
@@ -166,6 +201,23 @@ const MEETING_COMMAND = {
           description: '새로운 알림 시간 (예: 1,5,10)',
           required: false,
         },
+        {
+          type: 3, // STRING
+          name: 'scope',
+          description: '반복 회의에서 수정할 범위 (Which occurrences of a recurring meeting, default: entire series)',
+          required: false,
+          choices: [
+            { name: 'This occurrence (이번 회차만)', value: 'this' },
+            { name: 'This and following (이번 및 이후 회차)', value: 'following' },
+            { name: 'Entire series (전체 반복 일정)', value: 'series' },
+          ],
+        },
+        {
+          type: 3, // STRING
+          name: 'occurrence',
+          description: '대상 회차 날짜 YYYY-MM-DD, 생략 시 다음 회차 (Occurrence date; empty for the upcoming one)',
+          required: false,
+        },
       ],
     },
     // delete subcommand
@@ -180,6 +232,277 @@ const MEETING_COMMAND = {
           description: '삭제할 회의 ID (meeting list로 확인 가능)',
           required: true,
         },
+        {
+          type: 3, // STRING
+          name: 'scope',
+          description: '반복 회의에서 삭제할 범위 (Which occurrences of a recurring meeting, default: entire series)',
+          required: false,
+          choices: [
+            { name: 'This occurrence (이번 회차만)', value: 'this' },
+            { name: 'This and following (이번 및 이후 회차)', value: 'following' },
+            { name: 'Entire series (전체 반복 일정)', value: 'series' },
+          ],
+        },
+        {
+          type: 3, // STRING
+          name: 'occurrence',
+          description: '대상 회차 날짜 YYYY-MM-DD, 생략 시 다음 회차 (Occurrence date; empty for the upcoming one)',
+          required: false,
+        },
+      ],
+    },
+    // attendees subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'attendees',
+      description: '회의 참석 응답 현황을 보여줍니다 (Show RSVP responses for a meeting)',
+      options: [
+        {
+          type: 4, // INTEGER
+          name: 'meeting_id',
+          description: '확인할 회의 ID (meeting list로 확인 가능)',
+          required: true,
+        },
+      ],
+    },
+    // skip subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'skip',
+      description: '반복 회의의 한 회차를 건너뜁니다 (Skip one occurrence of a recurring meeting)',
+      options: [
+        {
+          type: 4, // INTEGER
+          name: 'meeting_id',
+          description: '반복 회의 ID (meeting list로 확인 가능)',
+          required: true,
+        },
+        {
+          type: 3, // STRING
+          name: 'date',
+          description: 'Occurrence date, YYYY-MM-DD; empty for the upcoming one (건너뛸 날짜)',
+          required: false,
+        },
+      ],
+    },
+    // move-occurrence subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'move-occurrence',
+      description: '반복 회의의 한 회차만 일정을 변경합니다 (Reschedule one occurrence of a recurring meeting)',
+      options: [
+        {
+          type: 4, // INTEGER
+          name: 'meeting_id',
+          description: '반복 회의 ID (meeting list로 확인 가능)',
+          required: true,
+        },
+        {
+          type: 3, // STRING
+          name: 'new_date',
+          description: 'New date and time (새 일시, 예: 2025-12-26 14:00, 내일 오후 3시)',
+          required: true,
+        },
+        {
+          type: 3, // STRING
+          name: 'date',
+          description: 'Occurrence date, YYYY-MM-DD; empty for the upcoming one (변경할 회차 날짜)',
+          required: false,
+        },
+      ],
+    },
+    // agenda subcommand group
+    {
+      type: 2, // SUB_COMMAND_GROUP
+      name: 'agenda',
+      description: '회의 안건을 관리합니다 (Manage a meeting\'s agenda)',
+      options: [
+        {
+          type: 1, // SUB_COMMAND
+          name: 'add',
+          description: '회의 안건을 추가합니다 (Add an agenda item)',
+          options: [
+            {
+              type: 4, // INTEGER
+              name: 'meeting_id',
+              description: '회의 ID (meeting list로 확인 가능)',
+              required: true,
+            },
+            {
+              type: 3, // STRING
+              name: 'item',
+              description: 'Agenda item (안건 내용)',
+              required: true,
+              max_length: 200,
+            },
+          ],
+        },
+        {
+          type: 1, // SUB_COMMAND
+          name: 'list',
+          description: '회의 안건을 확인합니다 (Show the agenda)',
+          options: [
+            {
+              type: 4, // INTEGER
+              name: 'meeting_id',
+              description: '회의 ID (meeting list로 확인 가능)',
+              required: true,
+            },
+          ],
+        },
+        {
+          type: 1, // SUB_COMMAND
+          name: 'remove',
+          description: '회의 안건을 삭제합니다 (Remove an agenda item)',
+          options: [
+            {
+              type: 4, // INTEGER
+              name: 'meeting_id',
+              description: '회의 ID (meeting list로 확인 가능)',
+              required: true,
+            },
+            {
+              type: 4, // INTEGER
+              name: 'number',
+              description: 'Item number from agenda list (안건 번호)',
+              required: true,
+              min_value: 1,
+            },
+          ],
+        },
+      ],
+    },
+    // notes subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'notes',
+      description: '회의록을 작성합니다 (Write the meeting notes)',
+      options: [
+        {
+          type: 4, // INTEGER
+          name: 'meeting_id',
+          description: '회의 ID (meeting list로 확인 가능)',
+          required: false,
+        },
+        {
+          type: 4, // INTEGER
+          name: 'record',
+          description: 'History number from meeting history, for past occurrences (지난 회의 번호)',
+          required: false,
+        },
+      ],
+    },
+    // minutes subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'minutes',
+      description: '회의 안건과 회의록을 확인합니다 (Show a meeting\'s agenda and notes)',
+      options: [
+        {
+          type: 4, // INTEGER
+          name: 'meeting_id',
+          description: '회의 ID (meeting list로 확인 가능)',
+          required: false,
+        },
+        {
+          type: 4, // INTEGER
+          name: 'record',
+          description: 'History number from meeting history, for past occurrences (지난 회의 번호)',
+          required: false,
+        },
+      ],
+    },
+    // history subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'history',
+      description: '지난 회의 기록을 확인합니다 (Browse past meetings)',
+      options: [
+        {
+          type: 3, // STRING
+          name: 'from',
+          description: 'First day, YYYY-MM-DD (시작 날짜)',
+          required: false,
+        },
+        {
+          type: 3, // STRING
+          name: 'to',
+          description: 'Last day, YYYY-MM-DD (종료 날짜)',
+          required: false,
+        },
+        {
+          type: 4, // INTEGER
+          name: 'series',
+          description: 'Meeting ID of a recurring meeting, to show its series only (반복 회의 ID)',
+          required: false,
+        },
+        {
+          type: 4, // INTEGER
+          name: 'page',
+          description: 'Page number (페이지)',
+          required: false,
+          min_value: 1,
+        },
+      ],
+    },
+    // remind-me subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'remind-me',
+      description: '회의 알림 시간을 개인별로 설정합니다 (Set your own reminder times for a meeting)',
+      options: [
+        {
+          type: 4, // INTEGER
+          name: 'meeting_id',
+          description: '회의 ID (meeting list로 확인 가능)',
+          required: true,
+        },
+        {
+          type: 3, // STRING
+          name: 'minutes',
+          description: 'Reminder minutes (comma-separated), empty to reset (예: 60,5)',
+          required: false,
+        },
+      ],
+    },
+    // import subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'import',
+      description: '.ics 파일에서 회의를 가져옵니다 (Import meetings from an .ics file)',
+      options: [
+        {
+          type: 11, // ATTACHMENT
+          name: 'file',
+          description: 'Calendar file (.ics) (캘린더 파일)',
+          required: true,
+        },
+        {
+          type: 3, // STRING
+          name: 'participants',
+          description: 'Participants (@mentions or @role mentions) (참석자)',
+          required: true,
+        },
+        {
+          type: 3, // STRING
+          name: 'reminder_minutes',
+          description: 'Reminder minutes before meeting (comma-separated) (예: 1,5,10)',
+          required: false,
+        },
+      ],
+    },
+    // export subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'export',
+      description: '회의를 .ics 파일과 캘린더 구독 링크로 내보냅니다 (Export meetings as .ics and a calendar feed)',
+      options: [
+        {
+          type: 5, // BOOLEAN
+          name: 'reset_link',
+          description: '구독 링크를 새로 발급합니다 (Issue a new feed link; old links stop working)',
+          required: false,
+        },
       ],
     },
     // channel subcommand
@@ -216,7 +539,7 @@ const GITHUB_COMMAND = {
         {
           type: 3, // STRING
           name: 'repository',
-          description: 'GitHub 저장소 URL (예: https://github.com/user/repo 또는 user/repo)',
+          description: '저장소 URL (예: https://github.com/user/repo, https://gitlab.com/group/project)',
           required: true,
         },
         {
@@ -225,6 +548,17 @@ const GITHUB_COMMAND = {
           description: '알림을 받을 채널 (기본값: 현재 채널)',
           required: false,
         },
+        {
+          type: 3, // STRING
+          name: 'provider',
+          description: '저장소 호스팅 서비스 (기본값: URL에서 감지) (Repository host, detected from URL)',
+          required: false,
+          choices: [
+            { name: 'GitHub', value: 'github' },
+            { name: 'GitLab', value: 'gitlab' },
+            { name: 'Gitea', value: 'gitea' },
+          ],
+        },
       ],
     },
     // channel subcommand
@@ -241,6 +575,216 @@ const GITHUB_COMMAND = {
         },
       ],
     },
+    // subscribe subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'subscribe',
+      description: '저장소 알림을 구독합니다 (Subscribe a channel to a repository)',
+      options: [
+        {
+          type: 3, // STRING
+          name: 'repository',
+          description: '저장소 URL (예: https://github.com/user/repo, https://gitlab.com/group/project)',
+          required: true,
+        },
+        {
+          type: 7, // CHANNEL
+          name: 'channel',
+          description: '알림을 받을 채널 (기본값: GitHub 알림 채널 또는 현재 채널)',
+          required: false,
+        },
+        {
+          type: 3, // STRING
+          name: 'provider',
+          description: '저장소 호스팅 서비스 (기본값: URL에서 감지) (Repository host, detected from URL)',
+          required: false,
+          choices: [
+            { name: 'GitHub', value: 'github' },
+            { name: 'GitLab', value: 'gitlab' },
+            { name: 'Gitea', value: 'gitea' },
+          ],
+        },
+      ],
+    },
+    // unsubscribe subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'unsubscribe',
+      description: '저장소 구독을 해제합니다 (Unsubscribe from a repository)',
+      options: [
+        {
+          type: 3, // STRING
+          name: 'repository',
+          description: 'GitHub 저장소 URL 또는 user/repo',
+          required: true,
+        },
+        {
+          type: 7, // CHANNEL
+          name: 'channel',
+          description: '구독을 해제할 채널 (기본값: 모든 채널)',
+          required: false,
+        },
+      ],
+    },
+    // list subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'list',
+      description: '구독 중인 저장소 목록을 보여줍니다 (List repository subscriptions)',
+    },
+    // events subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'events',
+      description: '구독별 알림 이벤트를 설정합니다 (Choose which events a subscription receives)',
+      options: [
+        {
+          type: 3, // STRING
+          name: 'repository',
+          description: '구독 중인 저장소 (user/repo)',
+          required: true,
+          autocomplete: true,
+        },
+        {
+          type: 3, // STRING
+          name: 'filter',
+          description: 'Allowed events (예: pull_request:opened,closed issues:* push) - "all" to reset',
+          required: false,
+          autocomplete: true,
+        },
+        {
+          type: 7, // CHANNEL
+          name: 'channel',
+          description: '설정할 채널 (기본값: 저장소를 구독한 모든 채널)',
+          required: false,
+        },
+      ],
+    },
+    // push-filters subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'push-filters',
+      description: 'Push 알림의 브랜치/경로 필터를 설정합니다 (Filter push notifications by branch/path)',
+      options: [
+        {
+          type: 3, // STRING
+          name: 'repository',
+          description: '구독 중인 저장소 (user/repo)',
+          required: true,
+          autocomplete: true,
+        },
+        {
+          type: 3, // STRING
+          name: 'branches',
+          description: 'Branch globs, comma-separated (예: main, release/*, !dependabot/**) - "all" to reset',
+          required: false,
+        },
+        {
+          type: 3, // STRING
+          name: 'paths',
+          description: 'Changed file globs, comma-separated (예: docs/**, **.md) - "all" to reset',
+          required: false,
+        },
+        {
+          type: 7, // CHANNEL
+          name: 'channel',
+          description: '설정할 채널 (기본값: 저장소를 구독한 모든 채널)',
+          required: false,
+        },
+      ],
+    },
+    // ci subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'ci',
+      description: 'CI(Actions/Checks) 알림 방식을 설정합니다 (Set CI notification mode)',
+      options: [
+        {
+          type: 3, // STRING
+          name: 'repository',
+          description: '구독 중인 저장소 (user/repo)',
+          required: true,
+          autocomplete: true,
+        },
+        {
+          type: 3, // STRING
+          name: 'mode',
+          description: '알림 방식 (Notification mode)',
+          required: true,
+          choices: [
+            { name: 'All results', value: 'all' },
+            { name: 'Failures and recoveries only', value: 'failures' },
+          ],
+        },
+        {
+          type: 7, // CHANNEL
+          name: 'channel',
+          description: '설정할 채널 (기본값: 저장소를 구독한 모든 채널)',
+          required: false,
+        },
+      ],
+    },
+    // digest subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'digest',
+      description: '알림을 모아서 주기적으로 보냅니다 (Batch notifications into a digest)',
+      options: [
+        {
+          type: 3, // STRING
+          name: 'repository',
+          description: '구독 중인 저장소 (user/repo)',
+          required: true,
+          autocomplete: true,
+        },
+        {
+          type: 3, // STRING
+          name: 'mode',
+          description: '다이제스트 방식 (Digest mode)',
+          required: true,
+          choices: [
+            { name: 'Off (send immediately)', value: 'off' },
+            { name: 'Every N minutes', value: 'interval' },
+            { name: 'Daily', value: 'daily' },
+          ],
+        },
+        {
+          type: 4, // INTEGER
+          name: 'interval',
+          description: '간격(분), 기본값 60 (Interval in minutes)',
+          required: false,
+          min_value: 5,
+          max_value: 1440,
+        },
+        {
+          type: 3, // STRING
+          name: 'time',
+          description: '매일 보낼 시간 HH:MM, 기본값 09:00 (Daily time)',
+          required: false,
+        },
+        {
+          type: 7, // CHANNEL
+          name: 'channel',
+          description: '설정할 채널 (기본값: 저장소를 구독한 모든 채널)',
+          required: false,
+        },
+      ],
+    },
+    // deliveries subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'deliveries',
+      description: '실패한 웹훅 전달을 확인하고 다시 실행합니다 (관리자) (List or replay failed deliveries)',
+      options: [
+        {
+          type: 3, // STRING
+          name: 'replay',
+          description: '다시 실행할 전달 ID (Delivery ID to replay)',
+          required: false,
+          autocomplete: true,
+        },
+      ],
+    },
     // status subcommand
     {
       type: 1, // SUB_COMMAND
@@ -308,6 +852,98 @@ const CONFIG_COMMAND = {
         },
       ],
     },
+    // github-style subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'github-style',
+      description: 'GitHub 알림 형식을 설정합니다 (Set the GitHub notification style)',
+      options: [
+        {
+          type: 3, // STRING
+          name: 'style',
+          description: 'Message style (메시지 형식)',
+          required: true,
+          choices: [
+            { name: 'Embed', value: 'embed' },
+            { name: 'Plain text', value: 'plain' },
+          ],
+        },
+      ],
+    },
+    // holidays subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'holidays',
+      description: '반복 회의가 건너뛸 공휴일을 설정합니다 (Set the holidays recurring meetings skip)',
+      options: [
+        {
+          type: 3, // STRING
+          name: 'calendar',
+          description: 'Bundled holiday calendar (공휴일 달력)',
+          required: false,
+          choices: [
+            { name: '대한민국 (South Korea)', value: 'KR' },
+            { name: 'United States', value: 'US' },
+            { name: '日本 (Japan)', value: 'JP' },
+            { name: 'Off (끄기)', value: 'off' },
+          ],
+        },
+        {
+          type: 11, // ATTACHMENT
+          name: 'file',
+          description: 'Holiday calendar file (.ics), used instead of a bundled one (공휴일 파일)',
+          required: false,
+        },
+        {
+          type: 5, // BOOLEAN
+          name: 'notice',
+          description: 'Post a notice when a meeting is skipped (건너뛸 때 안내)',
+          required: false,
+        },
+      ],
+    },
+    // missed-reminders subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'missed-reminders',
+      description: '봇이 꺼져 있는 동안 놓친 알림 처리 방식 (What to do with reminders missed while offline)',
+      options: [
+        {
+          type: 3, // STRING
+          name: 'mode',
+          description: 'Late notice or nothing (늦은 안내 또는 안내 안 함)',
+          required: true,
+          choices: [
+            { name: 'Late notice (늦은 안내)', value: 'late' },
+            { name: 'Silent (안내 안 함)', value: 'silent' },
+          ],
+        },
+      ],
+    },
+    // notifications subcommand
+    {
+      type: 1, // SUB_COMMAND
+      name: 'notifications',
+      description: '개인 알림 설정 (Set your personal notification preferences)',
+      options: [
+        {
+          type: 3, // STRING
+          name: 'dm',
+          description: 'Send meeting reminders by DM (회의 알림 DM 받기)',
+          required: false,
+          choices: [
+            { name: 'On', value: 'on' },
+            { name: 'Off', value: 'off' },
+          ],
+        },
+        {
+          type: 3, // STRING
+          name: 'reminder_minutes',
+          description: 'Default reminder minutes, or "default" (기본 알림 시간) (예: 60,5)',
+          required: false,
+        },
+      ],
+    },
     // status subcommand
     {
       type: 1, // SUB_COMMAND
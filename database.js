@@ -7,6 +7,7 @@
  */
 
 import Database from 'better-sqlite3';
+import { legacyRepeatTypeToRRule } from './recurrence.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -29,6 +30,21 @@ try {
   throw error;
 }
 
+/**
+ * Add a column to an existing table if it is missing (for databases created by older versions)
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints (e.g. "TEXT DEFAULT 'en'")
+ */
+function ensureColumn(table, column, definition) {
+  const tableInfo = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!tableInfo.some(col => col.name === column)) {
+    console.log(`Adding ${column} column to ${table} table...`);
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`${column} column added successfully`);
+  }
+}
+
 // Initialize database tables
 try {
   db.exec(`
@@ -44,9 +60,113 @@ try {
     repeat_type TEXT,
     repeat_interval INTEGER,
     repeat_end_date TEXT,
+    member_ids TEXT,
+    rrule TEXT,
+    series_start TEXT,
+    series_id INTEGER,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Last meeting ID handed out (single row); IDs are never reused once their meeting is deleted
+  CREATE TABLE IF NOT EXISTS meeting_id_sequence (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    last_id INTEGER NOT NULL
+  );
+
+  -- Attendance responses from the RSVP buttons (one row per meeting and user)
+  CREATE TABLE IF NOT EXISTS meeting_rsvps (
+    meeting_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (meeting_id, user_id)
+  );
+
+  -- Job queue for meeting reminders: kind is 'reminder' (channel), 'personal', 'snooze' or 'end'
+  -- ('end' archives the occurrence and moves a series on); occurrence is the meeting date the job
+  -- was planned for, so jobs left over from an earlier date are not run
+  -- dedupe_key keeps a job from being planned twice (NULL for snoozes, which may repeat)
+  -- status goes from 'pending' to 'running' and then 'done', 'missed', 'failed' or 'cancelled'
+  CREATE TABLE IF NOT EXISTS meeting_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    meeting_id INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    occurrence TEXT NOT NULL,
+    minutes INTEGER,
+    user_id TEXT,
+    channel_id TEXT,
+    due_at TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    dedupe_key TEXT UNIQUE,
+    finished_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Skipped and moved occurrences of recurring meetings
+  -- Rows stay with the series' meeting row as it moves on; new_date is NULL for a skip
+  -- reason is 'holiday' for occurrences skipped automatically on a guild holiday
+  CREATE TABLE IF NOT EXISTS meeting_exceptions (
+    meeting_id INTEGER NOT NULL,
+    occurrence_date TEXT NOT NULL,
+    new_date TEXT,
+    reason TEXT,
+    notified_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (meeting_id, occurrence_date)
+  );
+
+  -- Recurring meeting series; meetings.series_id and meeting_records.series_id point here
+  -- The schedule (rrule, series_start) lives on the series' meeting row, which keeps its ID
+  -- from one occurrence to the next; occurrences edited on their own become rows of their own
+  CREATE TABLE IF NOT EXISTS meeting_series (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
     created_at TEXT DEFAULT CURRENT_TIMESTAMP
   );
 
+  -- Agenda and notes of a meeting occurrence, kept after the meeting row is gone
+  -- Title, date and participants are copied so past occurrences can still be looked up
+  -- status is 'scheduled' until the occurrence is archived as 'completed', 'skipped',
+  -- 'cancelled' or 'missed' (passed while the bot was down);
+  -- attendance (RSVPs by user ID) and reminders (what was sent) are snapshots taken at that point
+  CREATE TABLE IF NOT EXISTS meeting_records (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    meeting_id INTEGER NOT NULL,
+    guild_id TEXT NOT NULL,
+    title TEXT NOT NULL,
+    date TEXT NOT NULL,
+    participants TEXT,
+    member_ids TEXT,
+    notes TEXT,
+    notes_author_id TEXT,
+    notes_updated_at TEXT,
+    status TEXT NOT NULL DEFAULT 'scheduled',
+    series_id INTEGER,
+    attendance TEXT,
+    reminders TEXT,
+    archived_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (meeting_id, date)
+  );
+
+  CREATE TABLE IF NOT EXISTS meeting_agenda_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    record_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    content TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Holidays uploaded as an .ics file (used when holiday_calendar is 'ics')
+  CREATE TABLE IF NOT EXISTS guild_holidays (
+    guild_id TEXT NOT NULL,
+    date TEXT NOT NULL,
+    name TEXT NOT NULL,
+    PRIMARY KEY (guild_id, date)
+  );
+
   CREATE TABLE IF NOT EXISTS guild_settings (
     guild_id TEXT PRIMARY KEY,
     meeting_channel_id TEXT,
@@ -54,11 +174,115 @@ try {
     github_repository TEXT,
     language TEXT DEFAULT 'en',
     timezone TEXT DEFAULT 'Asia/Seoul',
+    github_message_style TEXT NOT NULL DEFAULT 'embed',
+    calendar_token TEXT,
+    holiday_calendar TEXT,
+    holiday_notice INTEGER NOT NULL DEFAULT 0,
+    missed_reminder_mode TEXT NOT NULL DEFAULT 'late',
     updated_at TEXT DEFAULT CURRENT_TIMESTAMP
   );
 
+  -- Per-user settings (shared across servers)
+  CREATE TABLE IF NOT EXISTS user_preferences (
+    user_id TEXT PRIMARY KEY,
+    dm_reminders INTEGER NOT NULL DEFAULT 0,
+    reminder_minutes TEXT,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Per-meeting lead times a user set for themselves (JSON array of minutes)
+  CREATE TABLE IF NOT EXISTS meeting_reminder_overrides (
+    meeting_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    reminder_minutes TEXT NOT NULL,
+    PRIMARY KEY (meeting_id, user_id)
+  );
+
+  -- Personal reminders already sent (the channel reminder is tracked in meetings.reminded)
+  CREATE TABLE IF NOT EXISTS meeting_reminder_deliveries (
+    meeting_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    minutes INTEGER NOT NULL,
+    sent_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (meeting_id, user_id, minutes)
+  );
+
+  CREATE TABLE IF NOT EXISTS github_subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    repository TEXT NOT NULL COLLATE NOCASE,
+    channel_id TEXT NOT NULL,
+    provider TEXT NOT NULL DEFAULT 'github',
+    event_filter TEXT,
+    branch_filter TEXT,
+    path_filter TEXT,
+    ci_notify_mode TEXT NOT NULL DEFAULT 'all',
+    webhook_secret TEXT,
+    digest_mode TEXT NOT NULL DEFAULT 'off',
+    digest_interval INTEGER,
+    digest_time TEXT,
+    digest_last_sent_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(guild_id, repository, channel_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS github_ci_status (
+    repository TEXT NOT NULL COLLATE NOCASE,
+    check_key TEXT NOT NULL,
+    branch TEXT NOT NULL,
+    conclusion TEXT NOT NULL,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (repository, check_key, branch)
+  );
+
+  -- Events held for a subscription's next digest
+  CREATE TABLE IF NOT EXISTS github_digest_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    subscription_id INTEGER NOT NULL,
+    event TEXT NOT NULL,
+    action TEXT,
+    branch TEXT,
+    author TEXT,
+    ref TEXT,
+    title TEXT,
+    url TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Every webhook delivery received (payload kept so it can be replayed)
+  CREATE TABLE IF NOT EXISTS github_deliveries (
+    delivery_id TEXT PRIMARY KEY,
+    provider TEXT NOT NULL DEFAULT 'github',
+    event TEXT NOT NULL,
+    repository TEXT COLLATE NOCASE,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'received',
+    error TEXT,
+    received_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    processed_at TEXT
+  );
+
+  -- Send outcome per delivery and subscribed channel
+  CREATE TABLE IF NOT EXISTS github_delivery_results (
+    delivery_id TEXT NOT NULL,
+    guild_id TEXT NOT NULL,
+    channel_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    error TEXT,
+    attempted_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (delivery_id, guild_id, channel_id)
+  );
+
   CREATE INDEX IF NOT EXISTS idx_meetings_guild_date ON meetings(guild_id, date);
   CREATE INDEX IF NOT EXISTS idx_meetings_date ON meetings(date);
+  CREATE INDEX IF NOT EXISTS idx_meeting_jobs_due ON meeting_jobs(status, due_at);
+  CREATE INDEX IF NOT EXISTS idx_meeting_jobs_meeting ON meeting_jobs(meeting_id);
+  CREATE INDEX IF NOT EXISTS idx_meeting_agenda_items_record ON meeting_agenda_items(record_id);
+  CREATE INDEX IF NOT EXISTS idx_meeting_records_guild_date ON meeting_records(guild_id, date);
+  CREATE INDEX IF NOT EXISTS idx_github_subscriptions_repository ON github_subscriptions(repository);
+  CREATE INDEX IF NOT EXISTS idx_github_digest_events_subscription ON github_digest_events(subscription_id);
+  CREATE INDEX IF NOT EXISTS idx_github_deliveries_received ON github_deliveries(received_at);
+  CREATE INDEX IF NOT EXISTS idx_github_delivery_results_guild ON github_delivery_results(guild_id, status);
 `);
   console.log('Database tables initialized successfully');
   
@@ -76,6 +300,145 @@ try {
     console.error('Error during migration:', migrationError);
     // Don't throw - allow app to continue even if migration fails
   }
+
+  // Migration: Add per-guild, per-subscription and delivery log columns
+  try {
+    ensureColumn('meetings', 'member_ids', 'TEXT');
+    ensureColumn('meetings', 'rrule', 'TEXT');
+    ensureColumn('meetings', 'series_start', 'TEXT');
+    ensureColumn('meetings', 'series_id', 'INTEGER');
+    ensureColumn('user_preferences', 'reminder_minutes', 'TEXT');
+    ensureColumn('guild_settings', 'github_message_style', "TEXT NOT NULL DEFAULT 'embed'");
+    ensureColumn('guild_settings', 'calendar_token', 'TEXT');
+    ensureColumn('guild_settings', 'holiday_calendar', 'TEXT');
+    ensureColumn('guild_settings', 'holiday_notice', 'INTEGER NOT NULL DEFAULT 0');
+    ensureColumn('guild_settings', 'missed_reminder_mode', "TEXT NOT NULL DEFAULT 'late'");
+    ensureColumn('meeting_exceptions', 'reason', 'TEXT');
+    ensureColumn('meeting_exceptions', 'notified_at', 'TEXT');
+    ensureColumn('meeting_records', 'status', "TEXT NOT NULL DEFAULT 'scheduled'");
+    ensureColumn('meeting_records', 'series_id', 'INTEGER');
+    ensureColumn('meeting_records', 'attendance', 'TEXT');
+    ensureColumn('meeting_records', 'reminders', 'TEXT');
+    ensureColumn('meeting_records', 'archived_at', 'TEXT');
+    ensureColumn('github_subscriptions', 'provider', "TEXT NOT NULL DEFAULT 'github'");
+    ensureColumn('github_subscriptions', 'event_filter', 'TEXT');
+    ensureColumn('github_subscriptions', 'branch_filter', 'TEXT');
+    ensureColumn('github_subscriptions', 'path_filter', 'TEXT');
+    ensureColumn('github_subscriptions', 'ci_notify_mode', "TEXT NOT NULL DEFAULT 'all'");
+    ensureColumn('github_subscriptions', 'webhook_secret', 'TEXT');
+    ensureColumn('github_subscriptions', 'digest_mode', "TEXT NOT NULL DEFAULT 'off'");
+    ensureColumn('github_subscriptions', 'digest_interval', 'INTEGER');
+    ensureColumn('github_subscriptions', 'digest_time', 'TEXT');
+    ensureColumn('github_subscriptions', 'digest_last_sent_at', 'TEXT');
+    ensureColumn('github_deliveries', 'provider', "TEXT NOT NULL DEFAULT 'github'");
+  } catch (migrationError) {
+    console.error('Error during migration:', migrationError);
+  }
+
+  // Migration: Register series IDs handed out before meeting_series existed
+  try {
+    db.exec(`
+      INSERT OR IGNORE INTO meeting_series (id, guild_id)
+      SELECT series_id, guild_id FROM meetings WHERE series_id IS NOT NULL
+      UNION
+      SELECT series_id, guild_id FROM meeting_records WHERE series_id IS NOT NULL
+    `);
+  } catch (migrationError) {
+    console.error('Error during migration:', migrationError);
+  }
+
+  // Migration: Start the meeting ID sequence after every ID in use, including those of
+  // deleted meetings whose records are kept
+  try {
+    db.exec(`
+      INSERT OR IGNORE INTO meeting_id_sequence (id, last_id)
+      SELECT 1, COALESCE(MAX(id), 0) FROM (
+        SELECT MAX(id) AS id FROM meetings
+        UNION ALL SELECT MAX(meeting_id) FROM meeting_records
+        UNION ALL SELECT MAX(meeting_id) FROM meeting_rsvps
+        UNION ALL SELECT MAX(meeting_id) FROM meeting_jobs
+        UNION ALL SELECT MAX(meeting_id) FROM meeting_exceptions
+        UNION ALL SELECT MAX(meeting_id) FROM meeting_reminder_overrides
+        UNION ALL SELECT MAX(meeting_id) FROM meeting_reminder_deliveries
+      )
+    `);
+  } catch (migrationError) {
+    console.error('Error during migration:', migrationError);
+  }
+
+  // Migration: Move follow-ups from the snooze table into the job queue
+  try {
+    const hasSnoozes = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'meeting_snoozes'").get();
+    if (hasSnoozes) {
+      db.transaction(() => {
+        db.exec(`
+          INSERT INTO meeting_jobs (meeting_id, kind, occurrence, user_id, channel_id, due_at)
+          SELECT s.meeting_id, 'snooze', m.date, s.user_id, s.channel_id, s.remind_at
+          FROM meeting_snoozes s
+          JOIN meetings m ON m.id = s.meeting_id
+        `);
+        db.exec('DROP TABLE meeting_snoozes');
+      })();
+      console.log('Snoozed reminders moved to the job queue');
+    }
+  } catch (migrationError) {
+    console.error('Error during migration:', migrationError);
+  }
+
+  // Migration: Convert repeat_type/repeat_interval/repeat_end_date into RRULE values
+  // The series is anchored at the current occurrence; legacy columns are cleared afterwards
+  try {
+    const legacyMeetings = db.prepare(`
+      SELECT id, repeat_type, repeat_end_date FROM meetings
+      WHERE repeat_type IS NOT NULL AND rrule IS NULL
+    `).all();
+
+    if (legacyMeetings.length > 0) {
+      console.log(`Migrating ${legacyMeetings.length} recurring meeting(s) to recurrence rules...`);
+      const setRRule = db.prepare(`
+        UPDATE meetings
+        SET rrule = ?, series_start = date, repeat_type = NULL, repeat_interval = NULL, repeat_end_date = NULL
+        WHERE id = ?
+      `);
+      db.transaction(() => {
+        for (const row of legacyMeetings) {
+          setRRule.run(legacyRepeatTypeToRRule(row.repeat_type, row.repeat_end_date), row.id);
+        }
+      })();
+      console.log('Recurring meetings migrated successfully');
+    }
+  } catch (migrationError) {
+    console.error('Error during migration:', migrationError);
+    // Don't throw - allow app to continue even if migration fails
+  }
+
+  // Migration: Move single guild_settings.github_repository into github_subscriptions
+  // The column is cleared afterwards so an unsubscribed repository is not re-imported on restart
+  try {
+    const legacyRepos = db.prepare(`
+      SELECT guild_id, github_repository, github_channel_id FROM guild_settings
+      WHERE github_repository IS NOT NULL AND github_channel_id IS NOT NULL
+    `).all();
+
+    if (legacyRepos.length > 0) {
+      console.log(`Migrating ${legacyRepos.length} GitHub repository setting(s) to subscriptions...`);
+      const insertLegacy = db.prepare(`
+        INSERT OR IGNORE INTO github_subscriptions (guild_id, repository, channel_id)
+        VALUES (?, ?, ?)
+      `);
+      const clearLegacy = db.prepare('UPDATE guild_settings SET github_repository = NULL WHERE guild_id = ?');
+      db.transaction(() => {
+        for (const row of legacyRepos) {
+          insertLegacy.run(row.guild_id, row.github_repository, row.github_channel_id);
+          clearLegacy.run(row.guild_id);
+        }
+      })();
+      console.log('GitHub subscriptions migrated successfully');
+    }
+  } catch (migrationError) {
+    console.error('Error during migration:', migrationError);
+    // Don't throw - allow app to continue even if migration fails
+  }
 } catch (error) {
   console.error('Failed to initialize database tables:', error);
   throw error;
@@ -100,14 +463,15 @@ export const meetingQueries = {
   `),
   
   
+  // rrule is an RFC 5545 RRULE value; series_start is the series' first occurrence (DTSTART)
   insert: db.prepare(`
-    INSERT INTO meetings (id, guild_id, title, date, participants, channel_id, reminder_minutes, repeat_type, repeat_interval, repeat_end_date)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO meetings (id, guild_id, title, date, participants, channel_id, reminder_minutes, rrule, series_start)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `),
   
   insertWithoutId: db.prepare(`
-    INSERT INTO meetings (guild_id, title, date, participants, channel_id, reminder_minutes, repeat_type, repeat_interval, repeat_end_date)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO meetings (guild_id, title, date, participants, channel_id, reminder_minutes, rrule, series_start)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `),
 
   getAll: db.prepare('SELECT * FROM meetings ORDER BY date ASC'),
@@ -130,12 +494,34 @@ export const meetingQueries = {
   
   update: db.prepare(`
     UPDATE meetings 
-    SET title = ?, date = ?, participants = ?, reminder_minutes = ?, repeat_type = ?, repeat_interval = ?, repeat_end_date = ?
+    SET title = ?, date = ?, participants = ?, reminder_minutes = ?, rrule = ?, series_start = ?
     WHERE id = ?
   `),
   
   delete: db.prepare('DELETE FROM meetings WHERE id = ?'),
-  
+
+  // JSON array of user IDs the participants resolved to (role members expanded)
+  setMemberIds: db.prepare('UPDATE meetings SET member_ids = ? WHERE id = ?'),
+
+  // series_id links a recurring meeting and its separately edited occurrences to their meeting_series row
+  setSeriesId: db.prepare('UPDATE meetings SET series_id = ? WHERE id = ?'),
+
+  // Move a recurring meeting's row on to its next occurrence
+  advance: db.prepare(`
+    UPDATE meetings
+    SET date = ?, reminded = '[]'
+    WHERE id = ?
+  `),
+
+  setRRule: db.prepare('UPDATE meetings SET rrule = ? WHERE id = ?'),
+
+  // Occurrences of a series that were edited on their own and are still ahead
+  getDetachedBySeries: db.prepare(`
+    SELECT * FROM meetings
+    WHERE series_id = ? AND rrule IS NULL AND date > ?
+    ORDER BY date ASC
+  `),
+
   updateReminded: db.prepare(`
     UPDATE meetings 
     SET reminded = ?
@@ -143,6 +529,89 @@ export const meetingQueries = {
   `),
 };
 
+// RSVP operations
+// status: 'accepted', 'declined' or 'tentative'
+export const meetingRsvpQueries = {
+  upsert: db.prepare(`
+    INSERT INTO meeting_rsvps (meeting_id, user_id, status)
+    VALUES (?, ?, ?)
+    ON CONFLICT(meeting_id, user_id) DO UPDATE SET status = excluded.status, updated_at = CURRENT_TIMESTAMP
+  `),
+
+  getByMeeting: db.prepare('SELECT * FROM meeting_rsvps WHERE meeting_id = ? ORDER BY updated_at ASC'),
+
+  countByMeeting: db.prepare(`
+    SELECT status, COUNT(*) AS count FROM meeting_rsvps WHERE meeting_id = ? GROUP BY status
+  `),
+
+  deleteByMeeting: db.prepare('DELETE FROM meeting_rsvps WHERE meeting_id = ?'),
+
+  // Responses follow an occurrence that is split off its series
+  moveToMeeting: db.prepare('UPDATE meeting_rsvps SET meeting_id = ? WHERE meeting_id = ?'),
+
+  deleteOrphans: db.prepare(`
+    DELETE FROM meeting_rsvps
+    WHERE meeting_id NOT IN (SELECT id FROM meetings)
+  `),
+};
+
+// Meeting job queue operations (due_at and occurrence are ISO timestamps)
+export const meetingJobQueries = {
+  // Ignored when a job with the same dedupe_key was planned before, whatever its status
+  insert: db.prepare(`
+    INSERT OR IGNORE INTO meeting_jobs (meeting_id, kind, occurrence, minutes, user_id, channel_id, due_at, dedupe_key)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  getPendingByMeeting: db.prepare("SELECT * FROM meeting_jobs WHERE meeting_id = ? AND status = 'pending'"),
+
+  // Reminders and snoozes that fell due before a cutoff without being run (end jobs always run)
+  getOverdue: db.prepare(`
+    SELECT * FROM meeting_jobs
+    WHERE status = 'pending' AND kind <> 'end' AND due_at < ?
+    ORDER BY due_at ASC
+  `),
+
+  // End jobs run after the reminders due at the same time
+  getDue: db.prepare(`
+    SELECT * FROM meeting_jobs
+    WHERE status = 'pending' AND due_at <= ?
+    ORDER BY due_at ASC, kind = 'end' ASC, id ASC
+  `),
+
+  // Claiming is what makes a job run once: only one caller changes the row
+  claim: db.prepare(`
+    UPDATE meeting_jobs SET status = 'running', attempts = attempts + 1
+    WHERE id = ? AND status = 'pending'
+  `),
+
+  finish: db.prepare(`
+    UPDATE meeting_jobs SET status = ?, error = ?, finished_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `),
+
+  retry: db.prepare("UPDATE meeting_jobs SET status = 'pending', error = ? WHERE id = ?"),
+
+  // Jobs cut off mid-run by a restart may already have been delivered, so they are not run again
+  failInterrupted: db.prepare(`
+    UPDATE meeting_jobs SET status = 'failed', error = 'interrupted', finished_at = CURRENT_TIMESTAMP
+    WHERE status = 'running'
+  `),
+
+  delete: db.prepare('DELETE FROM meeting_jobs WHERE id = ?'),
+
+  deleteOrphans: db.prepare(`
+    DELETE FROM meeting_jobs
+    WHERE meeting_id NOT IN (SELECT id FROM meetings)
+  `),
+
+  // modifier is an SQLite date modifier, e.g. '-7 days'
+  deleteFinishedBefore: db.prepare(`
+    DELETE FROM meeting_jobs
+    WHERE finished_at IS NOT NULL AND finished_at < datetime('now', ?)
+  `),
+};
+
 // Guild settings operations
 export const guildSettingsQueries = {
   get: db.prepare('SELECT * FROM guild_settings WHERE guild_id = ?'),
@@ -171,12 +640,6 @@ export const guildSettingsQueries = {
     ON CONFLICT(guild_id) DO UPDATE SET github_channel_id = excluded.github_channel_id, updated_at = CURRENT_TIMESTAMP
   `),
   
-  setGithubRepository: db.prepare(`
-    INSERT INTO guild_settings (guild_id, github_repository)
-    VALUES (?, ?)
-    ON CONFLICT(guild_id) DO UPDATE SET github_repository = excluded.github_repository, updated_at = CURRENT_TIMESTAMP
-  `),
-  
   setLanguage: db.prepare(`
     INSERT INTO guild_settings (guild_id, language)
     VALUES (?, ?)
@@ -188,15 +651,393 @@ export const guildSettingsQueries = {
     VALUES (?, ?)
     ON CONFLICT(guild_id) DO UPDATE SET timezone = excluded.timezone, updated_at = CURRENT_TIMESTAMP
   `),
+  
+  setGithubMessageStyle: db.prepare(`
+    INSERT INTO guild_settings (guild_id, github_message_style)
+    VALUES (?, ?)
+    ON CONFLICT(guild_id) DO UPDATE SET github_message_style = excluded.github_message_style, updated_at = CURRENT_TIMESTAMP
+  `),
+
+  // Secret part of the guild's calendar feed URL
+  setCalendarToken: db.prepare(`
+    INSERT INTO guild_settings (guild_id, calendar_token)
+    VALUES (?, ?)
+    ON CONFLICT(guild_id) DO UPDATE SET calendar_token = excluded.calendar_token, updated_at = CURRENT_TIMESTAMP
+  `),
+
+  // 'KR', 'US', 'JP', 'ics' (uploaded holidays) or NULL for none
+  setHolidayCalendar: db.prepare(`
+    INSERT INTO guild_settings (guild_id, holiday_calendar)
+    VALUES (?, ?)
+    ON CONFLICT(guild_id) DO UPDATE SET holiday_calendar = excluded.holiday_calendar, updated_at = CURRENT_TIMESTAMP
+  `),
+
+  setHolidayNotice: db.prepare(`
+    INSERT INTO guild_settings (guild_id, holiday_notice)
+    VALUES (?, ?)
+    ON CONFLICT(guild_id) DO UPDATE SET holiday_notice = excluded.holiday_notice, updated_at = CURRENT_TIMESTAMP
+  `),
+
+  // 'late' posts a notice for reminders missed while the bot was down, 'silent' drops them
+  setMissedReminderMode: db.prepare(`
+    INSERT INTO guild_settings (guild_id, missed_reminder_mode)
+    VALUES (?, ?)
+    ON CONFLICT(guild_id) DO UPDATE SET missed_reminder_mode = excluded.missed_reminder_mode, updated_at = CURRENT_TIMESTAMP
+  `),
+};
+
+export const guildHolidayQueries = {
+  get: db.prepare('SELECT * FROM guild_holidays WHERE guild_id = ? AND date = ?'),
+
+  countByGuild: db.prepare('SELECT COUNT(*) AS count FROM guild_holidays WHERE guild_id = ?'),
+
+  insert: db.prepare(`
+    INSERT INTO guild_holidays (guild_id, date, name)
+    VALUES (?, ?, ?)
+    ON CONFLICT(guild_id, date) DO UPDATE SET name = excluded.name
+  `),
+
+  deleteByGuild: db.prepare('DELETE FROM guild_holidays WHERE guild_id = ?'),
+};
+
+// User preference operations
+export const userPreferenceQueries = {
+  get: db.prepare('SELECT * FROM user_preferences WHERE user_id = ?'),
+
+  setDmReminders: db.prepare(`
+    INSERT INTO user_preferences (user_id, dm_reminders)
+    VALUES (?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET dm_reminders = excluded.dm_reminders, updated_at = CURRENT_TIMESTAMP
+  `),
+
+  // reminder_minutes: JSON array of default lead times, or null to follow each meeting
+  setReminderMinutes: db.prepare(`
+    INSERT INTO user_preferences (user_id, reminder_minutes)
+    VALUES (?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET reminder_minutes = excluded.reminder_minutes, updated_at = CURRENT_TIMESTAMP
+  `),
+
+  // Users from a JSON array of IDs who get personal reminders (by DM or with their own lead times)
+  getPersonal: db.prepare(`
+    SELECT * FROM user_preferences
+    WHERE (dm_reminders = 1 OR reminder_minutes IS NOT NULL)
+      AND user_id IN (SELECT value FROM json_each(?))
+  `),
+};
+
+// Recurring series exceptions (skipped, moved or holiday occurrences)
+export const meetingExceptionQueries = {
+  getByMeeting: db.prepare('SELECT * FROM meeting_exceptions WHERE meeting_id = ? ORDER BY occurrence_date ASC'),
+
+  set: db.prepare(`
+    INSERT INTO meeting_exceptions (meeting_id, occurrence_date, new_date)
+    VALUES (?, ?, ?)
+    ON CONFLICT(meeting_id, occurrence_date) DO UPDATE SET new_date = excluded.new_date, reason = NULL
+  `),
+
+  // Occurrences passed over for a holiday; a skip or move someone chose is left alone
+  setHoliday: db.prepare(`
+    INSERT OR IGNORE INTO meeting_exceptions (meeting_id, occurrence_date, reason)
+    VALUES (?, ?, 'holiday')
+  `),
+
+  getPendingHolidayNotices: db.prepare(`
+    SELECT e.occurrence_date, m.*
+    FROM meeting_exceptions e
+    JOIN meetings m ON m.id = e.meeting_id
+    WHERE e.reason = 'holiday' AND e.new_date IS NULL AND e.notified_at IS NULL
+  `),
+
+  markNotified: db.prepare(`
+    UPDATE meeting_exceptions SET notified_at = CURRENT_TIMESTAMP
+    WHERE meeting_id = ? AND occurrence_date = ?
+  `),
+
+  // Hand the exceptions from an occurrence on over to a series split off at that occurrence
+  moveFromDate: db.prepare('UPDATE meeting_exceptions SET meeting_id = ? WHERE meeting_id = ? AND occurrence_date >= ?'),
+
+  deleteFromDate: db.prepare('DELETE FROM meeting_exceptions WHERE meeting_id = ? AND occurrence_date >= ?'),
+
+  deleteByMeeting: db.prepare('DELETE FROM meeting_exceptions WHERE meeting_id = ?'),
+
+  deleteOrphans: db.prepare(`
+    DELETE FROM meeting_exceptions
+    WHERE meeting_id NOT IN (SELECT id FROM meetings)
+  `),
+};
+
+export const meetingSeriesQueries = {
+  insert: db.prepare('INSERT INTO meeting_series (guild_id) VALUES (?)'),
+};
+
+export const meetingRecordQueries = {
+  getById: db.prepare('SELECT * FROM meeting_records WHERE id = ?'),
+
+  getByMeetingDate: db.prepare('SELECT * FROM meeting_records WHERE meeting_id = ? AND date = ?'),
+
+  // Past occurrence whose meeting row has been removed
+  getLatestByMeeting: db.prepare('SELECT * FROM meeting_records WHERE meeting_id = ? ORDER BY date DESC LIMIT 1'),
+
+  // Create the record of a meeting occurrence, or refresh its copied details
+  ensure: db.prepare(`
+    INSERT INTO meeting_records (meeting_id, guild_id, title, date, participants, member_ids)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(meeting_id, date) DO UPDATE SET
+      title = excluded.title,
+      participants = excluded.participants,
+      member_ids = excluded.member_ids
+  `),
+
+  // Follow an edit of the meeting's title or date; the occurrence is archived again once it has passed
+  updateMeeting: db.prepare(`
+    UPDATE meeting_records
+    SET title = ?, date = ?, status = 'scheduled', archived_at = NULL
+    WHERE meeting_id = ? AND date = ?
+  `),
+
+  archive: db.prepare(`
+    UPDATE meeting_records
+    SET status = ?, series_id = ?, attendance = ?, reminders = ?, archived_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `),
+
+  // An occurrence split off its series keeps its agenda and notes
+  moveOccurrence: db.prepare('UPDATE meeting_records SET meeting_id = ?, date = ? WHERE meeting_id = ? AND date = ?'),
+
+  // Undo of a delete: the record follows the restored meeting (which may get a new ID)
+  reopen: db.prepare(`
+    UPDATE meeting_records
+    SET meeting_id = ?, status = 'scheduled', archived_at = NULL
+    WHERE meeting_id = ? AND date = ?
+  `),
+
+  // Archived occurrences, newest first; NULL date bounds and series mean no filter
+  getHistory: db.prepare(`
+    SELECT * FROM meeting_records
+    WHERE guild_id = ? AND status <> 'scheduled'
+      AND (? IS NULL OR date >= ?)
+      AND (? IS NULL OR date < ?)
+      AND (? IS NULL OR series_id = ?)
+    ORDER BY date DESC
+    LIMIT ? OFFSET ?
+  `),
+
+  countHistory: db.prepare(`
+    SELECT COUNT(*) AS count FROM meeting_records
+    WHERE guild_id = ? AND status <> 'scheduled'
+      AND (? IS NULL OR date >= ?)
+      AND (? IS NULL OR date < ?)
+      AND (? IS NULL OR series_id = ?)
+  `),
+
+  countAgenda: db.prepare('SELECT COUNT(*) AS count FROM meeting_agenda_items WHERE record_id = ?'),
+
+  setNotes: db.prepare(`
+    UPDATE meeting_records
+    SET notes = ?, notes_author_id = ?, notes_updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `),
+
+  getAgenda: db.prepare('SELECT * FROM meeting_agenda_items WHERE record_id = ? ORDER BY id ASC'),
+
+  addAgendaItem: db.prepare(`
+    INSERT INTO meeting_agenda_items (record_id, user_id, content)
+    VALUES (?, ?, ?)
+  `),
+
+  deleteAgendaItem: db.prepare('DELETE FROM meeting_agenda_items WHERE id = ? AND record_id = ?'),
+};
+
+// Per-user reminder operations
+export const meetingReminderQueries = {
+  getOverrides: db.prepare('SELECT * FROM meeting_reminder_overrides WHERE meeting_id = ?'),
+
+  setOverride: db.prepare(`
+    INSERT INTO meeting_reminder_overrides (meeting_id, user_id, reminder_minutes)
+    VALUES (?, ?, ?)
+    ON CONFLICT(meeting_id, user_id) DO UPDATE SET reminder_minutes = excluded.reminder_minutes
+  `),
+
+  deleteOverride: db.prepare('DELETE FROM meeting_reminder_overrides WHERE meeting_id = ? AND user_id = ?'),
+
+  getDeliveries: db.prepare('SELECT user_id, minutes FROM meeting_reminder_deliveries WHERE meeting_id = ?'),
+
+  insertDelivery: db.prepare(`
+    INSERT OR IGNORE INTO meeting_reminder_deliveries (meeting_id, user_id, minutes)
+    VALUES (?, ?, ?)
+  `),
+
+  deleteDeliveriesByMeeting: db.prepare('DELETE FROM meeting_reminder_deliveries WHERE meeting_id = ?'),
+
+  deleteOrphanOverrides: db.prepare(`
+    DELETE FROM meeting_reminder_overrides
+    WHERE meeting_id NOT IN (SELECT id FROM meetings)
+  `),
+
+  deleteOrphanDeliveries: db.prepare(`
+    DELETE FROM meeting_reminder_deliveries
+    WHERE meeting_id NOT IN (SELECT id FROM meetings)
+  `),
+};
+
+// GitHub subscription operations (one row per guild/repository/channel)
+// provider: 'github', 'gitlab' or 'gitea'; GitLab/Gitea webhooks are mapped onto GitHub events
+export const githubSubscriptionQueries = {
+  insert: db.prepare(`
+    INSERT OR IGNORE INTO github_subscriptions (guild_id, repository, channel_id, webhook_secret, provider)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+
+  getById: db.prepare('SELECT * FROM github_subscriptions WHERE id = ?'),
+
+  getByGuild: db.prepare('SELECT * FROM github_subscriptions WHERE guild_id = ? ORDER BY repository ASC, channel_id ASC'),
+
+  getByRepository: db.prepare('SELECT * FROM github_subscriptions WHERE repository = ? AND provider = ?'),
+
+  getByGuildAndRepository: db.prepare('SELECT * FROM github_subscriptions WHERE guild_id = ? AND repository = ?'),
+
+  delete: db.prepare('DELETE FROM github_subscriptions WHERE guild_id = ? AND repository = ? AND channel_id = ?'),
+
+  deleteByGuildAndRepository: db.prepare('DELETE FROM github_subscriptions WHERE guild_id = ? AND repository = ?'),
+
+  // event_filter: NULL delivers every event, otherwise an allow-list (see filters.js)
+  setEventFilter: db.prepare('UPDATE github_subscriptions SET event_filter = ? WHERE id = ?'),
+
+  // branch_filter/path_filter: comma-separated globs applied to push events, NULL means no filter
+  setPushFilters: db.prepare('UPDATE github_subscriptions SET branch_filter = ?, path_filter = ? WHERE id = ?'),
+
+  // ci_notify_mode: 'all' or 'failures' (failures and recoveries only)
+  setCiNotifyMode: db.prepare('UPDATE github_subscriptions SET ci_notify_mode = ? WHERE id = ?'),
+
+  // webhook_secret: shared by a guild's subscriptions to the same repository (one GitHub webhook each).
+  // Subscriptions created before per-subscription secrets have NULL and fall back to GITHUB_WEBHOOK_SECRET
+  getWebhookSecret: db.prepare(`
+    SELECT webhook_secret FROM github_subscriptions
+    WHERE guild_id = ? AND repository = ? AND webhook_secret IS NOT NULL
+    LIMIT 1
+  `),
+
+  fillWebhookSecret: db.prepare(`
+    UPDATE github_subscriptions SET webhook_secret = ?
+    WHERE guild_id = ? AND repository = ? AND webhook_secret IS NULL
+  `),
+
+  // digest_mode: 'off', 'interval' (every digest_interval minutes) or 'daily' (at digest_time, guild timezone)
+  setDigest: db.prepare(`
+    UPDATE github_subscriptions
+    SET digest_mode = ?, digest_interval = ?, digest_time = ?, digest_last_sent_at = ?
+    WHERE id = ?
+  `),
+
+  getWithDigest: db.prepare(`SELECT * FROM github_subscriptions WHERE digest_mode != 'off'`),
+
+  setDigestSentAt: db.prepare('UPDATE github_subscriptions SET digest_last_sent_at = ? WHERE id = ?'),
+};
+
+// Events buffered for digest subscriptions (kept in SQLite so they survive restarts)
+export const githubDigestQueries = {
+  insert: db.prepare(`
+    INSERT INTO github_digest_events (subscription_id, event, action, branch, author, ref, title, url)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  getBySubscription: db.prepare('SELECT * FROM github_digest_events WHERE subscription_id = ? ORDER BY id ASC'),
+
+  // Deletes up to a given ID so events buffered while a digest was being sent are kept
+  deleteUpTo: db.prepare('DELETE FROM github_digest_events WHERE subscription_id = ? AND id <= ?'),
+
+  deleteOrphans: db.prepare(`
+    DELETE FROM github_digest_events
+    WHERE subscription_id NOT IN (SELECT id FROM github_subscriptions)
+  `),
+};
+
+// Last CI conclusion per repository/check/branch (used to detect recoveries)
+export const githubCiStatusQueries = {
+  get: db.prepare('SELECT * FROM github_ci_status WHERE repository = ? AND check_key = ? AND branch = ?'),
+
+  upsert: db.prepare(`
+    INSERT INTO github_ci_status (repository, check_key, branch, conclusion)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(repository, check_key, branch) DO UPDATE SET conclusion = excluded.conclusion, updated_at = CURRENT_TIMESTAMP
+  `),
+};
+
+// Webhook delivery log (deduplication and replay)
+// status: 'received' while processing, then 'processed', 'ignored' (no subscriber) or 'failed'
+export const githubDeliveryQueries = {
+  get: db.prepare('SELECT * FROM github_deliveries WHERE delivery_id = ?'),
+
+  // Returns changes = 0 for a delivery ID that was already recorded
+  insert: db.prepare(`
+    INSERT OR IGNORE INTO github_deliveries (delivery_id, provider, event, repository, payload)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+
+  setStatus: db.prepare(`
+    UPDATE github_deliveries SET status = ?, error = ?, processed_at = CURRENT_TIMESTAMP
+    WHERE delivery_id = ?
+  `),
+
+  // Deliveries cut off by a restart (such as a review still waiting in its batch) are listed as failed
+  // so they can be replayed, and a redelivery from the provider runs them again
+  failInterrupted: db.prepare(`
+    UPDATE github_deliveries SET status = 'failed', error = 'interrupted', processed_at = CURRENT_TIMESTAMP
+    WHERE status = 'received'
+  `),
+
+  // A redelivery of a failed or unfinished delivery is processed again
+  reopen: db.prepare(`
+    UPDATE github_deliveries SET status = 'received', error = NULL, processed_at = NULL
+    WHERE delivery_id = ?
+  `),
+
+  // Failed deliveries that concern a guild: a send to one of its channels failed,
+  // or processing failed for a repository it subscribes to
+  getRecentFailuresByGuild: db.prepare(`
+    SELECT d.delivery_id, d.event, d.repository, d.received_at,
+      r.channel_id, COALESCE(r.error, d.error) AS error
+    FROM github_deliveries d
+    LEFT JOIN github_delivery_results r
+      ON r.delivery_id = d.delivery_id AND r.guild_id = ? AND r.status = 'failed'
+    WHERE r.delivery_id IS NOT NULL
+      OR (d.status = 'failed' AND d.repository IN (SELECT repository FROM github_subscriptions WHERE guild_id = ?))
+    ORDER BY d.received_at DESC
+    LIMIT ?
+  `),
+
+  deleteOlderThan: db.prepare(`
+    DELETE FROM github_deliveries WHERE received_at < datetime('now', ?)
+  `),
+
+  deleteOrphanResults: db.prepare(`
+    DELETE FROM github_delivery_results
+    WHERE delivery_id NOT IN (SELECT delivery_id FROM github_deliveries)
+  `),
+};
+
+export const githubDeliveryResultQueries = {
+  getByDelivery: db.prepare('SELECT * FROM github_delivery_results WHERE delivery_id = ?'),
+
+  upsert: db.prepare(`
+    INSERT INTO github_delivery_results (delivery_id, guild_id, channel_id, status, error)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(delivery_id, guild_id, channel_id) DO UPDATE SET
+      status = excluded.status,
+      error = excluded.error,
+      attempted_at = CURRENT_TIMESTAMP
+  `),
+
+  countFailed: db.prepare(`
+    SELECT COUNT(*) AS count FROM github_delivery_results WHERE delivery_id = ? AND status = 'failed'
+  `),
 };
 
-// Helper function to get next available ID (reuses deleted IDs)
+// Helper function to hand out the next meeting ID
+// IDs only ever increase, so a new meeting never inherits the RSVPs, reminder state,
+// jobs or records of a deleted one
 export function getNextMeetingId() {
-  // Do not reuse deleted IDs to avoid stale scheduled reminder jobs
-  // referencing a newly created meeting that happens to reuse the same ID.
-  // Always return the next monotonically increasing ID.
-  const result = db.prepare('SELECT MAX(id) AS max_id FROM meetings').get();
-  return (result?.max_id || 0) + 1;
+  return db.prepare('UPDATE meeting_id_sequence SET last_id = last_id + 1 WHERE id = 1 RETURNING last_id').get().last_id;
 }
 
 export default db;
@@ -0,0 +1,254 @@
+/**
+ * @file filters.js
+ * @brief Notification filters for GitHub subscriptions
+ * @author Rundee
+ * @date 2025-12-23
+ * @copyright Copyright (c) 2025 Rundee. All rights reserved.
+ */
+
+/**
+ * Webhook events the bot understands and the actions each can carry
+ * Events without actions (e.g. push) have an empty list
+ * 'merged' is a pseudo-action for pull requests closed by a merge, and
+ * 'approved'/'changes_requested'/'commented' are pseudo-actions for submitted review states
+ */
+export const GITHUB_EVENT_ACTIONS = {
+  push: [],
+  create: [],
+  delete: [],
+  pull_request: ['opened', 'closed', 'merged', 'reopened', 'synchronize', 'assigned', 'review_requested', 'ready_for_review'],
+  pull_request_review: ['submitted', 'edited', 'dismissed', 'approved', 'changes_requested', 'commented'],
+  pull_request_review_comment: ['created', 'edited', 'deleted'],
+  issues: ['opened', 'closed', 'reopened', 'assigned', 'labeled', 'unlabeled'],
+  issue_comment: ['created', 'edited', 'deleted'],
+  commit_comment: ['created'],
+  release: ['published', 'edited', 'deleted', 'prereleased', 'released'],
+  fork: [],
+  watch: ['started'],
+  star: ['created', 'deleted'],
+  deployment: ['created'],
+  deployment_status: ['created'],
+  gollum: [],
+  member: ['added', 'removed'],
+  public: [],
+  repository: ['created', 'deleted', 'archived', 'unarchived'],
+  workflow_run: ['requested', 'in_progress', 'completed'],
+  workflow_job: ['queued', 'waiting', 'in_progress', 'completed'],
+  check_run: ['created', 'rerequested', 'requested_action', 'completed'],
+  check_suite: ['requested', 'rerequested', 'completed'],
+};
+
+/**
+ * Parse an event filter string into a map of event -> allowed actions
+ * Entries are separated by spaces or semicolons, actions by commas
+ * e.g. "pull_request:opened,closed issues:* push"
+ * @param {string|null} filterStr - Filter string (null/empty means all events)
+ * @returns {Object|null} Map of event name to '*' or an array of actions, or null for all events
+ * @throws {Error} Throws if an event or action is unknown
+ */
+export function parseEventFilter(filterStr) {
+  if (!filterStr || !filterStr.trim()) return null;
+
+  const trimmed = filterStr.trim().toLowerCase();
+  if (trimmed === '*' || trimmed === 'all') return null;
+
+  const filter = {};
+  for (const entry of trimmed.split(/[\s;]+/).filter(Boolean)) {
+    const [event, actionsStr] = entry.split(':');
+    if (!(event in GITHUB_EVENT_ACTIONS)) {
+      throw new Error(`Unknown event: ${event}`);
+    }
+
+    if (!actionsStr || actionsStr === '*') {
+      filter[event] = '*';
+      continue;
+    }
+
+    const actions = actionsStr.split(',').map(a => a.trim()).filter(Boolean);
+    const unknown = actions.find(a => !GITHUB_EVENT_ACTIONS[event].includes(a));
+    if (unknown) {
+      throw new Error(`Unknown action for ${event}: ${unknown}`);
+    }
+
+    // Merge with an earlier entry for the same event
+    if (filter[event] !== '*') {
+      filter[event] = [...new Set([...(filter[event] || []), ...actions])];
+    }
+  }
+
+  return filter;
+}
+
+/**
+ * Format a parsed event filter back into its canonical string form
+ * @param {Object|null} filter - Parsed filter from parseEventFilter
+ * @returns {string|null} Canonical filter string, or null for all events
+ */
+export function formatEventFilter(filter) {
+  if (!filter) return null;
+
+  return Object.entries(filter)
+    .map(([event, actions]) => (actions === '*' ? `${event}:*` : `${event}:${actions.join(',')}`))
+    .join(' ');
+}
+
+/**
+ * Check whether a subscription's event filter allows a webhook delivery
+ * @param {string|null} filterStr - Stored filter string (null means all events)
+ * @param {string} event - Webhook event name (X-GitHub-Event)
+ * @param {Object} payload - Webhook payload
+ * @returns {boolean} True if the event should be delivered
+ */
+export function isEventAllowed(filterStr, event, payload) {
+  let filter;
+  try {
+    filter = parseEventFilter(filterStr);
+  } catch (error) {
+    // A filter saved before an event was renamed shouldn't silence the subscription
+    console.error(`Invalid event filter "${filterStr}":`, error);
+    return true;
+  }
+  if (!filter) return true;
+
+  const allowed = filter[event];
+  if (!allowed) return false;
+  if (allowed === '*') return true;
+
+  const actions = [payload.action];
+  if (event === 'pull_request' && payload.action === 'closed' && payload.pull_request?.merged) {
+    actions.push('merged');
+  }
+  if (event === 'pull_request_review' && payload.action === 'submitted' && payload.review?.state) {
+    actions.push(payload.review.state.toLowerCase());
+  }
+
+  return actions.some(action => allowed.includes(action));
+}
+
+/**
+ * Suggest completions for the last entry of a partially typed event filter
+ * @param {string} input - What the user has typed so far
+ * @returns {Array<string>} Full filter strings to offer as choices
+ */
+export function suggestEventFilters(input = '') {
+  const entries = input.split(/[\s;]+/);
+  const current = (entries.pop() || '').toLowerCase();
+  const prefix = entries.filter(Boolean).join(' ');
+  const withPrefix = value => (prefix ? `${prefix} ${value}` : value);
+
+  const [event, actionsStr] = current.split(':');
+
+  // Still typing the event name
+  if (actionsStr === undefined) {
+    return Object.keys(GITHUB_EVENT_ACTIONS)
+      .filter(name => name.startsWith(event))
+      .flatMap(name => (GITHUB_EVENT_ACTIONS[name].length > 0
+        ? [`${name}:*`, ...GITHUB_EVENT_ACTIONS[name].map(action => `${name}:${action}`)]
+        : [name]))
+      .map(withPrefix);
+  }
+
+  // Typing actions: keep the ones already chosen and offer the rest
+  const knownActions = GITHUB_EVENT_ACTIONS[event];
+  if (!knownActions) return [];
+
+  const chosen = actionsStr.split(',');
+  const partial = chosen.pop();
+  const done = chosen.filter(a => knownActions.includes(a));
+  const suggestions = knownActions
+    .filter(a => !done.includes(a) && a.startsWith(partial))
+    .map(a => `${event}:${[...done, a].join(',')}`);
+
+  return [`${event}:*`, ...suggestions].map(withPrefix);
+}
+
+/**
+ * Convert a glob pattern to a regular expression
+ * Follows GitHub Actions filter syntax: '*' matches within one path segment,
+ * '**' matches across segments and '?' matches a single character
+ * @param {string} pattern - Glob pattern (e.g. "release/*", "docs/**", "**.md")
+ * @returns {RegExp} Anchored regular expression
+ */
+export function globToRegExp(pattern) {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches zero directories ("docs/**/x" matches "docs/x")
+      if (pattern[i + 2] === '/') {
+        regex += '(?:.*/)?';
+        i += 2;
+      } else {
+        regex += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Parse a comma-separated glob list
+ * @param {string|null} patternsStr - Stored patterns (null/empty means no filter)
+ * @returns {Array<string>} Patterns, in order
+ */
+export function parseGlobList(patternsStr) {
+  if (!patternsStr) return [];
+  return patternsStr.split(',').map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Check a value against an ordered glob list
+ * Patterns starting with '!' exclude; the last matching pattern wins.
+ * A list of only exclusions matches everything else.
+ * @param {Array<string>} patterns - Glob patterns
+ * @param {string} value - Branch name or file path
+ * @returns {boolean} True if the value is included
+ */
+export function matchesGlobList(patterns, value) {
+  let included = patterns.every(p => p.startsWith('!'));
+  for (const pattern of patterns) {
+    const negated = pattern.startsWith('!');
+    if (globToRegExp(negated ? pattern.slice(1) : pattern).test(value)) {
+      included = !negated;
+    }
+  }
+  return included;
+}
+
+/**
+ * Check whether a push should be announced to a subscription
+ * Branch filters apply to branch pushes only; path filters match the files
+ * added, modified or removed by the pushed commits
+ * @param {Object} subscription - Subscription row (branch_filter, path_filter)
+ * @param {Object} payload - GitHub push payload
+ * @returns {boolean} True if the push passes the subscription's filters
+ */
+export function isPushAllowed(subscription, payload) {
+  const branchPatterns = parseGlobList(subscription.branch_filter);
+  if (branchPatterns.length > 0 && payload.ref?.startsWith('refs/heads/')) {
+    const branch = payload.ref.replace('refs/heads/', '');
+    if (!matchesGlobList(branchPatterns, branch)) return false;
+  }
+
+  const pathPatterns = parseGlobList(subscription.path_filter);
+  if (pathPatterns.length > 0) {
+    const files = (payload.commits || []).flatMap(c => [
+      ...(c.added || []),
+      ...(c.modified || []),
+      ...(c.removed || []),
+    ]);
+    // Without file information (e.g. force push with no commits) there is nothing to filter on
+    if (files.length > 0 && !files.some(file => matchesGlobList(pathPatterns, file))) {
+      return false;
+    }
+  }
+
+  return true;
+}
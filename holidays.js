@@ -0,0 +1,254 @@
+/**
+ * @file holidays.js
+ * @brief Bundled public holiday calendars (KR, US, JP)
+ * @author Rundee
+ * @date 2025-12-23
+ * @copyright Copyright (c) 2025 Rundee. All rights reserved.
+ */
+
+export const HOLIDAY_COUNTRIES = ['KR', 'US', 'JP'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Korean lunar holidays as solar dates: Seollal, Buddha's Birthday, Chuseok
+// Dates follow KST, which can be a day later than the Chinese calendar (e.g. 2027, 2028)
+const KR_LUNAR_HOLIDAYS = {
+  2025: ['01-29', '05-05', '10-06'],
+  2026: ['02-17', '05-24', '09-25'],
+  2027: ['02-07', '05-13', '09-15'],
+  2028: ['01-27', '05-02', '10-03'],
+  2029: ['02-13', '05-20', '09-22'],
+  2030: ['02-03', '05-09', '09-12'],
+};
+
+/**
+ * Create a date at midnight UTC
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {Date} Date
+ */
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Add days to a date
+ * @param {Date} date - Date at midnight UTC
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} New date
+ */
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * Format a date as a YYYY-MM-DD key
+ * @param {Date} date - Date at midnight UTC
+ * @returns {string} e.g. "2025-12-25"
+ */
+function toKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the nth weekday of a month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} weekday - Weekday (0=Sunday)
+ * @param {number} n - 1-based position, or -1 for the last one
+ * @returns {Date} Date at midnight UTC
+ */
+function nthWeekday(year, month, weekday, n) {
+  if (n === -1) {
+    const last = utcDate(year, month + 1, 0);
+    return addDays(last, -((last.getUTCDay() - weekday + 7) % 7));
+  }
+  const first = utcDate(year, month, 1);
+  return addDays(first, (weekday - first.getUTCDay() + 7) % 7 + (n - 1) * 7);
+}
+
+/**
+ * Find the first day after a date that is neither a holiday nor (optionally) a weekend
+ * @param {Date} date - Date at midnight UTC
+ * @param {Map<string, string>} holidays - Holidays found so far
+ * @param {boolean} weekdaysOnly - Skip Saturdays and Sundays too
+ * @returns {Date} Substitute day
+ */
+function nextFreeDay(date, holidays, weekdaysOnly) {
+  let day = addDays(date, 1);
+  while (holidays.has(toKey(day)) || (weekdaysOnly && (day.getUTCDay() === 0 || day.getUTCDay() === 6))) {
+    day = addDays(day, 1);
+  }
+  return day;
+}
+
+/**
+ * US federal holidays, with weekend dates observed on the nearest weekday
+ * @param {number} year - Year
+ * @returns {Map<string, string>} Holiday names by YYYY-MM-DD
+ */
+function getUsHolidays(year) {
+  const holidays = new Map();
+  const add = (date, name) => holidays.set(toKey(date), name);
+  const observed = (date, name) => {
+    const weekday = date.getUTCDay();
+    add(weekday === 6 ? addDays(date, -1) : weekday === 0 ? addDays(date, 1) : date, name);
+  };
+
+  observed(utcDate(year, 1, 1), "New Year's Day");
+  add(nthWeekday(year, 1, 1, 3), 'Martin Luther King Jr. Day');
+  add(nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+  add(nthWeekday(year, 5, 1, -1), 'Memorial Day');
+  observed(utcDate(year, 6, 19), 'Juneteenth');
+  observed(utcDate(year, 7, 4), 'Independence Day');
+  add(nthWeekday(year, 9, 1, 1), 'Labor Day');
+  add(nthWeekday(year, 10, 1, 2), 'Columbus Day');
+  observed(utcDate(year, 11, 11), 'Veterans Day');
+  add(nthWeekday(year, 11, 4, 4), 'Thanksgiving Day');
+  observed(utcDate(year, 12, 25), 'Christmas Day');
+  return holidays;
+}
+
+/**
+ * Japanese national holidays, including substitute (振替休日) and citizens' (国民の休日) holidays
+ * Equinox days use the usual approximation, valid from 1980 to 2099
+ * @param {number} year - Year
+ * @returns {Map<string, string>} Holiday names by YYYY-MM-DD
+ */
+function getJpHolidays(year) {
+  const holidays = new Map();
+  const add = (date, name) => holidays.set(toKey(date), name);
+  const leapDays = Math.floor((year - 1980) / 4);
+  const vernalEquinox = Math.floor(20.8431 + 0.242194 * (year - 1980)) - leapDays;
+  const autumnalEquinox = Math.floor(23.2488 + 0.242194 * (year - 1980)) - leapDays;
+
+  add(utcDate(year, 1, 1), '元日');
+  add(nthWeekday(year, 1, 1, 2), '成人の日');
+  add(utcDate(year, 2, 11), '建国記念の日');
+  add(utcDate(year, 2, 23), '天皇誕生日');
+  add(utcDate(year, 3, vernalEquinox), '春分の日');
+  add(utcDate(year, 4, 29), '昭和の日');
+  add(utcDate(year, 5, 3), '憲法記念日');
+  add(utcDate(year, 5, 4), 'みどりの日');
+  add(utcDate(year, 5, 5), 'こどもの日');
+  add(nthWeekday(year, 7, 1, 3), '海の日');
+  add(utcDate(year, 8, 11), '山の日');
+  add(nthWeekday(year, 9, 1, 3), '敬老の日');
+  add(utcDate(year, 9, autumnalEquinox), '秋分の日');
+  add(nthWeekday(year, 10, 1, 2), 'スポーツの日');
+  add(utcDate(year, 11, 3), '文化の日');
+  add(utcDate(year, 11, 23), '勤労感謝の日');
+
+  const base = [...holidays.keys()].sort();
+
+  // A weekday between two holidays becomes a holiday
+  for (const key of base) {
+    const between = addDays(new Date(key), 1);
+    if (!holidays.has(toKey(between)) && holidays.has(toKey(addDays(between, 1))) && between.getUTCDay() !== 0) {
+      add(between, '国民の休日');
+    }
+  }
+
+  // A holiday on a Sunday moves to the next day that isn't a holiday
+  for (const key of base) {
+    const date = new Date(key);
+    if (date.getUTCDay() === 0) {
+      add(nextFreeDay(date, holidays, false), '振替休日');
+    }
+  }
+  return holidays;
+}
+
+/**
+ * Korean public holidays, including substitute holidays (대체공휴일)
+ * Lunar holidays are only known for the years in KR_LUNAR_HOLIDAYS
+ * @param {number} year - Year
+ * @returns {Map<string, string>} Holiday names by YYYY-MM-DD
+ */
+function getKrHolidays(year) {
+  // [date, name, substitute rule]: 'weekend' gets a substitute for a Saturday, a Sunday or an overlap
+  const entries = [
+    [utcDate(year, 1, 1), '신정', null],
+    [utcDate(year, 3, 1), '삼일절', 'weekend'],
+    [utcDate(year, 5, 5), '어린이날', 'weekend'],
+    [utcDate(year, 6, 6), '현충일', null],
+    [utcDate(year, 8, 15), '광복절', 'weekend'],
+    [utcDate(year, 10, 3), '개천절', 'weekend'],
+    [utcDate(year, 10, 9), '한글날', 'weekend'],
+    [utcDate(year, 12, 25), '성탄절', 'weekend'],
+  ];
+
+  const lunar = KR_LUNAR_HOLIDAYS[year];
+  const blocks = [];
+  if (lunar) {
+    const [seollal, buddha, chuseok] = lunar.map(monthDay => new Date(`${year}-${monthDay}`));
+    entries.push([buddha, '부처님오신날', 'weekend']);
+    for (const [day, name] of [[seollal, '설날'], [chuseok, '추석']]) {
+      const block = [addDays(day, -1), day, addDays(day, 1)];
+      block.forEach(date => entries.push([date, name, null]));
+      blocks.push(block);
+    }
+  }
+
+  const holidays = new Map();
+  const counts = new Map();
+  for (const [date, name] of entries) {
+    const key = toKey(date);
+    holidays.set(key, holidays.has(key) ? `${holidays.get(key)}, ${name}` : name);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const substitutes = [];
+  for (const [date, , rule] of entries) {
+    const weekday = date.getUTCDay();
+    const overlaps = counts.get(toKey(date)) > 1;
+    if (rule === 'weekend' && (weekday === 0 || weekday === 6 || overlaps)) {
+      substitutes.push(date);
+    }
+  }
+  // Seollal and Chuseok get one substitute day when any day of the three overlaps a Sunday or another holiday
+  for (const block of blocks) {
+    if (block.some(date => date.getUTCDay() === 0 || counts.get(toKey(date)) > 1)) {
+      substitutes.push(block[block.length - 1]);
+    }
+  }
+
+  // Holidays that share a day get a single substitute
+  for (const key of [...new Set(substitutes.map(toKey))].sort()) {
+    holidays.set(toKey(nextFreeDay(new Date(key), holidays, true)), '대체공휴일');
+  }
+  return holidays;
+}
+
+const HOLIDAY_BUILDERS = { KR: getKrHolidays, US: getUsHolidays, JP: getJpHolidays };
+const holidayCache = new Map();
+
+/**
+ * Get the holidays of a country for one year (cached)
+ * @param {string} country - 'KR', 'US' or 'JP'
+ * @param {number} year - Year
+ * @returns {Map<string, string>} Holiday names by YYYY-MM-DD
+ */
+function getHolidaysForYear(country, year) {
+  const cacheKey = `${country}:${year}`;
+  if (!holidayCache.has(cacheKey)) {
+    holidayCache.set(cacheKey, HOLIDAY_BUILDERS[country](year));
+  }
+  return holidayCache.get(cacheKey);
+}
+
+/**
+ * Look up a bundled holiday
+ * @param {string} country - 'KR', 'US' or 'JP'
+ * @param {string} dateKey - Local date as YYYY-MM-DD
+ * @returns {string|null} Holiday name, or null if the day is not a holiday
+ */
+export function getHoliday(country, dateKey) {
+  if (!HOLIDAY_BUILDERS[country]) return null;
+  const year = parseInt(dateKey.slice(0, 4));
+  // US New Year's Day is observed on December 31 when January 1 is a Saturday
+  return getHolidaysForYear(country, year).get(dateKey)
+    ?? getHolidaysForYear(country, year + 1).get(dateKey)
+    ?? null;
+}
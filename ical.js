@@ -0,0 +1,271 @@
+/**
+ * @file ical.js
+ * @brief iCalendar (RFC 5545) export of meetings
+ * @author Rundee
+ * @date 2025-12-23
+ * @copyright Copyright (c) 2025 Rundee. All rights reserved.
+ */
+
+import { getLocalParts, zonedTimeToUtc } from './recurrence.js';
+
+// Meetings have no end time; calendars get a block of this length
+const DEFAULT_EVENT_MINUTES = 60;
+
+/**
+ * Escape a value for use in a TEXT property
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets per line
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (continuation lines start with a space)
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a date as a UTC DATE-TIME value
+ * @param {Date} date - Date
+ * @returns {string} e.g. "20251225T053000Z"
+ */
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a date as a local DATE-TIME value in a timezone
+ * @param {Date} date - Date
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} e.g. "20251225T143000"
+ */
+function formatLocalDateTime(date, timezone) {
+  const { year, month, day, hour, minute, second } = getLocalParts(date, timezone);
+  const pad = value => String(value).padStart(2, '0');
+  return `${year}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}${pad(second)}`;
+}
+
+/**
+ * Build an iCalendar document for a guild's meetings
+ * @param {Array<Object>} meetings - Meeting database rows
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar name
+ * @param {string} options.timezone - Guild timezone (IANA name)
+ * @param {Map<number, Array<Date>>} [options.exdates] - Skipped occurrences by meeting ID
+ * @param {Map<number, Array<{occurrence: Date, date: Date}>>} [options.movedOccurrences] - Rescheduled occurrences by meeting ID
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+export function buildCalendar(meetings, { name, timezone, exdates = new Map(), movedOccurrences = new Map() }) {
+  const stamp = formatUtcDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Rundee//Rundee Bot//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Clients that don't resolve IANA TZIDs on their own fall back to this
+    `X-WR-TIMEZONE:${timezone}`,
+  ];
+
+  for (const meeting of meetings) {
+    // Recurring meetings start at the series' first occurrence so COUNT and INTERVAL line up
+    const start = new Date(meeting.rrule && meeting.series_start ? meeting.series_start : meeting.date);
+    const end = new Date(start.getTime() + DEFAULT_EVENT_MINUTES * 60 * 1000);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:meeting-${meeting.id}@rundee-bot`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;TZID=${timezone}:${formatLocalDateTime(start, timezone)}`,
+      `DTEND;TZID=${timezone}:${formatLocalDateTime(end, timezone)}`,
+      `SUMMARY:${escapeText(meeting.title)}`,
+    );
+
+    if (meeting.rrule) {
+      lines.push(`RRULE:${meeting.rrule}`);
+      const skipped = exdates.get(meeting.id) || [];
+      if (skipped.length > 0) {
+        lines.push(`EXDATE;TZID=${timezone}:${skipped.map(date => formatLocalDateTime(date, timezone)).join(',')}`);
+      }
+    }
+
+    lines.push('END:VEVENT');
+
+    // A rescheduled occurrence is its own VEVENT that replaces the original one by RECURRENCE-ID
+    for (const { occurrence, date } of (meeting.rrule && movedOccurrences.get(meeting.id)) || []) {
+      const movedEnd = new Date(date.getTime() + DEFAULT_EVENT_MINUTES * 60 * 1000);
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:meeting-${meeting.id}@rundee-bot`,
+        `DTSTAMP:${stamp}`,
+        `RECURRENCE-ID;TZID=${timezone}:${formatLocalDateTime(occurrence, timezone)}`,
+        `DTSTART;TZID=${timezone}:${formatLocalDateTime(date, timezone)}`,
+        `DTEND;TZID=${timezone}:${formatLocalDateTime(movedEnd, timezone)}`,
+        `SUMMARY:${escapeText(meeting.title)}`,
+        'END:VEVENT',
+      );
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Check that a timezone name is known to Intl
+ * Outlook exports use Windows zone names (e.g. "Korea Standard Time"), which are not
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} True if usable as an IANA timezone
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Unescape a TEXT property value
+ * @param {string} value - Escaped text
+ * @returns {string} Raw text
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Unfold an iCalendar document and split it into content lines
+ * @param {string} text - iCalendar text
+ * @returns {Array<{name: string, params: Object, value: string}>} Content lines in order
+ */
+function parseContentLines(text) {
+  const unfolded = text.replace(/\r?\n[ \t]/g, '');
+  const lines = [];
+  for (const raw of unfolded.split(/\r?\n/)) {
+    if (!raw.trim()) continue;
+    // The value starts at the first colon outside a quoted parameter value
+    let colon = -1;
+    let quoted = false;
+    for (let i = 0; i < raw.length; i++) {
+      if (raw[i] === '"') quoted = !quoted;
+      if (raw[i] === ':' && !quoted) {
+        colon = i;
+        break;
+      }
+    }
+    if (colon === -1) continue;
+
+    const [name, ...paramParts] = raw.slice(0, colon).split(';');
+    const params = {};
+    for (const part of paramParts) {
+      const [key, ...rest] = part.split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    }
+    lines.push({ name: name.toUpperCase(), params, value: raw.slice(colon + 1) });
+  }
+  return lines;
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @param {string} value - e.g. "20251225", "20251225T143000" or "20251225T053000Z"
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @param {string} defaultTimezone - Timezone for floating times and unknown TZIDs
+ * @returns {{date: Date, allDay: boolean, timezone: string}|null} Parsed value, or null if invalid
+ */
+function parseDateValue(value, params, defaultTimezone) {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00', utc] = match;
+  const allDay = params.VALUE === 'DATE' || match[4] === undefined;
+  const timezone = params.TZID && isValidTimezone(params.TZID) ? params.TZID : defaultTimezone;
+
+  const date = utc
+    ? new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second))
+    : zonedTimeToUtc(+year, +month, +day, +hour, +minute, +second, timezone);
+  return { date, allDay, timezone: utc ? defaultTimezone : timezone };
+}
+
+/**
+ * Parse the events of an iCalendar document
+ * Cancelled events are left out
+ * @param {string} text - iCalendar text
+ * @param {string} defaultTimezone - Timezone for floating times and unknown TZIDs
+ * @returns {Array<Object>} Events ({ uid, summary, start, end, allDay, timezone, rrule, exdates, isOverride })
+ */
+export function parseCalendar(text, defaultTimezone) {
+  const events = [];
+  let current = null;
+
+  for (const { name, params, value } of parseContentLines(text)) {
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      current = { uid: null, summary: '', start: null, end: null, allDay: false, timezone: defaultTimezone, rrule: null, exdates: [], isOverride: false, cancelled: false };
+      continue;
+    }
+    if (!current) continue;
+
+    if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+      if (current.start && !current.cancelled) {
+        const { cancelled, ...event } = current;
+        events.push(event);
+      }
+      current = null;
+    } else if (name === 'UID') {
+      current.uid = value;
+    } else if (name === 'SUMMARY') {
+      current.summary = unescapeText(value).trim();
+    } else if (name === 'DTSTART') {
+      const parsed = parseDateValue(value, params, defaultTimezone);
+      if (parsed) {
+        current.start = parsed.date;
+        current.allDay = parsed.allDay;
+        current.timezone = parsed.timezone;
+      }
+    } else if (name === 'DTEND') {
+      current.end = parseDateValue(value, params, defaultTimezone)?.date ?? null;
+    } else if (name === 'RRULE') {
+      current.rrule = value;
+    } else if (name === 'EXDATE') {
+      for (const item of value.split(',')) {
+        const parsed = parseDateValue(item, params, defaultTimezone);
+        if (parsed) current.exdates.push(parsed.date);
+      }
+    } else if (name === 'RECURRENCE-ID') {
+      // A changed instance of a series, exported as its own VEVENT
+      current.isOverride = true;
+    } else if (name === 'STATUS') {
+      current.cancelled = value.toUpperCase() === 'CANCELLED';
+    }
+  }
+
+  return events;
+}
@@ -12,6 +12,7 @@ export const messages = {
     // Common
     errorOccurred: 'Error: {message}',
     serverOnlyCommand: 'This command can only be used in a server.',
+    adminOnlyCommand: 'This command can only be used by server administrators.',
     
     // Schedule meeting
     meetingScheduled: 'Meeting scheduled!\n\n**Title:** {title}\n**Date:** {date}\n**Participants:** {participants}\n**Reminder times:**\n{reminderTimes}{repeatText}\n**ID:** {id}',
@@ -20,6 +21,76 @@ export const messages = {
     noMeetings: 'No scheduled meetings.',
     meetingsList: 'Scheduled meetings:\n\n{list}',
     
+    // RSVP
+    rsvpAccept: 'Accept',
+    rsvpDecline: 'Decline',
+    rsvpTentative: 'Tentative',
+    meetingRsvpSummary: '✅ Accept {accepted} · ❌ Decline {declined} · ❔ Tentative {tentative}',
+    meetingRsvpRecorded: 'Your response to **{title}**: {response}\n{summary}',
+    meetingRsvpPending: 'No response',
+    meetingAttendees: 'Attendees for **{title}** ({date})\n\n{list}',
+    meetingRemindMeSet: 'You will be reminded about **{title}** {minutes} minute(s) before it starts.',
+    meetingRemindMeCleared: 'Your reminder times for **{title}** were reset to your defaults.',
+    meetingsExported: 'Exported {count} meeting(s) to the attached calendar file.\nSubscribe to stay in sync: {feedUrl}\nAnyone with this link can see the meetings; use `reset_link:True` to issue a new one.',
+    meetingImported: 'Imported {count} of {total} event(s).',
+    meetingImportInvalidFile: 'Attach an `.ics` calendar file (up to 1 MB).',
+    meetingImportUntitled: '(untitled)',
+    meetingImportSkipped: '**Not imported:**',
+    meetingImportConflicts: '**Not imported (conflicts):**',
+    meetingImportMore: '...and {count} more',
+    meetingImportReasonOverride: 'changed occurrence of a series',
+    meetingImportReasonAllDay: 'all-day events are not supported',
+    meetingImportReasonPast: 'already past',
+    meetingImportReasonEnded: 'no upcoming occurrences',
+    meetingImportReasonClash: 'clashes with **{title}** ({time}) from the same file',
+    meetingImportReasonTimezone: 'repeats in {timezone}, whose UTC offset differs from the server timezone',
+    meetingNotRecurring: 'Meeting ID {id} is not a recurring meeting.',
+    meetingOccurrenceNotFound: 'The series has no upcoming occurrence on {date}. Use YYYY-MM-DD (e.g., 2025-12-25).',
+    meetingOccurrenceSkipped: '⏭️ **{title}** on {date} is skipped. The rest of the series is unchanged.',
+    meetingOccurrenceNext: 'Next occurrence: {date} (ID: {id})',
+    meetingSeriesEnded: 'That was the last occurrence, so the series has ended.',
+    meetingOccurrenceMoveAfter: 'An occurrence can only be moved to after the previous one ({date}).',
+    meetingOccurrenceMoveBefore: 'An occurrence can only be moved to before the next one ({date}).',
+    meetingOccurrenceMoved: '↪️ **{title}** on {from} is moved to {to}. The rest of the series is unchanged.',
+    meetingOccurrenceDetached: '✏️ **{title}** on {date} now has its own settings (ID: {id}). The rest of the series (ID: {seriesId}) is unchanged.',
+    meetingSeriesSplit: '✂️ **{title}** continues as a new series from {date} (ID: {id}). Earlier occurrences stay in series ID {seriesId}.',
+    meetingSeriesTruncated: '✂️ **{title}** ends before {date}. Occurrences from that day on are deleted.',
+    meetingOccurrenceOver: '**{title}** on {date} has already ended.',
+    seriesSkipped: '\n**Skipped:** {dates}',
+    seriesMoved: '\n**Moved:** {list}',
+    snoozeButton: 'Snooze {minutes} min',
+    meetingSnoozed: 'I\'ll remind you about **{title}** again in {minutes} minutes.',
+    meetingSnoozeTooLate: '**{title}** starts before then, so this reminder can\'t be snoozed.',
+    meetingAgendaHeader: '📋 **Agenda**',
+    meetingAgendaList: '📋 Agenda for **{title}** ({date})\n{list}',
+    meetingAgendaEmpty: 'No agenda items yet. Add one with `/meeting agenda add`.',
+    meetingAgendaAdded: 'Added to the agenda of **{title}**:',
+    meetingAgendaRemoved: 'Removed "{item}" from the agenda of **{title}**.',
+    meetingAgendaFull: 'The agenda already has {limit} items, which is the limit.',
+    meetingAgendaClosed: '**{title}** has already started, so its agenda can no longer be changed.',
+    meetingAgendaInvalidItem: 'The agenda item is empty.',
+    meetingAgendaItemNotFound: 'There is no agenda item number {number}. Check `/meeting agenda list`.',
+    meetingNotParticipant: 'Only participants of **{title}** can do this.',
+    meetingNotesModalTitle: 'Notes: {title}',
+    meetingNotesLabel: 'Meeting notes',
+    meetingNotesSaved: '📝 Notes for **{title}** (ID: {id}) saved. View them with `/meeting minutes`.',
+    meetingNotesCleared: 'Notes for **{title}** (ID: {id}) cleared.',
+    meetingNotesHeader: '📝 **Notes**',
+    meetingNotesBy: '(last edited by <@{userId}>)',
+    meetingNotesEmpty: 'No notes yet. Write them with `/meeting notes`.',
+    meetingNotesButton: 'Notes',
+    meetingMinutesTitle: '🗂️ **{title}** ({date})',
+    meetingHistoryTitle: '📚 **Meeting history** (page {page}/{pages}, {total} total)',
+    meetingHistoryEmpty: 'No past meetings match.',
+    meetingHistoryInvalidDate: 'Use YYYY-MM-DD for `from` and `to` (e.g., 2025-12-01).',
+    meetingHistoryHint: 'See an occurrence\'s agenda and notes with `/meeting minutes record:<#>`.',
+    historyStatusCompleted: 'Held',
+    historyStatusSkipped: 'Skipped',
+    historyStatusCancelled: 'Cancelled',
+    historyStatusMissed: 'Missed (bot was offline)',
+    historyReminders: '🔔 Reminders sent: {channel} min before · {personal} personal',
+    historyNoReminders: '🔕 No reminders were sent',
+    
     // Delete meeting
     meetingNotFound: 'Meeting with ID {id} not found.',
     meetingDeleted: 'Meeting deleted: **{title}** ({date})',
@@ -33,7 +104,9 @@ export const messages = {
     channelStatusTitle: 'Current Channel Settings',
     channelStatusMeeting: 'Meeting Channel: {channel}',
     channelStatusGithub: 'GitHub Channel: {channel}',
-    channelStatusRepo: 'GitHub Repository: {repo}',
+    channelStatusRepo: 'GitHub Subscriptions: {repo}',
+    channelStatusGithubStyle: 'GitHub Message Style: {style}',
+    channelStatusMissedReminders: 'Missed Reminders: {mode}',
     channelNotSet: 'Not set',
     channelInvalid: 'Invalid or inaccessible channel',
     channelNotFound: 'Channel not found or bot does not have access',
@@ -42,15 +115,76 @@ export const messages = {
     // GitHub setup
     githubSetup: 'GitHub notifications set to <#{channelId}> channel.\n\n{repoInfo}**Webhook URL:** {webhookUrl}\n\n{steps}',
     githubRepoRegistered: '**Registered repository:** {repo}\n**Repository URL:** {url}\n\n',
-    githubSteps: 'Next steps:\n1. Go to {url}/settings/hooks\n2. Click "Add webhook"\n3. Enter Payload URL: {webhookUrl}\n4. Content type: application/json\n5. Select events: Pushes, Pull requests, Issues\n6. Click "Add webhook"\n\nOnce configured, GitHub activities will be automatically sent to the Discord channel!',
+    githubSteps: 'Next steps:\n1. Go to {url}/settings/hooks\n2. Click "Add webhook"\n3. Enter Payload URL: {webhookUrl}\n4. Content type: application/json\n5. Secret: `{secret}`\n6. Select events: Pushes, Pull requests, Issues\n7. Click "Add webhook"\n\nOnce configured, GitHub activities will be automatically sent to the Discord channel!',
     githubRepoNotSet: '**Webhook URL:** {webhookUrl}\n\nTo register a GitHub repository URL, use:\n`/setup-github repository:https://github.com/user/repo`',
-    invalidGithubUrl: 'Invalid GitHub repository URL. Format: https://github.com/user/repo or user/repo (with or without .git)',
+    invalidGithubUrl: 'Invalid repository URL. Format: https://github.com/user/repo, https://gitlab.com/group/project, a self-hosted GitLab/Gitea URL, or user/repo (with or without .git)',
+    repositoryProviderRequired: 'Could not tell which service hosts this repository. Set the `provider` option to `gitlab` or `gitea`.',
+    repositoryUrlRequired: 'Please enter the full repository URL (e.g. https://gitea.example.com/user/repo) so the setup steps can link to it.',
+    gitlabSteps: 'Next steps:\n1. Go to {url}/-/hooks\n2. Click "Add new webhook"\n3. URL: {webhookUrl}\n4. Secret token: `{secret}`\n5. Triggers: Push events, Tag push events, Issues events, Merge request events, Pipeline events\n6. Click "Add webhook"\n\nOnce configured, GitLab activities will be automatically sent to the Discord channel!',
+    giteaSteps: 'Next steps:\n1. Go to {url}/settings/hooks\n2. Click "Add Webhook" and choose "Gitea"\n3. Target URL: {webhookUrl}\n4. Content type: application/json\n5. Secret: `{secret}`\n6. Trigger on: Push, Create, Delete, Release, Issues, Issue Comment, Pull Request\n7. Click "Add Webhook"\n\nOnce configured, Gitea activities will be automatically sent to the Discord channel!',
+    
+    // GitHub subscriptions
+    githubSubscribed: '<#{channelId}> is now subscribed to **{repo}**.\n\n**Webhook URL:** {webhookUrl}\n**Webhook Secret:** `{secret}`',
+    githubAlreadySubscribed: '<#{channelId}> is already subscribed to **{repo}**.',
+    githubUnsubscribed: 'Unsubscribed from **{repo}** ({count} channel(s)).',
+    githubSubscriptionNotFound: 'No subscription found for **{repo}**.',
+    githubSubscriptionsList: 'GitHub subscriptions:\n\n{list}',
+    githubSubscriptionNoSecret: '⚠️ no webhook secret, deliveries are rejected (run `/github setup`)',
+    githubNoSubscriptions: 'No GitHub subscriptions. Use `/github subscribe` to follow a repository.',
+    githubEventFilterStatus: 'Event filters for **{repo}**:\n{list}',
+    githubEventFilterSet: 'Event filter for **{repo}** set to {filter} ({count} channel(s)).',
+    githubEventFilterAll: 'all events',
+    githubEventFilterInvalid: 'Invalid event filter: {message}\nExample: `pull_request:opened,closed issues:* push`',
+    githubPushFilterStatus: 'Push filters for **{repo}**:\n{list}',
+    githubPushFilterLine: '- <#{channelId}>: branches `{branches}`, paths `{paths}`',
+    githubPushFilterNone: 'any',
+    githubCiModeAll: 'All CI results for **{repo}** will be sent ({count} channel(s)).',
+    githubCiModeFailures: 'Only CI failures and recoveries for **{repo}** will be sent ({count} channel(s)).',
+    githubDigest: 'Digest\n```\nRepository: {repo}\nEvents: {count}\nSince: {since}\n\n{digest}\n```',
+    githubDigestMoreEvents: '...and {count} more',
+    githubDigestInterval: 'Notifications for **{repo}** will be sent as a digest every {interval} minutes ({count} channel(s)).',
+    githubDigestDaily: 'Notifications for **{repo}** will be sent as a daily digest at {time} ({timezone}) ({count} channel(s)).',
+    githubDigestOff: 'Digest turned off for **{repo}**; notifications are sent immediately. Pending events are being posted now ({count} channel(s)).',
+    githubDigestInvalidTime: 'Time must be in HH:MM format (e.g. 09:00).',
+    githubDeliveriesList: '**Recent failed GitHub deliveries**\n{deliveries}\n\nReplay one with `/github deliveries replay:<id>`.',
+    githubDeliveriesNone: 'No failed GitHub deliveries recently.',
+    githubDeliveryNotFound: 'Delivery `{id}` was not found for this server\'s repositories.',
+    githubDeliveryNothingToReplay: 'Delivery `{id}` already reached every subscribed channel.',
+    githubDeliveryReplayed: 'Replayed delivery `{id}` ({event}, **{repo}**): {sent} sent, {failed} failed.',
+    githubDeliveryReplayQueued: 'Replaying delivery `{id}` ({event}, **{repo}**): it will be sent with its review batch in a few seconds. Check `/github deliveries` for the result.',
     
     // Language
     languageSet: 'Language set to English',
     
     // Timezone
     timezoneSet: 'Timezone set to {timezone}',
+    githubStyleEmbed: 'GitHub notifications will be sent as embeds.',
+    githubStylePlain: 'GitHub notifications will be sent as plain text.',
+    githubStyleEmbedLabel: 'Embed',
+    githubStylePlainLabel: 'Plain text',
+    holidaysSet: 'Recurring meetings will skip {calendar} public holidays.',
+    holidaysOff: 'Recurring meetings will no longer skip holidays.',
+    holidaysImported: 'Imported {count} holiday(s) from the file. Recurring meetings will skip them.',
+    holidayNoticeOn: 'A short notice will be posted when a meeting is skipped for a holiday.',
+    holidayNoticeOff: 'No notice will be posted when a meeting is skipped for a holiday.',
+    missedRemindersLate: 'Reminders missed while the bot was offline will be followed up with a late notice.',
+    missedRemindersSilent: 'Reminders missed while the bot was offline will be dropped without a notice.',
+    missedRemindersLateLabel: 'Late notice',
+    missedRemindersSilentLabel: 'Silent',
+    holidaysStatus: '🏖️ Holidays: {calendar} (notice {notice})',
+    holidaysNone: 'Not set',
+    holidaysUploaded: 'uploaded file, {count} day(s)',
+    holidayNoticeEnabled: 'on',
+    holidayNoticeDisabled: 'off',
+    holidayNotice: '🏖️ No **{title}** on {date} ({holiday}). Next meeting: {next}',
+    holidayUnnamed: 'Holiday',
+    notificationsDmOn: 'Meeting reminders will be sent to you by DM instead of a channel mention. If your DMs are closed, you will be mentioned in the channel.',
+    notificationsDmOff: 'Meeting reminders will no longer be sent to you by DM.',
+    notificationsReminderMinutesSet: 'You will be reminded {minutes} minute(s) before meetings.',
+    notificationsReminderMinutesCleared: 'You will be reminded at each meeting\'s own reminder times.',
+    notificationsMeetingDefault: 'each meeting\'s reminder times',
+    notificationsStatus: '**DM reminders:** {dm}\n**Default lead times:** {minutes}',
+    invalidReminderMinutes: 'Invalid reminder minutes. Use comma-separated minutes (e.g. 60,5) or `default`.',
     
     // Recurring
     repeatNone: '',
@@ -64,6 +198,9 @@ export const messages = {
     allRemindersPassed: 'All reminder times have passed.',
     meetingReminder: 'Meeting Reminder\n\n{mentions}\n\n**{title}**\n**Date:** {date}\n\nMeeting starts in {minutes} minute(s)!',
     meetingStart: 'Meeting Starting Now\n\n{mentions}\n\n**{title}**\n**Date:** {date}\n\nThe meeting is starting now!',
+    missedReminderLate: '⏰ Late Meeting Reminder\n\n{mentions}\n\n**{title}**\n**Date:** {date}\n\nMeeting starts in {minutes} minute(s)! (The bot was offline when the reminder was due.)',
+    missedMeetingNotice: '⏰ The bot was offline when **{title}** ({date}) was due, so its reminders were not sent.',
+    missedSeriesNotice: '⏰ The bot was offline when **{title}** ({date}) was due, so its reminders were not sent. The series continues with its next occurrence.',
     
     // GitHub notifications
     githubPush: 'GitHub Push Event\n```\nRepository: {repo}\nBranch: {branch}\nAuthor: {author}\nCommits: {commitsCount}\n\nCommit History:\n{commitMessages}\n```[View]({compareUrl})',
@@ -81,6 +218,12 @@ export const messages = {
     githubPRAssigned: 'Pull Request Assigned\n```\nRepository: {repo}\nPR #{number}: {prTitle}\nAssigned To: {assignee}\nAuthor: {author}\n```[View PR]({prUrl})',
     githubPRReviewRequested: 'Review Requested\n```\nRepository: {repo}\nPR #{number}: {prTitle}\nReview Requested From: {reviewer}\nAuthor: {author}\n```[View PR]({prUrl})',
     githubPRReadyForReview: 'Pull Request Ready for Review\n```\nRepository: {repo}\nPR #{number}: {prTitle}\nAuthor: {author}\nBase: {baseRef} <- Head: {headRef}\n```[View PR]({prUrl})',
+    githubPRReviewApproved: 'Pull Request Approved\n```\nRepository: {repo}\nPR #{number}: {prTitle}\nReviewer: {reviewer}\nState: Approved\n\n{details}\n```[View Review]({reviewUrl})',
+    githubPRReviewChangesRequested: 'Changes Requested\n```\nRepository: {repo}\nPR #{number}: {prTitle}\nReviewer: {reviewer}\nState: Changes requested\n\n{details}\n```[View Review]({reviewUrl})',
+    githubPRReviewCommented: 'Pull Request Reviewed\n```\nRepository: {repo}\nPR #{number}: {prTitle}\nReviewer: {reviewer}\nState: Commented\n\n{details}\n```[View Review]({reviewUrl})',
+    githubPRReviewComments: 'Review Comments\n```\nRepository: {repo}\nPR #{number}: {prTitle}\nReviewer: {reviewer}\n\n{details}\n```[View Comments]({reviewUrl})',
+    githubPRReviewCommentCount: '{count} review comment(s):',
+    githubPRReviewMoreComments: '...and {count} more',
     githubIssueOpened: 'Issue Opened\n```\nRepository: {repo}\nIssue #{number}: {issueTitle}\nAuthor: {author}\nLabels: {labels}{issueBody}\n```[View Issue]({issueUrl})',
     githubIssueClosed: 'Issue Closed\n```\nRepository: {repo}\nIssue #{number}: {issueTitle}\nAuthor: {author}\nClosed By: {closer}\n```[View Issue]({issueUrl})',
     githubIssueReopened: 'Issue Reopened\n```\nRepository: {repo}\nIssue #{number}: {issueTitle}\nAuthor: {author}\nLabels: {labels}\n```[View Issue]({issueUrl})',
@@ -110,6 +253,10 @@ export const messages = {
     githubRepositoryDeleted: 'Repository Deleted\n```\nRepository: {repo}\nDeleted by: {author}\n```',
     githubRepositoryArchived: 'Repository Archived\n```\nRepository: {repo}\nArchived by: {author}\n```',
     githubRepositoryUnarchived: 'Repository Unarchived\n```\nRepository: {repo}\nUnarchived by: {author}\n```',
+    githubCiSuccess: '{kind} Succeeded\n```\nRepository: {repo}\n{kind}: {name}\nBranch: {branch}\nCommit: {commit}\nDuration: {duration}\n```[View Run]({url})',
+    githubCiFailure: '{kind} Failed\n```\nRepository: {repo}\n{kind}: {name}\nBranch: {branch}\nCommit: {commit}\nConclusion: {conclusion}\nDuration: {duration}\n```[View Run]({url})',
+    githubCiRecovered: '{kind} Recovered\n```\nRepository: {repo}\n{kind}: {name}\nBranch: {branch}\nCommit: {commit}\nDuration: {duration}\n\nPassing again after a failure.\n```[View Run]({url})',
+    githubCiCompleted: '{kind} Completed\n```\nRepository: {repo}\n{kind}: {name}\nBranch: {branch}\nCommit: {commit}\nConclusion: {conclusion}\nDuration: {duration}\n```[View Run]({url})',
     
     // Recurring meeting details
     repeatDailyExcept: '\n**Repeat:** Daily (except {excludedDays}){endDate}',
@@ -117,6 +264,15 @@ export const messages = {
     repeatBiweeklyWithDay: '\n**Repeat:** Bi-weekly on {weekday}{endDate}',
     repeatMonthlyDay: '\n**Repeat:** Monthly on day {dayOfMonth}{endDate}',
     repeatMonthlyWeekday: '\n**Repeat:** Monthly on the {weekOfMonth} {weekday}{endDate}',
+    repeatYearly: '\n**Repeat:** Yearly{endDate}',
+    repeatYearlyOn: '\n**Repeat:** Yearly on {date}{endDate}',
+    repeatEvery: '\n**Repeat:** Every {interval} {unit}{details}{endDate}',
+    repeatUnitDaily: 'days',
+    repeatUnitWeekly: 'weeks',
+    repeatUnitMonthly: 'months',
+    repeatUnitYearly: 'years',
+    repeatCustom: '\n**Repeat:** `{rule}`{endDate}',
+    repeatCount: ' ({count} times)',
     
     // Weekday names
     monday: 'Monday',
@@ -138,6 +294,7 @@ export const messages = {
     // Common
     errorOccurred: '오류: {message}',
     serverOnlyCommand: '서버 내에서만 사용할 수 있는 명령어입니다.',
+    adminOnlyCommand: '서버 관리자만 사용할 수 있는 명령어입니다.',
     
     // Schedule meeting
     meetingScheduled: '회의 일정이 등록되었습니다.\n\n**제목:** {title}\n**일시:** {date}\n**참석자:** {participants}\n**알림 시간:**\n{reminderTimes}{repeatText}\n**ID:** {id}',
@@ -146,6 +303,76 @@ export const messages = {
     noMeetings: '등록된 회의 일정이 없습니다.',
     meetingsList: '등록된 회의 일정:\n\n{list}',
     
+    // RSVP
+    rsvpAccept: '참석',
+    rsvpDecline: '불참',
+    rsvpTentative: '미정',
+    meetingRsvpSummary: '✅ 참석 {accepted} · ❌ 불참 {declined} · ❔ 미정 {tentative}',
+    meetingRsvpRecorded: '**{title}** 응답: {response}\n{summary}',
+    meetingRsvpPending: '미응답',
+    meetingAttendees: '**{title}** 참석 현황 ({date})\n\n{list}',
+    meetingRemindMeSet: '**{title}** 회의 {minutes}분 전에 알림을 보내드립니다.',
+    meetingRemindMeCleared: '**{title}** 회의 알림 시간이 기본값으로 초기화되었습니다.',
+    meetingsExported: '회의 {count}개를 첨부된 캘린더 파일로 내보냈습니다.\n구독 링크로 계속 동기화할 수 있습니다: {feedUrl}\n링크를 아는 사람은 누구나 회의를 볼 수 있으니, 필요하면 `reset_link:True`로 새로 발급하세요.',
+    meetingImported: '이벤트 {total}개 중 {count}개를 가져왔습니다.',
+    meetingImportInvalidFile: '`.ics` 캘린더 파일(최대 1MB)을 첨부해주세요.',
+    meetingImportUntitled: '(제목 없음)',
+    meetingImportSkipped: '**가져오지 못한 이벤트:**',
+    meetingImportConflicts: '**가져오지 못한 이벤트 (일정 충돌):**',
+    meetingImportMore: '...외 {count}개',
+    meetingImportReasonOverride: '반복 일정 중 변경된 회차',
+    meetingImportReasonAllDay: '종일 일정은 지원하지 않습니다',
+    meetingImportReasonPast: '이미 지난 일정',
+    meetingImportReasonEnded: '남은 회차가 없음',
+    meetingImportReasonClash: '같은 파일의 **{title}** ({time}) 일정과 시간이 겹침',
+    meetingImportReasonTimezone: '서버 시간대와 UTC 오프셋이 다른 시간대({timezone})의 반복 일정',
+    meetingNotRecurring: '회의 ID {id}은(는) 반복 회의가 아닙니다.',
+    meetingOccurrenceNotFound: '{date}에는 이 반복 회의의 예정된 회차가 없습니다. 날짜는 YYYY-MM-DD 형식으로 입력해주세요 (예: 2025-12-25).',
+    meetingOccurrenceSkipped: '⏭️ {date} **{title}** 회의를 건너뜁니다. 나머지 반복 일정은 그대로입니다.',
+    meetingOccurrenceNext: '다음 회의: {date} (ID: {id})',
+    meetingSeriesEnded: '마지막 회차였으므로 반복 일정이 종료되었습니다.',
+    meetingOccurrenceMoveAfter: '이전 회차({date}) 이후로만 옮길 수 있습니다.',
+    meetingOccurrenceMoveBefore: '다음 회차({date}) 이전으로만 옮길 수 있습니다.',
+    meetingOccurrenceMoved: '↪️ {from} **{title}** 회의가 {to}(으)로 변경되었습니다. 나머지 반복 일정은 그대로입니다.',
+    meetingOccurrenceDetached: '✏️ {date} **{title}** 회의만 따로 변경되었습니다 (ID: {id}). 나머지 반복 일정(ID: {seriesId})은 그대로입니다.',
+    meetingSeriesSplit: '✂️ {date}부터 **{title}** 회의가 새 반복 일정으로 이어집니다 (ID: {id}). 이전 회차는 ID {seriesId}에 남습니다.',
+    meetingSeriesTruncated: '✂️ **{title}** 반복 일정이 {date} 이전에 종료됩니다. 그날부터의 회차는 삭제되었습니다.',
+    meetingOccurrenceOver: '{date} **{title}** 회의는 이미 끝났습니다.',
+    seriesSkipped: '\n**건너뜀:** {dates}',
+    seriesMoved: '\n**일정 변경:** {list}',
+    snoozeButton: '{minutes}분 후 다시 알림',
+    meetingSnoozed: '{minutes}분 후에 **{title}** 회의를 다시 알려드립니다.',
+    meetingSnoozeTooLate: '그 전에 **{title}** 회의가 시작되므로 다시 알림을 설정할 수 없습니다.',
+    meetingAgendaHeader: '📋 **안건**',
+    meetingAgendaList: '📋 **{title}** ({date}) 안건\n{list}',
+    meetingAgendaEmpty: '아직 안건이 없습니다. `/meeting agenda add`로 추가해주세요.',
+    meetingAgendaAdded: '**{title}** 회의 안건에 추가했습니다:',
+    meetingAgendaRemoved: '**{title}** 회의 안건에서 "{item}"을(를) 삭제했습니다.',
+    meetingAgendaFull: '안건은 최대 {limit}개까지 추가할 수 있습니다.',
+    meetingAgendaClosed: '**{title}** 회의가 이미 시작되어 안건을 변경할 수 없습니다.',
+    meetingAgendaInvalidItem: '안건 내용이 비어 있습니다.',
+    meetingAgendaItemNotFound: '{number}번 안건이 없습니다. `/meeting agenda list`로 확인해주세요.',
+    meetingNotParticipant: '**{title}** 회의 참석자만 할 수 있습니다.',
+    meetingNotesModalTitle: '회의록: {title}',
+    meetingNotesLabel: '회의록',
+    meetingNotesSaved: '📝 **{title}** (ID: {id}) 회의록을 저장했습니다. `/meeting minutes`로 확인할 수 있습니다.',
+    meetingNotesCleared: '**{title}** (ID: {id}) 회의록을 지웠습니다.',
+    meetingNotesHeader: '📝 **회의록**',
+    meetingNotesBy: '(마지막 수정: <@{userId}>)',
+    meetingNotesEmpty: '아직 회의록이 없습니다. `/meeting notes`로 작성해주세요.',
+    meetingNotesButton: '회의록',
+    meetingMinutesTitle: '🗂️ **{title}** ({date})',
+    meetingHistoryTitle: '📚 **지난 회의** ({page}/{pages} 페이지, 총 {total}건)',
+    meetingHistoryEmpty: '조건에 맞는 지난 회의가 없습니다.',
+    meetingHistoryInvalidDate: '`from`과 `to`는 YYYY-MM-DD 형식으로 입력해주세요 (예: 2025-12-01).',
+    meetingHistoryHint: '각 회차의 안건과 회의록은 `/meeting minutes record:<번호>`로 확인할 수 있습니다.',
+    historyStatusCompleted: '진행됨',
+    historyStatusSkipped: '건너뜀',
+    historyStatusCancelled: '취소됨',
+    historyStatusMissed: '놓침 (봇 꺼짐)',
+    historyReminders: '🔔 보낸 알림: {channel}분 전 · 개인 알림 {personal}건',
+    historyNoReminders: '🔕 보낸 알림 없음',
+    
     // Delete meeting
     meetingNotFound: 'ID {id}인 회의를 찾을 수 없습니다.',
     meetingDeleted: '회의 일정이 삭제되었습니다: **{title}** ({date})',
@@ -159,7 +386,9 @@ export const messages = {
     channelStatusTitle: '현재 채널 설정',
     channelStatusMeeting: '회의 알림 채널: {channel}',
     channelStatusGithub: 'GitHub 알림 채널: {channel}',
-    channelStatusRepo: 'GitHub 저장소: {repo}',
+    channelStatusRepo: 'GitHub 구독: {repo}',
+    channelStatusGithubStyle: 'GitHub 메시지 형식: {style}',
+    channelStatusMissedReminders: '놓친 알림: {mode}',
     channelNotSet: '설정되지 않음',
     channelInvalid: '유효하지 않거나 접근할 수 없는 채널',
     channelNotFound: '채널을 찾을 수 없거나 봇이 접근 권한이 없습니다',
@@ -168,15 +397,76 @@ export const messages = {
     // GitHub setup
     githubSetup: 'GitHub 알림이 <#{channelId}> 채널로 설정되었습니다.\n\n{repoInfo}**웹훅 URL:** {webhookUrl}\n\n{steps}',
     githubRepoRegistered: '**등록된 저장소:** {repo}\n**저장소 URL:** {url}\n\n',
-    githubSteps: '다음 단계:\n1. {url}/settings/hooks 접속\n2. "Add webhook" 클릭\n3. Payload URL에 다음 입력: {webhookUrl}\n4. Content type: application/json 선택\n5. 이벤트 선택: Pushes, Pull requests, Issues\n6. "Add webhook" 저장\n\n설정 완료 후 GitHub 활동이 자동으로 Discord 채널에 알림으로 전송됩니다.',
+    githubSteps: '다음 단계:\n1. {url}/settings/hooks 접속\n2. "Add webhook" 클릭\n3. Payload URL에 다음 입력: {webhookUrl}\n4. Content type: application/json 선택\n5. Secret에 다음 입력: `{secret}`\n6. 이벤트 선택: Pushes, Pull requests, Issues\n7. "Add webhook" 저장\n\n설정 완료 후 GitHub 활동이 자동으로 Discord 채널에 알림으로 전송됩니다.',
     githubRepoNotSet: '**웹훅 URL:** {webhookUrl}\n\nGitHub 저장소 URL을 등록하려면 다음 명령어를 사용하세요:\n`/setup-github repository:https://github.com/user/repo`',
-    invalidGithubUrl: '잘못된 GitHub 저장소 URL입니다. 형식: https://github.com/user/repo 또는 user/repo (.git 포함 가능)',
+    invalidGithubUrl: '잘못된 저장소 URL입니다. 형식: https://github.com/user/repo, https://gitlab.com/group/project, 자체 호스팅 GitLab/Gitea URL 또는 user/repo (.git 포함 가능)',
+    repositoryProviderRequired: '저장소를 호스팅하는 서비스를 알 수 없습니다. `provider` 옵션을 `gitlab` 또는 `gitea`로 지정하세요.',
+    repositoryUrlRequired: '설정 안내에 링크할 수 있도록 전체 저장소 URL을 입력하세요. (예: https://gitea.example.com/user/repo)',
+    gitlabSteps: '다음 단계:\n1. {url}/-/hooks 접속\n2. "Add new webhook" 클릭\n3. URL에 다음 입력: {webhookUrl}\n4. Secret token에 다음 입력: `{secret}`\n5. Trigger 선택: Push events, Tag push events, Issues events, Merge request events, Pipeline events\n6. "Add webhook" 저장\n\n설정 완료 후 GitLab 활동이 자동으로 Discord 채널에 알림으로 전송됩니다.',
+    giteaSteps: '다음 단계:\n1. {url}/settings/hooks 접속\n2. "Add Webhook" 클릭 후 "Gitea" 선택\n3. Target URL에 다음 입력: {webhookUrl}\n4. Content type: application/json 선택\n5. Secret에 다음 입력: `{secret}`\n6. 트리거 선택: Push, Create, Delete, Release, Issues, Issue Comment, Pull Request\n7. "Add Webhook" 저장\n\n설정 완료 후 Gitea 활동이 자동으로 Discord 채널에 알림으로 전송됩니다.',
+    
+    // GitHub subscriptions
+    githubSubscribed: '<#{channelId}> 채널이 **{repo}** 저장소를 구독합니다.\n\n**웹훅 URL:** {webhookUrl}\n**웹훅 Secret:** `{secret}`',
+    githubAlreadySubscribed: '<#{channelId}> 채널은 이미 **{repo}** 저장소를 구독 중입니다.',
+    githubUnsubscribed: '**{repo}** 구독이 해제되었습니다. ({count}개 채널)',
+    githubSubscriptionNotFound: '**{repo}** 저장소에 대한 구독을 찾을 수 없습니다.',
+    githubSubscriptionsList: 'GitHub 구독 목록:\n\n{list}',
+    githubSubscriptionNoSecret: '⚠️ 웹훅 Secret이 없어 알림이 거부됩니다 (`/github setup` 실행)',
+    githubNoSubscriptions: 'GitHub 구독이 없습니다. `/github subscribe`로 저장소를 구독하세요.',
+    githubEventFilterStatus: '**{repo}** 이벤트 필터:\n{list}',
+    githubEventFilterSet: '**{repo}** 이벤트 필터가 {filter}(으)로 설정되었습니다. ({count}개 채널)',
+    githubEventFilterAll: '모든 이벤트',
+    githubEventFilterInvalid: '잘못된 이벤트 필터입니다: {message}\n예: `pull_request:opened,closed issues:* push`',
+    githubPushFilterStatus: '**{repo}** Push 필터:\n{list}',
+    githubPushFilterLine: '- <#{channelId}>: 브랜치 `{branches}`, 경로 `{paths}`',
+    githubPushFilterNone: '전체',
+    githubCiModeAll: '**{repo}**의 모든 CI 결과를 알립니다. ({count}개 채널)',
+    githubCiModeFailures: '**{repo}**의 CI 실패와 복구만 알립니다. ({count}개 채널)',
+    githubDigest: '다이제스트\n```\n저장소: {repo}\n이벤트: {count}개\n시작: {since}\n\n{digest}\n```',
+    githubDigestMoreEvents: '...외 {count}개',
+    githubDigestInterval: '**{repo}** 알림을 {interval}분마다 다이제스트로 보냅니다. ({count}개 채널)',
+    githubDigestDaily: '**{repo}** 알림을 매일 {time} ({timezone})에 다이제스트로 보냅니다. ({count}개 채널)',
+    githubDigestOff: '**{repo}** 다이제스트를 끄고 알림을 바로 보냅니다. 대기 중인 이벤트는 지금 전송됩니다. ({count}개 채널)',
+    githubDigestInvalidTime: '시간은 HH:MM 형식이어야 합니다. (예: 09:00)',
+    githubDeliveriesList: '**최근 실패한 GitHub 전달**\n{deliveries}\n\n`/github deliveries replay:<id>`로 다시 실행할 수 있습니다.',
+    githubDeliveriesNone: '최근 실패한 GitHub 전달이 없습니다.',
+    githubDeliveryNotFound: '이 서버의 저장소에서 전달 `{id}`를 찾을 수 없습니다.',
+    githubDeliveryNothingToReplay: '전달 `{id}`는 이미 구독 중인 모든 채널에 전송되었습니다.',
+    githubDeliveryReplayed: '전달 `{id}` ({event}, **{repo}**)를 다시 실행했습니다: 성공 {sent}개, 실패 {failed}개',
+    githubDeliveryReplayQueued: '전달 `{id}` ({event}, **{repo}**)를 다시 실행합니다: 몇 초 뒤 리뷰 묶음과 함께 전송되며, 결과는 `/github deliveries`에서 확인할 수 있습니다.',
     
     // Language
     languageSet: '언어가 한국어로 설정되었습니다.',
     
     // Timezone
     timezoneSet: '시간대가 {timezone}로 설정되었습니다.',
+    githubStyleEmbed: 'GitHub 알림을 임베드로 보냅니다.',
+    githubStylePlain: 'GitHub 알림을 일반 텍스트로 보냅니다.',
+    githubStyleEmbedLabel: '임베드',
+    githubStylePlainLabel: '일반 텍스트',
+    holidaysSet: '반복 회의가 {calendar} 공휴일을 건너뜁니다.',
+    holidaysOff: '반복 회의가 더 이상 공휴일을 건너뛰지 않습니다.',
+    holidaysImported: '파일에서 공휴일 {count}일을 가져왔습니다. 반복 회의가 이 날짜들을 건너뜁니다.',
+    holidayNoticeOn: '공휴일로 회의를 건너뛸 때 안내 메시지를 보냅니다.',
+    holidayNoticeOff: '공휴일로 회의를 건너뛸 때 안내 메시지를 보내지 않습니다.',
+    missedRemindersLate: '봇이 꺼져 있는 동안 놓친 알림은 늦게라도 안내합니다.',
+    missedRemindersSilent: '봇이 꺼져 있는 동안 놓친 알림은 안내 없이 넘어갑니다.',
+    missedRemindersLateLabel: '늦은 안내',
+    missedRemindersSilentLabel: '안내 안 함',
+    holidaysStatus: '🏖️ 공휴일: {calendar} (안내 {notice})',
+    holidaysNone: '설정되지 않음',
+    holidaysUploaded: '업로드한 파일, {count}일',
+    holidayNoticeEnabled: '켜짐',
+    holidayNoticeDisabled: '꺼짐',
+    holidayNotice: '🏖️ {date} **{title}** 회의는 공휴일({holiday})이라 쉽니다. 다음 회의: {next}',
+    holidayUnnamed: '공휴일',
+    notificationsDmOn: '회의 알림을 채널 멘션 대신 DM으로 보내드립니다. DM을 받을 수 없으면 채널에서 멘션합니다.',
+    notificationsDmOff: '회의 알림을 더 이상 DM으로 보내지 않습니다.',
+    notificationsReminderMinutesSet: '회의 {minutes}분 전에 알림을 보내드립니다.',
+    notificationsReminderMinutesCleared: '각 회의의 알림 시간에 맞춰 알림을 보내드립니다.',
+    notificationsMeetingDefault: '회의별 알림 시간',
+    notificationsStatus: '**DM 알림:** {dm}\n**기본 알림 시간:** {minutes}',
+    invalidReminderMinutes: '잘못된 알림 시간입니다. 쉼표로 구분한 분 단위(예: 60,5) 또는 `default`를 입력하세요.',
     
     // Recurring
     repeatNone: '',
@@ -190,6 +480,9 @@ export const messages = {
     allRemindersPassed: '알림 시간이 모두 지났습니다.',
     meetingReminder: '회의 알림\n\n{mentions}\n\n**{title}**\n**일시:** {date}\n\n{minutes}분 후 회의가 시작됩니다!',
     meetingStart: '회의 시작\n\n{mentions}\n\n**{title}**\n**일시:** {date}\n\n지금 회의가 시작됩니다!',
+    missedReminderLate: '⏰ 늦은 회의 알림\n\n{mentions}\n\n**{title}**\n**일시:** {date}\n\n{minutes}분 후 회의가 시작됩니다! (알림 시간에 봇이 꺼져 있었습니다.)',
+    missedMeetingNotice: '⏰ {date} **{title}** 회의 때 봇이 꺼져 있어 알림을 보내지 못했습니다.',
+    missedSeriesNotice: '⏰ {date} **{title}** 회의 때 봇이 꺼져 있어 알림을 보내지 못했습니다. 반복 일정은 다음 회차부터 이어집니다.',
     
     // GitHub notifications
     githubPush: 'GitHub Push 이벤트\n```\n저장소: {repo}\n브랜치: {branch}\n작성자: {author}\n커밋 수: {commitsCount}\n\n커밋 내역:\n{commitMessages}\n```[보기]({compareUrl})',
@@ -207,6 +500,12 @@ export const messages = {
     githubPRAssigned: 'Pull Request 담당자 할당됨\n```\n저장소: {repo}\nPR #{number}: {prTitle}\n담당자: {assignee}\n작성자: {author}\n```[PR 보기]({prUrl})',
     githubPRReviewRequested: '리뷰 요청됨\n```\n저장소: {repo}\nPR #{number}: {prTitle}\n리뷰어: {reviewer}\n작성자: {author}\n```[PR 보기]({prUrl})',
     githubPRReadyForReview: 'Pull Request 리뷰 준비됨\n```\n저장소: {repo}\nPR #{number}: {prTitle}\n작성자: {author}\n베이스: {baseRef} <- 헤드: {headRef}\n```[PR 보기]({prUrl})',
+    githubPRReviewApproved: 'Pull Request 승인됨\n```\n저장소: {repo}\nPR #{number}: {prTitle}\n리뷰어: {reviewer}\n상태: 승인\n\n{details}\n```[리뷰 보기]({reviewUrl})',
+    githubPRReviewChangesRequested: '변경 요청됨\n```\n저장소: {repo}\nPR #{number}: {prTitle}\n리뷰어: {reviewer}\n상태: 변경 요청\n\n{details}\n```[리뷰 보기]({reviewUrl})',
+    githubPRReviewCommented: 'Pull Request 리뷰됨\n```\n저장소: {repo}\nPR #{number}: {prTitle}\n리뷰어: {reviewer}\n상태: 코멘트\n\n{details}\n```[리뷰 보기]({reviewUrl})',
+    githubPRReviewComments: '리뷰 댓글 추가됨\n```\n저장소: {repo}\nPR #{number}: {prTitle}\n리뷰어: {reviewer}\n\n{details}\n```[댓글 보기]({reviewUrl})',
+    githubPRReviewCommentCount: '리뷰 댓글 {count}개:',
+    githubPRReviewMoreComments: '...외 {count}개',
     githubIssueOpened: 'Issue 열림\n```\n저장소: {repo}\nIssue #{number}: {issueTitle}\n작성자: {author}\n라벨: {labels}{issueBody}\n```[이슈 보기]({issueUrl})',
     githubIssueClosed: 'Issue 닫힘\n```\n저장소: {repo}\nIssue #{number}: {issueTitle}\n작성자: {author}\n닫은 사람: {closer}\n```[이슈 보기]({issueUrl})',
     githubIssueReopened: 'Issue 다시 열림\n```\n저장소: {repo}\nIssue #{number}: {issueTitle}\n작성자: {author}\n라벨: {labels}\n```[이슈 보기]({issueUrl})',
@@ -236,6 +535,10 @@ export const messages = {
     githubRepositoryDeleted: '저장소 삭제됨\n```\n저장소: {repo}\n삭제자: {author}\n```',
     githubRepositoryArchived: '저장소 보관됨\n```\n저장소: {repo}\n보관한 사용자: {author}\n```',
     githubRepositoryUnarchived: '저장소 보관 해제됨\n```\n저장소: {repo}\n보관 해제한 사용자: {author}\n```',
+    githubCiSuccess: '{kind} 성공\n```\n저장소: {repo}\n{kind}: {name}\n브랜치: {branch}\n커밋: {commit}\n소요 시간: {duration}\n```[실행 보기]({url})',
+    githubCiFailure: '{kind} 실패\n```\n저장소: {repo}\n{kind}: {name}\n브랜치: {branch}\n커밋: {commit}\n결과: {conclusion}\n소요 시간: {duration}\n```[실행 보기]({url})',
+    githubCiRecovered: '{kind} 복구됨\n```\n저장소: {repo}\n{kind}: {name}\n브랜치: {branch}\n커밋: {commit}\n소요 시간: {duration}\n\n실패 후 다시 통과했습니다.\n```[실행 보기]({url})',
+    githubCiCompleted: '{kind} 완료\n```\n저장소: {repo}\n{kind}: {name}\n브랜치: {branch}\n커밋: {commit}\n결과: {conclusion}\n소요 시간: {duration}\n```[실행 보기]({url})',
     
     // Recurring meeting details
     repeatDailyExcept: '\n**반복:** 매일 (제외: {excludedDays}){endDate}',
@@ -243,6 +546,15 @@ export const messages = {
     repeatBiweeklyWithDay: '\n**반복:** 격주 {weekday}{endDate}',
     repeatMonthlyDay: '\n**반복:** 매월 {dayOfMonth}일{endDate}',
     repeatMonthlyWeekday: '\n**반복:** 매월 {weekOfMonth} {weekday}{endDate}',
+    repeatYearly: '\n**반복:** 매년{endDate}',
+    repeatYearlyOn: '\n**반복:** 매년 {date}{endDate}',
+    repeatEvery: '\n**반복:** {interval}{unit}마다{details}{endDate}',
+    repeatUnitDaily: '일',
+    repeatUnitWeekly: '주',
+    repeatUnitMonthly: '개월',
+    repeatUnitYearly: '년',
+    repeatCustom: '\n**반복:** `{rule}`{endDate}',
+    repeatCount: ' ({count}회)',
     
     // Weekday names
     monday: '월요일',
@@ -0,0 +1,272 @@
+/**
+ * @file providers.js
+ * @brief GitLab and Gitea webhook payload normalization
+ * @author Rundee
+ * @date 2025-12-23
+ * @copyright Copyright (c) 2025 Rundee. All rights reserved.
+ */
+
+const ZERO_SHA = /^0+$/;
+
+/**
+ * Convert a provider timestamp to an ISO string
+ * GitLab uses "2025-01-01 12:00:00 UTC", which not every parser accepts
+ * @param {string|null} value - Timestamp from the payload
+ * @returns {string|null} ISO 8601 string, or null if missing/invalid
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(String(value).replace(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) UTC$/, '$1T$2Z'));
+  return isNaN(date) ? null : date.toISOString();
+}
+
+/**
+ * Get the origin of a URL from a payload
+ * @param {string|undefined} value - URL from the payload
+ * @returns {string|null} Origin (e.g. "https://gitlab.com"), '' if missing, or null if malformed
+ */
+function getUrlOrigin(value) {
+  if (!value) return '';
+  try {
+    return new URL(value).origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build a GitHub-style user from a GitLab user object
+ * @param {Object} user - GitLab user ({ username, name, avatar_url })
+ * @param {string} baseUrl - GitLab instance URL (used for the profile link)
+ * @returns {Object} User with login, avatar_url and html_url
+ */
+function gitlabUser(user, baseUrl) {
+  return {
+    login: user?.username || user?.name || 'unknown',
+    avatar_url: user?.avatar_url,
+    html_url: user?.username && baseUrl ? `${baseUrl}/${user.username}` : undefined,
+  };
+}
+
+/**
+ * Get the repository path a webhook is about, before normalization
+ * @param {string} provider - 'github', 'gitlab' or 'gitea'
+ * @param {Object} payload - Raw webhook payload
+ * @returns {string|null} Repository path (owner/repo, or group/subgroup/project for GitLab)
+ */
+export function getWebhookRepository(provider, payload) {
+  if (provider === 'gitlab') {
+    return payload.project?.path_with_namespace || null;
+  }
+  return payload.repository?.full_name || null;
+}
+
+/**
+ * Normalize a GitLab webhook into a GitHub event name and payload
+ * Supports push, tag push, merge request, issue and pipeline hooks
+ * @param {string} eventHeader - X-Gitlab-Event header (e.g. "Push Hook")
+ * @param {Object} payload - GitLab webhook payload
+ * @returns {{event: string, payload: Object}|null} GitHub-shaped event, or null if unsupported
+ */
+export function normalizeGitLabEvent(eventHeader, payload) {
+  const project = payload.project || {};
+  const webUrl = project.web_url;
+  const baseUrl = getUrlOrigin(webUrl);
+  // Links would all be broken, and throwing would make GitLab retry and eventually disable the hook
+  if (baseUrl === null) return null;
+  const repository = {
+    full_name: project.path_with_namespace,
+    html_url: webUrl,
+  };
+
+  const kind = payload.object_kind;
+
+  if (kind === 'push' || kind === 'tag_push') {
+    const isTag = kind === 'tag_push';
+    if (!payload.ref) return null;
+    const refName = payload.ref.replace(isTag ? 'refs/tags/' : 'refs/heads/', '');
+    const sender = {
+      login: payload.user_username || payload.user_name,
+      avatar_url: payload.user_avatar,
+      html_url: payload.user_username && baseUrl ? `${baseUrl}/${payload.user_username}` : undefined,
+    };
+
+    // GitHub reports ref creation/deletion as separate create/delete events
+    if (ZERO_SHA.test(payload.before || '')) {
+      return { event: 'create', payload: { ref_type: isTag ? 'tag' : 'branch', ref: refName, repository, sender } };
+    }
+    if (ZERO_SHA.test(payload.after || '')) {
+      return { event: 'delete', payload: { ref_type: isTag ? 'tag' : 'branch', ref: refName, repository, sender } };
+    }
+    if (isTag) return null;
+
+    return {
+      event: 'push',
+      payload: {
+        ref: payload.ref,
+        before: payload.before,
+        after: payload.after,
+        compare: `${webUrl}/-/compare/${payload.before}...${payload.after}`,
+        pusher: { name: payload.user_name || payload.user_username },
+        sender,
+        commits: (payload.commits || []).map(c => ({
+          id: c.id,
+          message: c.message,
+          url: c.url,
+          author: { name: c.author?.name },
+          added: c.added,
+          modified: c.modified,
+          removed: c.removed,
+        })),
+        repository,
+      },
+    };
+  }
+
+  if (kind === 'merge_request') {
+    const attrs = payload.object_attributes || {};
+    const sender = gitlabUser(payload.user, baseUrl);
+    const actions = {
+      open: 'opened',
+      close: 'closed',
+      reopen: 'reopened',
+      merge: 'closed',
+      // "update" with oldrev means new commits were pushed
+      update: attrs.oldrev ? 'synchronize' : null,
+    };
+    const action = actions[attrs.action];
+    if (!action) return null;
+
+    return {
+      event: 'pull_request',
+      payload: {
+        action,
+        pull_request: {
+          number: attrs.iid,
+          title: attrs.title,
+          body: attrs.description,
+          html_url: attrs.url,
+          user: sender,
+          base: { ref: attrs.target_branch },
+          head: { ref: attrs.source_branch },
+          merged: attrs.action === 'merge',
+          merged_by: attrs.action === 'merge' ? sender : null,
+        },
+        repository,
+        sender,
+      },
+    };
+  }
+
+  if (kind === 'issue') {
+    const attrs = payload.object_attributes || {};
+    const sender = gitlabUser(payload.user, baseUrl);
+    const issue = {
+      number: attrs.iid,
+      title: attrs.title,
+      body: attrs.description,
+      html_url: attrs.url,
+      user: sender,
+      labels: (payload.labels || []).map(l => ({ name: l.title })),
+      closed_by: attrs.action === 'close' ? sender : null,
+    };
+    const base = { issue, repository, sender };
+
+    const actions = { open: 'opened', close: 'closed', reopen: 'reopened' };
+    if (actions[attrs.action]) {
+      return { event: 'issues', payload: { ...base, action: actions[attrs.action] } };
+    }
+
+    // "update" covers label and assignee changes; report the first one, as GitHub would
+    if (attrs.action === 'update') {
+      const labelChanges = payload.changes?.labels;
+      if (labelChanges) {
+        const previous = new Set((labelChanges.previous || []).map(l => l.title));
+        const current = new Set((labelChanges.current || []).map(l => l.title));
+        const added = [...current].find(l => !previous.has(l));
+        const removed = [...previous].find(l => !current.has(l));
+        if (added) return { event: 'issues', payload: { ...base, action: 'labeled', label: { name: added } } };
+        if (removed) return { event: 'issues', payload: { ...base, action: 'unlabeled', label: { name: removed } } };
+      }
+
+      const assigneeChanges = payload.changes?.assignees;
+      if (assigneeChanges) {
+        const previous = new Set((assigneeChanges.previous || []).map(u => u.username));
+        const added = (assigneeChanges.current || []).find(u => !previous.has(u.username));
+        if (added) return { event: 'issues', payload: { ...base, action: 'assigned', assignee: gitlabUser(added, baseUrl) } };
+      }
+    }
+    return null;
+  }
+
+  if (kind === 'pipeline') {
+    const attrs = payload.object_attributes || {};
+    const conclusions = { success: 'success', failed: 'failure', canceled: 'cancelled', skipped: 'skipped' };
+    const conclusion = conclusions[attrs.status];
+    // Only finished pipelines are reported, like completed workflow runs
+    if (!conclusion) return null;
+
+    return {
+      event: 'workflow_run',
+      payload: {
+        action: 'completed',
+        workflow_run: {
+          name: attrs.name || 'Pipeline',
+          conclusion,
+          head_branch: attrs.ref,
+          head_sha: attrs.sha,
+          head_commit: { message: payload.commit?.message || '' },
+          run_started_at: toIsoDate(attrs.created_at),
+          updated_at: toIsoDate(attrs.finished_at),
+          html_url: `${webUrl}/-/pipelines/${attrs.id}`,
+        },
+        repository,
+        sender: gitlabUser(payload.user, baseUrl),
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a Gitea webhook into a GitHub event name and payload
+ * Gitea payloads already follow GitHub's shape; this fills in the fields that differ
+ * @param {string} eventHeader - X-Gitea-Event header (e.g. "push", "pull_request")
+ * @param {Object} payload - Gitea webhook payload
+ * @returns {{event: string, payload: Object}|null} GitHub-shaped event, or null if unsupported
+ */
+export function normalizeGiteaEvent(eventHeader, payload) {
+  const normalized = { ...payload };
+
+  if (eventHeader === 'push') {
+    const pusher = payload.pusher || {};
+    normalized.pusher = { ...pusher, name: pusher.full_name || pusher.username || pusher.login };
+    normalized.compare = payload.compare || payload.compare_url;
+    // Ref creation/deletion also arrives as create/delete events
+    normalized.created = ZERO_SHA.test(payload.before || '');
+    normalized.deleted = ZERO_SHA.test(payload.after || '');
+    return { event: 'push', payload: normalized };
+  }
+
+  if (eventHeader === 'pull_request') {
+    const actions = { synchronized: 'synchronize' };
+    normalized.action = actions[payload.action] || payload.action;
+    return { event: 'pull_request', payload: normalized };
+  }
+
+  if (eventHeader === 'issues') {
+    if (payload.action === 'label_updated') {
+      // Gitea doesn't say which label changed
+      normalized.action = 'labeled';
+    }
+    return { event: 'issues', payload: normalized };
+  }
+
+  // Recent Gitea versions send Actions events in GitHub's format
+  if (['create', 'delete', 'release', 'issue_comment', 'workflow_run', 'workflow_job'].includes(eventHeader)) {
+    return { event: eventHeader, payload: normalized };
+  }
+
+  return null;
+}
@@ -0,0 +1,496 @@
+/**
+ * @file recurrence.js
+ * @brief RFC 5545 recurrence rules (RRULE) for recurring meetings
+ * @author Rundee
+ * @date 2025-12-23
+ * @copyright Copyright (c) 2025 Rundee. All rights reserved.
+ */
+
+// RFC 5545 weekday codes, indexed like Date.getDay() (0=Sunday)
+export const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A rule that produces nothing for this many periods in a row has ended
+// (e.g. BYMONTHDAY=30 with BYMONTH=2). Each limit spans 8 years of periods (8 intervals' worth
+// with INTERVAL), the longest gap between leap days (e.g. 2096 to 2104)
+const MAX_EMPTY_PERIODS = {
+  DAILY: 8 * 366,
+  WEEKLY: 8 * 53,
+  MONTHLY: 8 * 12,
+  YEARLY: 8,
+};
+
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'COUNT', 'UNTIL', 'WKST'];
+const SUPPORTED_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Intl formatters are slow to create and occurrence searches convert many dates
+const localPartsFormatters = new Map();
+
+/**
+ * Get the wall-clock date and time of a moment in a timezone
+ * @param {Date} date - Date
+ * @param {string} timezone - IANA timezone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   Local fields (month is 1-12, weekday is 0=Sunday)
+ */
+export function getLocalParts(date, timezone) {
+  let formatter = localPartsFormatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23',
+    });
+    localPartsFormatters.set(timezone, formatter);
+  }
+  const parts = formatter.formatToParts(date);
+  const get = type => parts.find(p => p.type === type)?.value;
+  return {
+    year: parseInt(get('year')),
+    month: parseInt(get('month')),
+    day: parseInt(get('day')),
+    hour: parseInt(get('hour')),
+    minute: parseInt(get('minute')),
+    second: parseInt(get('second')),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday')),
+  };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC date
+ * Times skipped by a DST change use the offset from before the change, so they move
+ * forward by the gap (02:30 on a spring-forward night becomes 03:30), as RFC 5545 specifies
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute
+ * @param {number} second - Second
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} UTC date
+ */
+export function zonedTimeToUtc(year, month, day, hour, minute, second, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetAt = time => {
+    const local = getLocalParts(new Date(time), timezone);
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - time;
+  };
+  // The offset of the first guess is wrong when it lands on the other side of a DST change
+  const firstGuess = wallClock - offsetAt(wallClock);
+  const offset = offsetAt(firstGuess);
+  // A skipped time doesn't map back to itself under either offset; clocks spring forward,
+  // so the smaller offset is the one from before the change
+  const resolvedOffset = Math.min(offset, offsetAt(wallClock - offset));
+  return new Date(wallClock - resolvedOffset);
+}
+
+/**
+ * Parse an RRULE value
+ * @param {string} value - RRULE value without the "RRULE:" prefix (e.g. "FREQ=WEEKLY;BYDAY=MO,WE,FR")
+ * @param {string} [timezone] - Timezone for a date-only or floating UNTIL
+ * @returns {Object} Rule ({ freq, interval, byDay, byMonthDay, byMonth, bySetPos, count, until, wkst })
+ * @throws {Error} Throws if the rule is invalid or uses parts that aren't supported
+ */
+export function parseRRule(value, timezone = 'UTC') {
+  const parts = {};
+  for (const part of String(value).trim().replace(/^RRULE:/i, '').toUpperCase().split(';').filter(Boolean)) {
+    const [key, partValue] = part.split('=');
+    if (!partValue) throw new Error(`Invalid rule part: ${part}`);
+    if (!SUPPORTED_PARTS.includes(key)) throw new Error(`${key} is not supported`);
+    parts[key] = partValue;
+  }
+
+  if (!SUPPORTED_FREQUENCIES.includes(parts.FREQ)) {
+    throw new Error(parts.FREQ ? `FREQ=${parts.FREQ} is not supported` : 'FREQ is required');
+  }
+  if (parts.COUNT && parts.UNTIL) {
+    throw new Error('COUNT and UNTIL cannot be used together');
+  }
+
+  const parseNumbers = (key, max, allowNegative = true) => (parts[key] ? parts[key].split(',') : []).map(item => {
+    const number = parseInt(item);
+    if (isNaN(number) || String(number) !== item.replace(/^\+/, '') || number === 0 ||
+      Math.abs(number) > max || (number < 0 && !allowNegative)) {
+      throw new Error(`Invalid ${key} value: ${item}`);
+    }
+    return number;
+  });
+
+  const byDay = (parts.BYDAY ? parts.BYDAY.split(',') : []).map(item => {
+    const match = item.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+    if (!match || (match[1] && (parseInt(match[1]) === 0 || Math.abs(parseInt(match[1])) > 53))) {
+      throw new Error(`Invalid BYDAY value: ${item}`);
+    }
+    return { ordinal: match[1] ? parseInt(match[1]) : null, weekday: RRULE_WEEKDAYS.indexOf(match[2]) };
+  });
+  if (byDay.some(d => d.ordinal !== null) && !['MONTHLY', 'YEARLY'].includes(parts.FREQ)) {
+    throw new Error(`Numbered BYDAY values need FREQ=MONTHLY or FREQ=YEARLY`);
+  }
+
+  const interval = parts.INTERVAL ? parseInt(parts.INTERVAL) : 1;
+  if (isNaN(interval) || interval < 1) throw new Error(`Invalid INTERVAL value: ${parts.INTERVAL}`);
+
+  const count = parts.COUNT ? parseInt(parts.COUNT) : null;
+  if (count !== null && (isNaN(count) || count < 1)) throw new Error(`Invalid COUNT value: ${parts.COUNT}`);
+
+  let until = null;
+  if (parts.UNTIL) {
+    const match = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) throw new Error(`Invalid UNTIL value: ${parts.UNTIL}`);
+    const [, year, month, day, hour, minute, second, utc] = match;
+    if (hour === undefined) {
+      // A date-only UNTIL includes that whole day
+      until = new Date(zonedTimeToUtc(+year, +month, +day + 1, 0, 0, 0, timezone).getTime() - 1000);
+    } else {
+      until = utc
+        ? new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second))
+        : zonedTimeToUtc(+year, +month, +day, +hour, +minute, +second, timezone);
+    }
+  }
+
+  const wkst = parts.WKST ? RRULE_WEEKDAYS.indexOf(parts.WKST) : 1;
+  if (wkst === -1) throw new Error(`Invalid WKST value: ${parts.WKST}`);
+
+  return {
+    freq: parts.FREQ,
+    interval,
+    byDay,
+    byMonthDay: parseNumbers('BYMONTHDAY', 31),
+    byMonth: parseNumbers('BYMONTH', 12, false),
+    bySetPos: parseNumbers('BYSETPOS', 366),
+    count,
+    until,
+    wkst,
+  };
+}
+
+/**
+ * Format a rule back into an RRULE value
+ * @param {Object} rule - Rule from parseRRule
+ * @returns {string} RRULE value without the "RRULE:" prefix
+ */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth.length > 0) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(d => `${d.ordinal ?? ''}${RRULE_WEEKDAYS[d.weekday]}`).join(',')}`);
+  }
+  if (rule.bySetPos.length > 0) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  if (rule.wkst !== 1) parts.push(`WKST=${RRULE_WEEKDAYS[rule.wkst]}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  return parts.join(';');
+}
+
+/**
+ * Convert a repeat_type value from older versions to an RRULE value
+ * @param {string|null} repeatType - e.g. "daily", "daily_except:0,6", "weekly:3",
+ *   "biweekly:3", "monthly_day:15", "monthly_weekday:-1:5"
+ * @param {string|null} [repeatEndDate] - ISO end date (becomes UNTIL)
+ * @returns {string|null} RRULE value, or null if not recurring
+ */
+export function legacyRepeatTypeToRRule(repeatType, repeatEndDate = null) {
+  if (!repeatType || repeatType === 'none') return null;
+
+  const [type, ...args] = repeatType.split(':');
+  let rule;
+  if (type === 'daily') {
+    rule = 'FREQ=DAILY';
+  } else if (type === 'daily_except') {
+    const excluded = args[0].split(',').map(w => parseInt(w));
+    rule = `FREQ=DAILY;BYDAY=${RRULE_WEEKDAYS.filter((_, weekday) => !excluded.includes(weekday)).join(',')}`;
+  } else if (type === 'weekly' || type === 'biweekly') {
+    rule = type === 'weekly' ? 'FREQ=WEEKLY' : 'FREQ=WEEKLY;INTERVAL=2';
+    // Rows created before weekdays were stored repeat on the start date's weekday
+    if (args.length > 0) rule += `;BYDAY=${RRULE_WEEKDAYS[parseInt(args[0])]}`;
+  } else if (type === 'monthly_day') {
+    rule = `FREQ=MONTHLY;BYMONTHDAY=${parseInt(args[0])}`;
+  } else if (type === 'monthly_weekday') {
+    rule = `FREQ=MONTHLY;BYDAY=${parseInt(args[0])}${RRULE_WEEKDAYS[parseInt(args[1])]}`;
+  } else if (type === 'monthly') {
+    rule = 'FREQ=MONTHLY';
+  } else {
+    return null;
+  }
+
+  if (repeatEndDate) {
+    rule += `;UNTIL=${new Date(repeatEndDate).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`;
+  }
+  return rule;
+}
+
+/**
+ * Convert a local date to a day number (days since 1970-01-01)
+ * Day numbers make calendar arithmetic independent of DST
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {number} Day number
+ */
+function toDayNumber(year, month, day) {
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+/**
+ * Convert a day number back to a local date
+ * @param {number} dayNumber - Day number
+ * @returns {{year: number, month: number, day: number, weekday: number}} Local date
+ */
+function fromDayNumber(dayNumber) {
+  const date = new Date(dayNumber * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() };
+}
+
+/**
+ * Get the number of days in a month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Days in the month
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Expand BYDAY values within a range of days
+ * Numbered values ("2MO", "-1FR") pick the nth matching weekday of the range
+ * @param {number} first - First day number of the range
+ * @param {number} last - Last day number of the range
+ * @param {Array<Object>} byDay - Parsed BYDAY values
+ * @returns {Array<number>} Matching day numbers
+ */
+function expandWeekdays(first, last, byDay) {
+  const days = [];
+  for (const { ordinal, weekday } of byDay) {
+    const firstMatch = first + ((weekday - fromDayNumber(first).weekday + 7) % 7);
+    const matches = [];
+    for (let day = firstMatch; day <= last; day += 7) matches.push(day);
+
+    if (ordinal === null) {
+      days.push(...matches);
+    } else {
+      const match = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+      if (match !== undefined) days.push(match);
+    }
+  }
+  return days;
+}
+
+/**
+ * Expand a rule within one month
+ * @param {Object} rule - Parsed rule
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} startDay - Day of month of the series start (used when the rule names no days)
+ * @returns {Array<number>} Matching day numbers
+ */
+function expandMonth(rule, year, month, startDay) {
+  const first = toDayNumber(year, month, 1);
+  const length = daysInMonth(year, month);
+
+  if (rule.byMonthDay.length > 0) {
+    const weekdays = rule.byDay.map(d => d.weekday);
+    return rule.byMonthDay
+      .map(day => (day > 0 ? day : length + day + 1))
+      .filter(day => day >= 1 && day <= length)
+      .map(day => first + day - 1)
+      .filter(day => weekdays.length === 0 || weekdays.includes(fromDayNumber(day).weekday));
+  }
+  if (rule.byDay.length > 0) {
+    return expandWeekdays(first, first + length - 1, rule.byDay);
+  }
+  // Months without that day (e.g. the 31st) are skipped, as RFC 5545 requires
+  return startDay <= length ? [first + startDay - 1] : [];
+}
+
+/**
+ * Get the candidate days of one period of a rule (a day, week, month or year)
+ * @param {Object} rule - Parsed rule
+ * @param {number} period - Period index (0 is the period containing the series start)
+ * @param {Object} start - Local date of the series start ({ year, month, day, weekday })
+ * @returns {Array<number>} Sorted day numbers
+ */
+function getPeriodDays(rule, period, start) {
+  const startDayNumber = toDayNumber(start.year, start.month, start.day);
+  const inMonths = day => rule.byMonth.length === 0 || rule.byMonth.includes(fromDayNumber(day).month);
+  let days;
+
+  if (rule.freq === 'DAILY') {
+    const day = startDayNumber + period * rule.interval;
+    const { day: dayOfMonth, weekday, year, month } = fromDayNumber(day);
+    const length = daysInMonth(year, month);
+    const monthDayMatches = rule.byMonthDay.length === 0 ||
+      rule.byMonthDay.some(d => (d > 0 ? d : length + d + 1) === dayOfMonth);
+    const weekdayMatches = rule.byDay.length === 0 || rule.byDay.some(d => d.weekday === weekday);
+    days = monthDayMatches && weekdayMatches ? [day] : [];
+  } else if (rule.freq === 'WEEKLY') {
+    const weekStart = startDayNumber - ((start.weekday - rule.wkst + 7) % 7) + period * rule.interval * 7;
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map(d => d.weekday) : [start.weekday];
+    days = [0, 1, 2, 3, 4, 5, 6]
+      .map(offset => weekStart + offset)
+      .filter(day => weekdays.includes(fromDayNumber(day).weekday));
+  } else if (rule.freq === 'MONTHLY') {
+    const monthIndex = start.year * 12 + (start.month - 1) + period * rule.interval;
+    const year = Math.floor(monthIndex / 12);
+    const month = (monthIndex % 12) + 1;
+    days = rule.byMonth.length === 0 || rule.byMonth.includes(month) ? expandMonth(rule, year, month, start.day) : [];
+  } else {
+    const year = start.year + period * rule.interval;
+    if (rule.byMonth.length > 0) {
+      days = rule.byMonth.flatMap(month => expandMonth(rule, year, month, start.day));
+    } else if (rule.byMonthDay.length > 0) {
+      days = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].flatMap(month => expandMonth(rule, year, month, start.day));
+    } else if (rule.byDay.length > 0) {
+      // Without BYMONTH, numbered weekdays count within the year ("20MO" is the 20th Monday)
+      days = expandWeekdays(toDayNumber(year, 1, 1), toDayNumber(year, 12, 31), rule.byDay);
+    } else {
+      days = start.day <= daysInMonth(year, start.month) ? [toDayNumber(year, start.month, start.day)] : [];
+    }
+  }
+
+  days = [...new Set(days.filter(inMonths))].sort((a, b) => a - b);
+  if (rule.bySetPos.length > 0) {
+    days = rule.bySetPos
+      .map(position => (position > 0 ? days[position - 1] : days[days.length + position]))
+      .filter(day => day !== undefined)
+      .sort((a, b) => a - b);
+  }
+  return days;
+}
+
+/**
+ * Get the first period that can contain occurrences after a date
+ * Lets searches skip the history of a long-running series; rules with COUNT
+ * always start from the beginning, since earlier occurrences count towards it
+ * @param {Object} rule - Parsed rule
+ * @param {Object} start - Local date of the series start
+ * @param {Object} after - Local date to search from
+ * @returns {number} Period index
+ */
+function getFirstPeriod(rule, start, after) {
+  if (rule.count) return 0;
+
+  let elapsed;
+  if (rule.freq === 'DAILY') {
+    elapsed = toDayNumber(after.year, after.month, after.day) - toDayNumber(start.year, start.month, start.day);
+  } else if (rule.freq === 'WEEKLY') {
+    elapsed = Math.floor((toDayNumber(after.year, after.month, after.day) - toDayNumber(start.year, start.month, start.day)) / 7);
+  } else if (rule.freq === 'MONTHLY') {
+    elapsed = (after.year - start.year) * 12 + (after.month - start.month);
+  } else {
+    elapsed = after.year - start.year;
+  }
+  // Step back one period to cover timezone and week boundary differences
+  return Math.max(0, Math.floor(elapsed / rule.interval) - 1);
+}
+
+/**
+ * Iterate the occurrences of a recurring series in order
+ * Occurrences keep the start's wall-clock time in the timezone, across DST changes
+ * @param {Object|string} rule - Parsed rule or RRULE value
+ * @param {Date} start - First occurrence of the series (DTSTART)
+ * @param {string} timezone - Timezone the series is anchored in
+ * @param {Date} [from] - Skip ahead to occurrences from this date
+ * @yields {Date} Occurrence dates, honoring COUNT and UNTIL
+ */
+export function* iterateOccurrences(rule, start, timezone, from = start) {
+  const parsed = typeof rule === 'string' ? parseRRule(rule, timezone) : rule;
+  const local = getLocalParts(start, timezone);
+  let period = getFirstPeriod(parsed, local, getLocalParts(from, timezone));
+  let seen = 0;
+  let emptyPeriods = 0;
+
+  while (emptyPeriods < MAX_EMPTY_PERIODS[parsed.freq]) {
+    const days = getPeriodDays(parsed, period, local);
+    let produced = false;
+
+    for (const dayNumber of days) {
+      const { year, month, day } = fromDayNumber(dayNumber);
+      const occurrence = zonedTimeToUtc(year, month, day, local.hour, local.minute, local.second, timezone);
+      if (occurrence < start) continue;
+      if (parsed.until && occurrence > parsed.until) return;
+
+      produced = true;
+      seen++;
+      if (occurrence >= from) yield occurrence;
+      if (parsed.count && seen >= parsed.count) return;
+    }
+
+    emptyPeriods = produced ? 0 : emptyPeriods + 1;
+    period++;
+  }
+}
+
+/**
+ * Find the first occurrence of a series after a given time
+ * @param {Object|string} rule - Parsed rule or RRULE value
+ * @param {Date} start - First occurrence of the series (DTSTART)
+ * @param {string} timezone - Timezone the series is anchored in
+ * @param {Object} [options] - Search options
+ * @param {Date} [options.after] - Only occurrences after this date (default: now)
+ * @param {Array<Date>} [options.exdates] - Occurrences to skip
+ * @returns {Date|null} Next occurrence, or null if the series has ended
+ */
+export function getNextOccurrence(rule, start, timezone, { after = new Date(), exdates = [] } = {}) {
+  const excluded = new Set(exdates.map(date => date.getTime()));
+  for (const occurrence of iterateOccurrences(rule, start, timezone, after)) {
+    if (occurrence > after && !excluded.has(occurrence.getTime())) return occurrence;
+  }
+  return null;
+}
+
+/**
+ * Re-anchor a series at one of its occurrences
+ * Used when an occurrence is moved: the series continues from the new date,
+ * and a COUNT is reduced by the occurrences that already happened
+ * @param {string} rrule - RRULE value
+ * @param {Date} start - Current first occurrence of the series
+ * @param {string} timezone - Timezone the series is anchored in
+ * @param {Date} occurrence - Occurrence the series continues from
+ * @returns {string} RRULE value for the re-anchored series
+ */
+export function rebaseRRule(rrule, start, timezone, occurrence) {
+  const rule = parseRRule(rrule, timezone);
+  if (!rule.count) return rrule;
+
+  let elapsed = 0;
+  for (const date of iterateOccurrences(rule, start, timezone)) {
+    if (date >= occurrence) break;
+    elapsed++;
+  }
+  return formatRRule({ ...rule, count: Math.max(1, rule.count - elapsed) });
+}
+
+/**
+ * End a series before one of its occurrences
+ * Used when a series is split: a COUNT becomes the number of occurrences before it,
+ * otherwise UNTIL is moved up to just before it
+ * @param {string} rrule - RRULE value
+ * @param {Date} start - First occurrence of the series
+ * @param {string} timezone - Timezone the series is anchored in
+ * @param {Date} occurrence - First occurrence that is no longer part of the series
+ * @returns {string} RRULE value for the shortened series
+ */
+export function endRRuleBefore(rrule, start, timezone, occurrence) {
+  const rule = parseRRule(rrule, timezone);
+  if (rule.count) {
+    let elapsed = 0;
+    for (const date of iterateOccurrences(rule, start, timezone)) {
+      if (date >= occurrence) break;
+      elapsed++;
+    }
+    return formatRRule({ ...rule, count: Math.max(1, elapsed) });
+  }
+
+  const until = new Date(occurrence.getTime() - 1000);
+  return formatRRule({ ...rule, until: rule.until && rule.until < until ? rule.until : until });
+}
@@ -39,6 +39,44 @@ export async function DiscordRequest(endpoint, options) {
   return res;
 }
 
+/**
+ * Make a multipart request to Discord API (for uploading files)
+ * @param {string} endpoint - API endpoint (relative to base URL)
+ * @param {Object} options - Request options
+ * @param {string} [options.method] - HTTP method (default: POST)
+ * @param {Object} options.payload - JSON message payload (sent as payload_json)
+ * @param {Array<{name: string, content: string|Buffer, contentType?: string}>} options.files - Files to attach
+ * @returns {Promise<Response>} Fetch response
+ * @throws {Error} Throws error if request fails
+ */
+export async function DiscordUploadRequest(endpoint, { method = 'POST', payload, files }) {
+  const url = 'https://discord.com/api/v10/' + endpoint;
+  const form = new FormData();
+  form.append('payload_json', JSON.stringify({
+    ...payload,
+    attachments: files.map((file, index) => ({ id: index, filename: file.name })),
+  }));
+  files.forEach((file, index) => {
+    form.append(`files[${index}]`, new Blob([file.content], { type: file.contentType || 'application/octet-stream' }), file.name);
+  });
+
+  // fetch sets the multipart Content-Type (with boundary) itself
+  const res = await fetch(url, {
+    method,
+    headers: {
+      Authorization: `Bot ${process.env.DISCORD_TOKEN}`,
+      'User-Agent': 'RundeeBot (https://github.com/rundee/discord-bot, 1.0.0)',
+    },
+    body: form,
+  });
+  if (!res.ok) {
+    const data = await res.json();
+    console.log(res.status);
+    throw new Error(JSON.stringify(data));
+  }
+  return res;
+}
+
 /**
  * Install/update global commands for the Discord application
  * @param {string} appId - Discord application ID